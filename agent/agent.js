@@ -1,9 +1,52 @@
-import { createClient, http, parseAbi, stringToHex, pad } from 'viem';
+import {
+  createClient,
+  encodeFunctionData,
+  http,
+  isAddressEqual,
+  parseAbi,
+  parseEventLogs,
+  stringToHex,
+  pad,
+  concat,
+  slice,
+  numberToHex,
+  toHex,
+} from 'viem';
 import { privateKeyToAccount, generatePrivateKey } from 'viem/accounts';
+import { readContract, sendTransaction, signMessage, waitForTransactionReceipt } from 'viem/actions';
 import { tempoModerato } from 'viem/chains';
-import { tempoActions } from 'viem/tempo';
+import { Abis, tempoActions } from 'viem/tempo';
 import axios from 'axios';
+import { randomBytes } from 'crypto';
+import { join } from 'path';
 import dotenv from 'dotenv';
+import {
+  PAYMENT_HEADER,
+  PAYMENT_REQUIRED_HEADER,
+  PAYMENT_SCHEME,
+  X402_VERSION,
+  decodePaymentHeader,
+  encodePaymentHeader,
+  paymentProofMessage,
+} from './lib/x402.js';
+import { MANIFEST_PATH, parseManifest } from './lib/manifest.js';
+import { ApprovalPendingError, ApprovalQueue } from './lib/approvals.js';
+import { BudgetExceededError, Budgets } from './lib/budgets.js';
+import { runCli } from './lib/cli.js';
+import { writeKeystore } from './lib/keystore.js';
+import { STABLECOINS, acceptedTokens, assignTokens, parseTokenList, tokenSymbol } from './lib/tokens.js';
+import { SpendingLedger } from './lib/ledger.js';
+import { NonceLanes } from './lib/nonces.js';
+import { resolvePayouts } from './lib/payouts.js';
+import { LICENSE_USAGES, chooseTerm } from './lib/terms.js';
+import {
+  DecisionLog,
+  HOUR_MS,
+  PolicyDeniedError,
+  PurchasePolicy,
+  domainOf,
+  loadPolicyFile,
+} from './lib/policy.js';
 
 dotenv.config();
 
@@ -15,7 +58,16 @@ dotenv.config();
  * - Fee sponsorship (gasless transactions)
  * - Parallel payments with 2D nonces
  * - Batch license purchasing
- * - Spending limits and controls
+ * - Spending limits and controls (durable ledger, calendar-day resets)
+ * - Declarative purchase policies with explainable decisions
+ * - Human approval queue for purchases above the policy threshold
+ * - HTTP 402 auto-payment (agent.fetch)
+ * - Price preloading from publisher manifests
+ * - Payments in whichever accepted stablecoin the wallet holds
+ * - Revenue splits paid to every payee of the content
+ * - License terms chosen per purchase (timed, per-request, perpetual;
+ *   retrieval or training use)
+ * - Prepaid credit and subscriptions with creators (no payment per item)
  */
 
 // Configuration
@@ -23,25 +75,46 @@ const CONFIG = {
   RPC_URL: process.env.TEMPO_RPC_URL || 'https://rpc.moderato.tempo.xyz',
   BACKEND_URL: process.env.BACKEND_URL || 'http://localhost:3001',
   CHAIN_ID: 42431,
-  TOKENS: {
-    alphaUsd: '0x20c0000000000000000000000000000000000001',
-    betaUsd: '0x20c0000000000000000000000000000000000002',
-  },
+  // Stablecoins the wallet holds and pays with (default: all, see lib/tokens.js)
+  PAYMENT_TOKENS: process.env.AGENT_TOKENS,
   CONTRACT_ADDRESS: process.env.CONTRACT_ADDRESS,
+  DATA_DIR: process.env.AGENT_DATA_DIR || './data',
+  // Give each machine sharing a wallet its own range of nonce keys
+  NONCE_LANE_OFFSET: BigInt(process.env.AGENT_NONCE_LANE_OFFSET || 0),
+  // Daily spending limits reset at midnight in this IANA time zone
+  TIME_ZONE: process.env.AGENT_TIMEZONE || 'UTC',
+  // JSON or YAML purchase policy (see lib/policy.js)
+  POLICY_PATH: process.env.AGENT_POLICY_PATH,
+  // Parked purchases must be approved and executed within this window
+  APPROVAL_TTL_MS: Number(process.env.AGENT_APPROVAL_TTL_MINUTES || 60) * 60 * 1000,
+  KEYSTORE_DIR: process.env.AGENT_KEYSTORE_DIR || './keystore',
+  // Use licenses are bought for: retrieval, training or any (see lib/terms.js)
+  LICENSE_USAGE: process.env.AGENT_LICENSE_USAGE || 'retrieval',
 };
 
 // Contract ABI
 const CONTRACT_ABI = parseAbi([
-  'function purchaseLicense(bytes32 contentHash, bytes32 memo)',
-  'function purchaseBatchLicense(bytes32[] contentHashes, bytes32[] memos)',
-  'function contentRegistry(bytes32) view returns (uint256 price, address contentOwner, string contentURI, bool active, uint256 totalRevenue, uint256 accessCount)',
+  'function purchaseLicense(bytes32 contentHash, uint8 termId, bytes32 memo)',
+  'function purchaseBatchLicense(bytes32[] contentHashes, uint8[] termIds, bytes32[] memos)',
+  'function contentRegistry(bytes32) view returns (uint256 price, address contentOwner, string contentURI, bool active, uint256 totalRevenue, uint256 accessCount, address paymentToken)',
   'function hasValidLicense(address user, bytes32 contentHash) view returns (bool)',
-  'event LicensePurchased(address indexed buyer, bytes32 indexed contentHash, uint256 price, bytes32 memo, uint256 expiry)',
+  'function setAgentSpendingLimit(address agent, uint256 dailyLimit)',
+  'event LicensePurchased(address indexed buyer, bytes32 indexed contentHash, uint256 price, bytes32 memo, uint256 expiry, uint8 termId, uint8 kind, uint8 usage)',
 ]);
 
+// purchaseBatchLicense rejects larger batches
+const MAX_CONTRACT_BATCH = 50;
+
 class OpenPayAIAgent {
-  constructor(privateKey, options = {}) {
-    this.account = privateKeyToAccount(privateKey);
+  /**
+   * `account` is a private key or any viem Account: a keystore account
+   * from loadAccount, or a custom signer built with `toAccount`
+   */
+  constructor(account, options = {}) {
+    this.account = typeof account === 'string' ? privateKeyToAccount(account) : account;
+    if (!this.account?.address) {
+      throw new Error('Agent needs a private key or a viem Account');
+    }
     this.address = this.account.address;
     
     // Initialize Tempo client with actions
@@ -58,12 +131,70 @@ class OpenPayAIAgent {
       useFeeSponsorship: options.useFeeSponsorship !== false, // Default true
       enableBatching: options.enableBatching !== false, // Default true
       enableParallel: options.enableParallel !== false, // Default true
+      // Atomic batches: 'transfers' (one transferWithMemo per item) or
+      // 'contract' (purchaseBatchLicense, licenses recorded on-chain)
+      batchMode: options.batchMode || 'transfers',
+      maxParallel: options.maxParallel || 8, // Nonce lanes in flight at once
+      publisherDailyLimit: options.publisherDailyLimit ?? null, // Per publisher, per day
+      publisherLimits: options.publisherLimits || {}, // { [ownerAddress]: dailyLimit }
+      tokens: parseTokenList(options.tokens ?? CONFIG.PAYMENT_TOKENS), // Names, symbols or addresses
+      licenseUsage: options.licenseUsage || CONFIG.LICENSE_USAGE, // Use licenses must cover
     };
 
-    // Track spending
-    this.spentToday = BigInt(0);
-    this.lastReset = Date.now();
-    this.purchaseHistory = [];
+    if (!LICENSE_USAGES.includes(this.config.licenseUsage)) {
+      throw new Error(`License usage must be one of ${LICENSE_USAGES.join(', ')}`);
+    }
+
+    // 2D nonce lanes for parallel payments, persisted across restarts
+    this.nonceLanes = new NonceLanes({
+      client: this.client,
+      address: this.address,
+      statePath: options.nonceStatePath ||
+        join(CONFIG.DATA_DIR, `nonce-lanes-${this.address.toLowerCase()}.json`),
+      maxLanes: this.config.maxParallel,
+      laneOffset: options.nonceLaneOffset ?? CONFIG.NONCE_LANE_OFFSET,
+    });
+
+    // Durable spending ledger (survives restarts and crashes mid-purchase)
+    this.ledger = new SpendingLedger({
+      path: options.ledgerPath ||
+        join(CONFIG.DATA_DIR, `ledger-${this.address.toLowerCase()}.jsonl`),
+      timeZone: options.timeZone || CONFIG.TIME_ZONE,
+    });
+    this.purchaseHistory = this.ledger.history();
+    this.initialized = null;
+
+    // Item, daily, publisher and task budgets, reserved against the ledger
+    this.budgets = new Budgets({
+      ledger: this.ledger,
+      maxPricePerItem: this.config.maxPricePerItem,
+      dailyLimit: this.config.dailySpendingLimit,
+      publisherDailyLimit: this.config.publisherDailyLimit,
+      publisherLimits: this.config.publisherLimits,
+    });
+
+    // Purchase policy, from `options.policy` (rules or a PurchasePolicy) or a file
+    const policyPath = options.policyPath || CONFIG.POLICY_PATH;
+    if (options.policy instanceof PurchasePolicy) {
+      this.policy = options.policy;
+    } else if (!options.policy && policyPath) {
+      this.policy = loadPolicyFile(policyPath);
+    } else {
+      this.policy = new PurchasePolicy(options.policy);
+    }
+    this.decisionLog = new DecisionLog({
+      path: options.decisionLogPath ||
+        join(CONFIG.DATA_DIR, `decisions-${this.address.toLowerCase()}.jsonl`),
+    });
+
+    // Purchases waiting for an operator, shared with scripts/approvals.js
+    this.approvals = new ApprovalQueue({
+      path: options.approvalsPath || join(CONFIG.DATA_DIR, 'approvals.jsonl'),
+      ttlMs: options.approvalTtlMs || CONFIG.APPROVAL_TTL_MS,
+    });
+
+    // Prices preloaded from publisher manifests (contentHash -> { content, expiresAt })
+    this.priceCache = new Map();
 
     console.log(`🤖 Agent initialized: ${this.address}`);
     console.log(`   Fee sponsorship: ${this.config.useFeeSponsorship ? '✅' : '❌'}`);
@@ -71,19 +202,116 @@ class OpenPayAIAgent {
     console.log(`   Parallel payments: ${this.config.enableParallel ? '✅' : '❌'}`);
   }
 
+  /**
+   * Reconcile the spending ledger with the chain, settling reservations a
+   * previous run left open and recording payments it missed, so history,
+   * stats and budgets start from what was really spent
+   *
+   * Call once at startup; payments wait for it if it has not run yet.
+   */
+  init() {
+    if (!this.initialized) {
+      this.initialized = this._reconcileLedger()
+        .then(() => {
+          this.purchaseHistory = this.ledger.history();
+          return this;
+        })
+        .catch(error => {
+          this.initialized = null;
+          throw error;
+        });
+    }
+    return this.initialized;
+  }
+
+  /**
+   * Spent (or reserved) on the current calendar day
+   */
+  get spentToday() {
+    return this.ledger.spentToday();
+  }
+
+  /**
+   * Cap what purchases made with `{ task }` may spend in total
+   */
+  setTaskBudget(task, limit) {
+    this.budgets.setTaskLimit(task, limit);
+  }
+
   /**
    * Create a new agent wallet
+   *
+   * With `keystore: { password, path }` the key is saved as an encrypted
+   * keystore file (default path: AGENT_KEYSTORE_DIR/<address>.json);
+   * without it the key only lives in this process.
    */
   static createAgent(options = {}) {
     const privateKey = generatePrivateKey();
     console.log('🔑 New agent wallet created');
-    return new OpenPayAIAgent(privateKey, options);
+
+    const agent = new OpenPayAIAgent(privateKey, options);
+    if (options.keystore) {
+      agent.keystorePath = options.keystore.path ||
+        join(CONFIG.KEYSTORE_DIR, `${agent.address.toLowerCase()}.json`);
+      writeKeystore(agent.keystorePath, privateKey, options.keystore.password);
+      console.log(`🔐 Key saved to ${agent.keystorePath}`);
+    }
+    return agent;
+  }
+
+  /**
+   * Load a publisher's pricing manifest and cache its prices
+   * so `checkContent` needs no request per hash
+   */
+  async loadManifest(baseUrl = CONFIG.BACKEND_URL) {
+    const url = new URL(MANIFEST_PATH, baseUrl).toString();
+    const { data: manifest } = await axios.get(url, {
+      headers: { 'User-Agent': 'AI-Agent-Crawler' },
+    });
+
+    const contents = parseManifest(manifest, { chainId: CONFIG.CHAIN_ID });
+    const expiresAt = manifest.expiresAt * 1000;
+    for (const [contentHash, content] of contents) {
+      this.priceCache.set(contentHash, { content, expiresAt });
+    }
+
+    console.log(`📜 Loaded pricing manifest from ${manifest.publisher}: ${contents.size} items`);
+    return manifest;
+  }
+
+  /**
+   * Balances of the stablecoins the agent pays with, by token name
+   */
+  async getBalances() {
+    const balances = {};
+    for (const coin of STABLECOINS.filter(coin => this.config.tokens.includes(coin.address))) {
+      balances[coin.name] = await this.client.token.getBalance({ token: coin.address, account: this.address });
+    }
+    return balances;
+  }
+
+  /**
+   * Token to pay each of `payments` ({ amount, accepts }) in, going by the
+   * wallet's current balances (see assignTokens)
+   */
+  async _chooseTokens(payments) {
+    const balances = new Map();
+    for (const token of this.config.tokens) {
+      balances.set(token.toLowerCase(), await this.client.token.getBalance({ token, account: this.address }));
+    }
+    return assignTokens(payments, { tokens: this.config.tokens, balances });
   }
 
   /**
    * Check content price before purchasing
+   * `fresh` skips prices preloaded from manifests.
    */
-  async checkContent(contentHash) {
+  async checkContent(contentHash, { fresh = false } = {}) {
+    const cached = this.priceCache.get(contentHash.toLowerCase());
+    if (!fresh && cached && cached.expiresAt > Date.now()) {
+      return cached.content;
+    }
+
     try {
       const response = await axios.get(`${CONFIG.BACKEND_URL}/api/content/${contentHash}`);
       return response.data;
@@ -94,14 +322,16 @@ class OpenPayAIAgent {
   }
 
   /**
-   * Check if agent already has license
+   * Check if agent already has a license covering `usage` (with fetches
+   * left, for per-request licenses)
    */
-  async hasLicense(contentHash) {
+  async hasLicense(contentHash, usage = this.config.licenseUsage) {
     try {
       const response = await axios.get(`${CONFIG.BACKEND_URL}/api/license/check`, {
         params: {
           agentAddress: this.address,
           contentHash,
+          usage,
         },
       });
       return response.data.hasLicense;
@@ -110,61 +340,320 @@ class OpenPayAIAgent {
     }
   }
 
+  /**
+   * The agent's daily spending limit in the contract (GET
+   * /api/agent/:address/limit), or null if it cannot be read
+   */
+  async getContractLimit() {
+    try {
+      const response = await axios.get(`${CONFIG.BACKEND_URL}/api/agent/${this.address}/limit`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error checking contract limit:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Cap what this agent may spend per day on contract purchases
+   * (0 removes the cap). Only works while the agent has not appointed an
+   * operator, who then sets the limit instead.
+   */
+  async setContractLimit(dailyLimit) {
+    if (!CONFIG.CONTRACT_ADDRESS) {
+      throw new Error('CONTRACT_ADDRESS is required to set a contract limit');
+    }
+
+    const hash = await sendTransaction(this.client, {
+      calls: [{
+        to: CONFIG.CONTRACT_ADDRESS,
+        data: encodeFunctionData({
+          abi: CONTRACT_ABI,
+          functionName: 'setAgentSpendingLimit',
+          args: [this.address, dailyLimit],
+        }),
+      }],
+      feePayer: this.config.useFeeSponsorship,
+    });
+
+    const receipt = await waitForTransactionReceipt(this.client, { hash });
+    if (receipt.status !== 'success') {
+      throw new Error(`Setting the contract limit reverted: ${hash}`);
+    }
+
+    console.log(`🛡️  Contract daily limit set to $${Number(dailyLimit) / 1e6}`);
+    return receipt;
+  }
+
+  /**
+   * The agent's prepaid credit balances and subscriptions (GET
+   * /api/agent/:address/credit), only those with `creator` when given,
+   * or null if they cannot be read
+   */
+  async getCredit(creator) {
+    try {
+      const response = await axios.get(`${CONFIG.BACKEND_URL}/api/agent/${this.address}/credit`, {
+        params: creator ? { creator } : {},
+      });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error checking credit:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Prepay `amount` to `creator` as credit: signed accesses to the
+   * creator's content then buy their licenses from the balance, with no
+   * payment per item. Counts against the daily, publisher and task
+   * budgets (not the per-item cap) and goes through the purchase policy
+   * like a purchase, so it may be parked for approval (see purchaseLicense).
+   */
+  async deposit(creator, amount, { task = null, approval = null, waitForApproval = false } = {}) {
+    const prepaid = await this._prepay('deposit', creator, BigInt(amount), { task, approval, waitForApproval });
+    if (prepaid.pending) return prepaid;
+    const { receipt, purchase, decision } = prepaid;
+
+    const { data } = await axios.post(`${CONFIG.BACKEND_URL}/api/credit/deposit`, {
+      agentAddress: this.address,
+      creator,
+      txHash: receipt.transactionHash,
+    });
+
+    console.log(`✅ Credit with ${creator}: $${Number(data.balance) / 1e6}`);
+    return { success: true, purchase, receipt, balance: BigInt(data.balance), decision };
+  }
+
+  /**
+   * Subscribe to `creator` for `periods` periods of its plan (GET
+   * /api/creator/:address/subscription), extending a running subscription.
+   * While subscribed every signed access to the creator's content is free.
+   * Policy and approvals apply as for deposits.
+   */
+  async subscribe(creator, { periods = 1, task = null, approval = null, waitForApproval = false } = {}) {
+    if (!Number.isInteger(periods) || periods <= 0) {
+      throw new Error('Subscription periods must be a positive integer');
+    }
+
+    const { data: plan } = await axios.get(`${CONFIG.BACKEND_URL}/api/creator/${creator}/subscription`);
+    const price = BigInt(plan.price) * BigInt(periods);
+
+    const prepaid = await this._prepay('subscription', creator, price, {
+      task,
+      accepts: plan.acceptedTokens,
+      approval,
+      waitForApproval,
+      periods,
+    });
+    if (prepaid.pending) return prepaid;
+    const { receipt, purchase, decision } = prepaid;
+
+    const { data } = await axios.post(`${CONFIG.BACKEND_URL}/api/subscriptions`, {
+      agentAddress: this.address,
+      creator,
+      txHash: receipt.transactionHash,
+    });
+
+    console.log(`✅ Subscribed to ${creator} until ${new Date(data.expiresAt).toISOString()}`);
+    return { success: true, purchase, receipt, expiresAt: data.expiresAt, decision };
+  }
+
+  /**
+   * Pay `amount` straight to `creator` with a prepaid memo of `kind`, once
+   * the policy allows it; returns { pending: true, approval, decision }
+   * when it waits for a human
+   */
+  async _prepay(kind, creator, amount, { task = null, accepts, approval = null, waitForApproval = false, periods = null }) {
+    if (approval) approval = this.approvals.requireApproved(approval.id);
+
+    await this.init();
+
+    if (!accepts) {
+      const { data } = await axios.get(`${CONFIG.BACKEND_URL}/api/tokens`);
+      accepts = data.tokens.map(token => token.address);
+    }
+
+    const [token] = await this._chooseTokens([{ amount, accepts }]);
+    const timestamp = Date.now();
+    const memo = this._encodePrepaidMemo(kind, creator, timestamp);
+
+    // Nothing is awaited between the policy decision and the reservation
+    const [decision] = this._decide(kind, [{
+      contentHash: null,
+      price: amount,
+      publisher: creator,
+      domain: null,
+      approvedPrice: approval ? BigInt(approval.price) : null,
+    }], task);
+
+    if (decision.outcome === 'approval') {
+      const parked = this._requestApproval(decision, { action: kind, task, periods });
+      if (parked.status === 'pending' && !waitForApproval) {
+        return { pending: true, approval: parked, decision };
+      }
+      return this._prepay(kind, creator, amount, { task, accepts, periods, approval: await this._awaitApproval(parked) });
+    }
+
+    if (decision.outcome !== 'allow') {
+      if (approval) this.approvals.markAborted(approval.id, decision.reason);
+      throw new PolicyDeniedError(decision);
+    }
+
+    const [reservation] = this.budgets.reserve([{
+      amount,
+      token,
+      contentHash: null,
+      memo,
+      publisher: creator,
+      task,
+      prepaid: true,
+    }]);
+
+    console.log(`💳 Prepaying ${creator} (${kind})`);
+    console.log(`   Amount: $${Number(amount) / 1e6} ${tokenSymbol(token)}`);
+
+    const receipt = await this._sendTransfer(reservation, {
+      payouts: [{ address: creator, amount }],
+      token,
+      memo,
+      feePayer: this.config.useFeeSponsorship,
+    });
+    if (approval) this.approvals.markExecuted(approval.id, { txHash: receipt.transactionHash });
+
+    const purchase = {
+      contentHash: null,
+      price: amount.toString(),
+      token,
+      txHash: receipt.transactionHash,
+      timestamp,
+      blockNumber: receipt.blockNumber,
+      memo,
+    };
+    this.purchaseHistory.push(purchase);
+
+    return { receipt, purchase, decision };
+  }
+
+  /**
+   * Whether the agent's prepaid balance with `creator` covers an access
+   * at `price`: an active subscription or enough credit
+   */
+  async _hasPrepaid(creator, price) {
+    const account = await this.getCredit(creator);
+    if (!account) return false;
+
+    return account.subscriptions.some(subscription => subscription.active) ||
+      account.credits.some(credit => BigInt(credit.balance) >= BigInt(price));
+  }
+
   /**
    * Purchase single content license
    * Uses fee sponsorship for gasless experience
+   *
+   * A purchase the policy wants a human to approve is parked in the
+   * approval queue and `{ pending: true, approval }` is returned; with
+   * `waitForApproval` the call waits for the operator instead. Calling
+   * again once approved (or `processApprovals`) makes the purchase at a
+   * fresh quote, which must not exceed the approved price.
+   *
+   * `term` picks the license terms by id; by default the cheapest terms
+   * covering the agent's license usage are bought.
+   *
+   * With `batchMode` (default the agent's) 'contract' the license is bought
+   * through the contract's purchaseLicense, within the agent's on-chain
+   * daily limit, instead of paying the owners directly.
    */
   async purchaseLicense(contentHash, options = {}) {
     try {
-      // Reset spending if needed
-      this._resetDailySpendingIfNeeded();
+      const approval = options.approval ? this.approvals.requireApproved(options.approval.id) : null;
+
+      // Settle purchases a previous run left open
+      await this.init();
 
       // Check if already has license
       const hasLicense = await this.hasLicense(contentHash);
       if (hasLicense && !options.force) {
         console.log(`ℹ️  Already have license for ${contentHash}`);
+        if (approval) this.approvals.markAborted(approval.id, 'Already licensed');
         return { skipped: true, reason: 'Already licensed' };
       }
 
-      // Check content exists and price
-      const content = await this.checkContent(contentHash);
+      // Check content exists and price (re-quoted for approved purchases)
+      const content = await this.checkContent(contentHash, { fresh: Boolean(approval) });
       if (!content) {
         throw new Error('Content not found');
       }
 
-      const price = BigInt(content.price);
+      const term = chooseTerm(content, { term: options.term, usage: this.config.licenseUsage });
+      const price = BigInt(term.price);
+      const payouts = resolvePayouts({ payouts: term.payouts, owner: content.contentOwner, price });
+
+      // The contract charges the content's pricing token
+      const viaContract = (options.batchMode || this.config.batchMode) === 'contract';
+      const accepts = acceptedTokens(content);
+      const [token] = await this._chooseTokens([{ amount: price, accepts: viaContract ? [accepts[0]] : accepts }]);
 
-      // Validate against limits
-      if (price > this.config.maxPricePerItem) {
-        throw new Error(`Price $${Number(price) / 1e6} exceeds max $${Number(this.config.maxPricePerItem) / 1e6}`);
+      // Create memo for this purchase
+      const timestamp = Date.now();
+      const memo = this._encodeMemo(contentHash, timestamp, 0, term.id);
+
+      // Nothing is awaited between the policy decision and the reservation.
+      // A batch passes the decision it already logged for the item, which
+      // stands unless the price went up since.
+      const [decision] = options.decision && price <= BigInt(options.decision.price)
+        ? [options.decision]
+        : this._decide('purchaseLicense', [{
+          contentHash,
+          price,
+          publisher: content.contentOwner,
+          domain: domainOf(content.contentURI),
+          approvedPrice: approval ? BigInt(approval.price) : null,
+        }], options.task);
+
+      if (decision.outcome === 'approval') {
+        const parked = this._requestApproval(decision, { action: 'purchaseLicense', task: options.task });
+        if (parked.status === 'pending' && !options.waitForApproval) {
+          return { pending: true, approval: parked, decision };
+        }
+        return await this.purchaseLicense(contentHash, { ...options, approval: await this._awaitApproval(parked) });
       }
 
-      if (this.spentToday + price > this.config.dailySpendingLimit) {
-        throw new Error('Daily spending limit would be exceeded');
+      if (decision.outcome !== 'allow') {
+        if (approval) this.approvals.markAborted(approval.id, decision.reason);
+        throw new PolicyDeniedError(decision);
       }
 
-      console.log(`💰 Purchasing license for ${contentHash}`);
-      console.log(`   Price: $${Number(price) / 1e6} AlphaUSD`);
+      // Reserve every budget layer before anything is sent
+      const [reservation] = this.budgets.reserve([{
+        amount: price,
+        token,
+        contentHash,
+        memo,
+        publisher: content.contentOwner,
+        task: options.task,
+      }]);
 
-      // Create memo for this purchase
-      const timestamp = Date.now();
-      const memo = this._encodeMemo(contentHash, timestamp);
+      console.log(`💰 Purchasing license for ${contentHash}`);
+      console.log(`   Price: $${Number(price) / 1e6} ${tokenSymbol(token)} (${term.kind}, ${term.usage} use)`);
 
       // Execute purchase with fee sponsorship!
       // This is the Tempo magic - agent doesn't need gas tokens
-      const { receipt } = await this.client.token.transferSync({
-        to: content.contentOwner,
-        amount: price,
-        token: CONFIG.TOKENS.alphaUsd,
-        memo,
-        feePayer: this.config.useFeeSponsorship, // ✅ Gasless!
-      });
+      const receipt = viaContract
+        ? await this._purchaseViaContract(reservation, { hash: contentHash, price, token, termId: term.id, memo })
+        : await this._sendTransfer(reservation, {
+          payouts,
+          token,
+          memo,
+          feePayer: this.config.useFeeSponsorship, // ✅ Gasless!
+        });
+      if (approval) this.approvals.markExecuted(approval.id, { txHash: receipt.transactionHash });
 
       // Record purchase
-      this.spentToday += price;
       const purchase = {
         contentHash,
         price: price.toString(),
+        token,
+        termId: term.id,
         txHash: receipt.transactionHash,
         timestamp,
         blockNumber: receipt.blockNumber,
@@ -173,7 +662,7 @@ class OpenPayAIAgent {
       this.purchaseHistory.push(purchase);
 
       // Notify backend
-      await axios.post(`${CONFIG.BACKEND_URL}/api/license/buy`, {
+      await this._notifyPurchase({
         contentHash,
         agentAddress: this.address,
         txHash: receipt.transactionHash,
@@ -188,6 +677,7 @@ class OpenPayAIAgent {
         success: true,
         purchase,
         receipt,
+        decision,
       };
     } catch (error) {
       console.error('❌ Purchase failed:', error.message);
@@ -195,13 +685,85 @@ class OpenPayAIAgent {
     }
   }
 
+  /**
+   * What purchasing `contentHashes` would do, without paying or recording
+   * anything: per item the price, whether it is already licensed and the
+   * policy decision, plus whether the budgets fit the allowed items
+   *
+   * `term` and `batchMode` are the purchase's: the term id bought (default
+   * the cheapest covering the agent's usage) and, with 'contract', only
+   * the content's pricing token pays.
+   */
+  async previewPurchase(contentHashes, { task = null, force = false, term: termId, batchMode } = {}) {
+    const viaContract = (batchMode || this.config.batchMode) === 'contract';
+
+    const items = [];
+    for (const contentHash of contentHashes) {
+      const content = await this.checkContent(contentHash);
+      const licensed = await this.hasLicense(contentHash);
+      const term = content ? chooseTerm(content, { term: termId, usage: this.config.licenseUsage }) : null;
+      items.push({
+        contentHash,
+        found: Boolean(content),
+        licensed,
+        price: term ? BigInt(term.price) : null,
+        termId: term?.id ?? null,
+        owner: content?.contentOwner ?? null,
+        domain: content ? domainOf(content.contentURI) : null,
+        accepts: !content ? [] : viaContract ? [acceptedTokens(content)[0]] : acceptedTokens(content),
+        outcome: !content ? 'notFound' : licensed && !force ? 'licensed' : null,
+        reason: !content ? 'Content not found' : licensed && !force ? 'Already licensed' : null,
+      });
+    }
+
+    const toBuy = items.filter(item => item.outcome === null);
+    const decisions = this._decide('preview', toBuy.map(item => ({
+      contentHash: item.contentHash,
+      price: item.price,
+      publisher: item.owner,
+      domain: item.domain,
+    })), task, { record: false });
+    toBuy.forEach((item, index) => Object.assign(item, {
+      outcome: decisions[index].outcome,
+      reason: decisions[index].reason,
+      checks: decisions[index].checks,
+    }));
+
+    const allowed = toBuy.filter(item => item.outcome === 'allow');
+    const total = allowed.reduce((sum, item) => sum + item.price, BigInt(0));
+
+    let budget = { ok: true };
+    try {
+      this.budgets.check(this._batchPayments(allowed.map(item => ({
+        hash: item.contentHash,
+        price: item.price,
+        owner: item.owner,
+      })), task));
+    } catch (error) {
+      if (!(error instanceof BudgetExceededError)) throw error;
+      budget = { ok: false, layer: error.budget, reason: error.message };
+    }
+
+    // Which token pays each item, and whether the wallet covers them all
+    if (budget.ok) {
+      try {
+        const tokens = await this._chooseTokens(allowed.map(item => ({ amount: item.price, accepts: item.accepts })));
+        allowed.forEach((item, index) => { item.token = tokens[index]; });
+      } catch (error) {
+        budget = { ok: false, layer: 'balance', reason: error.message };
+      }
+    }
+
+    return { items, total, purchasable: budget.ok ? allowed.length : 0, budget };
+  }
+
   /**
    * Purchase multiple licenses in batch
    * Demonstrates Tempo's batch capabilities
    */
   async purchaseBatch(contentHashes, options = {}) {
     try {
-      this._resetDailySpendingIfNeeded();
+      await this.init();
 
       console.log(`🛒 Batch purchasing ${contentHashes.length} licenses...`);
 
@@ -219,75 +781,235 @@ class OpenPayAIAgent {
         return { skipped: true, reason: 'Already licensed' };
       }
 
-      // Check all content and calculate total
-      let totalPrice = BigInt(0);
-      const contentInfos = [];
+      // Check all content
+      const checked = [];
+      const timestamp = Date.now();
 
       for (const hash of toPurchase) {
         const content = await this.checkContent(hash);
         if (content) {
-          const price = BigInt(content.price);
-          totalPrice += price;
-          contentInfos.push({ hash, price, owner: content.contentOwner });
+          const term = chooseTerm(content, { usage: this.config.licenseUsage });
+          checked.push({
+            hash,
+            price: BigInt(term.price),
+            termId: term.id,
+            pricedIn: acceptedTokens(content)[0],
+            accepts: acceptedTokens(content),
+            owner: content.contentOwner,
+            payouts: resolvePayouts({
+              payouts: term.payouts,
+              owner: content.contentOwner,
+              price: BigInt(term.price),
+            }),
+            domain: domainOf(content.contentURI),
+            memo: this._encodeMemo(hash, timestamp, checked.length, term.id),
+          });
         }
       }
 
-      // Validate limits
-      if (totalPrice > this.config.dailySpendingLimit - this.spentToday) {
-        throw new Error('Batch would exceed daily spending limit');
-      }
-
-      console.log(`   Items: ${toPurchase.length}`);
-      console.log(`   Total: $${Number(totalPrice) / 1e6} AlphaUSD`);
-
-      // Method 1: Individual transactions with 2D nonces (parallel!)
-      if (this.config.enableParallel && !options.atomic) {
-        return await this._purchaseParallel(contentInfos);
+      // Only items the policy allows are bought; the others are reported
+      const decisions = this._decide('purchaseBatch', checked.map(info => ({
+        contentHash: info.hash,
+        price: info.price,
+        publisher: info.owner,
+        domain: info.domain,
+      })), options.task);
+      const contentInfos = checked.filter((info, index) => decisions[index].outcome === 'allow');
+
+      // Items needing a human are parked; processApprovals buys them once approved
+      const pendingApprovals = decisions
+        .filter(decision => decision.outcome === 'approval')
+        .map(decision => this._requestApproval(decision, { action: 'purchaseBatch', task: options.task }));
+
+      if (contentInfos.length === 0) {
+        console.log('🛡️  Policy allowed none of the items');
+        return {
+          skipped: true,
+          reason: pendingApprovals.length > 0 ? 'Awaiting approval' : 'Denied by policy',
+          decisions,
+          pendingApprovals,
+        };
       }
 
-      // Method 2: Batch transaction (atomic!)
-      if (this.config.enableBatching) {
-        return await this._purchaseBatchAtomic(contentInfos);
+      const totalPrice = contentInfos.reduce((sum, info) => sum + info.price, BigInt(0));
+      console.log(`   Items: ${contentInfos.length}`);
+      console.log(`   Total: $${Number(totalPrice) / 1e6}`);
+
+      const parallel = this.config.enableParallel && !options.atomic;
+      const batchMode = options.batchMode || this.config.batchMode;
+
+      // The contract (atomic or sequential purchases) charges each item in
+      // its pricing token
+      const viaContract = !parallel && batchMode === 'contract';
+      const tokens = await this._chooseTokens(contentInfos.map(info => ({
+        amount: info.price,
+        accepts: viaContract ? [info.pricedIn] : info.accepts,
+      })));
+      contentInfos.forEach((info, index) => { info.token = tokens[index]; });
+
+      // Fail fast; the methods below reserve before sending anything
+      this.budgets.check(this._batchPayments(contentInfos, options.task));
+
+      let result;
+      if (parallel) {
+        // Method 1: Individual transactions with 2D nonces (parallel!)
+        result = await this._purchaseParallel(contentInfos, options);
+      } else if (this.config.enableBatching) {
+        // Method 2: Batch transaction (atomic!)
+        result = await this._purchaseBatchAtomic(contentInfos, batchMode, options);
+      } else {
+        // Method 3: Sequential (fallback)
+        result = await this._purchaseSequential(contentInfos, {
+          ...options,
+          decisions: contentInfos.map(info => decisions[checked.indexOf(info)]),
+        });
       }
 
-      // Method 3: Sequential (fallback)
-      return await this._purchaseSequential(contentInfos);
+      return { ...result, decisions, pendingApprovals };
     } catch (error) {
       console.error('❌ Batch purchase failed:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Evaluate purchases against the policy and log every decision
+   * (dry runs pass `record: false`)
+   */
+  _decide(action, items, task = null, { record = true } = {}) {
+    const decisions = this.policy.evaluate(items, {
+      action,
+      task,
+      spentLastHour: this.ledger.spent({ since: Date.now() - HOUR_MS }),
+    });
+    if (!record) return decisions;
+
+    for (const decision of decisions) {
+      this.decisionLog.record(decision);
+      if (decision.outcome !== 'allow') {
+        console.log(`🛡️  Policy ${decision.outcome} for ${decision.contentHash ?? `${action} to ${decision.publisher}`}: ${decision.reason}`);
+      }
+    }
+    return decisions;
+  }
+
+  /**
+   * Park a purchase the policy sent to a human (or find it already parked)
+   */
+  _requestApproval(decision, { action, url = null, task = null, periods = null }) {
+    const approval = this.approvals.request({
+      agent: this.address,
+      action,
+      contentHash: decision.contentHash,
+      price: decision.price,
+      publisher: decision.publisher,
+      domain: decision.domain,
+      url,
+      task,
+      periods,
+      reason: decision.reason,
+    });
+
+    if (approval.status === 'pending') {
+      console.log(`⏸️  ${decision.contentHash ?? `${action} to ${decision.publisher}`} parked for approval ${approval.id}`);
+      console.log(`   Expires: ${new Date(approval.expiresAt).toISOString()}`);
+    }
+    return approval;
+  }
+
+  /**
+   * Wait until an operator decides; returns the approval or throws
+   */
+  async _awaitApproval(approval) {
+    if (approval.status === 'pending') {
+      console.log(`⏳ Waiting for approval ${approval.id}...`);
+    }
+
+    const settled = await this.approvals.waitFor(approval.id);
+    if (settled.status !== 'approved') {
+      throw new Error(`Approval ${approval.id} was ${settled.status}`);
+    }
+    return settled;
+  }
+
+  /**
+   * Make every approved purchase of this agent and record lapsed requests
+   * Returns one { id, contentHash, success, result | error } per approval.
+   */
+  async processApprovals() {
+    this.approvals.expireStale();
+
+    const results = [];
+    for (const approval of this.approvals.list({ status: 'approved', agent: this.address })) {
+      const options = { task: approval.task, approval };
+
+      try {
+        const result = approval.action === 'fetch'
+          ? await this.fetch(approval.url, options)
+          : approval.action === 'deposit'
+            ? await this.deposit(approval.publisher, BigInt(approval.price), options)
+            : approval.action === 'subscription'
+              ? await this.subscribe(approval.publisher, { ...options, periods: approval.periods })
+              : await this.purchaseLicense(approval.contentHash, options);
+        results.push({ id: approval.id, contentHash: approval.contentHash, success: true, result });
+      } catch (error) {
+        results.push({ id: approval.id, contentHash: approval.contentHash, success: false, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Ledger payments for batch items, charged to `task`
+   */
+  _batchPayments(contentInfos, task) {
+    return contentInfos.map(info => ({
+      amount: info.price,
+      token: info.token,
+      contentHash: info.hash,
+      memo: info.memo,
+      publisher: info.owner,
+      task,
+    }));
+  }
+
   /**
    * Purchase in parallel using 2D nonces
    * All transactions execute simultaneously!
+   *
+   * The whole batch is reserved first, so concurrent purchases cannot
+   * spend the same budget; each failed item releases its share.
    */
-  async _purchaseParallel(contentInfos) {
+  async _purchaseParallel(contentInfos, options = {}) {
     console.log('⚡ Executing parallel payments with 2D nonces...');
 
+    const reservations = this.budgets.reserve(this._batchPayments(contentInfos, options.task));
+
     const purchases = await Promise.all(
       contentInfos.map(async (info, index) => {
-        const timestamp = Date.now();
-        const memo = this._encodeMemo(info.hash, timestamp, index);
+        const { memo } = info;
 
         try {
-          const { receipt } = await this.client.token.transferSync({
-            to: info.owner,
-            amount: info.price,
-            token: CONFIG.TOKENS.alphaUsd,
+          const receipt = await this._sendTransfer(reservations[index], {
+            payouts: info.payouts,
+            token: info.token,
             memo,
             feePayer: this.config.useFeeSponsorship,
-            nonceKey: index + 1, // ✅ 2D nonce for parallel execution!
-          });
+          }, { useLane: true });
 
-          this.spentToday += info.price;
-
-          return {
+          const purchase = {
             contentHash: info.hash,
             price: info.price.toString(),
+            token: info.token,
+            termId: info.termId,
             txHash: receipt.transactionHash,
-            success: true,
+            timestamp: Date.now(),
+            blockNumber: receipt.blockNumber,
+            memo,
           };
+          this.purchaseHistory.push(purchase);
+
+          return { ...purchase, success: true };
         } catch (error) {
           return {
             contentHash: info.hash,
@@ -299,14 +1021,10 @@ class OpenPayAIAgent {
       })
     );
 
-    // Notify backend of all purchases
+    // Notify backend of all purchases, each with its own transaction
     const successful = purchases.filter(p => p.success);
     if (successful.length > 0) {
-      await axios.post(`${CONFIG.BACKEND_URL}/api/license/batch`, {
-        contentHashes: successful.map(p => p.contentHash),
-        agentAddress: this.address,
-        txHash: successful[0].txHash, // Use first tx as reference
-      });
+      await this._notifyBatch(successful.map(p => ({ contentHash: p.contentHash, txHash: p.txHash, memo: p.memo })));
     }
 
     console.log(`✅ Parallel purchase complete: ${successful.length}/${contentInfos.length} successful`);
@@ -321,59 +1039,153 @@ class OpenPayAIAgent {
   }
 
   /**
-   * Purchase in atomic batch
-   * All succeed or all fail together
+   * Record a paid license with the backend
+   *
+   * 409 TX_REPLAYED means the transaction is already recorded for this
+   * license (the indexer saw it first), so it counts as recorded.
    */
-  async _purchaseBatchAtomic(contentInfos) {
-    console.log('📦 Executing atomic batch transaction...');
+  async _notifyPurchase(item) {
+    try {
+      await axios.post(`${CONFIG.BACKEND_URL}/api/license/buy`, item);
+    } catch (error) {
+      if (error.response?.status !== 409 || error.response.data?.code !== 'TX_REPLAYED') throw error;
+      console.log(`ℹ️  License already recorded for ${item.contentHash}`);
+    }
+  }
 
-    const timestamp = Date.now();
-    const memos = [];
+  /**
+   * Record paid licenses with the backend in one request
+   *
+   * Items the backend already recorded (TX_REPLAYED) count as recorded;
+   * any other rejection is logged, as the payment itself went through.
+   */
+  async _notifyBatch(items) {
+    const { data } = await axios.post(`${CONFIG.BACKEND_URL}/api/license/batch`, {
+      agentAddress: this.address,
+      items,
+    });
 
-    // Build batch calls
-    const calls = contentInfos.map((info, index) => {
-      const memo = this._encodeMemo(info.hash, timestamp, index);
-      memos.push(memo);
+    for (const result of data.results || []) {
+      if (!result.success && result.code !== 'TX_REPLAYED') {
+        console.error(`❌ Backend did not record license for ${result.contentHash}:`, result.error);
+      }
+    }
+    return data;
+  }
 
-      return {
-        to: CONFIG.TOKENS.alphaUsd,
-        data: this._encodeTransferCall(info.owner, info.price, memo),
-      };
-    });
+  /**
+   * Send a reserved TIP-20 payment and wait for it
+   *
+   * A single payout is one transfer; a split sends one transferWithMemo
+   * call per payout in a single transaction, so every payee is paid or
+   * none is.
+   *
+   * The reservation is rolled back if the transfer cannot be sent or
+   * reverts, and committed once it is mined. If the wait itself fails the
+   * reservation stays open (the payment may still land) until the ledger
+   * is reconciled.
+   *
+   * With `useLane` the transfer goes out on a leased 2D nonce lane, freed
+   * the same way; lanes left leased are recovered by NonceLanes.
+   */
+  async _sendTransfer(reservation, { payouts, token, memo, feePayer }, { useLane = false } = {}) {
+    const lane = useLane ? await this.nonceLanes.acquire() : null;
+    const nonce = lane && { nonceKey: lane.nonceKey, nonce: lane.nonce }; // ✅ 2D nonce for parallel execution!
 
-    // Execute batch
-    const hash = await this.client.sendTransaction({
-      calls,
-      feePayer: this.config.useFeeSponsorship,
-    });
+    let hash;
+    try {
+      hash = payouts.length === 1
+        ? await this.client.token.transfer({
+            to: payouts[0].address,
+            amount: payouts[0].amount,
+            token,
+            memo,
+            feePayer,
+            ...nonce,
+          })
+        : await sendTransaction(this.client, {
+            calls: payouts.map(payout => ({
+              to: token,
+              data: this._encodeTransferCall(payout.address, payout.amount, memo),
+            })),
+            feePayer,
+            ...nonce,
+          });
+    } catch (error) {
+      if (lane) this.nonceLanes.release(lane.nonceKey);
+      this.ledger.rollback(reservation, error.message);
+      throw error;
+    }
 
-    const receipt = await this.client.waitForTransactionReceipt({ hash });
+    this.ledger.markSent(reservation, hash);
+    if (lane) this.nonceLanes.markPending(lane.nonceKey, hash);
+
+    const receipt = await waitForTransactionReceipt(this.client, { hash });
+    if (lane) this.nonceLanes.release(lane.nonceKey);
 
     if (receipt.status !== 'success') {
-      throw new Error('Batch transaction failed');
+      this.ledger.rollback(reservation, 'Transaction reverted');
+      throw new Error(`Transfer reverted: ${hash}`);
     }
 
-    // Update spending
+    this.ledger.commit(reservation, { txHash: hash, blockNumber: receipt.blockNumber });
+    return receipt;
+  }
+
+  /**
+   * Purchase in atomic batch
+   * All succeed or all fail together
+   *
+   * `batchMode` 'transfers' pays each payee of each item with its own
+   * transferWithMemo call; 'contract' approves the contract (for each token whose allowance
+   * is short) and calls purchaseBatchLicense in the same transaction.
+   */
+  async _purchaseBatchAtomic(contentInfos, batchMode = 'transfers', options = {}) {
+    console.log(`📦 Executing atomic batch transaction (${batchMode})...`);
+
+    if (batchMode !== 'transfers' && batchMode !== 'contract') {
+      throw new Error(`Unknown batch mode ${batchMode}`);
+    }
+
+    const timestamp = Date.now();
+    const memos = contentInfos.map(info => info.memo);
     const totalPrice = contentInfos.reduce((sum, info) => sum + info.price, BigInt(0));
-    this.spentToday += totalPrice;
+
+    // Reserve every item before anything is awaited
+    const reservations = this.budgets.reserve(this._batchPayments(contentInfos, options.task));
+
+    // Execute batch
+    const receipt = await this._sendReservedCalls(reservations, () => (batchMode === 'contract'
+      ? this._buildContractBatchCalls(contentInfos, memos)
+      : contentInfos.flatMap((info, index) => info.payouts.map(payout => ({
+          to: info.token,
+          data: this._encodeTransferCall(payout.address, payout.amount, memos[index]),
+        })))));
+    const hash = receipt.transactionHash;
+
+    // Never report licenses the transaction did not pay for
+    this._assertOwnersPaid(receipt, contentInfos, memos, batchMode);
 
     // Record purchases
     const purchases = contentInfos.map((info, index) => ({
       contentHash: info.hash,
       price: info.price.toString(),
+      token: info.token,
+      termId: info.termId,
       txHash: hash,
       timestamp,
+      blockNumber: receipt.blockNumber,
       memo: memos[index],
     }));
 
     this.purchaseHistory.push(...purchases);
 
     // Notify backend
-    await axios.post(`${CONFIG.BACKEND_URL}/api/license/batch`, {
-      contentHashes: contentInfos.map(info => info.hash),
-      agentAddress: this.address,
+    await this._notifyBatch(purchases.map(p => ({
+      contentHash: p.contentHash,
       txHash: hash,
-    });
+      memo: p.memo,
+    })));
 
     console.log(`✅ Atomic batch complete: ${contentInfos.length} licenses`);
     console.log(`   TX: ${hash}`);
@@ -381,6 +1193,7 @@ class OpenPayAIAgent {
     return {
       success: true,
       method: 'atomic-batch',
+      batchMode,
       purchases,
       totalPrice: totalPrice.toString(),
       receipt,
@@ -388,14 +1201,166 @@ class OpenPayAIAgent {
   }
 
   /**
-   * Purchase sequentially (fallback)
+   * Buy one license through the contract's purchaseLicense, settling
+   * `reservation` like _sendTransfer, and check the escrow was paid
+   */
+  async _purchaseViaContract(reservation, info) {
+    const receipt = await this._sendReservedCalls([reservation], () => this._buildContractCalls([info], {
+      functionName: 'purchaseLicense',
+      args: [info.hash, info.termId, info.memo],
+    }));
+
+    this._assertOwnersPaid(receipt, [info], [info.memo], 'contract');
+    return receipt;
+  }
+
+  /**
+   * Send the calls `buildCalls` returns as one transaction
+   *
+   * `reservations` are rolled back if it cannot be built, sent or reverts,
+   * and committed once it is mined.
+   */
+  async _sendReservedCalls(reservations, buildCalls) {
+    let hash;
+    try {
+      hash = await sendTransaction(this.client, {
+        calls: await buildCalls(),
+        feePayer: this.config.useFeeSponsorship,
+      });
+    } catch (error) {
+      reservations.forEach(id => this.ledger.rollback(id, error.message));
+      throw error;
+    }
+    reservations.forEach(id => this.ledger.markSent(id, hash));
+
+    const receipt = await waitForTransactionReceipt(this.client, { hash });
+
+    if (receipt.status !== 'success') {
+      reservations.forEach(id => this.ledger.rollback(id, 'Transaction reverted'));
+      throw new Error(`Transaction reverted: ${hash}`);
+    }
+
+    // Whatever it paid has left the wallet, so it counts as spent
+    reservations.forEach(id => this.ledger.commit(id, { txHash: hash, blockNumber: receipt.blockNumber }));
+    return receipt;
+  }
+
+  /**
+   * Calls for a purchaseBatchLicense batch (see _buildContractCalls)
    */
-  async _purchaseSequential(contentInfos) {
+  async _buildContractBatchCalls(contentInfos, memos) {
+    if (contentInfos.length > MAX_CONTRACT_BATCH) {
+      throw new Error(`Contract batches are limited to ${MAX_CONTRACT_BATCH} items`);
+    }
+
+    return this._buildContractCalls(contentInfos, {
+      functionName: 'purchaseBatchLicense',
+      args: [contentInfos.map(info => info.hash), contentInfos.map(info => info.termId), memos],
+    });
+  }
+
+  /**
+   * Calls for a contract purchase of `contentInfos`, preceded by an
+   * approval for each token the contract may not yet pull their total of
+   *
+   * Every contract purchase counts against the agent's on-chain daily
+   * limit, so one that would exceed it is refused before anything is sent.
+   */
+  async _buildContractCalls(contentInfos, purchase) {
+    if (!CONFIG.CONTRACT_ADDRESS) {
+      throw new Error('CONTRACT_ADDRESS is required for contract purchases');
+    }
+
+    // The contract reverts purchases over the agent's on-chain daily limit
+    const limit = await this.getContractLimit();
+    const total = contentInfos.reduce((sum, info) => sum + info.price, BigInt(0));
+    if (limit?.limited && total > BigInt(limit.remaining)) {
+      throw new Error(
+        `Purchase of $${Number(total) / 1e6} exceeds the contract daily limit ` +
+        `($${Number(limit.remaining) / 1e6} left until ${new Date(limit.resetsAt * 1000).toISOString()})`
+      );
+    }
+
+    const calls = [];
+
+    const totals = new Map();
+    for (const info of contentInfos) {
+      totals.set(info.token, (totals.get(info.token) || BigInt(0)) + info.price);
+    }
+
+    for (const [token, tokenTotal] of totals) {
+      const allowance = await readContract(this.client, {
+        address: token,
+        abi: Abis.tip20,
+        functionName: 'allowance',
+        args: [this.address, CONFIG.CONTRACT_ADDRESS],
+      });
+      if (allowance >= tokenTotal) continue;
+
+      console.log(`   Approving contract for $${Number(tokenTotal) / 1e6} ${tokenSymbol(token)}`);
+      calls.push({
+        to: token,
+        data: encodeFunctionData({
+          abi: Abis.tip20,
+          functionName: 'approve',
+          args: [CONFIG.CONTRACT_ADDRESS, tokenTotal],
+        }),
+      });
+    }
+
+    calls.push({
+      to: CONFIG.CONTRACT_ADDRESS,
+      data: encodeFunctionData({ abi: CONTRACT_ABI, ...purchase }),
+    });
+
+    return calls;
+  }
+
+  /**
+   * Throw unless `receipt` paid each item's price with its memo
+   *
+   * Needs a TransferWithMemo (token, amount, memo) from the agent to each
+   * of the item's payouts in transfers mode, and of the whole price to the
+   * contract's escrow (which splits it on-chain) in contract mode.
+   */
+  _assertOwnersPaid(receipt, contentInfos, memos, batchMode) {
+    const transfers = parseEventLogs({ abi: Abis.tip20, logs: receipt.logs, eventName: 'TransferWithMemo' })
+      .filter(log => isAddressEqual(log.args.from, this.address));
+
+    contentInfos.forEach((info, index) => {
+      const payouts = batchMode === 'transfers'
+        ? info.payouts
+        : [{ address: CONFIG.CONTRACT_ADDRESS, amount: info.price }];
+
+      for (const payout of payouts) {
+        const paid = transfers.some(log =>
+          isAddressEqual(log.address, info.token) &&
+          isAddressEqual(log.args.to, payout.address) &&
+          log.args.amount === payout.amount &&
+          log.args.memo.toLowerCase() === memos[index].toLowerCase()
+        );
+        if (!paid) {
+          throw new Error(`Batch transaction did not pay ${payout.address} for ${info.hash}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Purchase sequentially (fallback), reusing the batch's policy decisions
+   * (`options.decisions`, one per item) so each is evaluated and logged once
+   */
+  async _purchaseSequential(contentInfos, options = {}) {
     console.log('🔄 Executing sequential purchases...');
     const purchases = [];
 
-    for (const info of contentInfos) {
-      const result = await this.purchaseLicense(info.hash);
+    for (const [index, info] of contentInfos.entries()) {
+      const result = await this.purchaseLicense(info.hash, {
+        task: options.task,
+        batchMode: options.batchMode,
+        term: info.termId,
+        decision: options.decisions?.[index],
+      });
       purchases.push(result);
     }
 
@@ -411,16 +1376,18 @@ class OpenPayAIAgent {
    */
   async retrieveContent(contentHash) {
     try {
-      // Check license first
+      // Check license first (or prepaid access with the owner)
       const hasLicense = await this.hasLicense(contentHash);
       if (!hasLicense) {
-        throw new Error('No valid license for this content');
+        const content = await this.checkContent(contentHash);
+        const term = content && chooseTerm(content, { usage: this.config.licenseUsage });
+        if (!term || !await this._hasPrepaid(content.contentOwner, term.price)) {
+          throw new Error('No valid license for this content');
+        }
       }
 
       // Create authentication signature
-      const timestamp = Math.floor(Date.now() / 1000);
-      const message = `${timestamp},${contentHash}`;
-      const signature = await this.account.signMessage({ message });
+      const { timestamp, nonce, signature } = await this._signAccess(contentHash);
 
       // Request content
       const response = await axios.post(
@@ -429,6 +1396,8 @@ class OpenPayAIAgent {
           agentAddress: this.address,
           signature,
           timestamp,
+          nonce,
+          usage: this.config.licenseUsage,
         },
         {
           headers: {
@@ -444,6 +1413,179 @@ class OpenPayAIAgent {
     }
   }
 
+  /**
+   * Fetch a URL, paying automatically when the server answers HTTP 402
+   *
+   * The request declares the agent's license usage (X-License-Usage), so
+   * the server quotes terms covering it. If the agent already holds such
+   * a license, or a subscription or enough credit with the publisher, the
+   * request is retried with a signed access proof.
+   * Otherwise the quoted payment is sent on-chain and the request is
+   * retried with an X-PAYMENT proof.
+   * Returns the axios response of the final request.
+   */
+  async fetch(url, options = {}) {
+    const request = {
+      url,
+      method: options.method || 'GET',
+      data: options.data,
+      headers: {
+        'User-Agent': 'AI-Agent-Crawler',
+        'X-License-Usage': this.config.licenseUsage,
+        ...options.headers,
+      },
+      validateStatus: () => true,
+    };
+
+    const response = await axios(request);
+    if (response.status !== 402) {
+      return response;
+    }
+
+    const requirements = decodePaymentHeader(response.headers[PAYMENT_REQUIRED_HEADER]);
+    if (!requirements) {
+      throw new Error('402 response carried no payment requirements');
+    }
+
+    // Already licensed, subscribed or holding enough credit: prove
+    // identity instead of paying again
+    if (
+      await this.hasLicense(requirements.contentHash) ||
+      await this._hasPrepaid(requirements.recipient, requirements.amount)
+    ) {
+      if (options.approval) this.approvals.markAborted(options.approval.id, 'Already licensed');
+      const { timestamp, nonce, signature } = await this._signAccess(requirements.contentHash);
+      return axios({
+        ...request,
+        headers: {
+          ...request.headers,
+          'X-Agent-Address': this.address,
+          'X-Agent-Signature': signature,
+          'X-Agent-Timestamp': String(timestamp),
+          'X-Agent-Nonce': nonce,
+        },
+      });
+    }
+
+    let purchase;
+    try {
+      purchase = await this._payRequirements(requirements, { url, task: options.task, approval: options.approval });
+    } catch (error) {
+      if (!(error instanceof ApprovalPendingError)) throw error;
+      if (error.approval.status === 'pending' && !options.waitForApproval) throw error;
+
+      // Fetch again once approved, so the quote is fresh
+      return this.fetch(url, { ...options, approval: await this._awaitApproval(error.approval) });
+    }
+
+    const proof = {
+      x402Version: X402_VERSION,
+      scheme: PAYMENT_SCHEME,
+      chainId: CONFIG.CHAIN_ID,
+      contentHash: requirements.contentHash,
+      txHash: purchase.txHash,
+      payer: this.address,
+      memo: requirements.memo,
+      timestamp: Math.floor(Date.now() / 1000),
+    };
+    proof.signature = await signMessage(this.client, {
+      account: this.account,
+      message: paymentProofMessage(proof),
+    });
+
+    return axios({
+      ...request,
+      headers: {
+        ...request.headers,
+        [PAYMENT_HEADER]: encodePaymentHeader(proof),
+      },
+    });
+  }
+
+  /**
+   * Pay the requirements from a PAYMENT-REQUIRED header for `url`
+   * Throws an ApprovalPendingError when the payment needs approval.
+   */
+  async _payRequirements(requirements, { url, task, approval: approved }) {
+    const approval = approved ? this.approvals.requireApproved(approved.id) : null;
+    await this.init();
+
+    if (requirements.x402Version !== X402_VERSION || requirements.scheme !== PAYMENT_SCHEME) {
+      throw new Error(`Unsupported payment scheme ${requirements.scheme}`);
+    }
+
+    if (requirements.chainId !== CONFIG.CHAIN_ID) {
+      throw new Error(`Payment requested on unsupported chain ${requirements.chainId}`);
+    }
+
+    if (requirements.expiresAt <= Math.floor(Date.now() / 1000)) {
+      throw new Error('Payment requirements already expired');
+    }
+
+    // Pay in a token the server accepts and the wallet holds enough of
+    const price = BigInt(requirements.amount);
+    const payouts = resolvePayouts({ payouts: requirements.payouts, owner: requirements.recipient, price });
+    const [token] = await this._chooseTokens([{
+      amount: price,
+      accepts: requirements.accepts?.map(option => option.address) ?? [requirements.token],
+    }]);
+
+    // The domain ceiling applies to the URL fetched, not the quoted resource
+    const [decision] = this._decide('fetch', [{
+      contentHash: requirements.contentHash,
+      price,
+      publisher: requirements.recipient,
+      domain: domainOf(url),
+      approvedPrice: approval ? BigInt(approval.price) : null,
+    }], task);
+
+    if (decision.outcome === 'approval') {
+      throw new ApprovalPendingError(this._requestApproval(decision, { action: 'fetch', url, task }));
+    }
+
+    if (decision.outcome !== 'allow') {
+      if (approval) this.approvals.markAborted(approval.id, decision.reason);
+      throw new PolicyDeniedError(decision);
+    }
+
+    const [reservation] = this.budgets.reserve([{
+      amount: price,
+      token,
+      contentHash: requirements.contentHash,
+      memo: requirements.memo,
+      publisher: requirements.recipient,
+      task,
+    }]);
+
+    console.log(`💳 Paying for ${requirements.resource} (HTTP 402)`);
+    console.log(`   Price: $${Number(price) / 1e6} ${tokenSymbol(token)}`);
+    if (requirements.license) {
+      console.log(`   License: ${requirements.license.kind}, ${requirements.license.usage} use`);
+    }
+
+    const receipt = await this._sendTransfer(reservation, {
+      payouts,
+      token,
+      memo: requirements.memo,
+      feePayer: this.config.useFeeSponsorship,
+    });
+    if (approval) this.approvals.markExecuted(approval.id, { txHash: receipt.transactionHash });
+
+    const purchase = {
+      contentHash: requirements.contentHash,
+      price: price.toString(),
+      token,
+      termId: requirements.license?.id ?? 0,
+      txHash: receipt.transactionHash,
+      timestamp: Date.now(),
+      blockNumber: receipt.blockNumber,
+      memo: requirements.memo,
+    };
+    this.purchaseHistory.push(purchase);
+
+    return purchase;
+  }
+
   /**
    * Get agent statistics
    */
@@ -458,40 +1600,79 @@ class OpenPayAIAgent {
       dailyLimit: this.config.dailySpendingLimit.toString(),
       remainingToday: (this.config.dailySpendingLimit - this.spentToday).toString(),
       totalPurchases: this.purchaseHistory.length,
+      nonceLanesInFlight: this.nonceLanes.pending().length,
+      policyDecisions: this.decisionLog.recent(10),
+      pendingApprovals: this.approvals.list({ status: 'pending', agent: this.address }).length,
       purchaseHistory: this.purchaseHistory.slice(-10), // Last 10
     };
   }
 
   /**
-   * Reset daily spending if needed
+   * Sign an access request for content
+   * The nonce keeps repeated requests within the same second distinct,
+   * since the backend rejects signatures it has already seen
    */
-  _resetDailySpendingIfNeeded() {
-    const now = Date.now();
-    const oneDay = 24 * 60 * 60 * 1000;
-    
-    if (now - this.lastReset > oneDay) {
-      this.spentToday = BigInt(0);
-      this.lastReset = now;
-      console.log('🔄 Daily spending reset');
+  async _signAccess(contentHash) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const nonce = toHex(randomBytes(16));
+    const message = `${timestamp},${contentHash},${nonce}`;
+    const signature = await signMessage(this.client, { account: this.account, message });
+    return { timestamp, nonce, signature };
+  }
+
+  /**
+   * Settle reservations a previous run left open and record payments the
+   * ledger missed
+   */
+  async _reconcileLedger() {
+    const { committed, rolledBack, pending, recovered } = await this.ledger
+      .reconcile({ client: this.client, address: this.address, tokens: this.config.tokens });
+
+    if (committed + rolledBack + pending + recovered > 0) {
+      console.log(
+        `📒 Ledger reconciled: ${committed} committed, ${rolledBack} rolled back, ` +
+        `${pending} pending, ${recovered} recovered from chain`
+      );
     }
   }
 
   /**
    * Encode memo for Tempo
    */
-  _encodeMemo(contentHash, timestamp, index = 0) {
-    // Format: LICENSE:<contentHash>:<timestamp>:<index>
-    const memoStr = `LICENSE:${contentHash.slice(0, 20)}:${timestamp}:${index}`;
-    return pad(stringToHex(memoStr.slice(0, 64)), { size: 32 });
+  _encodeMemo(contentHash, timestamp, index = 0, termId = 0) {
+    // Layout (32 bytes): "LICENSE:" | contentHash[0:16] | timestamp (uint48) | index (uint8) | termId (uint8)
+    // The backend checks the content hash prefix and charges the term's price
+    return concat([
+      stringToHex('LICENSE:'),
+      slice(pad(contentHash, { dir: 'right', size: 32 }), 0, 16),
+      numberToHex(timestamp, { size: 6 }),
+      numberToHex(index, { size: 1 }),
+      numberToHex(termId, { size: 1 }),
+    ]);
   }
 
   /**
-   * Encode transfer call for batching
+   * Encode memo for a prepaid payment to a creator
+   */
+  _encodePrepaidMemo(kind, creator, timestamp) {
+    // Layout (32 bytes): "DEPOSIT:" or "SUBSCRB:" | creator[0:16] | timestamp (uint48) | reserved (2 bytes)
+    return concat([
+      stringToHex(kind === 'subscription' ? 'SUBSCRB:' : 'DEPOSIT:'),
+      slice(creator, 0, 16),
+      numberToHex(timestamp, { size: 6 }),
+      numberToHex(0, { size: 2 }),
+    ]);
+  }
+
+  /**
+   * Encode a TIP-20 transferWithMemo call for batching
    */
   _encodeTransferCall(to, amount, memo) {
-    // This would be implemented with proper ABI encoding
-    // For now, return placeholder
-    return '0x';
+    return encodeFunctionData({
+      abi: Abis.tip20,
+      functionName: 'transferWithMemo',
+      args: [to, amount, memo],
+    });
   }
 }
 
@@ -500,28 +1681,5 @@ export default OpenPayAIAgent;
 
 // CLI interface
 if (import.meta.url === `file://${process.argv[1]}`) {
-  console.log(`
-🤖 OpenPayAI Agent for Tempo
-=============================
-
-Usage:
-  node agent.js <command> [options]
-
-Commands:
-  purchase <contentHash>     Purchase single license
-  batch <hash1,hash2,...>    Purchase multiple licenses
-  check <contentHash>        Check content price
-  stats                      Show agent statistics
-  create                     Create new agent wallet
-
-Environment Variables:
-  TEMPO_RPC_URL             Tempo RPC endpoint
-  BACKEND_URL               Backend API URL
-  AGENT_PRIVATE_KEY         Agent wallet private key
-
-Examples:
-  node agent.js purchase 0xabc123...
-  node agent.js batch 0xabc...,0xdef...,0xghi...
-  node agent.js create
-`);
+  process.exitCode = await runCli(process.argv.slice(2), OpenPayAIAgent);
 }
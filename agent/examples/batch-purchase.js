@@ -20,6 +20,7 @@ async function runBatchPurchase() {
     maxPricePerItem: BigInt(500000), // $0.50 max per item
     dailySpendingLimit: BigInt(5000000), // $5.00 daily limit
   });
+  await agent.init();
 
   // Content hashes to purchase
   const contentHashes = [
@@ -36,11 +37,12 @@ async function runBatchPurchase() {
     // Purchase all at once with atomic batch
     const result = await agent.purchaseBatch(contentHashes, {
       atomic: true, // All succeed or all fail together
+      batchMode: 'transfers', // or 'contract' to use purchaseBatchLicense
     });
 
     if (result.success) {
       console.log('\n✅ Batch purchase successful!');
-      console.log(`   Method: ${result.method}`);
+      console.log(`   Method: ${result.method} (${result.batchMode})`);
       console.log(`   Total price: $${Number(result.totalPrice) / 1e6}`);
       console.log(`   Transaction: ${result.receipt.transactionHash}`);
       console.log(`   Gas used: ${result.receipt.gasUsed}`);
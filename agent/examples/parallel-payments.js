@@ -21,6 +21,7 @@ async function runParallelPayments() {
     maxPricePerItem: BigInt(1000000), // $1.00 max per item
     dailySpendingLimit: BigInt(10000000), // $10.00 daily limit
   });
+  await agent.init();
 
   // Content to purchase in parallel
   const contentList = [
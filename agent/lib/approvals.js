@@ -0,0 +1,253 @@
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import { dirname } from 'path';
+import { randomBytes } from 'crypto';
+
+/**
+ * Human approval queue for purchases the policy flags
+ *
+ * An append-only JSON-lines file shared by agents and operators. It is
+ * both the queue and its audit trail:
+ *
+ *   {"type":"requested","id":"…","agent":"0x…","action":"purchaseLicense","contentHash":"0x…",
+ *    "price":"2500000","publisher":"0x…","domain":"…","url":null,"task":null,"periods":null,
+ *    "reason":"…","expiresAt":…,"at":…}
+ *   {"type":"approved","id":"…","by":"alice","note":"…","at":…}
+ *   {"type":"rejected","id":"…","by":"alice","note":"…","at":…}
+ *   {"type":"executed","id":"…","txHash":"0x…","at":…}
+ *   {"type":"aborted","id":"…","reason":"…","at":…}
+ *   {"type":"expired","id":"…","at":…}
+ *
+ * A request is `pending` until an operator approves or rejects it, and
+ * an approval stays usable until the agent executes or aborts it. Either
+ * lapses at `expiresAt`. Events that do not fit the current status (a
+ * second operator deciding an already decided request) are ignored.
+ *
+ * Prepaid payments (action `deposit` or `subscription`) have no
+ * contentHash; `publisher` is the creator paid and `periods` the
+ * subscription periods bought.
+ */
+
+export const APPROVAL_TTL_MS = 60 * 60 * 1000;
+
+// Which events may follow each status
+const TRANSITIONS = {
+  pending: ['approved', 'rejected', 'expired'],
+  approved: ['executed', 'aborted', 'expired'],
+};
+
+/**
+ * Error raised when a purchase is parked waiting for approval
+ */
+export class ApprovalPendingError extends Error {
+  constructor(approval) {
+    super(`Purchase of ${approval.contentHash ?? `${approval.action} to ${approval.publisher}`} awaits approval ${approval.id}`);
+    this.name = 'ApprovalPendingError';
+    this.approval = approval;
+  }
+}
+
+export class ApprovalQueue {
+  constructor({ path, ttlMs = APPROVAL_TTL_MS }) {
+    this.path = path;
+    this.ttlMs = ttlMs;
+
+    mkdirSync(dirname(path), { recursive: true });
+  }
+
+  /**
+   * Park a purchase for approval, or return the open request already
+   * parked for the same agent and content (or prepaid payment)
+   */
+  request({
+    agent,
+    action,
+    contentHash,
+    price,
+    publisher = null,
+    domain = null,
+    url = null,
+    task = null,
+    periods = null,
+    reason,
+  }) {
+    const open = this.findOpen({ agent, contentHash, action, publisher });
+    if (open) return open;
+
+    const now = Date.now();
+    const event = {
+      type: 'requested',
+      id: randomBytes(8).toString('hex'),
+      agent,
+      action,
+      contentHash,
+      price: price.toString(),
+      publisher,
+      domain,
+      url,
+      task,
+      periods,
+      reason,
+      expiresAt: now + this.ttlMs,
+      at: now,
+    };
+    this._append(event);
+    return this.get(event.id);
+  }
+
+  approve(id, { by, note = null }) {
+    return this._decide(id, 'approved', { by, note });
+  }
+
+  reject(id, { by, note = null }) {
+    return this._decide(id, 'rejected', { by, note });
+  }
+
+  /**
+   * The approved purchase was made
+   */
+  markExecuted(id, { txHash }) {
+    this._append({ type: 'executed', id, txHash, at: Date.now() });
+  }
+
+  /**
+   * The approved purchase will not be made (quote changed, policy denied)
+   */
+  markAborted(id, reason) {
+    this._append({ type: 'aborted', id, reason, at: Date.now() });
+  }
+
+  /**
+   * Return approval `id` if it may still be executed, otherwise throw
+   */
+  requireApproved(id) {
+    const approval = this.get(id);
+    if (approval?.status !== 'approved') {
+      throw new Error(`Approval ${id} is ${approval?.status ?? 'unknown'}`);
+    }
+    return approval;
+  }
+
+  get(id) {
+    return this._state().get(id) ?? null;
+  }
+
+  /**
+   * Requests, newest first, optionally only one `status` or `agent`'s
+   */
+  list({ status, agent } = {}) {
+    return [...this._state().values()]
+      .filter(approval => !status || approval.status === status)
+      .filter(approval => !agent || approval.agent.toLowerCase() === agent.toLowerCase())
+      .sort((a, b) => b.requestedAt - a.requestedAt);
+  }
+
+  /**
+   * Pending or approved request for `contentHash` from `agent`; without a
+   * contentHash, for the prepaid `action` to `publisher`
+   */
+  findOpen({ agent, contentHash, action, publisher }) {
+    const matches = contentHash
+      ? approval => approval.contentHash?.toLowerCase() === contentHash.toLowerCase()
+      : approval => !approval.contentHash && approval.action === action &&
+        approval.publisher?.toLowerCase() === publisher?.toLowerCase();
+
+    return this.list({ agent }).find(approval =>
+      (approval.status === 'pending' || approval.status === 'approved') && matches(approval)
+    ) ?? null;
+  }
+
+  /**
+   * Record expiry of requests past `expiresAt`; returns how many lapsed
+   */
+  expireStale() {
+    let expired = 0;
+    for (const approval of this._state().values()) {
+      if (approval.status === 'expired' && !approval.expiryRecorded) {
+        this._append({ type: 'expired', id: approval.id, at: Date.now() });
+        expired++;
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Resolve once request `id` is no longer pending
+   */
+  async waitFor(id, { pollInterval = 2000 } = {}) {
+    for (;;) {
+      const approval = this.get(id);
+      if (!approval) throw new Error(`Unknown approval ${id}`);
+      if (approval.status !== 'pending') return approval;
+
+      await new Promise(resolve => setTimeout(resolve, Math.min(pollInterval, approval.expiresAt - Date.now() + 1)));
+    }
+  }
+
+  _decide(id, type, { by, note }) {
+    const approval = this.get(id);
+    if (!approval) {
+      throw new Error(`Unknown approval ${id}`);
+    }
+    if (approval.status !== 'pending') {
+      throw new Error(`Approval ${id} is already ${approval.status}`);
+    }
+    if (!by) {
+      throw new Error('Operator name is required');
+    }
+
+    this._append({ type, id, by, note, at: Date.now() });
+    return this.get(id);
+  }
+
+  /**
+   * Fold the event log into the current requests
+   */
+  _state() {
+    const approvals = new Map();
+    if (!existsSync(this.path)) return approvals;
+
+    for (const line of readFileSync(this.path, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        // A crash can leave the last line half written
+        continue;
+      }
+
+      if (event.type === 'requested') {
+        const { type, at, ...request } = event;
+        approvals.set(event.id, { ...request, status: 'pending', requestedAt: at, history: [event] });
+        continue;
+      }
+
+      const approval = approvals.get(event.id);
+      if (!approval || !TRANSITIONS[approval.status]?.includes(event.type)) continue;
+
+      approval.status = event.type;
+      approval.history.push(event);
+      if (event.type === 'approved' || event.type === 'rejected') {
+        approval.decidedBy = event.by;
+        approval.note = event.note;
+      }
+      if (event.type === 'executed') approval.txHash = event.txHash;
+      if (event.type === 'expired') approval.expiryRecorded = true;
+    }
+
+    // Undecided or unused requests lapse at expiresAt
+    const now = Date.now();
+    for (const approval of approvals.values()) {
+      if (TRANSITIONS[approval.status] && approval.expiresAt <= now) {
+        approval.status = 'expired';
+      }
+    }
+
+    return approvals;
+  }
+
+  _append(event) {
+    appendFileSync(this.path, JSON.stringify(event) + '\n');
+  }
+}
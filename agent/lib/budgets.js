@@ -0,0 +1,139 @@
+/**
+ * Layered spending budgets for the agent
+ *
+ * Every payment must fit all of these at once:
+ *
+ * - item:      `maxPricePerItem` for each single payment (except prepaid
+ *              credit and subscriptions, which cover many items)
+ * - daily:     `dailyLimit` per calendar day (see SpendingLedger)
+ * - publisher: `publisherDailyLimit`, or a per-address entry in
+ *              `publisherLimits`, per publisher and calendar day
+ * - task:      a limit set with `setTaskLimit`, over the whole task
+ *
+ * `reserve` checks every layer for a group of payments and writes their
+ * ledger reservations in the same synchronous step, under the ledger's
+ * file lock, so concurrent purchases in this process or another one
+ * sharing the ledger can never jointly overspend: the second one sees the
+ * first one's reservations. Failed payments are rolled back in
+ * the ledger, which frees their budget again.
+ */
+
+export class BudgetExceededError extends Error {
+  constructor(budget, message) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.budget = budget;
+  }
+}
+
+export class Budgets {
+  constructor({ ledger, maxPricePerItem, dailyLimit, publisherDailyLimit = null, publisherLimits = {} }) {
+    this.ledger = ledger;
+    this.maxPricePerItem = maxPricePerItem;
+    this.dailyLimit = dailyLimit;
+    this.publisherDailyLimit = publisherDailyLimit;
+    this.publisherLimits = new Map(
+      Object.entries(publisherLimits).map(([address, limit]) => [address.toLowerCase(), BigInt(limit)])
+    );
+
+    // task id -> limit over the task's lifetime
+    this.taskLimits = new Map();
+  }
+
+  /**
+   * Cap the total spent under `task` (a task or session id)
+   */
+  setTaskLimit(task, limit) {
+    this.taskLimits.set(task, BigInt(limit));
+  }
+
+  /**
+   * Throw a BudgetExceededError unless all `payments` fit together
+   * Each payment is { amount, publisher, task, prepaid }.
+   */
+  check(payments) {
+    const today = this.ledger.dayOf(Date.now());
+    const byPublisher = new Map();
+    const byTask = new Map();
+    let total = BigInt(0);
+
+    for (const { amount, publisher, task, prepaid } of payments) {
+      if (!prepaid && amount > this.maxPricePerItem) {
+        throw new BudgetExceededError(
+          'item',
+          `Price $${formatUsd(amount)} exceeds max $${formatUsd(this.maxPricePerItem)}`
+        );
+      }
+
+      total += amount;
+      if (publisher) {
+        const key = publisher.toLowerCase();
+        byPublisher.set(key, (byPublisher.get(key) || BigInt(0)) + amount);
+      }
+      if (task) {
+        byTask.set(task, (byTask.get(task) || BigInt(0)) + amount);
+      }
+    }
+
+    if (this.ledger.spent({ day: today }) + total > this.dailyLimit) {
+      throw new BudgetExceededError('daily', 'Daily spending limit would be exceeded');
+    }
+
+    for (const [publisher, amount] of byPublisher) {
+      const limit = this.publisherLimits.get(publisher) ?? this.publisherDailyLimit;
+      if (limit === null || limit === undefined) continue;
+
+      if (this.ledger.spent({ day: today, publisher }) + amount > limit) {
+        throw new BudgetExceededError('publisher', `Daily limit for publisher ${publisher} would be exceeded`);
+      }
+    }
+
+    for (const [task, amount] of byTask) {
+      const limit = this.taskLimits.get(task);
+      if (limit === undefined) continue;
+
+      if (this.ledger.spent({ task }) + amount > limit) {
+        throw new BudgetExceededError('task', `Budget for task ${task} would be exceeded`);
+      }
+    }
+  }
+
+  /**
+   * Check every layer and reserve all `payments` in the ledger, or none
+   *
+   * Payments are { amount, token, contentHash, memo, publisher, task,
+   * prepaid }; returns their reservation ids in order. The ledger stays
+   * locked from the check to the last reservation, so agent processes
+   * sharing it cannot overspend together.
+   */
+  reserve(payments) {
+    return this.ledger.locked(() => {
+      this.check(payments);
+      return payments.map(payment => this.ledger.reserve(payment));
+    });
+  }
+
+  /**
+   * What is left today overall and, when given, for a publisher and task
+   */
+  remaining({ publisher, task } = {}) {
+    const today = this.ledger.dayOf(Date.now());
+    const remaining = { daily: this.dailyLimit - this.ledger.spent({ day: today }) };
+
+    if (publisher) {
+      const limit = this.publisherLimits.get(publisher.toLowerCase()) ?? this.publisherDailyLimit;
+      remaining.publisher = limit === null ? null : limit - this.ledger.spent({ day: today, publisher });
+    }
+
+    if (task) {
+      const limit = this.taskLimits.get(task);
+      remaining.task = limit === undefined ? null : limit - this.ledger.spent({ task });
+    }
+
+    return remaining;
+  }
+}
+
+function formatUsd(amount) {
+  return Number(amount) / 1e6;
+}
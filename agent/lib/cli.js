@@ -0,0 +1,462 @@
+import { parseArgs } from 'util';
+import { loadAccount, readPassword } from './keystore.js';
+import { tokenSymbol } from './tokens.js';
+import { describeTerm } from './terms.js';
+
+/**
+ * Command line interface for the agent (`node agent.js <command>`)
+ *
+ * Progress goes to stdout, or to stderr with `--json` so stdout only
+ * carries the JSON result. Exit codes: 0 success, 1 failure (including a
+ * dry run that would not go through), 2 usage error.
+ */
+
+export const USAGE = `
+🤖 OpenPayAI Agent for Tempo
+=============================
+
+Usage:
+  node agent.js <command> [options]
+
+Commands:
+  purchase <contentHash>     Purchase single license
+  batch <hash1,hash2,...>    Purchase multiple licenses
+  check <contentHash>        Check content price and license
+  retrieve <contentHash>     Retrieve licensed content
+  history                    List past purchases
+  balance                    Show wallet token balances
+  limit [amount]             Show (or set) the contract's daily spending limit for this agent
+  deposit <creator> <amount> Prepay credit with a creator
+  credit [creator]           Show prepaid credit balances and subscriptions
+  subscribe <creator>        Subscribe to all of a creator's content
+  stats                      Show agent statistics
+  create                     Create new agent wallet in a keystore file
+
+Options:
+  --json                     Print the result as JSON (for scripts)
+  --dry-run                  purchase/batch: show what would be bought, pay nothing
+  --force                    purchase/batch: buy even if already licensed
+  --task <id>                purchase/batch/deposit/subscribe: charge to a task budget
+  --wait                     purchase/deposit/subscribe: wait for human approval if required
+  --term <id>                purchase: license terms to buy (default: cheapest for AGENT_LICENSE_USAGE)
+  --periods <n>              subscribe: subscription periods to pay for (default 1)
+  --atomic                   batch: one atomic transaction
+  --mode <mode>              purchase/batch: transfers or contract (purchase through the contract)
+  --limit <n>                history: number of purchases (default 20)
+  --keystore <path>          Agent keystore file (create: default AGENT_KEYSTORE_DIR/<address>.json)
+  --password-file <path>     File holding the keystore password (else prompted)
+
+Environment Variables:
+  TEMPO_RPC_URL                 Tempo RPC endpoint
+  BACKEND_URL                   Backend API URL
+  AGENT_KEYSTORE                Agent keystore file (instead of AGENT_PRIVATE_KEY)
+  AGENT_KEYSTORE_PASSWORD_FILE  File holding the keystore password
+  AGENT_KEYSTORE_PASSWORD       Keystore password
+  AGENT_PRIVATE_KEY             Agent wallet private key (unencrypted)
+  AGENT_TOKENS                  Stablecoins to pay with, e.g. betaUsd,alphaUsd
+  AGENT_LICENSE_USAGE           Use licenses are bought for: retrieval (default), training or any
+
+Examples:
+  node agent.js purchase 0xabc123...
+  node agent.js batch 0xabc...,0xdef...,0xghi... --dry-run
+  node agent.js history --json --keystore ./keystore/agent.json
+  node agent.js limit 20000000
+  node agent.js deposit 0x1234... 5000000
+  node agent.js create --password-file ./password.txt
+`;
+
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_USAGE = 2;
+
+const OPTIONS = {
+  json: { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  force: { type: 'boolean', default: false },
+  task: { type: 'string' },
+  wait: { type: 'boolean', default: false },
+  term: { type: 'string' },
+  periods: { type: 'string', default: '1' },
+  atomic: { type: 'boolean', default: false },
+  mode: { type: 'string' },
+  limit: { type: 'string', default: '20' },
+  keystore: { type: 'string' },
+  'password-file': { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Error for bad command line input (exit code 2)
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Each command returns { data, ok, lines }: `data` is printed with
+ * --json, `lines` otherwise; `ok: false` exits with 1
+ */
+const COMMANDS = {
+  async purchase(agent, [contentHash], flags) {
+    requireHash(contentHash);
+    if (flags.term !== undefined && !/^\d+$/.test(flags.term)) {
+      throw new UsageError(`--term must be a license term id, got ${flags.term}`);
+    }
+    requireMode(flags.mode);
+
+    const options = { force: flags.force, task: flags.task, term: flags.term, batchMode: flags.mode };
+    if (flags['dry-run']) {
+      return preview(await agent.previewPurchase([contentHash], options));
+    }
+
+    const result = await agent.purchaseLicense(contentHash, { ...options, waitForApproval: flags.wait });
+    if (result.pending) return pendingApproval(result);
+    if (result.skipped) {
+      return { data: result, lines: [`ℹ️  Skipped: ${result.reason}`] };
+    }
+    return { data: { success: true, purchase: result.purchase, decision: result.decision } };
+  },
+
+  async batch(agent, [list], flags) {
+    const hashes = (list || '').split(',').map(hash => hash.trim()).filter(Boolean);
+    if (hashes.length === 0) {
+      throw new UsageError('batch needs a comma-separated list of content hashes');
+    }
+    hashes.forEach(requireHash);
+
+    requireMode(flags.mode);
+
+    const options = { force: flags.force, task: flags.task, batchMode: flags.mode };
+    if (flags['dry-run']) {
+      return preview(await agent.previewPurchase(hashes, options));
+    }
+
+    const result = await agent.purchaseBatch(hashes, { ...options, atomic: flags.atomic });
+    const { receipt, ...data } = result;
+
+    const lines = [];
+    if (result.skipped) lines.push(`ℹ️  Skipped: ${result.reason}`);
+    for (const approval of result.pendingApprovals || []) {
+      lines.push(`⏸️  ${approval.contentHash} awaits approval ${approval.id}`);
+    }
+    return { data, ok: !result.failed, lines };
+  },
+
+  async check(agent, [contentHash]) {
+    requireHash(contentHash);
+
+    const content = await agent.checkContent(contentHash);
+    if (!content) {
+      return { data: { contentHash, found: false }, ok: false, lines: ['❌ Content not found'] };
+    }
+    const licensed = await agent.hasLicense(contentHash);
+
+    return {
+      data: { ...content, found: true, licensed },
+      lines: [
+        `📄 ${contentHash}`,
+        `   Price: $${formatUsd(content.price)}`,
+        `   Owner: ${content.contentOwner}`,
+        ...(content.payouts?.length > 1
+          ? content.payouts.map(payout => `   Pays: ${payout.address} $${formatUsd(payout.amount)}`)
+          : []),
+        ...(content.terms?.length > 1
+          ? content.terms.map(term => `   Terms: ${describeTerm(term)} $${formatUsd(term.price)}`)
+          : []),
+        `   URI: ${content.contentURI}`,
+        `   Active: ${content.active ? 'yes' : 'no'}`,
+        `   Licensed: ${licensed ? 'yes' : 'no'}`,
+      ],
+    };
+  },
+
+  async retrieve(agent, [contentHash]) {
+    requireHash(contentHash);
+
+    const data = await agent.retrieveContent(contentHash);
+    return { data, lines: [JSON.stringify(data, jsonReplacer, 2)] };
+  },
+
+  async history(agent, args, flags) {
+    const limit = Number(flags.limit);
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new UsageError('--limit must be a positive integer');
+    }
+
+    const purchases = agent.purchaseHistory.slice(-limit);
+    return {
+      data: purchases,
+      lines: purchases.length === 0
+        ? ['ℹ️  No purchases yet']
+        : purchases.map(p => [
+          new Date(p.timestamp).toISOString(),
+          `$${formatUsd(p.price)}${p.token ? ` ${tokenSymbol(p.token)}` : ''}`,
+          p.contentHash || 'prepaid',
+          p.txHash,
+        ].join('  ')),
+    };
+  },
+
+  async balance(agent) {
+    const balances = await agent.getBalances();
+    return {
+      data: { address: agent.address, balances },
+      lines: [
+        `💰 ${agent.address}`,
+        ...Object.entries(balances).map(([token, amount]) => `   ${token}: $${formatUsd(amount)}`),
+      ],
+    };
+  },
+
+  async limit(agent, [amount]) {
+    if (amount !== undefined) {
+      if (!/^\d+$/.test(amount)) {
+        throw new UsageError(`Expected a daily limit in token units (6 decimals), got ${amount}`);
+      }
+      await agent.setContractLimit(BigInt(amount));
+    }
+
+    const limit = await agent.getContractLimit();
+    if (!limit) {
+      return { data: { address: agent.address, found: false }, ok: false, lines: ['❌ Could not read the contract limit'] };
+    }
+
+    return {
+      data: limit,
+      lines: [
+        `🛡️  ${agent.address}`,
+        `   Daily limit: ${limit.limited ? `$${formatUsd(limit.dailyLimit)}` : 'none'}`,
+        `   Spent today: $${formatUsd(limit.spentToday)}`,
+        ...(limit.limited ? [`   Remaining: $${formatUsd(limit.remaining)}`] : []),
+        `   Resets: ${new Date(limit.resetsAt * 1000).toISOString()}`,
+        `   Operator: ${limit.operator || 'none'}`,
+      ],
+    };
+  },
+
+  async deposit(agent, [creator, amount], flags) {
+    requireAddress(creator);
+    if (!/^\d+$/.test(amount || '') || BigInt(amount) === 0n) {
+      throw new UsageError(`Expected an amount in token units (6 decimals), got ${amount ?? 'nothing'}`);
+    }
+
+    const result = await agent.deposit(creator, BigInt(amount), { task: flags.task, waitForApproval: flags.wait });
+    if (result.pending) return pendingApproval(result);
+
+    const { receipt, ...data } = result;
+    return {
+      data,
+      lines: [
+        `✅ Deposited $${formatUsd(amount)} with ${creator}`,
+        `   TX: ${receipt.transactionHash}`,
+        `   Balance: $${formatUsd(data.balance)}`,
+      ],
+    };
+  },
+
+  async credit(agent, [creator]) {
+    if (creator !== undefined) requireAddress(creator);
+
+    const account = await agent.getCredit(creator);
+    if (!account) {
+      return { data: { address: agent.address, found: false }, ok: false, lines: ['❌ Could not read prepaid credit'] };
+    }
+
+    const lines = [`💳 ${agent.address}`];
+    for (const { creator: payee, balance } of account.credits) {
+      lines.push(`   Credit with ${payee}: $${formatUsd(balance)}`);
+    }
+    for (const { creator: payee, expiresAt, active } of account.subscriptions) {
+      lines.push(`   Subscription to ${payee}: ${active ? 'until' : 'expired'} ${new Date(expiresAt).toISOString()}`);
+    }
+    if (lines.length === 1) lines.push('   No credit or subscriptions');
+
+    return { data: account, lines };
+  },
+
+  async subscribe(agent, [creator], flags) {
+    requireAddress(creator);
+    const periods = Number(flags.periods);
+    if (!Number.isInteger(periods) || periods <= 0) {
+      throw new UsageError('--periods must be a positive integer');
+    }
+
+    const result = await agent.subscribe(creator, { periods, task: flags.task, waitForApproval: flags.wait });
+    if (result.pending) return pendingApproval(result);
+
+    const { receipt, ...data } = result;
+    return {
+      data,
+      lines: [
+        `✅ Subscribed to ${creator}`,
+        `   TX: ${receipt.transactionHash}`,
+        `   Until: ${new Date(data.expiresAt).toISOString()}`,
+      ],
+    };
+  },
+
+  async stats(agent) {
+    const stats = agent.getStats();
+    return {
+      data: stats,
+      lines: [
+        `📊 ${stats.address}`,
+        `   Spent today: $${formatUsd(stats.spentToday)} of $${formatUsd(stats.dailyLimit)}`,
+        `   Total spent: $${formatUsd(stats.totalSpent)} in ${stats.totalPurchases} purchases`,
+        `   Pending approvals: ${stats.pendingApprovals}`,
+        `   Nonce lanes in flight: ${stats.nonceLanesInFlight}`,
+      ],
+    };
+  },
+};
+
+/**
+ * Run a command; resolves to the process exit code
+ */
+export async function runCli(argv, OpenPayAIAgent, { env = process.env } = {}) {
+  let flags;
+  let command;
+  let args;
+  try {
+    const parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    flags = parsed.values;
+    [command, ...args] = parsed.positionals;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  if (!command || command === 'help' || flags.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  if (command !== 'create' && !COMMANDS[command]) {
+    console.error(`❌ Unknown command ${command}`);
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  // Keep stdout for the JSON result
+  const log = console.log;
+  if (flags.json) console.log = console.error;
+
+  try {
+    let result;
+    if (command === 'create') {
+      result = await create(OpenPayAIAgent, flags, env);
+    } else {
+      const account = await loadAccount({
+        keystore: flags.keystore || env.AGENT_KEYSTORE,
+        password: env.AGENT_KEYSTORE_PASSWORD,
+        passwordFile: flags['password-file'] || env.AGENT_KEYSTORE_PASSWORD_FILE,
+        privateKey: env.AGENT_PRIVATE_KEY,
+      });
+      if (!account) {
+        throw new Error('No agent wallet: set AGENT_KEYSTORE (or --keystore) or AGENT_PRIVATE_KEY');
+      }
+      const agent = await new OpenPayAIAgent(account).init();
+      result = await COMMANDS[command](agent, args, flags);
+    }
+
+    const { data, ok = true, lines = [] } = result;
+    if (flags.json) {
+      log(JSON.stringify(data, jsonReplacer, 2));
+    } else {
+      lines.forEach(line => log(line));
+    }
+    return ok ? EXIT_OK : EXIT_FAILURE;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    if (flags.json) {
+      log(JSON.stringify({ error: error.message, code: error.name }));
+    }
+    return error instanceof UsageError ? EXIT_USAGE : EXIT_FAILURE;
+  } finally {
+    console.log = log;
+  }
+}
+
+async function create(OpenPayAIAgent, flags, env) {
+  const source = {
+    password: env.AGENT_KEYSTORE_PASSWORD,
+    passwordFile: flags['password-file'] || env.AGENT_KEYSTORE_PASSWORD_FILE,
+  };
+  if (!source.password && !source.passwordFile && !process.stdin.isTTY) {
+    throw new UsageError('Set AGENT_KEYSTORE_PASSWORD or pass --password-file to encrypt the new key');
+  }
+
+  const password = await readPassword({ ...source, prompt: 'New keystore password: ' });
+  if (!source.password && !source.passwordFile &&
+      password !== await readPassword({ prompt: 'Repeat password: ' })) {
+    throw new UsageError('Passwords do not match');
+  }
+
+  const agent = OpenPayAIAgent.createAgent({ keystore: { password, path: flags.keystore } });
+  return {
+    data: { address: agent.address, keystore: agent.keystorePath },
+    lines: [
+      `✅ Agent wallet ${agent.address}`,
+      `   Keystore: ${agent.keystorePath}`,
+      '   Fund it with AlphaUSD, BetaUSD or pathUSD before purchasing',
+    ],
+  };
+}
+
+/**
+ * Result of a purchase or prepaid payment parked for approval
+ */
+function pendingApproval({ approval, decision }) {
+  return {
+    data: { pending: true, approval, decision },
+    lines: [`⏸️  Awaiting approval ${approval.id} (npm run approvals -- show ${approval.id})`],
+  };
+}
+
+/**
+ * Dry-run result of previewPurchase
+ */
+function preview({ items, total, purchasable, budget }) {
+  const lines = items.map(item => {
+    const price = item.price === null ? '' : ` $${formatUsd(item.price)}${item.token ? ` ${tokenSymbol(item.token)}` : ''}`;
+    return `${item.outcome === 'allow' ? '✅' : '⛔'} ${item.contentHash}${price}: ${item.outcome} (${item.reason})`;
+  });
+  lines.push(`🧪 Dry run: would buy ${purchasable} of ${items.length} for $${formatUsd(budget.ok ? total : 0n)}`);
+  if (!budget.ok) lines.push(`⛔ ${budget.reason}`);
+
+  return {
+    data: { dryRun: true, items, total, purchasable, budget },
+    ok: budget.ok && items.every(item => item.outcome === 'allow' || item.outcome === 'licensed'),
+    lines,
+  };
+}
+
+function requireHash(contentHash) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(contentHash || '')) {
+    throw new UsageError(`Expected a 32-byte hex content hash, got ${contentHash ?? 'nothing'}`);
+  }
+}
+
+function requireMode(mode) {
+  if (mode && !['transfers', 'contract'].includes(mode)) {
+    throw new UsageError(`Unknown purchase mode ${mode} (transfers or contract)`);
+  }
+}
+
+function requireAddress(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address || '')) {
+    throw new UsageError(`Expected a creator address, got ${address ?? 'nothing'}`);
+  }
+}
+
+function jsonReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+function formatUsd(amount) {
+  return Number(amount) / 1e6;
+}
@@ -0,0 +1,42 @@
+import { mkdirSync, rmSync, statSync } from 'fs';
+
+// A lock directory older than this belongs to a crashed process
+const LOCK_STALE_MS = 10_000;
+
+/**
+ * Run `fn` holding the lock at `lockPath`, shared by every process using
+ * the same path (mkdir is atomic)
+ *
+ * Lock holders only do a few sync fs calls, so waiters spin briefly
+ * instead of yielding to the event loop.
+ */
+export function withFileLock(lockPath, fn) {
+  for (;;) {
+    try {
+      mkdirSync(lockPath);
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      if (isStaleLock(lockPath)) {
+        rmSync(lockPath, { recursive: true, force: true });
+        continue;
+      }
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 5);
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    rmSync(lockPath, { recursive: true, force: true });
+  }
+}
+
+function isStaleLock(lockPath) {
+  try {
+    return Date.now() - statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+  } catch (error) {
+    return false;
+  }
+}
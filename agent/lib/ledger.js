@@ -0,0 +1,404 @@
+import { appendFileSync, closeSync, existsSync, fstatSync, fsyncSync, mkdirSync, openSync, readSync } from 'fs';
+import { dirname } from 'path';
+import { randomBytes } from 'crypto';
+import { getBlock, getBlockNumber, getLogs, getTransactionReceipt } from 'viem/actions';
+import { Abis } from 'viem/tempo';
+import { withFileLock } from './filelock.js';
+
+/**
+ * Durable spending ledger for the agent
+ *
+ * An append-only JSON-lines file. Every payment is reserved before the
+ * transfer is sent, marked sent with its tx hash, then committed or rolled
+ * back once the receipt is known:
+ *
+ *   {"type":"reserve","id":"…","amount":"50000","token":"0x…","contentHash":"0x…","memo":"0x…",
+ *    "publisher":"0x…","task":"…","at":…}
+ *   {"type":"sent","id":"…","txHash":"0x…","at":…}
+ *   {"type":"commit","id":"…","txHash":"0x…","blockNumber":"…","at":…}
+ *   {"type":"rollback","id":"…","reason":"…","at":…}
+ *
+ * Open reservations count as spent, so a crash mid-purchase never frees
+ * budget that may already be paid out; `reconcile` settles them against
+ * the chain on startup, and records payments found on-chain that the
+ * ledger never saw (a reserve entry with "recovered":true, committed at
+ * once). Daily spending follows calendar days in `timeZone`.
+ *
+ * Agent processes may share the file: entries are appended under a lock,
+ * after reading what the others appended since, so a reservation always
+ * checks budgets against every process's spending.
+ */
+
+// Open reservations without a trace on-chain are dropped after this
+export const RESERVATION_STALE_MS = 15 * 60 * 1000;
+
+const TRANSFER_WITH_MEMO = Abis.tip20.find(item => item.type === 'event' && item.name === 'TransferWithMemo');
+
+export class SpendingLedger {
+  constructor({ path, timeZone = 'UTC' }) {
+    this.path = path;
+    this.timeZone = timeZone;
+    this.dayFormat = new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    });
+
+    // id -> { id, amount, token, contentHash, memo, publisher, task, reservedAt, status, txHash, blockNumber }
+    this.reservations = new Map();
+
+    this.lockPath = `${path}.lock`;
+    this.lockDepth = 0;
+    // Bytes of the file read so far, and whether a partial line follows
+    this.offset = 0;
+    this.partialLine = false;
+
+    mkdirSync(dirname(path), { recursive: true });
+    this._load();
+  }
+
+  /**
+   * Run `fn` holding the ledger lock, on a ledger caught up with entries
+   * other processes appended: checks and reservations made in `fn` see
+   * everything spent and nobody else spends in between
+   */
+  locked(fn) {
+    if (this.lockDepth > 0) return fn();
+
+    return withFileLock(this.lockPath, () => {
+      this.lockDepth++;
+      try {
+        this._load();
+        return fn();
+      } finally {
+        this.lockDepth--;
+      }
+    });
+  }
+
+  /**
+   * Reserve `amount` before sending a payment; returns the reservation id
+   */
+  reserve({ amount, token, contentHash, memo, publisher = null, task = null, at = Date.now(), recovered = false }) {
+    const reservation = {
+      id: randomBytes(8).toString('hex'),
+      amount: BigInt(amount),
+      token,
+      contentHash,
+      memo,
+      publisher,
+      task,
+      reservedAt: at,
+      status: 'open',
+      txHash: null,
+      blockNumber: null,
+    };
+
+    this._append({
+      type: 'reserve',
+      id: reservation.id,
+      amount: reservation.amount.toString(),
+      token,
+      contentHash,
+      memo,
+      publisher,
+      task,
+      at: reservation.reservedAt,
+      ...(recovered && { recovered }),
+    });
+    this.reservations.set(reservation.id, reservation);
+    return reservation.id;
+  }
+
+  /**
+   * Record the transaction carrying a reserved payment
+   */
+  markSent(id, txHash) {
+    this._append({ type: 'sent', id, txHash, at: Date.now() });
+    this.reservations.get(id).txHash = txHash;
+  }
+
+  /**
+   * The payment landed: the reservation becomes a purchase
+   */
+  commit(id, { txHash, blockNumber }) {
+    this._append({ type: 'commit', id, txHash, blockNumber: blockNumber?.toString() ?? null, at: Date.now() });
+    Object.assign(this.reservations.get(id), { status: 'committed', txHash, blockNumber: blockNumber ?? null });
+  }
+
+  /**
+   * The payment was never made: release the reserved amount
+   */
+  rollback(id, reason) {
+    this._append({ type: 'rollback', id, reason, at: Date.now() });
+    this.reservations.get(id).status = 'rolledBack';
+  }
+
+  /**
+   * Committed plus open amounts reserved on the current calendar day
+   */
+  spentToday(now = Date.now()) {
+    return this.spent({ day: this.dayOf(now) });
+  }
+
+  /**
+   * Committed plus open amounts, optionally only those reserved on `day`
+   * or at `since` (a timestamp) and later, paid to `publisher` or charged
+   * to `task`
+   */
+  spent({ day, since, publisher, task } = {}) {
+    this._load();
+    let spent = BigInt(0);
+    for (const reservation of this.reservations.values()) {
+      if (reservation.status === 'rolledBack') continue;
+      if (day && this.dayOf(reservation.reservedAt) !== day) continue;
+      if (since && reservation.reservedAt < since) continue;
+      if (publisher && reservation.publisher?.toLowerCase() !== publisher.toLowerCase()) continue;
+      if (task && reservation.task !== task) continue;
+      spent += reservation.amount;
+    }
+    return spent;
+  }
+
+  /**
+   * Calendar day (YYYY-MM-DD) of a timestamp in the ledger's time zone
+   */
+  dayOf(timestamp) {
+    return this.dayFormat.format(new Date(timestamp));
+  }
+
+  openReservations() {
+    this._load();
+    return [...this.reservations.values()].filter(r => r.status === 'open');
+  }
+
+  /**
+   * Committed purchases, oldest first, in the agent's purchase record shape
+   */
+  history() {
+    this._load();
+    return [...this.reservations.values()]
+      .filter(r => r.status === 'committed')
+      .map(r => ({
+        contentHash: r.contentHash,
+        price: r.amount.toString(),
+        token: r.token,
+        txHash: r.txHash,
+        timestamp: r.reservedAt,
+        blockNumber: r.blockNumber,
+        memo: r.memo,
+      }));
+  }
+
+  /**
+   * Settle reservations left open by a crash, then record payments the
+   * ledger is missing
+   *
+   * A reservation with a tx hash follows its receipt. One without (the
+   * process died between sending and recording) is matched by its memo
+   * against the agent's recent TransferWithMemo logs. Reservations still
+   * unaccounted for after `staleAfterMs` are rolled back.
+   *
+   * The agent's TransferWithMemo logs in `tokens` over the last
+   * `lookbackBlocks` are then checked against the ledger: each payment
+   * (transaction and memo) it has no live entry for is recorded as spent
+   * at its block's time.
+   */
+  async reconcile({ client, address, tokens = [], lookbackBlocks = 10_000n, staleAfterMs = RESERVATION_STALE_MS }) {
+    const open = this.openReservations();
+    const result = { committed: 0, rolledBack: 0, pending: 0, recovered: 0 };
+
+    const latest = await getBlockNumber(client);
+    const fromBlock = latest > lookbackBlocks ? latest - lookbackBlocks : 0n;
+
+    for (const reservation of open) {
+      const stale = Date.now() - reservation.reservedAt > staleAfterMs;
+
+      if (reservation.txHash) {
+        const receipt = await fetchReceipt(client, reservation.txHash);
+        if (receipt?.status === 'success') {
+          this.commit(reservation.id, { txHash: reservation.txHash, blockNumber: receipt.blockNumber });
+          result.committed++;
+        } else if (receipt || stale) {
+          this.rollback(reservation.id, receipt ? 'Transaction reverted' : 'Transaction dropped');
+          result.rolledBack++;
+        } else {
+          result.pending++;
+        }
+        continue;
+      }
+
+      const [log] = reservation.memo && reservation.token
+        ? await getLogs(client, {
+            address: reservation.token,
+            event: TRANSFER_WITH_MEMO,
+            args: { from: address, memo: reservation.memo },
+            fromBlock,
+            toBlock: latest,
+          })
+        : [];
+
+      if (log) {
+        this.commit(reservation.id, { txHash: log.transactionHash, blockNumber: log.blockNumber });
+        result.committed++;
+      } else if (stale) {
+        this.rollback(reservation.id, 'Payment never sent');
+        result.rolledBack++;
+      } else {
+        result.pending++;
+      }
+    }
+
+    result.recovered = await this._recoverMissing({ client, address, tokens, fromBlock, toBlock: latest });
+    return result;
+  }
+
+  // Record the agent's on-chain payments no live reservation accounts for;
+  // returns how many were added
+  async _recoverMissing({ client, address, tokens, fromBlock, toBlock }) {
+    if (tokens.length === 0) return 0;
+
+    const logs = await getLogs(client, {
+      address: tokens,
+      event: TRANSFER_WITH_MEMO,
+      args: { from: address },
+      fromBlock,
+      toBlock,
+    });
+
+    const paymentKey = (txHash, memo) => `${txHash}:${memo}`.toLowerCase();
+    const known = new Set([...this.reservations.values()]
+      .filter(reservation => reservation.status !== 'rolledBack' && reservation.txHash)
+      .map(reservation => paymentKey(reservation.txHash, reservation.memo)));
+
+    // One payment per transaction and memo (a split pays several payees)
+    const missing = new Map();
+    for (const log of logs) {
+      const key = paymentKey(log.transactionHash, log.args.memo);
+      if (known.has(key)) continue;
+
+      const payment = missing.get(key);
+      if (payment) {
+        payment.amount += log.args.amount;
+        payment.payees.add(log.args.to.toLowerCase());
+      } else {
+        missing.set(key, { log, amount: log.args.amount, payees: new Set([log.args.to.toLowerCase()]) });
+      }
+    }
+
+    const blockTimes = new Map();
+    for (const { log, amount, payees } of missing.values()) {
+      if (!blockTimes.has(log.blockNumber)) {
+        const block = await getBlock(client, { blockNumber: log.blockNumber });
+        blockTimes.set(log.blockNumber, Number(block.timestamp) * 1000);
+      }
+
+      const id = this.reserve({
+        amount,
+        token: log.address,
+        contentHash: null,
+        memo: log.args.memo,
+        publisher: payees.size === 1 ? log.args.to : null,
+        at: blockTimes.get(log.blockNumber),
+        recovered: true,
+      });
+      this.commit(id, { txHash: log.transactionHash, blockNumber: log.blockNumber });
+    }
+
+    return missing.size;
+  }
+
+  // Apply entries appended since the last read, own ones included; a
+  // partial last line is left for the next read
+  _load() {
+    if (!existsSync(this.path)) return;
+
+    const fd = openSync(this.path, 'r');
+    let text;
+    try {
+      const size = fstatSync(fd).size;
+      if (size <= this.offset) return;
+
+      const buffer = Buffer.alloc(size - this.offset);
+      readSync(fd, buffer, 0, buffer.length, this.offset);
+      const end = buffer.lastIndexOf(0x0a) + 1;
+      this.partialLine = end < buffer.length;
+      this.offset += end;
+      text = buffer.toString('utf8', 0, end);
+    } finally {
+      closeSync(fd);
+    }
+
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash can leave a line half written
+        continue;
+      }
+
+      if (entry.type === 'reserve') {
+        this.reservations.set(entry.id, {
+          id: entry.id,
+          amount: BigInt(entry.amount),
+          token: entry.token,
+          contentHash: entry.contentHash,
+          memo: entry.memo,
+          publisher: entry.publisher ?? null,
+          task: entry.task ?? null,
+          reservedAt: entry.at,
+          status: 'open',
+          txHash: null,
+          blockNumber: null,
+        });
+        continue;
+      }
+
+      const reservation = this.reservations.get(entry.id);
+      if (!reservation) continue;
+
+      if (entry.type === 'sent') {
+        reservation.txHash = entry.txHash;
+      } else if (entry.type === 'commit') {
+        reservation.status = 'committed';
+        reservation.txHash = entry.txHash;
+        reservation.blockNumber = entry.blockNumber === null ? null : BigInt(entry.blockNumber);
+      } else if (entry.type === 'rollback') {
+        reservation.status = 'rolledBack';
+      }
+    }
+  }
+
+  _append(entry) {
+    this.locked(() => {
+      // Under the lock a partial line is left by a crashed writer: start
+      // on a fresh line after it
+      const line = `${this.partialLine ? '\n' : ''}${JSON.stringify(entry)}\n`;
+
+      // Each entry is on disk before the payment step it describes happens
+      const fd = openSync(this.path, 'a');
+      try {
+        appendFileSync(fd, line);
+        fsyncSync(fd);
+      } finally {
+        closeSync(fd);
+      }
+
+      // Read back with everything before it, so the file stays the record
+      this._load();
+    });
+  }
+}
+
+async function fetchReceipt(client, hash) {
+  try {
+    return await getTransactionReceipt(client, { hash });
+  } catch (error) {
+    if (error.name === 'TransactionReceiptNotFoundError') return null;
+    throw error;
+  }
+}
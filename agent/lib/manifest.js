@@ -0,0 +1,48 @@
+/**
+ * Publisher pricing manifest (client side)
+ *
+ * Mirrors backend/lib/manifest.js: publishers serve
+ * /.well-known/openpayai.json listing paywalled content, prices and
+ * payment terms, so agents can preload prices before crawling.
+ */
+
+export const MANIFEST_PATH = '/.well-known/openpayai.json';
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Validate a manifest and return its content keyed by lowercase hash
+ *
+ * Entries have the shape of GET /api/content/:contentHash so they can
+ * stand in for `checkContent` results.
+ */
+export function parseManifest(manifest, { chainId }) {
+  if (!manifest || manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.content)) {
+    throw new Error('Unsupported pricing manifest');
+  }
+
+  if (manifest.payment?.chainId !== chainId) {
+    throw new Error(`Manifest prices content on unsupported chain ${manifest.payment?.chainId}`);
+  }
+
+  // Manifests without `payment.tokens` only take the default token
+  const accepted = (manifest.payment.tokens || [manifest.payment.token]).map(token => token.address);
+
+  const contents = new Map();
+  for (const item of manifest.content) {
+    const token = item.token || manifest.payment.token.address;
+    contents.set(item.contentHash.toLowerCase(), {
+      contentHash: item.contentHash,
+      price: item.price,
+      contentOwner: item.owner,
+      payouts: item.payouts,
+      terms: item.terms,
+      contentURI: item.contentURI,
+      path: item.path,
+      policy: item.policy,
+      token,
+      acceptedTokens: [token, ...accepted.filter(address => address.toLowerCase() !== token.toLowerCase())],
+      active: true,
+    });
+  }
+  return contents;
+}
@@ -0,0 +1,223 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { randomBytes } from 'crypto';
+import { getTransaction } from 'viem/actions';
+import { withFileLock } from './filelock.js';
+
+/**
+ * 2D nonce lanes for parallel payments
+ *
+ * Tempo transactions carry a nonce key next to the nonce, and every key is
+ * an independent sequence: transactions on different keys never wait for
+ * each other, two in flight on the same key collide. NonceLanes leases
+ * each key to one transaction at a time:
+ *
+ * - keys `laneOffset + 1 ... laneOffset + maxLanes` form the pool, so
+ *   `maxLanes` caps concurrency and callers wait for a free lane
+ * - leases are persisted to `statePath` under a lock, so agent processes
+ *   sharing the file, or a restarted agent, skip lanes still in flight
+ * - a lane whose transaction was mined or dropped, or that never got a
+ *   nonce, is recovered once it is older than `stuckAfterMs`; a lane with a
+ *   nonce but no recorded transaction may have sent one before a crash, so
+ *   it stays leased until its nonce is used on-chain or it is released
+ *
+ * Agents on other machines sharing a wallet need their own `laneOffset`.
+ */
+export class NonceLanes {
+  constructor({
+    client,
+    address,
+    statePath,
+    maxLanes = 8,
+    laneOffset = 0,
+    stuckAfterMs = 120_000,
+    leaseTimeoutMs = 60_000,
+    pollInterval = 500,
+  }) {
+    this.client = client;
+    this.address = address;
+    this.statePath = statePath;
+    this.lockPath = `${statePath}.lock`;
+    this.maxLanes = maxLanes;
+    this.laneOffset = BigInt(laneOffset);
+    this.stuckAfterMs = stuckAfterMs;
+    this.leaseTimeoutMs = leaseTimeoutMs;
+    this.pollInterval = pollInterval;
+
+    // Tells this process's leases apart from other processes' in the file
+    this.session = randomBytes(8).toString('hex');
+    this.waiters = [];
+
+    mkdirSync(dirname(statePath), { recursive: true });
+  }
+
+  /**
+   * Lease a free lane, waiting while all are in use
+   * Returns { nonceKey, nonce } to send the transaction with.
+   */
+  async acquire() {
+    const deadline = Date.now() + this.leaseTimeoutMs;
+
+    for (;;) {
+      const nonceKey = this._tryLease();
+      if (nonceKey !== null) {
+        try {
+          const nonce = await this.client.nonce.getNonce({ account: this.address, nonceKey });
+          this._update(nonceKey, lease => ({ ...lease, nonce: nonce.toString() }));
+          return { nonceKey, nonce: Number(nonce) };
+        } catch (error) {
+          this.release(nonceKey);
+          throw error;
+        }
+      }
+
+      if (await this.recoverStuckLanes() > 0) continue;
+
+      if (Date.now() >= deadline) {
+        throw new Error(`No nonce lane free after ${this.leaseTimeoutMs / 1000}s (${this.maxLanes} in flight)`);
+      }
+
+      // Woken by a release here, or poll for releases by other processes
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, this.pollInterval);
+        this.waiters.push(() => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+    }
+  }
+
+  /**
+   * Record the transaction sent on a leased lane
+   */
+  markPending(nonceKey, txHash) {
+    this._update(nonceKey, lease => ({ ...lease, txHash, sentAt: Date.now() }));
+  }
+
+  /**
+   * Free a lane once its transaction is mined, or was never sent
+   */
+  release(nonceKey) {
+    this._update(nonceKey, () => null);
+    this.waiters.splice(0).forEach(wake => wake());
+  }
+
+  /**
+   * Free lanes leased longer than `stuckAfterMs` whose transaction is no
+   * longer pending: the lane nonce moved on (mined or replaced), the node
+   * no longer knows the tx (dropped), or the lease never got a nonce.
+   * Returns the number of lanes recovered.
+   */
+  async recoverStuckLanes() {
+    const now = Date.now();
+    const stale = Object.entries(this._withLock(() => this._read().lanes))
+      .filter(([, lease]) => now - lease.leasedAt > this.stuckAfterMs);
+
+    let recovered = 0;
+    for (const [key, lease] of stale) {
+      const nonceKey = BigInt(key);
+      if (!(await this._isSettled(nonceKey, lease))) continue;
+
+      // Only drop the lease we inspected, not a newer one
+      const dropped = this._withLock(() => {
+        const state = this._read();
+        if (state.lanes[key]?.leasedAt !== lease.leasedAt) return false;
+        delete state.lanes[key];
+        this._write(state);
+        return true;
+      });
+
+      if (dropped) {
+        recovered++;
+        console.warn(`♻️  Recovered nonce lane ${nonceKey}${lease.txHash ? ` (tx ${lease.txHash})` : ''}`);
+      }
+    }
+
+    if (recovered > 0) this.waiters.splice(0).forEach(wake => wake());
+    return recovered;
+  }
+
+  /**
+   * Lanes currently leased, for stats and debugging
+   */
+  pending() {
+    return Object.entries(this._withLock(() => this._read().lanes))
+      .map(([nonceKey, lease]) => ({ nonceKey, ...lease }));
+  }
+
+  async _isSettled(nonceKey, lease) {
+    if (lease.nonce === null) return true;
+
+    const nonce = await this.client.nonce.getNonce({ account: this.address, nonceKey });
+    if (nonce > BigInt(lease.nonce)) return true;
+    // Sent or not, only the nonce moving on tells: a tx may be in flight
+    if (!lease.txHash) return false;
+
+    try {
+      await getTransaction(this.client, { hash: lease.txHash });
+      return false;
+    } catch (error) {
+      if (error.name === 'TransactionNotFoundError') return true;
+      throw error;
+    }
+  }
+
+  _tryLease() {
+    return this._withLock(() => {
+      const state = this._read();
+
+      for (let i = 1n; i <= BigInt(this.maxLanes); i++) {
+        const nonceKey = this.laneOffset + i;
+        if (state.lanes[nonceKey.toString()]) continue;
+
+        state.lanes[nonceKey.toString()] = {
+          session: this.session,
+          leasedAt: Date.now(),
+          nonce: null,
+          txHash: null,
+        };
+        this._write(state);
+        return nonceKey;
+      }
+
+      return null;
+    });
+  }
+
+  _update(nonceKey, change) {
+    this._withLock(() => {
+      const state = this._read();
+      const key = nonceKey.toString();
+      const lease = change(state.lanes[key]);
+
+      if (lease) {
+        state.lanes[key] = lease;
+      } else {
+        delete state.lanes[key];
+      }
+      this._write(state);
+    });
+  }
+
+  _read() {
+    if (!existsSync(this.statePath)) {
+      return { version: 1, address: this.address, lanes: {} };
+    }
+    return JSON.parse(readFileSync(this.statePath, 'utf8'));
+  }
+
+  _write(state) {
+    // Write then rename so readers never see a partial file
+    const tmpPath = `${this.statePath}.${process.pid}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    renameSync(tmpPath, this.statePath);
+  }
+
+  /**
+   * Run `fn` holding the state file lock
+   */
+  _withLock(fn) {
+    return withFileLock(this.lockPath, fn);
+  }
+}
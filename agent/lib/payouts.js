@@ -0,0 +1,28 @@
+/**
+ * Revenue splits (client side)
+ *
+ * Publishers split a payment between the content's payees and an optional
+ * platform fee. GET /api/content, manifests and 402 requirements list the
+ * split as `payouts` ({ address, amount }); a direct payment sends each
+ * one a transferWithMemo carrying the same memo.
+ */
+
+/**
+ * Payouts of a `price` owed to `owner`: the publisher's `payouts` when
+ * given, else the whole price to the owner
+ *
+ * Throws if the payouts do not add up to the price, so a split can never
+ * make the agent pay more than it was quoted.
+ */
+export function resolvePayouts({ payouts, owner, price }) {
+  if (!payouts?.length) {
+    return [{ address: owner, amount: price }];
+  }
+
+  const resolved = payouts.map(({ address, amount }) => ({ address, amount: BigInt(amount) }));
+  const total = resolved.reduce((sum, payout) => sum + payout.amount, BigInt(0));
+  if (total !== price) {
+    throw new Error(`Payouts add up to $${Number(total) / 1e6}, not the $${Number(price) / 1e6} price`);
+  }
+  return resolved;
+}
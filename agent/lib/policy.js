@@ -0,0 +1,252 @@
+import { appendFileSync, mkdirSync, readFileSync } from 'fs';
+import { createRequire } from 'module';
+import { dirname, extname } from 'path';
+import { randomBytes } from 'crypto';
+import { isAddress, parseUnits } from 'viem';
+
+/**
+ * Declarative purchase policies for the agent
+ *
+ * A policy is a JSON or YAML document; amounts are in dollars:
+ *
+ *   publishers:
+ *     allow: [0x…]          # only buy from these (optional)
+ *     deny: [0x…]           # never buy from these
+ *   domains:
+ *     example.com: { maxPrice: "0.10" }   # also covers *.example.com
+ *     "*": { maxPrice: "1.00" }           # any other domain
+ *   maxSpendPerHour: "5.00"              # rolling 60 minutes
+ *   requireApprovalAbove: "2.00"         # a human must approve pricier items
+ *
+ * Every evaluation yields a decision record listing each rule checked, so
+ * a denial can always be explained.
+ */
+
+export const HOUR_MS = 60 * 60 * 1000;
+
+// Token decimals the policy's dollar amounts are converted with
+const USD_DECIMALS = 6;
+
+/**
+ * Error raised when the policy denies a purchase
+ */
+export class PolicyDeniedError extends Error {
+  constructor(decision) {
+    super(decision.reason);
+    this.name = 'PolicyDeniedError';
+    this.decision = decision;
+  }
+}
+
+/**
+ * Read a policy from a .json, .yaml or .yml file
+ */
+export function loadPolicyFile(path) {
+  const text = readFileSync(path, 'utf8');
+  const ext = extname(path).toLowerCase();
+
+  if (ext === '.yaml' || ext === '.yml') {
+    // Only YAML policies need the parser
+    const { parse } = createRequire(import.meta.url)('yaml');
+    return new PurchasePolicy(parse(text));
+  }
+  return new PurchasePolicy(JSON.parse(text));
+}
+
+export class PurchasePolicy {
+  constructor(rules = {}) {
+    const { publishers = {}, domains = {}, maxSpendPerHour = null, requireApprovalAbove = null } = rules ?? {};
+
+    this.allow = publishers.allow ? addressSet(publishers.allow, 'publishers.allow') : null;
+    this.deny = addressSet(publishers.deny || [], 'publishers.deny');
+
+    // Longest domain first, so the most specific ceiling wins
+    this.domains = Object.entries(domains)
+      .map(([domain, rule]) => ({
+        domain: domain.toLowerCase(),
+        maxPrice: parseUsd(rule?.maxPrice, `domains.${domain}.maxPrice`),
+      }))
+      .sort((a, b) => b.domain.length - a.domain.length);
+
+    this.maxSpendPerHour = maxSpendPerHour === null ? null : parseUsd(maxSpendPerHour, 'maxSpendPerHour');
+    this.requireApprovalAbove = requireApprovalAbove === null
+      ? null
+      : parseUsd(requireApprovalAbove, 'requireApprovalAbove');
+  }
+
+  /**
+   * Decide on a group of purchases made together
+   *
+   * Items are { contentHash, price, publisher, domain, approvedPrice }, the
+   * last set when an operator approved the item at that quote.
+   * `spentLastHour` is what the agent spent in the past hour; allowed items
+   * count towards the hourly cap of the items after them. Returns one
+   * decision per item: `allow`, `deny` or `approval` (a human must approve
+   * it first).
+   */
+  evaluate(items, { action, task = null, spentLastHour = BigInt(0) }) {
+    let hourly = spentLastHour;
+
+    return items.map(item => {
+      const checks = this._check(item, hourly);
+      const failed = checks.find(check => check.result === 'fail');
+      const needsApproval = checks.find(check => check.result === 'approval');
+      const outcome = failed ? 'deny' : needsApproval ? 'approval' : 'allow';
+
+      if (outcome === 'allow') hourly += item.price;
+
+      return {
+        id: randomBytes(8).toString('hex'),
+        at: Date.now(),
+        action,
+        task,
+        contentHash: item.contentHash,
+        publisher: item.publisher ?? null,
+        domain: item.domain ?? null,
+        price: item.price.toString(),
+        outcome,
+        reason: (failed || needsApproval)?.detail ??
+          (checks.length > 0 ? 'All policy rules passed' : 'No policy rules apply'),
+        checks,
+      };
+    });
+  }
+
+  _check({ price, publisher, domain, approvedPrice = null }, spentLastHour) {
+    const checks = [];
+    const owner = publisher?.toLowerCase();
+
+    if (this.deny.size > 0) {
+      const denied = this.deny.has(owner);
+      checks.push({
+        rule: 'publishers.deny',
+        result: denied ? 'fail' : 'pass',
+        detail: denied ? `Publisher ${publisher} is on the deny list` : 'Publisher not on the deny list',
+      });
+    }
+
+    if (this.allow) {
+      const allowed = this.allow.has(owner);
+      checks.push({
+        rule: 'publishers.allow',
+        result: allowed ? 'pass' : 'fail',
+        detail: allowed ? 'Publisher is on the allow list' : `Publisher ${publisher} is not on the allow list`,
+      });
+    }
+
+    const ceiling = domain ? this._ceilingFor(domain) : null;
+    if (ceiling) {
+      const over = price > ceiling.maxPrice;
+      checks.push({
+        rule: `domains.${ceiling.domain}.maxPrice`,
+        result: over ? 'fail' : 'pass',
+        detail: `Price $${formatUsd(price)} ${over ? 'exceeds' : 'within'} the $${formatUsd(ceiling.maxPrice)} ceiling for ${domain}`,
+      });
+    }
+
+    if (this.maxSpendPerHour !== null) {
+      const over = spentLastHour + price > this.maxSpendPerHour;
+      checks.push({
+        rule: 'maxSpendPerHour',
+        result: over ? 'fail' : 'pass',
+        detail: `Spent $${formatUsd(spentLastHour)} in the last hour; $${formatUsd(price)} more ${over ? 'exceeds' : 'fits'} the $${formatUsd(this.maxSpendPerHour)} cap`,
+      });
+    }
+
+    // An approval only covers the quote the operator saw
+    if (approvedPrice !== null) {
+      const raised = price > approvedPrice;
+      checks.push({
+        rule: 'approval.quote',
+        result: raised ? 'fail' : 'pass',
+        detail: raised
+          ? `Price rose to $${formatUsd(price)} from the $${formatUsd(approvedPrice)} approved`
+          : `Price $${formatUsd(price)} within the $${formatUsd(approvedPrice)} approved`,
+      });
+    }
+
+    if (this.requireApprovalAbove !== null) {
+      const above = price > this.requireApprovalAbove;
+      checks.push({
+        rule: 'requireApprovalAbove',
+        result: above && approvedPrice === null ? 'approval' : 'pass',
+        detail: !above
+          ? `Price $${formatUsd(price)} needs no approval`
+          : approvedPrice === null
+            ? `Price $${formatUsd(price)} is above $${formatUsd(this.requireApprovalAbove)} and needs human approval`
+            : `Price $${formatUsd(price)} is above $${formatUsd(this.requireApprovalAbove)} and was approved`,
+      });
+    }
+
+    return checks;
+  }
+
+  _ceilingFor(domain) {
+    const host = domain.toLowerCase();
+    return this.domains.find(rule =>
+      rule.domain === '*' || host === rule.domain || host.endsWith(`.${rule.domain}`)
+    ) ?? null;
+  }
+}
+
+/**
+ * Append-only JSON-lines log of policy decisions
+ */
+export class DecisionLog {
+  constructor({ path, keep = 100 }) {
+    this.path = path;
+    this.keep = keep;
+    this.decisions = [];
+
+    mkdirSync(dirname(path), { recursive: true });
+  }
+
+  record(decision) {
+    appendFileSync(this.path, JSON.stringify(decision) + '\n');
+    this.decisions.push(decision);
+    if (this.decisions.length > this.keep) this.decisions.shift();
+  }
+
+  /**
+   * Latest decisions made by this process, oldest first
+   */
+  recent(limit = 10) {
+    return this.decisions.slice(-limit);
+  }
+}
+
+/**
+ * Host of an http(s) URL, or null for other URIs (ipfs://, ar://, …)
+ */
+export function domainOf(uri) {
+  try {
+    const url = new URL(uri);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.hostname : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function addressSet(addresses, field) {
+  if (!Array.isArray(addresses)) {
+    throw new Error(`Policy ${field} must be a list of addresses`);
+  }
+
+  for (const address of addresses) {
+    if (!isAddress(address, { strict: false })) {
+      throw new Error(`Policy ${field} has invalid address ${address}`);
+    }
+  }
+  return new Set(addresses.map(address => address.toLowerCase()));
+}
+
+function parseUsd(value, field) {
+  if (!/^\d+(\.\d{1,6})?$/.test(String(value))) {
+    throw new Error(`Policy ${field} must be a dollar amount, got ${value}`);
+  }
+  return parseUnits(String(value), USD_DECIMALS);
+}
+
+function formatUsd(amount) {
+  return Number(amount) / 1e6;
+}
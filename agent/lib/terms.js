@@ -0,0 +1,70 @@
+/**
+ * License terms (client side)
+ *
+ * Mirrors backend/lib/terms.js: content sells licenses on one or more
+ * terms { id, kind, usage, durationSeconds, price, payouts }, listed by
+ * GET /api/content and manifests. kind is 'timed', 'request' (one fetch)
+ * or 'perpetual'; usage is 'any', 'retrieval' or 'training'. The memo of
+ * a payment names the term id it buys.
+ */
+
+export const LICENSE_USAGES = ['any', 'retrieval', 'training'];
+
+const DEFAULT_LICENSE_DURATION_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Terms `content` sells licenses on (one 30-day license for any use when
+ * the publisher lists none)
+ */
+export function contentTerms(content) {
+  if (content.terms?.length) return content.terms;
+  return [{
+    id: 0,
+    kind: 'timed',
+    usage: 'any',
+    durationSeconds: DEFAULT_LICENSE_DURATION_SECONDS,
+    price: content.price,
+    payouts: content.payouts,
+  }];
+}
+
+/**
+ * Whether a license for `licensed` use may be used for `requested` use
+ */
+export function usageCovers(licensed, requested) {
+  return licensed === 'any' || licensed === requested;
+}
+
+/**
+ * Terms to buy `content` on: the term with id `term` when given, else the
+ * cheapest covering `usage`
+ */
+export function chooseTerm(content, { term, usage = 'any' } = {}) {
+  const terms = contentTerms(content);
+
+  if (term !== undefined && term !== null) {
+    const chosen = terms.find(option => option.id === Number(term));
+    if (!chosen) {
+      throw new Error(`Content ${content.contentHash} has no license terms ${term}`);
+    }
+    return chosen;
+  }
+
+  const covering = terms.filter(option => usageCovers(option.usage, usage));
+  if (covering.length === 0) {
+    throw new Error(`Content ${content.contentHash} is not licensed for ${usage} use`);
+  }
+  return covering.reduce((best, option) => (BigInt(option.price) < BigInt(best.price) ? option : best));
+}
+
+/**
+ * One-line description of a term, e.g. "#1 30-day retrieval license"
+ */
+export function describeTerm(term) {
+  const length = {
+    timed: `${Math.round(term.durationSeconds / 86400 * 100) / 100}-day`,
+    request: 'per-request',
+    perpetual: 'perpetual',
+  }[term.kind] ?? term.kind;
+  return `#${term.id} ${length} ${term.usage === 'any' ? 'any-use' : term.usage} license`;
+}
@@ -0,0 +1,87 @@
+import { isAddress, isAddressEqual } from 'viem';
+
+/**
+ * TIP-20 stablecoins on Tempo (client side)
+ *
+ * Mirrors STABLECOINS in backend/lib/chain.js. All are USD stablecoins
+ * with 6 decimals, so a price quoted in one can be paid in another at par
+ * wherever the publisher accepts it.
+ */
+
+export const STABLECOINS = [
+  { name: 'alphaUsd', symbol: 'AlphaUSD', address: '0x20c0000000000000000000000000000000000001' },
+  { name: 'betaUsd', symbol: 'BetaUSD', address: '0x20c0000000000000000000000000000000000002' },
+  { name: 'pathUsd', symbol: 'pathUSD', address: '0x20c0000000000000000000000000000000000000' },
+];
+
+// Pricing token of content that names none
+export const DEFAULT_TOKEN = STABLECOINS[0].address;
+
+/**
+ * Stablecoin by name (alphaUsd), symbol (AlphaUSD) or address, else null
+ */
+export function findStablecoin(value) {
+  if (!value) return null;
+  if (isAddress(value)) {
+    return STABLECOINS.find(coin => isAddressEqual(coin.address, value)) ?? null;
+  }
+  const key = String(value).toLowerCase();
+  return STABLECOINS.find(coin => coin.name.toLowerCase() === key || coin.symbol.toLowerCase() === key) ?? null;
+}
+
+/**
+ * Symbol of a token address (the address itself for unknown tokens)
+ */
+export function tokenSymbol(address) {
+  return findStablecoin(address)?.symbol ?? address;
+}
+
+/**
+ * Token addresses from names, symbols or addresses (an array or a
+ * comma-separated string); every stablecoin when empty
+ */
+export function parseTokenList(list) {
+  const entries = typeof list === 'string' ? list.split(',') : list || [];
+  const tokens = entries.map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const coin = findStablecoin(entry);
+    if (!coin) throw new Error(`Unknown stablecoin ${entry}`);
+    return coin.address;
+  });
+  return tokens.length > 0 ? tokens : STABLECOINS.map(coin => coin.address);
+}
+
+/**
+ * Pick the token each payment is made in
+ *
+ * `payments` are { amount, accepts } with `accepts` the tokens the
+ * publisher takes, pricing token first. Each payment uses the first
+ * accepted token among `tokens` (the ones the agent holds) with enough of
+ * `balances` (lowercase address -> amount) left after the payments before
+ * it. Returns one token address per payment; throws if one cannot be paid.
+ */
+export function assignTokens(payments, { tokens, balances }) {
+  const remaining = new Map(balances);
+
+  return payments.map(({ amount, accepts }) => {
+    const usable = accepts.filter(token => tokens.some(held => isAddressEqual(held, token)));
+    if (usable.length === 0) {
+      throw new Error(`Payment accepted only in ${accepts.map(tokenSymbol).join(', ')}, which this agent does not hold`);
+    }
+
+    const token = usable.find(candidate => (remaining.get(candidate.toLowerCase()) ?? BigInt(0)) >= amount);
+    if (!token) {
+      throw new Error(`Insufficient balance for $${Number(amount) / 1e6} in ${usable.map(tokenSymbol).join(', ')}`);
+    }
+
+    remaining.set(token.toLowerCase(), remaining.get(token.toLowerCase()) - amount);
+    return token;
+  });
+}
+
+/**
+ * Tokens content from GET /api/content (or a manifest) can be paid in,
+ * pricing token first
+ */
+export function acceptedTokens(content) {
+  return content.acceptedTokens?.length ? content.acceptedTokens : [content.token || DEFAULT_TOKEN];
+}
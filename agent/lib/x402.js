@@ -0,0 +1,47 @@
+/**
+ * HTTP 402 payment protocol (client side)
+ *
+ * Mirrors backend/lib/x402.js: a 402 response carries a PAYMENT-REQUIRED
+ * header (base64 JSON requirements); the client pays on-chain and retries
+ * with an X-PAYMENT header holding a signed proof of that payment.
+ */
+
+export const X402_VERSION = 1;
+export const PAYMENT_SCHEME = 'tempo-tip20-memo';
+export const PAYMENT_REQUIRED_HEADER = 'payment-required';
+export const PAYMENT_HEADER = 'X-PAYMENT';
+export const PAYMENT_RESPONSE_HEADER = 'x-payment-response';
+
+/**
+ * Encode a header value as base64 JSON (BigInt-safe)
+ */
+export function encodePaymentHeader(value) {
+  const json = JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v));
+  return Buffer.from(json).toString('base64');
+}
+
+/**
+ * Decode a base64 JSON header value, returns null when missing or malformed
+ */
+export function decodePaymentHeader(header) {
+  if (!header) return null;
+  try {
+    return JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Message the payer signs to prove it sent the payment
+ */
+export function paymentProofMessage({ chainId, contentHash, txHash, memo, timestamp }) {
+  return [
+    'OpenPayAI payment',
+    `chainId:${chainId}`,
+    `contentHash:${contentHash}`,
+    `txHash:${txHash}`,
+    `memo:${memo}`,
+    `timestamp:${timestamp}`,
+  ].join('\n');
+}
@@ -0,0 +1,88 @@
+import { userInfo } from 'os';
+import { join } from 'path';
+import dotenv from 'dotenv';
+import { ApprovalQueue } from '../lib/approvals.js';
+
+/**
+ * Review purchases agents parked for human approval
+ *
+ *   npm run approvals -- list [--all]
+ *   npm run approvals -- show <id>
+ *   npm run approvals -- approve <id> [--by <name>] [--note <text>]
+ *   npm run approvals -- reject <id> [--by <name>] [--note <text>]
+ *
+ * Works on AGENT_DATA_DIR/approvals.jsonl, the queue agents on this
+ * machine share. Every decision is appended there with the operator's
+ * name (default: the OS user).
+ */
+
+dotenv.config();
+
+const [command = 'list', ...rest] = process.argv.slice(2);
+const args = rest.filter(arg => !arg.startsWith('--'));
+const flag = name => {
+  const index = rest.indexOf(`--${name}`);
+  return index === -1 ? undefined : rest[index + 1] ?? true;
+};
+
+const queue = new ApprovalQueue({ path: join(process.env.AGENT_DATA_DIR || './data', 'approvals.jsonl') });
+
+function describe(approval) {
+  const lines = [
+    `${approval.id}  ${approval.status.toUpperCase()}  $${Number(approval.price) / 1e6}  ${approval.contentHash ?? `${approval.action} to ${approval.publisher}`}`,
+    `   Agent: ${approval.agent} (${approval.action}${approval.task ? `, task ${approval.task}` : ''})`,
+    `   Publisher: ${approval.publisher ?? 'unknown'}${approval.domain ? ` on ${approval.domain}` : ''}`,
+    `   Reason: ${approval.reason}`,
+    `   Expires: ${new Date(approval.expiresAt).toISOString()}`,
+  ];
+  if (approval.url) lines.push(`   URL: ${approval.url}`);
+  if (approval.decidedBy) lines.push(`   Decided by: ${approval.decidedBy}${approval.note ? ` (${approval.note})` : ''}`);
+  return lines.join('\n');
+}
+
+try {
+  switch (command) {
+    case 'list': {
+      queue.expireStale();
+      const approvals = queue.list(flag('all') ? {} : { status: 'pending' });
+      if (approvals.length === 0) {
+        console.log('ℹ️  No approvals waiting');
+      }
+      approvals.forEach(approval => console.log(describe(approval) + '\n'));
+      break;
+    }
+
+    case 'show': {
+      const approval = queue.get(args[0]);
+      if (!approval) throw new Error(`Unknown approval ${args[0]}`);
+
+      console.log(describe(approval));
+      console.log('   Audit trail:');
+      for (const event of approval.history) {
+        let details = '';
+        if (event.by) details = ` by ${event.by}`;
+        if (event.txHash) details = ` ${event.txHash}`;
+        if (event.type === 'aborted') details = `: ${event.reason}`;
+        console.log(`   - ${new Date(event.at).toISOString()} ${event.type}${details}`);
+      }
+      break;
+    }
+
+    case 'approve':
+    case 'reject': {
+      const decide = command === 'approve' ? queue.approve : queue.reject;
+      const by = typeof flag('by') === 'string' ? flag('by') : userInfo().username;
+      const note = typeof flag('note') === 'string' ? flag('note') : null;
+
+      const approval = decide.call(queue, args[0], { by, note });
+      console.log(`${command === 'approve' ? '✅' : '🚫'} ${approval.id} ${approval.status} by ${by}`);
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command ${command} (list, show, approve, reject)`);
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
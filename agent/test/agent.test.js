@@ -0,0 +1,246 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import {
+  createClient,
+  custom,
+  decodeFunctionData,
+  encodeAbiParameters,
+  encodeEventTopics,
+  encodeFunctionResult,
+  getAddress,
+  keccak256,
+  parseAbi,
+  stringToHex,
+} from 'viem';
+import { tempoModerato } from 'viem/chains';
+import { Abis } from 'viem/tempo';
+import { STABLECOINS } from '../lib/tokens.js';
+
+const CONTRACT = getAddress('0x00000000000000000000000000000000000c0de1');
+const AGENT_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const [ALPHA, BETA] = STABLECOINS.map(coin => coin.address);
+const ALICE = getAddress('0x000000000000000000000000000000000000a11c');
+const BOB = getAddress('0x0000000000000000000000000000000000000b0b');
+const CAROL = getAddress('0x00000000000000000000000000000000000ca201');
+
+const CONTRACT_ABI = parseAbi([
+  'function purchaseBatchLicense(bytes32[] contentHashes, uint8[] termIds, bytes32[] memos)',
+]);
+const TRANSFER_WITH_MEMO = Abis.tip20.find(item => item.type === 'event' && item.name === 'TransferWithMemo');
+const ALLOWANCE = Abis.tip20.filter(item => item.name === 'allowance');
+
+// The agent reads CONTRACT_ADDRESS and its data directory when imported
+const dataDir = mkdtempSync(join(tmpdir(), 'openpayai-agent-'));
+process.env.CONTRACT_ADDRESS = CONTRACT;
+process.env.AGENT_DATA_DIR = dataDir;
+const { default: OpenPayAIAgent } = await import('../agent.js');
+
+const memo = label => stringToHex(label, { size: 32 });
+
+function item({ label, price, token = ALPHA, termId = 0, payouts }) {
+  return {
+    hash: keccak256(stringToHex(label)),
+    price,
+    token,
+    termId,
+    payouts: payouts ?? [{ address: ALICE, amount: price }],
+    memo: memo(label),
+  };
+}
+
+// A TransferWithMemo log as the token contract emits it
+function transferLog({ token = ALPHA, from, to, amount, memo }) {
+  return {
+    address: token,
+    topics: encodeEventTopics({ abi: [TRANSFER_WITH_MEMO], eventName: 'TransferWithMemo', args: { from, to, memo } }),
+    data: encodeAbiParameters([{ type: 'uint256' }], [amount]),
+  };
+}
+
+describe('OpenPayAIAgent contract payments', () => {
+  let agent;
+  let allowances;
+  let rpcCalls;
+
+  before(() => {
+    agent = new OpenPayAIAgent(AGENT_KEY, {
+      ledgerPath: join(dataDir, 'ledger.jsonl'),
+      nonceStatePath: join(dataDir, 'nonces.json'),
+      decisionLogPath: join(dataDir, 'decisions.jsonl'),
+      approvalsPath: join(dataDir, 'approvals.jsonl'),
+    });
+
+    // Answers allowance reads from `allowances` (token -> amount)
+    agent.client = createClient({
+      chain: tempoModerato,
+      transport: custom({
+        async request({ method, params }) {
+          rpcCalls.push(method);
+          if (method !== 'eth_call') throw new Error(`Unexpected RPC ${method}`);
+
+          const [{ to, data }] = params;
+          const { functionName, args } = decodeFunctionData({ abi: ALLOWANCE, data });
+          assert.equal(functionName, 'allowance');
+          assert.deepEqual(args, [agent.address, CONTRACT]);
+          return encodeFunctionResult({ abi: ALLOWANCE, functionName, result: allowances.get(to.toLowerCase()) ?? 0n });
+        },
+      }),
+    });
+  });
+
+  beforeEach(() => {
+    allowances = new Map();
+    rpcCalls = [];
+    agent.getContractLimit = async () => ({ limited: false });
+  });
+
+  after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+  describe('_encodeTransferCall', () => {
+    it('encodes a TIP-20 transferWithMemo', () => {
+      const data = agent._encodeTransferCall(ALICE, 1_500_000n, memo('a'));
+
+      const { functionName, args } = decodeFunctionData({ abi: Abis.tip20, data });
+      assert.equal(functionName, 'transferWithMemo');
+      assert.deepEqual(args, [ALICE, 1_500_000n, memo('a')]);
+    });
+  });
+
+  describe('_buildContractBatchCalls', () => {
+    it('calls purchaseBatchLicense alone when the allowance covers the batch', async () => {
+      const items = [item({ label: 'a', price: 10_000n }), item({ label: 'b', price: 20_000n, termId: 2 })];
+      allowances.set(ALPHA.toLowerCase(), 30_000n);
+
+      const calls = await agent._buildContractBatchCalls(items, items.map(info => info.memo));
+
+      assert.equal(calls.length, 1);
+      assert.equal(calls[0].to, CONTRACT);
+      const { functionName, args } = decodeFunctionData({ abi: CONTRACT_ABI, data: calls[0].data });
+      assert.equal(functionName, 'purchaseBatchLicense');
+      assert.deepEqual(args, [items.map(info => info.hash), [0, 2], items.map(info => info.memo)]);
+    });
+
+    it('approves each token whose allowance falls short of its total first', async () => {
+      const items = [
+        item({ label: 'a', price: 10_000n }),
+        item({ label: 'b', price: 20_000n, token: BETA }),
+        item({ label: 'c', price: 5_000n, token: BETA }),
+      ];
+      allowances.set(ALPHA.toLowerCase(), 10_000n);
+      allowances.set(BETA.toLowerCase(), 20_000n);
+
+      const calls = await agent._buildContractBatchCalls(items, items.map(info => info.memo));
+
+      assert.equal(calls.length, 2);
+      assert.equal(calls[0].to, BETA);
+      const approval = decodeFunctionData({ abi: Abis.tip20, data: calls[0].data });
+      assert.equal(approval.functionName, 'approve');
+      assert.deepEqual(approval.args, [CONTRACT, 25_000n]);
+      assert.equal(calls[1].to, CONTRACT);
+    });
+
+    it('refuses a batch over the contract daily limit before any call', async () => {
+      agent.getContractLimit = async () => ({ limited: true, remaining: '15000', resetsAt: 1_800_000_000 });
+      const items = [item({ label: 'a', price: 10_000n }), item({ label: 'b', price: 10_000n })];
+
+      await assert.rejects(
+        agent._buildContractBatchCalls(items, items.map(info => info.memo)),
+        /exceeds the contract daily limit/
+      );
+      assert.deepEqual(rpcCalls, []);
+    });
+
+    it('allows a batch within the contract daily limit', async () => {
+      agent.getContractLimit = async () => ({ limited: true, remaining: '20000', resetsAt: 1_800_000_000 });
+      allowances.set(ALPHA.toLowerCase(), 20_000n);
+      const items = [item({ label: 'a', price: 10_000n }), item({ label: 'b', price: 10_000n })];
+
+      const calls = await agent._buildContractBatchCalls(items, items.map(info => info.memo));
+      assert.equal(calls.length, 1);
+    });
+
+    it('refuses batches larger than the contract accepts', async () => {
+      const items = Array.from({ length: 51 }, (_, i) => item({ label: `item-${i}`, price: 1n }));
+
+      await assert.rejects(
+        agent._buildContractBatchCalls(items, items.map(info => info.memo)),
+        /limited to 50 items/
+      );
+    });
+  });
+
+  describe('_assertOwnersPaid', () => {
+    const split = item({
+      label: 'split',
+      price: 30_000n,
+      payouts: [{ address: ALICE, amount: 20_000n }, { address: CAROL, amount: 10_000n }],
+    });
+    const single = item({ label: 'single', price: 10_000n, token: BETA, payouts: [{ address: BOB, amount: 10_000n }] });
+    const items = [split, single];
+    const memos = items.map(info => info.memo);
+
+    const paid = (info, payout, overrides = {}) => transferLog({
+      token: info.token,
+      from: agent.address,
+      to: payout.address,
+      amount: payout.amount,
+      memo: info.memo,
+      ...overrides,
+    });
+
+    it('accepts a receipt paying every payee of every item', () => {
+      const logs = items.flatMap(info => info.payouts.map(payout => paid(info, payout)));
+      assert.doesNotThrow(() => agent._assertOwnersPaid({ logs }, items, memos, 'transfers'));
+    });
+
+    it('throws when one owner in the batch was left unpaid', () => {
+      const logs = split.payouts.map(payout => paid(split, payout));
+
+      assert.throws(
+        () => agent._assertOwnersPaid({ logs }, items, memos, 'transfers'),
+        new RegExp(`did not pay ${BOB} for ${single.hash}`)
+      );
+    });
+
+    it('throws when one payee of a split was left unpaid', () => {
+      const logs = [paid(split, split.payouts[0]), paid(single, single.payouts[0])];
+
+      assert.throws(
+        () => agent._assertOwnersPaid({ logs }, items, memos, 'transfers'),
+        new RegExp(`did not pay ${CAROL} for ${split.hash}`)
+      );
+    });
+
+    it('ignores transfers with the wrong amount, memo, token or sender', () => {
+      const payout = single.payouts[0];
+      for (const overrides of [
+        { amount: 9_999n },
+        { memo: memo('other') },
+        { token: ALPHA },
+        { from: ALICE },
+      ]) {
+        const logs = [...split.payouts.map(p => paid(split, p)), paid(single, payout, overrides)];
+        assert.throws(() => agent._assertOwnersPaid({ logs }, items, memos, 'transfers'), /did not pay/);
+      }
+    });
+
+    it('expects each full price in the contract escrow in contract mode', () => {
+      const escrowed = info => transferLog({
+        token: info.token,
+        from: agent.address,
+        to: CONTRACT,
+        amount: info.price,
+        memo: info.memo,
+      });
+
+      assert.doesNotThrow(() => agent._assertOwnersPaid({ logs: items.map(escrowed) }, items, memos, 'contract'));
+      assert.throws(
+        () => agent._assertOwnersPaid({ logs: [escrowed(split)] }, items, memos, 'contract'),
+        new RegExp(`did not pay ${CONTRACT} for ${single.hash}`)
+      );
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { after, beforeEach, describe, it } from 'node:test';
+import { getAddress } from 'viem';
+import { STABLECOINS } from '../lib/tokens.js';
+
+const AGENT_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const CONTENT = `0x${'c0'.repeat(32)}`;
+const ALICE = getAddress('0x000000000000000000000000000000000000a11c');
+const [ALPHA, BETA] = STABLECOINS.map(coin => coin.address);
+
+// The agent reads its data directory when imported
+const dataDir = mkdtempSync(join(tmpdir(), 'openpayai-cli-'));
+process.env.AGENT_DATA_DIR = dataDir;
+const { default: OpenPayAIAgent } = await import('../agent.js');
+const { EXIT_OK, EXIT_USAGE, runCli } = await import('../lib/cli.js');
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+describe('agent CLI purchase --dry-run', () => {
+  let previews;
+
+  // Stands in for OpenPayAIAgent, recording what it was asked to preview
+  class PreviewAgent {
+    async init() {
+      return this;
+    }
+
+    async previewPurchase(contentHashes, options) {
+      previews.push({ contentHashes, options });
+      return { items: [], total: 0n, purchasable: 0, budget: { ok: true } };
+    }
+  }
+
+  const run = argv => runCli(argv, PreviewAgent, { env: { AGENT_PRIVATE_KEY: AGENT_KEY } });
+
+  beforeEach(() => {
+    previews = [];
+  });
+
+  it('rejects a bad --term or --mode before previewing', async () => {
+    assert.equal(await run(['purchase', CONTENT, '--dry-run', '--term', 'cheap']), EXIT_USAGE);
+    assert.equal(await run(['purchase', CONTENT, '--dry-run', '--mode', 'escrow']), EXIT_USAGE);
+    assert.equal(await run(['batch', CONTENT, '--dry-run', '--mode', 'escrow']), EXIT_USAGE);
+    assert.deepEqual(previews, []);
+  });
+
+  it('previews the term and mode the purchase would use', async () => {
+    assert.equal(await run(['purchase', CONTENT, '--dry-run', '--term', '2', '--mode', 'contract']), EXIT_OK);
+
+    const [{ contentHashes, options }] = previews;
+    assert.deepEqual(contentHashes, [CONTENT]);
+    assert.equal(options.term, '2');
+    assert.equal(options.batchMode, 'contract');
+  });
+});
+
+describe('OpenPayAIAgent.previewPurchase', () => {
+  const agent = new OpenPayAIAgent(AGENT_KEY, {
+    ledgerPath: join(dataDir, 'ledger.jsonl'),
+    nonceStatePath: join(dataDir, 'nonces.json'),
+    decisionLogPath: join(dataDir, 'decisions.jsonl'),
+    approvalsPath: join(dataDir, 'approvals.jsonl'),
+  });
+
+  // Priced in BETA, also accepting ALPHA; term 1 is a cheaper per-request license
+  agent.checkContent = async contentHash => ({
+    contentHash,
+    contentOwner: ALICE,
+    contentURI: 'https://example.com/a',
+    price: '50000',
+    token: BETA,
+    acceptedTokens: [BETA, ALPHA],
+    terms: [
+      { id: 0, kind: 'timed', usage: 'any', durationSeconds: 86_400, price: '50000' },
+      { id: 1, kind: 'request', usage: 'any', durationSeconds: 0, price: '20000' },
+    ],
+  });
+  agent.hasLicense = async () => false;
+  agent._chooseTokens = async payments => payments.map(payment => payment.accepts.at(-1));
+
+  it('prices the requested term and pays contract purchases in the pricing token', async () => {
+    const { items: [byTerm] } = await agent.previewPurchase([CONTENT], { term: 0 });
+    assert.equal(byTerm.termId, 0);
+    assert.equal(byTerm.price, 50_000n);
+    assert.equal(byTerm.token, ALPHA);
+
+    const { items: [viaContract] } = await agent.previewPurchase([CONTENT], { batchMode: 'contract' });
+    assert.equal(viaContract.termId, 1);
+    assert.equal(viaContract.token, BETA);
+  });
+});
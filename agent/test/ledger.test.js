@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import { appendFileSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { after, describe, it } from 'node:test';
+import { BudgetExceededError, Budgets } from '../lib/budgets.js';
+import { SpendingLedger } from '../lib/ledger.js';
+
+const AGENT_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const TOKEN = '0x20c0000000000000000000000000000000000001';
+const ALICE = '0x000000000000000000000000000000000000a11c';
+
+const dataDir = mkdtempSync(join(tmpdir(), 'openpayai-ledger-'));
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+let files = 0;
+const ledgerPath = () => join(dataDir, `ledger-${files++}.jsonl`);
+
+const payment = (amount, extra = {}) => ({
+  amount,
+  token: TOKEN,
+  contentHash: `0x${'c0'.repeat(32)}`,
+  memo: `0x${'4c'.repeat(32)}`,
+  publisher: ALICE,
+  ...extra,
+});
+
+describe('SpendingLedger', () => {
+  it('keeps reservations, commits and rollbacks across restarts', () => {
+    const path = ledgerPath();
+    const ledger = new SpendingLedger({ path });
+    const paid = ledger.reserve(payment(100n));
+    const failed = ledger.reserve(payment(50n));
+    const open = ledger.reserve(payment(25n));
+    ledger.markSent(paid, '0xaa');
+    ledger.commit(paid, { txHash: '0xaa', blockNumber: 7n });
+    ledger.rollback(failed, 'Transaction reverted');
+
+    const restarted = new SpendingLedger({ path });
+    assert.equal(restarted.spentToday(), 125n);
+    assert.deepEqual(restarted.openReservations().map(r => r.id), [open]);
+    assert.deepEqual(restarted.history().map(p => [p.txHash, p.blockNumber]), [['0xaa', 7n]]);
+  });
+
+  it('sees reservations another process appended', () => {
+    const path = ledgerPath();
+    const [first, second] = [new SpendingLedger({ path }), new SpendingLedger({ path })];
+
+    const id = first.reserve(payment(100n, { task: 'research' }));
+    assert.equal(second.spent({ task: 'research' }), 100n);
+
+    second.commit(id, { txHash: '0xbb', blockNumber: 1n });
+    assert.equal(first.history()[0].txHash, '0xbb');
+  });
+
+  it('appends after a line a crashed writer left half written', () => {
+    const path = ledgerPath();
+    new SpendingLedger({ path }).reserve(payment(100n));
+    appendFileSync(path, '{"type":"reserve","id":"dead');
+
+    const ledger = new SpendingLedger({ path });
+    ledger.reserve(payment(50n));
+
+    assert.equal(new SpendingLedger({ path }).spentToday(), 150n);
+    assert.match(readFileSync(path, 'utf8'), /"id":"dead\n\{"type":"reserve"/);
+  });
+});
+
+describe('Budgets on a shared ledger', () => {
+  const budgets = path => new Budgets({
+    ledger: new SpendingLedger({ path }),
+    maxPricePerItem: 100n,
+    dailyLimit: 250n,
+    publisherDailyLimit: 150n,
+  });
+
+  it('holds processes sharing a ledger to one daily limit', () => {
+    const path = ledgerPath();
+    const [first, second] = [budgets(path), budgets(path)];
+
+    first.reserve([payment(100n, { publisher: null })]);
+    second.reserve([payment(100n, { publisher: null })]);
+
+    assert.throws(() => first.reserve([payment(100n, { publisher: null })]), { budget: 'daily' });
+    assert.equal(second.remaining().daily, 50n);
+  });
+
+  it('reserves all payments of a group or none', () => {
+    const path = ledgerPath();
+    const shared = budgets(path);
+
+    assert.throws(() => shared.reserve([payment(100n), payment(100n)]), error => {
+      assert.ok(error instanceof BudgetExceededError);
+      assert.equal(error.budget, 'publisher');
+      return true;
+    });
+    assert.equal(shared.ledger.spentToday(), 0n);
+    assert.throws(() => shared.reserve([payment(101n)]), { budget: 'item' });
+    assert.deepEqual(shared.reserve([payment(101n, { prepaid: true })]).length, 1);
+  });
+
+  it('caps a task across its payments', () => {
+    const shared = budgets(ledgerPath());
+    shared.setTaskLimit('summary', 120n);
+
+    shared.reserve([payment(60n, { task: 'summary' })]);
+    assert.throws(() => shared.reserve([payment(61n, { task: 'summary' })]), { budget: 'task' });
+    assert.equal(shared.remaining({ task: 'summary' }).task, 60n);
+  });
+});
+
+describe('OpenPayAIAgent.init', () => {
+  it('reconciles the ledger once before history and payments read it', async () => {
+    process.env.AGENT_DATA_DIR = dataDir;
+    const { default: OpenPayAIAgent } = await import('../agent.js');
+    const path = ledgerPath();
+    const agent = new OpenPayAIAgent(AGENT_KEY, {
+      ledgerPath: path,
+      nonceStatePath: join(dataDir, 'nonces.json'),
+      decisionLogPath: join(dataDir, 'decisions.jsonl'),
+      approvalsPath: join(dataDir, 'approvals.jsonl'),
+    });
+
+    // A payment found on-chain that the ledger never recorded
+    let reconciled = 0;
+    agent._reconcileLedger = async () => {
+      reconciled++;
+      const id = agent.ledger.reserve(payment(100n, { contentHash: null, recovered: true }));
+      agent.ledger.commit(id, { txHash: '0xcc', blockNumber: 3n });
+    };
+    assert.equal(agent.getStats().totalPurchases, 0);
+
+    assert.equal(await agent.init(), agent);
+    await agent.init();
+
+    assert.equal(reconciled, 1);
+    assert.equal(agent.getStats().totalPurchases, 1);
+    assert.equal(agent.purchaseHistory[0].txHash, '0xcc');
+  });
+});
@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { after, describe, it } from 'node:test';
+import { NonceLanes } from '../lib/nonces.js';
+
+const ADDRESS = '0x000000000000000000000000000000000000a9e1';
+
+const dataDir = mkdtempSync(join(tmpdir(), 'openpayai-nonces-'));
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+let files = 0;
+
+// Lets leases become older than `stuckAfterMs: 0`
+const tick = () => new Promise(resolve => setTimeout(resolve, 2));
+
+// A node whose lane nonces are `nonces` (nonceKey -> nonce) and that knows
+// the transactions in `known`
+function fakeClient({ nonces = new Map(), known = new Set() } = {}) {
+  return {
+    nonces,
+    nonce: { getNonce: async ({ nonceKey }) => nonces.get(nonceKey) ?? 0n },
+    request: async ({ method, params: [hash] }) => {
+      assert.equal(method, 'eth_getTransactionByHash');
+      return known.has(hash) ? { hash, blockHash: null, blockNumber: null, transactionIndex: null } : null;
+    },
+  };
+}
+
+function lanes(client, options = {}) {
+  return new NonceLanes({
+    client,
+    address: ADDRESS,
+    statePath: join(dataDir, `lanes-${files++}.json`),
+    maxLanes: 2,
+    stuckAfterMs: 0,
+    leaseTimeoutMs: 50,
+    pollInterval: 5,
+    ...options,
+  });
+}
+
+describe('NonceLanes', () => {
+  it('leases each lane to one transaction at a time', async () => {
+    const pool = lanes(fakeClient());
+
+    const leases = await Promise.all([pool.acquire(), pool.acquire()]);
+    assert.deepEqual(leases.map(lease => lease.nonceKey).sort(), [1n, 2n]);
+    await assert.rejects(pool.acquire(), /No nonce lane free/);
+
+    pool.release(1n);
+    assert.equal((await pool.acquire()).nonceKey, 1n);
+  });
+
+  it('shares leases with another process on the same state file', async () => {
+    const client = fakeClient();
+    const first = lanes(client);
+    const second = lanes(client, { statePath: first.statePath });
+
+    const { nonceKey } = await first.acquire();
+    assert.notEqual((await second.acquire()).nonceKey, nonceKey);
+    assert.equal(second.pending().length, 2);
+  });
+
+  it('keeps a lane whose nonce was fetched but no tx recorded until the nonce moves on', async () => {
+    const client = fakeClient();
+    const pool = lanes(client);
+    const { nonceKey, nonce } = await pool.acquire();
+    await tick();
+
+    assert.equal(await pool.recoverStuckLanes(), 0);
+
+    client.nonces.set(nonceKey, BigInt(nonce) + 1n);
+    assert.equal(await pool.recoverStuckLanes(), 1);
+    assert.equal(pool.pending().length, 0);
+  });
+
+  it('recovers a lane whose transaction the node dropped, not one still pending', async () => {
+    const known = new Set([`0x${'aa'.repeat(32)}`]);
+    const pool = lanes(fakeClient({ known }));
+    const pending = await pool.acquire();
+    const dropped = await pool.acquire();
+    pool.markPending(pending.nonceKey, `0x${'aa'.repeat(32)}`);
+    pool.markPending(dropped.nonceKey, `0x${'bb'.repeat(32)}`);
+    await tick();
+
+    assert.equal(await pool.recoverStuckLanes(), 1);
+    assert.deepEqual(pool.pending().map(lease => BigInt(lease.nonceKey)), [pending.nonceKey]);
+  });
+
+  it('leaves lanes alone before they are stuck', async () => {
+    const pool = lanes(fakeClient(), { stuckAfterMs: 60_000 });
+    await pool.acquire();
+
+    assert.equal(await pool.recoverStuckLanes(), 0);
+  });
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { after, describe, it } from 'node:test';
+import { PurchasePolicy, domainOf, loadPolicyFile } from '../lib/policy.js';
+
+const ALICE = '0x000000000000000000000000000000000000A11c';
+const BOB = '0x0000000000000000000000000000000000000b0b';
+
+const dir = mkdtempSync(join(tmpdir(), 'openpayai-policy-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const item = (price, extra = {}) => ({
+  contentHash: `0x${'c0'.repeat(32)}`,
+  price,
+  publisher: ALICE,
+  domain: 'news.example.com',
+  ...extra,
+});
+
+// The one decision for a single item
+const decide = (policy, purchase, options = {}) => policy.evaluate([purchase], { action: 'purchaseLicense', ...options })[0];
+
+describe('PurchasePolicy', () => {
+  it('allows anything without rules', () => {
+    const decision = decide(new PurchasePolicy(), item(1_000_000n));
+    assert.equal(decision.outcome, 'allow');
+    assert.equal(decision.reason, 'No policy rules apply');
+    assert.equal(decision.price, '1000000');
+  });
+
+  it('denies publishers on the deny list and off the allow list, whatever their case', () => {
+    const denying = new PurchasePolicy({ publishers: { deny: [ALICE.toLowerCase()] } });
+    assert.equal(decide(denying, item(1n)).outcome, 'deny');
+    assert.equal(decide(denying, item(1n, { publisher: BOB })).outcome, 'allow');
+
+    const allowing = new PurchasePolicy({ publishers: { allow: [BOB] } });
+    const decision = decide(allowing, item(1n));
+    assert.equal(decision.outcome, 'deny');
+    assert.match(decision.reason, /not on the allow list/);
+  });
+
+  it('applies the most specific domain ceiling', () => {
+    const policy = new PurchasePolicy({
+      domains: { '*': { maxPrice: '1.00' }, 'example.com': { maxPrice: '0.10' }, 'news.example.com': { maxPrice: '0.50' } },
+    });
+
+    assert.equal(decide(policy, item(400_000n)).outcome, 'allow');
+    assert.equal(decide(policy, item(400_000n, { domain: 'blog.example.com' })).outcome, 'deny');
+    assert.equal(decide(policy, item(400_000n, { domain: 'other.org' })).outcome, 'allow');
+    assert.equal(decide(policy, item(400_000n, { domain: 'notexample.com' })).checks[0].rule, 'domains.*.maxPrice');
+  });
+
+  it('counts allowed items of a group towards the hourly cap', () => {
+    const policy = new PurchasePolicy({ maxSpendPerHour: '1.00' });
+    const decisions = policy.evaluate([item(400_000n), item(400_000n), item(400_000n)], {
+      action: 'purchaseBatch',
+      spentLastHour: 100_000n,
+    });
+
+    assert.deepEqual(decisions.map(decision => decision.outcome), ['allow', 'allow', 'deny']);
+  });
+
+  it('asks for approval above the threshold unless approved at that quote', () => {
+    const policy = new PurchasePolicy({ requireApprovalAbove: '2.00' });
+
+    assert.equal(decide(policy, item(2_000_000n)).outcome, 'allow');
+    assert.equal(decide(policy, item(3_000_000n)).outcome, 'approval');
+    assert.equal(decide(policy, item(3_000_000n, { approvedPrice: 3_000_000n })).outcome, 'allow');
+
+    const raised = decide(policy, item(3_500_000n, { approvedPrice: 3_000_000n }));
+    assert.equal(raised.outcome, 'deny');
+    assert.match(raised.reason, /Price rose/);
+  });
+
+  it('rejects malformed rules', () => {
+    assert.throws(() => new PurchasePolicy({ publishers: { deny: ['alice'] } }), /invalid address/);
+    assert.throws(() => new PurchasePolicy({ publishers: { allow: ALICE } }), /list of addresses/);
+    assert.throws(() => new PurchasePolicy({ maxSpendPerHour: '-1' }), /dollar amount/);
+    assert.throws(() => new PurchasePolicy({ domains: { 'example.com': { maxPrice: '0.0000001' } } }), /dollar amount/);
+  });
+});
+
+describe('loadPolicyFile', () => {
+  it('reads JSON and YAML policies', () => {
+    const json = join(dir, 'policy.json');
+    writeFileSync(json, JSON.stringify({ requireApprovalAbove: '2.00' }));
+    const yaml = join(dir, 'policy.yaml');
+    writeFileSync(yaml, `publishers:\n  deny: ["${BOB}"]\nmaxSpendPerHour: "5.00"\n`);
+
+    assert.equal(loadPolicyFile(json).requireApprovalAbove, 2_000_000n);
+    const policy = loadPolicyFile(yaml);
+    assert.equal(policy.maxSpendPerHour, 5_000_000n);
+    assert.equal(decide(policy, item(1n, { publisher: BOB })).outcome, 'deny');
+  });
+});
+
+describe('domainOf', () => {
+  it('gives the host of http(s) URLs only', () => {
+    assert.equal(domainOf('https://News.Example.com/a?b=1'), 'news.example.com');
+    assert.equal(domainOf('ipfs://bafy/article'), null);
+    assert.equal(domainOf('not a url'), null);
+  });
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { after, beforeEach, describe, it } from 'node:test';
+import axios from 'axios';
+import { getAddress } from 'viem';
+import { STABLECOINS } from '../lib/tokens.js';
+
+const AGENT_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const [ALPHA] = STABLECOINS.map(coin => coin.address);
+const ALICE = getAddress('0x000000000000000000000000000000000000a11c');
+const BOB = getAddress('0x0000000000000000000000000000000000000b0b');
+
+// The agent reads its data directory when imported
+const dataDir = mkdtempSync(join(tmpdir(), 'openpayai-prepaid-'));
+process.env.AGENT_DATA_DIR = dataDir;
+const { default: OpenPayAIAgent } = await import('../agent.js');
+const { PolicyDeniedError } = await import('../lib/policy.js');
+
+describe('OpenPayAIAgent prepaid payments', () => {
+  let agent;
+  let transfers;
+  let run = 0;
+
+  beforeEach(() => {
+    const dir = join(dataDir, String(run++));
+    agent = new OpenPayAIAgent(AGENT_KEY, {
+      ledgerPath: join(dir, 'ledger.jsonl'),
+      nonceStatePath: join(dir, 'nonces.json'),
+      decisionLogPath: join(dir, 'decisions.jsonl'),
+      approvalsPath: join(dir, 'approvals.jsonl'),
+      policy: { publishers: { deny: [BOB] }, requireApprovalAbove: '5.00' },
+    });
+
+    // Pays nothing on-chain; records what would have been sent
+    transfers = [];
+    agent._reconcileLedger = async () => {};
+    agent._chooseTokens = async payments => payments.map(() => ALPHA);
+    agent._sendTransfer = async (reservation, transfer) => {
+      transfers.push(transfer);
+      return { transactionHash: `0x${String(transfers.length).padStart(64, '0')}`, blockNumber: 1n };
+    };
+  });
+
+  // The backend lists the accepted tokens
+  const { get } = axios;
+  axios.get = async url => {
+    assert.match(url, /\/api\/tokens$/);
+    return { data: { tokens: [{ address: ALPHA }] } };
+  };
+
+  after(() => {
+    axios.get = get;
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('refuses to prepay a publisher the policy denies', async () => {
+    await assert.rejects(agent.deposit(BOB, 1_000_000n), error => {
+      assert.ok(error instanceof PolicyDeniedError);
+      assert.equal(error.decision.action, 'deposit');
+      assert.equal(error.decision.checks[0].rule, 'publishers.deny');
+      return true;
+    });
+
+    assert.equal(transfers.length, 0);
+    assert.equal(agent.spentToday, 0n);
+  });
+
+  it('parks a deposit above the approval threshold', async () => {
+    const result = await agent.deposit(ALICE, 20_000_000n);
+
+    assert.equal(result.pending, true);
+    assert.equal(result.approval.action, 'deposit');
+    assert.equal(result.approval.contentHash, null);
+    assert.equal(result.approval.publisher, ALICE);
+    assert.equal(transfers.length, 0);
+
+    // Asking again finds the same request
+    assert.equal((await agent.deposit(ALICE, 20_000_000n)).approval.id, result.approval.id);
+  });
+
+  it('pays an approved deposit once, at the approved amount', async () => {
+    const { approval } = await agent.deposit(ALICE, 20_000_000n);
+    agent.approvals.approve(approval.id, { by: 'operator' });
+
+    const { receipt, decision } = await agent._prepay('deposit', ALICE, 20_000_000n, { approval });
+    assert.equal(decision.outcome, 'allow');
+    assert.deepEqual(transfers.map(transfer => transfer.payouts), [[{ address: ALICE, amount: 20_000_000n }]]);
+    assert.equal(agent.approvals.get(approval.id).status, 'executed');
+    assert.equal(agent.approvals.get(approval.id).txHash, receipt.transactionHash);
+
+    await assert.rejects(agent._prepay('deposit', ALICE, 20_000_000n, { approval }), /is executed/);
+  });
+
+  it('keeps subscription periods with a parked subscription', async () => {
+    const approval = agent._requestApproval(
+      { contentHash: null, price: '30000000', publisher: ALICE, domain: null, reason: 'test' },
+      { action: 'subscription', periods: 3 }
+    );
+
+    assert.equal(agent.approvals.get(approval.id).periods, 3);
+    assert.notEqual(agent.approvals.findOpen({ agent: agent.address, action: 'deposit', publisher: ALICE })?.id, approval.id);
+  });
+});
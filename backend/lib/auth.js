@@ -0,0 +1,148 @@
+import { randomBytes } from 'crypto';
+import { isAddressEqual, toHex } from 'viem';
+import { generateSiweNonce, parseSiweMessage, validateSiweMessage } from 'viem/siwe';
+import { ApiError } from './errors.js';
+import { ReplayCache, verifySignedMessage } from './signatures.js';
+
+// Issued nonces must be signed within this window
+export const NONCE_TTL_MS = 5 * 60 * 1000;
+
+export const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised when a creator cannot be authenticated
+ */
+export class AuthenticationError extends ApiError {
+  constructor(code, message, status = 401) {
+    super(code, message, status);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * Sign-In with Ethereum (EIP-4361) sessions for creators
+ *
+ * 1. GET /api/auth/nonce issues a single-use nonce.
+ * 2. The creator signs a SIWE message for `domain` and the Tempo chain
+ *    carrying that nonce, and POSTs it to /api/auth/verify.
+ * 3. The returned token is sent as `Authorization: Bearer <token>`.
+ *
+ * Sessions live in memory; a restart signs every creator out.
+ */
+export class CreatorAuth {
+  constructor({ getClient, domain, chainId, sessionTtl = SESSION_TTL_MS }) {
+    this.getClient = getClient;
+    this.domain = domain;
+    this.chainId = chainId;
+    this.sessionTtl = sessionTtl;
+
+    this.nonces = new ReplayCache();
+    this.sessions = new Map();
+  }
+
+  issueNonce() {
+    const nonce = generateSiweNonce();
+    this.nonces.add(nonce, Date.now() + NONCE_TTL_MS);
+    return nonce;
+  }
+
+  /**
+   * Verify a signed SIWE message and open a session for its address
+   */
+  async signIn({ message, signature }) {
+    if (!message || !signature) {
+      throw new AuthenticationError('AUTH_MESSAGE_INVALID', 'SIWE message and signature are required', 400);
+    }
+
+    let parsed;
+    try {
+      parsed = parseSiweMessage(message);
+    } catch (error) {
+      parsed = {};
+    }
+    if (!parsed.address || !parsed.nonce) {
+      throw new AuthenticationError('AUTH_MESSAGE_INVALID', 'Malformed SIWE message', 400);
+    }
+
+    // Nonces are single use, valid or not
+    if (!this.nonces.has(parsed.nonce)) {
+      throw new AuthenticationError('AUTH_NONCE_INVALID', 'Unknown or expired nonce');
+    }
+    this.nonces.delete(parsed.nonce);
+
+    if (parsed.chainId !== this.chainId) {
+      throw new AuthenticationError('AUTH_CHAIN_MISMATCH', `Sign in on chain ${this.chainId}`);
+    }
+
+    if (!validateSiweMessage({ message: parsed, domain: this.domain })) {
+      throw new AuthenticationError('AUTH_MESSAGE_INVALID', `Message must be for ${this.domain} and not expired`);
+    }
+
+    const valid = await verifySignedMessage({
+      client: this.getClient(),
+      address: parsed.address,
+      message,
+      signature,
+    });
+    if (!valid) {
+      throw new AuthenticationError('SIGNATURE_INVALID', 'Signature does not match the SIWE address');
+    }
+
+    this._prune();
+
+    const token = toHex(randomBytes(32));
+    const session = {
+      address: parsed.address,
+      expiresAt: Math.min(
+        Date.now() + this.sessionTtl,
+        parsed.expirationTime ? parsed.expirationTime.getTime() : Infinity
+      ),
+    };
+    this.sessions.set(token, session);
+
+    return { token, ...session };
+  }
+
+  signOut(token) {
+    this.sessions.delete(token);
+  }
+
+  /**
+   * Middleware requiring a creator session; sets `req.creator`
+   */
+  requireCreator() {
+    return (req, res, next) => {
+      const [scheme, token] = (req.headers.authorization || '').split(' ');
+      const session = scheme === 'Bearer' ? this.sessions.get(token) : null;
+
+      if (!session) {
+        return res.status(401).json({ error: 'Sign in required', code: 'AUTH_REQUIRED' });
+      }
+
+      if (session.expiresAt <= Date.now()) {
+        this.sessions.delete(token);
+        return res.status(401).json({ error: 'Session expired', code: 'SESSION_EXPIRED' });
+      }
+
+      req.creator = { address: session.address, token };
+      next();
+    };
+  }
+
+  _prune() {
+    const now = Date.now();
+    for (const [token, session] of this.sessions) {
+      if (session.expiresAt <= now) this.sessions.delete(token);
+    }
+  }
+}
+
+/**
+ * Same rule as the contract's onlyContentOwner: the caller must be the
+ * content owner, nobody else (not even the platform) may manage it
+ */
+export function assertContentOwner(content, address) {
+  if (!content || !isAddressEqual(content.contentOwner, address)) {
+    throw new ApiError('NOT_CONTENT_OWNER', 'Not content owner', 403);
+  }
+}
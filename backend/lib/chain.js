@@ -0,0 +1,118 @@
+import { isAddress, isAddressEqual, parseAbi } from 'viem';
+
+/**
+ * Tempo chain constants shared by the server, indexer and paywall
+ */
+
+export const DEFAULT_RPC_URL = 'https://rpc.moderato.tempo.xyz';
+export const CHAIN_ID = 42431;
+export const NETWORK = 'tempo-moderato';
+
+// Token addresses
+export const TOKENS = {
+  alphaUsd: '0x20c0000000000000000000000000000000000001',
+  betaUsd: '0x20c0000000000000000000000000000000000002',
+  pathUsd: '0x20c0000000000000000000000000000000000000',
+};
+
+// TIP-20 stablecoins content can be priced and paid in (all USD, 6 decimals)
+export const STABLECOINS = [
+  { name: 'alphaUsd', symbol: 'AlphaUSD', address: TOKENS.alphaUsd, decimals: 6 },
+  { name: 'betaUsd', symbol: 'BetaUSD', address: TOKENS.betaUsd, decimals: 6 },
+  { name: 'pathUsd', symbol: 'pathUSD', address: TOKENS.pathUsd, decimals: 6 },
+];
+
+// Pricing token of content registered without one
+export const DEFAULT_TOKEN = TOKENS.alphaUsd;
+
+/**
+ * Token `content` is priced in (content stored before tokens were
+ * recorded is priced in the default token)
+ */
+export function contentToken(content) {
+  return content.token || DEFAULT_TOKEN;
+}
+
+/**
+ * Tokens `content` can be paid in: the accepted `tokens`, its pricing
+ * token first
+ */
+export function paymentTokens(content, tokens) {
+  const priced = contentToken(content);
+  return [...tokens].sort((a, b) => isAddressEqual(b, priced) - isAddressEqual(a, priced));
+}
+
+/**
+ * Address, symbol and decimals of a token, as advertised to agents
+ */
+export function describeToken(address) {
+  const coin = findStablecoin(address);
+  return { address, symbol: coin?.symbol ?? null, decimals: coin?.decimals ?? 6 };
+}
+
+/**
+ * Stablecoin by name (alphaUsd), symbol (AlphaUSD) or address, else null
+ */
+export function findStablecoin(value) {
+  if (!value) return null;
+  if (isAddress(value)) {
+    return STABLECOINS.find(coin => isAddressEqual(coin.address, value)) ?? null;
+  }
+  const key = String(value).toLowerCase();
+  return STABLECOINS.find(coin => coin.name.toLowerCase() === key || coin.symbol.toLowerCase() === key) ?? null;
+}
+
+/**
+ * Accepted token addresses from a comma-separated list of names, symbols
+ * or addresses (ACCEPTED_TOKENS); every stablecoin when empty
+ */
+export function parseAcceptedTokens(list) {
+  if (!list) return STABLECOINS.map(coin => coin.address);
+
+  return list.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const coin = findStablecoin(entry);
+    if (!coin) throw new Error(`Unknown stablecoin ${entry} in ACCEPTED_TOKENS`);
+    return coin.address;
+  });
+}
+
+// Contract ABI (minimal for what we need)
+export const CONTRACT_ABI = parseAbi([
+  'function contentRegistry(bytes32) view returns (uint256 price, address contentOwner, string contentURI, bool active, uint256 totalRevenue, uint256 accessCount, address paymentToken)',
+  'function licenses(address, bytes32) view returns (uint256 expiry, uint256 pricePaid, bool active, uint8 termId, uint8 kind, uint8 usage)',
+  'function registerContent(bytes32 contentHash, uint256 price, string contentURI, address paymentToken)',
+  'function purchaseLicense(bytes32 contentHash, uint8 termId, bytes32 memo)',
+  'function purchaseBatchLicense(bytes32[] contentHashes, uint8[] termIds, bytes32[] memos)',
+  'function hasValidLicense(address user, bytes32 contentHash) view returns (bool)',
+  'function updatePrice(bytes32 contentHash, uint256 newPrice)',
+  'function toggleContentStatus(bytes32 contentHash)',
+  'function setAgentSpendingLimit(address agent, uint256 dailyLimit)',
+  'function setAgentOperator(address agent, address operator)',
+  'function agentOperators(address agent) view returns (address)',
+  'function agentAllowance(address agent) view returns (uint256 dailyLimit, uint256 spentToday, uint256 remaining, uint256 resetsAt)',
+  'function getCreatorContents(address creator) view returns (bytes32[])',
+  'function getContentStats(bytes32) view returns (uint256 price, uint256 revenue, uint256 accessCount, bool active)',
+  'function acceptedTokens(address) view returns (bool)',
+  'function setAcceptedToken(address token, bool accepted)',
+  'function pendingRevenue(address contentOwner, address token) view returns (uint256)',
+  'function totalEscrowed(address token) view returns (uint256)',
+  'function withdraw(address token)',
+  'function owner() view returns (address)',
+  'function platformFeeBps() view returns (uint256)',
+  'function setPlatformFee(uint256 feeBps)',
+  'function getRevenueSplit(bytes32 contentHash) view returns (address[] payees, uint256[] shares)',
+  'function setRevenueSplit(bytes32 contentHash, address[] payees, uint256[] shares)',
+  'function getLicenseTerms(bytes32 contentHash) view returns ((uint8 kind, uint8 usage, uint64 duration, uint256 price)[])',
+  'function setLicenseTerms(bytes32 contentHash, (uint8 kind, uint8 usage, uint64 duration, uint256 price)[] terms)',
+  'event ContentRegistered(bytes32 indexed contentHash, address indexed contentOwner, uint256 price, string contentURI, address paymentToken)',
+  'event LicensePurchased(address indexed buyer, bytes32 indexed contentHash, uint256 price, bytes32 memo, uint256 expiry, uint8 termId, uint8 kind, uint8 usage)',
+  'event BatchLicensePurchased(address indexed buyer, bytes32[] contentHashes, uint8[] termIds, uint256 totalPrice, uint256 count)',
+  'event LicenseTermsUpdated(bytes32 indexed contentHash, (uint8 kind, uint8 usage, uint64 duration, uint256 price)[] terms)',
+  'event PriceUpdated(bytes32 indexed contentHash, uint256 newPrice)',
+  'event ContentStatusToggled(bytes32 indexed contentHash, bool active)',
+  'event RevenueWithdrawn(address indexed contentOwner, address indexed token, uint256 amount)',
+  'event RevenueSplitUpdated(bytes32 indexed contentHash, address[] payees, uint256[] shares)',
+  'event PlatformFeeUpdated(uint256 feeBps)',
+  'event AgentLimitSet(address indexed agent, uint256 dailyLimit)',
+  'event AgentOperatorSet(address indexed agent, address indexed operator)',
+]);
@@ -0,0 +1,274 @@
+import { BlockList, isIP } from 'net';
+import { Resolver } from 'dns/promises';
+import { readFileSync } from 'fs';
+import { ApiError } from './errors.js';
+
+/**
+ * Crawler classification
+ *
+ * Requests are sorted into classes that publishers can allow, charge or
+ * block per content item:
+ * - `human`          regular browsers (always allowed)
+ * - `search-engine`  verified search crawlers (Googlebot, Bingbot, ...)
+ * - `ai-training`    crawlers collecting model training data (GPTBot, CCBot, ...)
+ * - `ai-search`      AI search indexers (OAI-SearchBot, PerplexityBot, ...)
+ * - `ai-assistant`   fetches made on behalf of a chat user (ChatGPT-User, ...)
+ * - `ai-agent`       paying agents (OpenPayAI agent UA or payment headers)
+ * - `unknown-bot`    other automated clients, and crawlers whose claimed
+ *                    identity failed IP / reverse-DNS verification
+ *
+ * Known crawlers, their IP ranges and reverse-DNS domains live in
+ * crawler-rules.json (override with CRAWLER_RULES_PATH). Published IP
+ * ranges change, so servers refresh them from each `ipRangesSource`
+ * (`refreshIpRanges`); the ranges in the file are the fallback.
+ */
+
+export const CRAWLER_CLASSES = [
+  'human',
+  'search-engine',
+  'ai-training',
+  'ai-search',
+  'ai-assistant',
+  'ai-agent',
+  'unknown-bot',
+];
+
+export const POLICY_ACTIONS = ['allow', 'charge', 'block'];
+
+// Applied for classes a content item has no policy for
+export const DEFAULT_CRAWLER_POLICY = {
+  'search-engine': 'allow',
+  'ai-training': 'charge',
+  'ai-search': 'charge',
+  'ai-assistant': 'charge',
+  'ai-agent': 'charge',
+  'unknown-bot': 'charge',
+};
+
+// Headers only paying agents send
+const AGENT_HEADERS = ['x-agent-address', 'x-payment'];
+
+// Reverse-DNS results are cached per IP and crawler
+const DNS_CACHE_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Load a crawler ruleset file
+ */
+export function loadCrawlerRules(path = process.env.CRAWLER_RULES_PATH || new URL('./crawler-rules.json', import.meta.url)) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+export class CrawlerClassifier {
+  constructor({ rules = loadCrawlerRules(), verifyDns = true, dnsTimeout = 2000 } = {}) {
+    this.rules = rules;
+    this.crawlers = rules.crawlers.map(crawler => ({
+      ...crawler,
+      userAgent: crawler.userAgent.map(token => token.toLowerCase()),
+      rdns: (crawler.rdns || []).map(domain => domain.toLowerCase()),
+      blockList: toBlockList(crawler.ipRanges || []),
+    }));
+    this.automatedClients = (rules.automatedClients || []).map(token => token.toLowerCase());
+    this.verifyDns = verifyDns;
+    this.resolver = new Resolver({ timeout: dnsTimeout, tries: 1 });
+    this.dnsCache = new Map();
+  }
+
+  /**
+   * Replace crawlers' IP ranges with the lists published at their
+   * `ipRangesSource`; a crawler whose list cannot be fetched keeps the
+   * ranges it has. Returns the names of the crawlers refreshed and failed.
+   */
+  async refreshIpRanges({ fetch = globalThis.fetch } = {}) {
+    const refreshed = [];
+    const failed = [];
+
+    for (const crawler of this.crawlers) {
+      if (!crawler.ipRangesSource) continue;
+
+      try {
+        crawler.ipRanges = await fetchCrawlerRanges(crawler.ipRangesSource, { fetch });
+        crawler.blockList = toBlockList(crawler.ipRanges);
+        refreshed.push(crawler.name);
+      } catch (error) {
+        failed.push(crawler.name);
+      }
+    }
+    return { refreshed, failed };
+  }
+
+  /**
+   * Classify a request
+   *
+   * Returns { class, crawler, verified } where `crawler` is the matched
+   * ruleset name (or null) and `verified` is true/false when the crawler's
+   * IP or reverse DNS was checked, null when the ruleset has nothing to
+   * check against.
+   */
+  async classify(req) {
+    const userAgent = (req.headers['user-agent'] || '').toLowerCase();
+    const ip = clientIp(req);
+
+    const declared = this.crawlers.find(crawler =>
+      crawler.userAgent.some(token => userAgent.includes(token))
+    );
+
+    if (declared) {
+      const verified = await this._verify(declared, ip);
+      // The search-engine allowlist only applies to verified crawlers
+      const trusted = declared.class === 'search-engine' ? verified === true : verified !== false;
+      return trusted
+        ? { class: declared.class, crawler: declared.name, verified }
+        : { class: 'unknown-bot', crawler: declared.name, verified };
+    }
+
+    // Paying agents are charged whatever their User-Agent says
+    if (AGENT_HEADERS.some(name => req.headers[name])) {
+      return { class: 'ai-agent', crawler: null, verified: null };
+    }
+
+    // Known crawler IPs behind a browser-like (or missing) User-Agent
+    const undeclared = ip && this.crawlers.find(crawler => crawler.blockList.check(ip, ipType(ip)));
+    if (undeclared) {
+      return { class: undeclared.class, crawler: undeclared.name, verified: true };
+    }
+
+    if (!userAgent || this.automatedClients.some(token => userAgent.includes(token))) {
+      return { class: 'unknown-bot', crawler: null, verified: null };
+    }
+
+    return { class: 'human', crawler: null, verified: null };
+  }
+
+  /**
+   * Check the request comes from the crawler's published IP ranges or
+   * forward-confirmed reverse DNS
+   */
+  async _verify(crawler, ip) {
+    const hasRanges = crawler.ipRanges?.length > 0;
+    const hasRdns = crawler.rdns.length > 0 && this.verifyDns;
+    if (!hasRanges && !hasRdns) return null;
+    if (!ip) return false;
+
+    if (hasRanges && crawler.blockList.check(ip, ipType(ip))) return true;
+    if (!hasRdns) return false;
+
+    const cacheKey = `${crawler.name}:${ip}`;
+    const cached = this.dnsCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.verified;
+
+    const verified = await this._verifyReverseDns(crawler.rdns, ip);
+    this.dnsCache.set(cacheKey, { verified, expiresAt: Date.now() + DNS_CACHE_TTL_MS });
+    return verified;
+  }
+
+  async _verifyReverseDns(domains, ip) {
+    try {
+      const hostnames = await this.resolver.reverse(ip);
+
+      for (const hostname of hostnames) {
+        const host = hostname.toLowerCase();
+        if (!domains.some(domain => host === domain || host.endsWith(`.${domain}`))) continue;
+
+        // The hostname must resolve back to the same IP
+        const addresses = ipType(ip) === 'ipv6'
+          ? await this.resolver.resolve6(host)
+          : await this.resolver.resolve4(host);
+        if (addresses.includes(ip)) return true;
+      }
+    } catch (error) {
+      // No PTR record or lookup failure: not verified
+    }
+    return false;
+  }
+}
+
+/**
+ * Fetch a published IP range list (Google-style JSON:
+ * { prefixes: [{ ipv4Prefix } | { ipv6Prefix }] }); throws when it is
+ * unreachable or lists no ranges
+ */
+export async function fetchCrawlerRanges(source, { fetch = globalThis.fetch } = {}) {
+  const response = await fetch(source);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const { prefixes = [] } = await response.json();
+  const ranges = prefixes
+    .map(prefix => prefix.ipv4Prefix || prefix.ipv6Prefix)
+    .filter(range => typeof range === 'string' && isIP(range.split('/')[0]));
+  if (ranges.length === 0) throw new Error('No IP ranges listed');
+  return ranges;
+}
+
+/**
+ * Validate a per-content crawler policy ({ [class]: action })
+ *
+ * Returns a copy, or null when no policy is given. Throws ApiError for
+ * unknown classes or actions.
+ */
+export function normalizeCrawlerPolicy(policy) {
+  if (policy === undefined || policy === null) return null;
+
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new ApiError('CRAWLER_POLICY_INVALID', 'Crawler policy must be an object of class: action');
+  }
+
+  const normalized = {};
+  for (const [crawlerClass, action] of Object.entries(policy)) {
+    if (!CRAWLER_CLASSES.includes(crawlerClass) || crawlerClass === 'human') {
+      throw new ApiError('CRAWLER_POLICY_INVALID', `Unknown crawler class "${crawlerClass}"`);
+    }
+    if (!POLICY_ACTIONS.includes(action)) {
+      throw new ApiError('CRAWLER_POLICY_INVALID', `Policy action must be one of ${POLICY_ACTIONS.join(', ')}`);
+    }
+    normalized[crawlerClass] = action;
+  }
+  return normalized;
+}
+
+/**
+ * Decide what to do with a classified request for a content item
+ */
+export function crawlerAction(classification, content) {
+  if (classification.class === 'human') return 'allow';
+  return content?.crawlerPolicy?.[classification.class] || DEFAULT_CRAWLER_POLICY[classification.class];
+}
+
+let defaultClassifier;
+
+/**
+ * Middleware classifying the request into `req.crawler`; `req.isAICrawler`
+ * is set for everything but humans
+ */
+export function checkAICrawler(classifier) {
+  return async (req, res, next) => {
+    try {
+      defaultClassifier ||= new CrawlerClassifier();
+      req.crawler = await (classifier || defaultClassifier).classify(req);
+      req.isAICrawler = req.crawler.class !== 'human';
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+function clientIp(req) {
+  let ip = req.ip || req.socket?.remoteAddress || '';
+  // IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+  if (ip.startsWith('::ffff:') && isIP(ip.slice(7)) === 4) ip = ip.slice(7);
+  return isIP(ip) ? ip : null;
+}
+
+function ipType(ip) {
+  return isIP(ip) === 6 ? 'ipv6' : 'ipv4';
+}
+
+function toBlockList(ranges) {
+  const blockList = new BlockList();
+  for (const range of ranges) {
+    const [address, prefix] = range.split('/');
+    const type = ipType(address);
+    blockList.addSubnet(address, Number(prefix ?? (type === 'ipv6' ? 128 : 32)), type);
+  }
+  return blockList;
+}
@@ -0,0 +1,41 @@
+/**
+ * Error carrying a machine-readable code and the HTTP status to answer with.
+ * `errorHandler` turns these into `{ error, code }` responses.
+ */
+export class ApiError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Wrap an async route handler so its errors reach `errorHandler`
+ * (Express 4 does not catch rejected promises itself)
+ */
+export function asyncHandler(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+/**
+ * Express error handler, registered after every route
+ *
+ * ApiErrors answer `{ error, code }` with their status, client errors
+ * raised by Express middleware (such as a malformed JSON body) their own
+ * status; anything else is logged and answers 500.
+ */
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+
+  if (error instanceof ApiError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`Error handling ${req.method} ${req.path}:`, error);
+  res.status(500).json({ error: error.message });
+}
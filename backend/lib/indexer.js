@@ -0,0 +1,383 @@
+import { isAddressEqual, parseEventLogs } from 'viem';
+import { getBlock, getBlockNumber, getLogs, getTransactionReceipt } from 'viem/actions';
+import { Abis } from 'viem/tempo';
+import { splitFromChain } from './splits.js';
+import { licenseKey, paymentKey } from './storage/index.js';
+import { LICENSE_KINDS, LICENSE_USAGES, PERPETUAL_EXPIRY, findTerm, licenseFields, strongerLicense, termsFromChain } from './terms.js';
+
+// Contract events the indexer applies to storage
+export const INDEXED_EVENTS = [
+  'ContentRegistered',
+  'PriceUpdated',
+  'ContentStatusToggled',
+  'RevenueSplitUpdated',
+  'LicenseTermsUpdated',
+  'LicensePurchased',
+  'BatchLicensePurchased',
+  'RevenueWithdrawn',
+];
+
+/**
+ * Chain event indexer
+ *
+ * Keeps storage in sync with OpenPayAITempo events:
+ * - backfills from `startBlock`, then polls for new blocks
+ * - only indexes blocks `confirmations` deep behind the head
+ * - detects reorgs by comparing stored block hashes with the chain and
+ *   rolls back events from orphaned blocks
+ * - persists its cursor so it resumes where it stopped
+ */
+export class ChainIndexer {
+  constructor({
+    client,
+    storage,
+    contractAddress,
+    abi,
+    startBlock = 0n,
+    confirmations = 2n,
+    batchSize = 1000n,
+    pollInterval = 2000,
+    name = 'openpayai',
+  }) {
+    this.client = client;
+    this.storage = storage;
+    this.contractAddress = contractAddress;
+    this.events = abi.filter(item => item.type === 'event' && INDEXED_EVENTS.includes(item.name));
+    this.startBlock = BigInt(startBlock);
+    this.confirmations = BigInt(confirmations);
+    this.batchSize = BigInt(batchSize);
+    this.pollInterval = pollInterval;
+    this.name = name;
+
+    this.running = false;
+    this.timer = null;
+    this.cursor = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Start backfilling and following new blocks
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    this.cursor = await this.storage.getIndexerState(this.name);
+    console.log(`🔎 Indexer starting from block ${this.cursor ? this.cursor.blockNumber + 1n : this.startBlock}`);
+
+    this._loop();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  status() {
+    return {
+      running: this.running,
+      blockNumber: this.cursor ? this.cursor.blockNumber.toString() : null,
+      lastError: this.lastError,
+    };
+  }
+
+  async _loop() {
+    try {
+      await this.sync();
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('❌ Indexer error:', error.message);
+    }
+
+    if (this.running) {
+      this.timer = setTimeout(() => this._loop(), this.pollInterval);
+    }
+  }
+
+  /**
+   * Index every confirmed block past the cursor
+   */
+  async sync() {
+    await this._handleReorg();
+
+    const head = await getBlockNumber(this.client, { cacheTime: 0 });
+    const target = head - this.confirmations;
+    let from = this.cursor ? this.cursor.blockNumber + 1n : this.startBlock;
+
+    while (this.running && from <= target) {
+      const to = from + this.batchSize - 1n < target ? from + this.batchSize - 1n : target;
+
+      const logs = await getLogs(this.client, {
+        address: this.contractAddress,
+        events: this.events,
+        fromBlock: from,
+        toBlock: to,
+      });
+
+      for (const log of logs) {
+        await this._applyLog(log);
+      }
+
+      const block = await getBlock(this.client, { blockNumber: to });
+      await this.storage.saveIndexedBlock(to, block.hash);
+      this.cursor = { blockNumber: to, blockHash: block.hash };
+      await this.storage.setIndexerState(this.name, this.cursor);
+
+      from = to + 1n;
+    }
+  }
+
+  /**
+   * Roll back to the newest stored block that is still canonical
+   */
+  async _handleReorg() {
+    if (!this.cursor) return;
+
+    const current = await getBlock(this.client, { blockNumber: this.cursor.blockNumber });
+    if (current.hash === this.cursor.blockHash) return;
+
+    let ancestor = null;
+    for (const stored of await this.storage.listIndexedBlocks()) {
+      const block = await getBlock(this.client, { blockNumber: stored.blockNumber });
+      if (block.hash === stored.blockHash) {
+        ancestor = stored;
+        break;
+      }
+    }
+
+    // Nothing stored is canonical anymore: start over
+    const rollbackTo = ancestor ? ancestor.blockNumber : this.startBlock - 1n;
+    const undone = await this.storage.rollbackChainEvents(rollbackTo);
+
+    console.warn(`⚠️  Reorg detected at block ${this.cursor.blockNumber}, rolled back ${undone} events to block ${rollbackTo}`);
+
+    // Without an ancestor the stale cursor stays persisted until the next
+    // sync overwrites it; rolling back again after a restart is harmless
+    this.cursor = ancestor;
+    if (ancestor) {
+      await this.storage.setIndexerState(this.name, ancestor);
+    }
+  }
+
+  async _applyLog(log) {
+    const id = `${log.blockHash}:${log.logIndex}`;
+    if (await this.storage.hasChainEvent(id)) return;
+
+    const writes = await this._writesFor(log);
+
+    await this.storage.applyChainEvent({ id, blockNumber: log.blockNumber, writes });
+    await this.storage.saveIndexedBlock(log.blockNumber, log.blockHash);
+  }
+
+  /**
+   * Translate a contract event into record writes
+   */
+  async _writesFor(log) {
+    const { eventName, args } = log;
+
+    switch (eventName) {
+      case 'ContentRegistered': {
+        const existing = await this.storage.getContent(args.contentHash);
+        return [{
+          kind: 'content',
+          key: args.contentHash,
+          value: {
+            contentHash: args.contentHash,
+            price: args.price,
+            contentOwner: args.contentOwner,
+            contentURI: args.contentURI,
+            token: args.paymentToken,
+            active: true,
+            totalRevenue: existing?.totalRevenue ?? 0n,
+            accessCount: existing?.accessCount ?? 0,
+            createdAt: existing?.createdAt ?? Date.now(),
+            crawlerPolicy: existing?.crawlerPolicy ?? null,
+            archivedAt: existing?.archivedAt ?? null,
+            split: existing?.split ?? null,
+            terms: existing?.terms ?? null,
+          },
+        }];
+      }
+
+      case 'PriceUpdated': {
+        const content = await this.storage.getContent(args.contentHash);
+        if (!content) return [];
+        return [{
+          kind: 'content',
+          key: args.contentHash,
+          value: { ...content, price: args.newPrice },
+        }];
+      }
+
+      case 'ContentStatusToggled': {
+        const content = await this.storage.getContent(args.contentHash);
+        if (!content) return [];
+        return [{
+          kind: 'content',
+          key: args.contentHash,
+          value: {
+            ...content,
+            active: args.active,
+            archivedAt: args.active ? null : content.archivedAt ?? null,
+          },
+        }];
+      }
+
+      case 'RevenueSplitUpdated': {
+        const content = await this.storage.getContent(args.contentHash);
+        if (!content) return [];
+        return [{
+          kind: 'content',
+          key: args.contentHash,
+          value: {
+            ...content,
+            split: args.payees.length > 0 ? splitFromChain(args.payees, args.shares, content.contentOwner) : null,
+          },
+        }];
+      }
+
+      case 'LicenseTermsUpdated': {
+        const content = await this.storage.getContent(args.contentHash);
+        if (!content) return [];
+        return [{
+          kind: 'content',
+          key: args.contentHash,
+          value: { ...content, terms: termsFromChain(args.terms) },
+        }];
+      }
+
+      case 'LicensePurchased': {
+        // Already recorded through POST /api/license/buy or /batch
+        const txKey = paymentKey(log.transactionHash, args.contentHash);
+        if (await this.storage.getTxUsage(txKey) || await this.storage.getTxUsage(log.transactionHash)) {
+          return [];
+        }
+
+        const key = licenseKey(args.buyer, args.contentHash);
+        const kind = LICENSE_KINDS[args.kind];
+        const license = {
+          agentAddress: args.buyer,
+          contentHash: args.contentHash,
+          txHash: log.transactionHash,
+          memo: args.memo,
+          pricePaid: args.price,
+          blockNumber: log.blockNumber,
+          expiry: kind === 'perpetual' ? PERPETUAL_EXPIRY : Number(args.expiry) * 1000,
+          termId: args.termId,
+          kind,
+          usage: LICENSE_USAGES[args.usage],
+          usesLeft: kind === 'request' ? 1 : null,
+          createdAt: Date.now(),
+        };
+        const writes = [
+          // A license held off-chain that covers this one is kept
+          { kind: 'license', key, value: strongerLicense(await this.storage.getLicense(args.buyer, args.contentHash), license) },
+          { kind: 'tx', key: txKey, value: key },
+        ];
+
+        const content = await this.storage.getContent(args.contentHash);
+        if (content) {
+          writes.push({
+            kind: 'content',
+            key: args.contentHash,
+            value: {
+              ...content,
+              totalRevenue: content.totalRevenue + args.price,
+              accessCount: content.accessCount + 1,
+            },
+          });
+        }
+        return writes;
+      }
+
+      case 'BatchLicensePurchased': {
+        const block = await getBlock(this.client, { blockNumber: log.blockNumber });
+        const purchasedAt = Number(block.timestamp) * 1000;
+        const escrows = await this._batchEscrows(log);
+
+        // Same content can appear twice in one batch, so track updates locally
+        const contents = new Map();
+        const licenses = new Map();
+        const writes = [];
+
+        for (const [i, contentHash] of args.contentHashes.entries()) {
+          // Already recorded through POST /api/license/batch
+          const txKey = paymentKey(log.transactionHash, contentHash);
+          if (await this.storage.getTxUsage(txKey)) continue;
+
+          const content = contents.get(contentHash) || await this.storage.getContent(contentHash);
+          if (!content) continue;
+
+          // What the contract charged; the kind and duration follow the
+          // stored terms (unless changed since)
+          const { amount, memo } = escrows[i];
+          const term = findTerm(content, args.termIds[i]) ?? findTerm(content, 0);
+
+          const key = licenseKey(args.buyer, contentHash);
+          const held = licenses.has(key) ? licenses.get(key) : await this.storage.getLicense(args.buyer, contentHash);
+          const license = strongerLicense(held, {
+            agentAddress: args.buyer,
+            contentHash,
+            txHash: log.transactionHash,
+            memo,
+            pricePaid: amount,
+            blockNumber: log.blockNumber,
+            ...licenseFields(term, purchasedAt),
+            createdAt: Date.now(),
+          });
+          licenses.set(key, license);
+          writes.push({ kind: 'tx', key: txKey, value: key });
+          writes.push({ kind: 'license', key, value: license });
+
+          contents.set(contentHash, {
+            ...content,
+            totalRevenue: content.totalRevenue + amount,
+            accessCount: content.accessCount + 1,
+          });
+        }
+
+        for (const [contentHash, content] of contents) {
+          writes.push({ kind: 'content', key: contentHash, value: content });
+        }
+        return writes;
+      }
+
+      case 'RevenueWithdrawn': {
+        const creator = await this.storage.getCreator(args.contentOwner);
+        return [{
+          kind: 'creator',
+          key: args.contentOwner,
+          value: {
+            address: args.contentOwner,
+            totalWithdrawn: (creator?.totalWithdrawn ?? 0n) + args.amount,
+          },
+        }];
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * The escrow transfers of a BatchLicensePurchased event, one per item in
+   * order: { amount, memo } as the contract pulled them from the buyer,
+   * just before it emitted the event
+   */
+  async _batchEscrows(log) {
+    const receipt = await getTransactionReceipt(this.client, { hash: log.transactionHash });
+    const escrows = parseEventLogs({ abi: Abis.tip20, logs: receipt.logs, eventName: 'TransferWithMemo' })
+      .filter(transfer =>
+        transfer.logIndex < log.logIndex &&
+        isAddressEqual(transfer.args.from, log.args.buyer) &&
+        isAddressEqual(transfer.args.to, this.contractAddress)
+      )
+      .slice(-log.args.contentHashes.length);
+
+    if (escrows.length !== log.args.contentHashes.length) {
+      throw new Error(`Batch purchase ${log.transactionHash} escrowed ${escrows.length} of ${log.args.contentHashes.length} items`);
+    }
+    return escrows.map(transfer => ({ amount: transfer.args.amount, memo: transfer.args.memo }));
+  }
+}
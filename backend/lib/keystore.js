@@ -0,0 +1,132 @@
+import { readFileSync } from 'fs';
+import { createDecipheriv, pbkdf2Sync } from 'crypto';
+import { scrypt } from '@noble/hashes/scrypt';
+import { concat, isAddressEqual, keccak256 } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+
+/**
+ * Encrypted key files (Web3 Secret Storage v3, as written by geth and
+ * most wallets): AES-128-CTR under a scrypt- or PBKDF2-derived key, with
+ * a keccak256 MAC over the ciphertext.
+ *
+ * Mirrored by agent/lib/keystore.js, which can also write keystores.
+ */
+
+/**
+ * Decrypt a keystore JSON object; returns the 0x-prefixed private key
+ */
+export function decryptKeystore(keystore, password) {
+  const crypto = keystore?.crypto ?? keystore?.Crypto;
+  if (keystore?.version !== 3 || !crypto) {
+    throw new Error('Not a version 3 keystore');
+  }
+  if (crypto.cipher !== 'aes-128-ctr') {
+    throw new Error(`Unsupported keystore cipher ${crypto.cipher}`);
+  }
+
+  const derivedKey = deriveKey(crypto.kdf, crypto.kdfparams, password);
+  const ciphertext = Buffer.from(crypto.ciphertext, 'hex');
+  const mac = keccak256(concat([derivedKey.subarray(16, 32), ciphertext]));
+  if (mac.slice(2) !== crypto.mac.toLowerCase()) {
+    throw new Error('Wrong keystore password');
+  }
+
+  const iv = Buffer.from(crypto.cipherparams.iv, 'hex');
+  const decipher = createDecipheriv('aes-128-ctr', derivedKey.subarray(0, 16), iv);
+  const privateKey = `0x${Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('hex')}`;
+
+  const { address } = privateKeyToAccount(privateKey);
+  if (keystore.address && !isAddressEqual(address, `0x${keystore.address.replace(/^0x/, '')}`)) {
+    throw new Error('Keystore address does not match its key');
+  }
+  return privateKey;
+}
+
+/**
+ * Read and decrypt a keystore file; returns the private key
+ */
+export function readKeystore(path, password) {
+  return decryptKeystore(JSON.parse(readFileSync(path, 'utf8')), password);
+}
+
+/**
+ * Keystore password from `password`, the first line of `passwordFile`,
+ * or else typed at the terminal (hidden)
+ */
+export async function readPassword({ password, passwordFile, prompt = 'Keystore password: ' } = {}) {
+  if (password) return password;
+  if (passwordFile) return readFileSync(passwordFile, 'utf8').split(/\r?\n/)[0];
+  return promptHidden(prompt);
+}
+
+/**
+ * Account from a keystore file, or else a raw private key
+ * Returns null when neither is configured.
+ */
+export async function loadAccount({ keystore, password, passwordFile, privateKey }) {
+  if (keystore) {
+    const secret = await readPassword({ password, passwordFile, prompt: `Password for ${keystore}: ` });
+    return privateKeyToAccount(readKeystore(keystore, secret));
+  }
+  return privateKey ? privateKeyToAccount(privateKey) : null;
+}
+
+function deriveKey(kdf, params, password) {
+  const secret = Buffer.from(password.normalize('NFKC'));
+  const salt = Buffer.from(params.salt, 'hex');
+
+  if (kdf === 'scrypt') {
+    // Not Node's scrypt: OpenSSL rejects valid parameter sets (r = 1 with n = 2^18)
+    return Buffer.from(scrypt(secret, salt, { N: params.n, r: params.r, p: params.p, dkLen: params.dklen }));
+  }
+
+  if (kdf === 'pbkdf2') {
+    if (params.prf !== 'hmac-sha256') {
+      throw new Error(`Unsupported keystore PBKDF2 hash ${params.prf}`);
+    }
+    return pbkdf2Sync(secret, salt, params.c, params.dklen, 'sha256');
+  }
+
+  throw new Error(`Unsupported keystore KDF ${kdf}`);
+}
+
+/**
+ * Ask for a password on the terminal without echoing it
+ */
+function promptHidden(question) {
+  const { stdin, stderr } = process;
+  if (!stdin.isTTY) {
+    return Promise.reject(new Error('Keystore password not configured and no terminal to ask for it'));
+  }
+
+  return new Promise((resolve, reject) => {
+    let input = '';
+
+    const finish = () => {
+      stdin.off('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stderr.write('\n');
+    };
+
+    const onData = chunk => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') {
+          finish();
+          return resolve(input);
+        }
+        if (char === '\u0003') {
+          finish();
+          return reject(new Error('Password prompt cancelled'));
+        }
+        input = char === '\u007f' || char === '\b' ? input.slice(0, -1) : input + char;
+      }
+    };
+
+    stderr.write(question);
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
@@ -0,0 +1,152 @@
+import { ApiError } from './errors.js';
+import { verifyLicensePayment } from './payments.js';
+import { splitPayment } from './splits.js';
+import { licenseKey, paymentKey } from './storage/index.js';
+import { contentTerms, findTerm, licenseFields, usageCovers } from './terms.js';
+
+/**
+ * License lookup and payment redemption shared by the license routes and
+ * the HTTP 402 flow
+ */
+export class LicenseService {
+  constructor({ storage, getClient, tokens, contractAddress, contractAbi, platformFee = null }) {
+    this.storage = storage;
+    this.getClient = getClient;
+    this.tokens = tokens;
+    this.contractAddress = contractAddress;
+    this.contractAbi = contractAbi;
+    this.platformFee = platformFee;
+
+    // Payment keys currently being verified (redeemed ones live in storage)
+    this.pendingTxHashes = new Set();
+  }
+
+  /**
+   * Return the agent's license if it has not expired, has fetches left
+   * and covers `usage` (any use when omitted)
+   */
+  async checkLicense(agentAddress, contentHash, usage) {
+    const license = await this.storage.getLicense(agentAddress, contentHash);
+
+    if (!license || license.expiry <= Date.now() || license.usesLeft === 0) {
+      return null;
+    }
+
+    if (usage && !usageCovers(license.usage || 'any', usage)) {
+      return null;
+    }
+
+    return license;
+  }
+
+  /**
+   * Spend one fetch of a per-request license; false when none is left.
+   * Unmetered licenses are not affected.
+   */
+  async useLicense(license) {
+    if (license.usesLeft == null) return true;
+    return this.storage.useLicense(license.agentAddress, license.contentHash);
+  }
+
+  /**
+   * Who a direct payment for `content` on `term` (its default price when
+   * omitted) must pay: its payees and the platform fee, [{ address,
+   * amount }] adding up to the price
+   */
+  async payouts(content, term) {
+    const fee = this.platformFee ? await this.platformFee.current() : undefined;
+    return splitPayment(content, term?.price ?? content.price, fee);
+  }
+
+  /**
+   * License terms of `content` with the payouts of each
+   */
+  async terms(content) {
+    return Promise.all(contentTerms(content).map(async term => ({
+      ...term,
+      payouts: await this.payouts(content, term),
+    })));
+  }
+
+  /**
+   * Verify `txHash` paid for `content` and activate the agent's license.
+   * Each payment (tx hash and content item) can be redeemed once. `memo`
+   * and `paidBefore` tighten the check to a specific quote (see
+   * verifyLicensePayment).
+   */
+  async redeemPayment({ content, agentAddress, txHash, memo, paidBefore }) {
+    const key = licenseKey(agentAddress, content.contentHash);
+    const txKey = paymentKey(txHash, content.contentHash);
+
+    // Reject payments that were already redeemed (older records are keyed
+    // by the tx hash alone)
+    const usedFor = await this.storage.getTxUsage(txKey) || await this.storage.getTxUsage(txHash);
+    if (usedFor) {
+      throw txUsedError(usedFor === key);
+    }
+
+    if (this.pendingTxHashes.has(txKey)) {
+      throw new ApiError('TX_REPLAYED', 'Transaction is already being verified', 409);
+    }
+
+    this.pendingTxHashes.add(txKey);
+    let payment;
+    let license;
+    try {
+      payment = await verifyLicensePayment({
+        client: this.getClient(),
+        txHash,
+        agentAddress,
+        content,
+        tokens: this.tokens,
+        contractAddress: this.contractAddress,
+        contractAbi: this.contractAbi,
+        terms: await this.terms(content),
+        memo,
+        paidBefore,
+      });
+
+      license = {
+        agentAddress,
+        contentHash: content.contentHash,
+        txHash,
+        memo: payment.memo,
+        pricePaid: payment.amount,
+        token: payment.token,
+        blockNumber: payment.blockNumber,
+        ...licenseFields(findTerm(content, payment.termId)),
+        createdAt: Date.now(),
+      };
+
+      // The payment marker, license and content stats are written together,
+      // so a failed write leaves the payment redeemable. Another process
+      // may have redeemed it meanwhile; the claim decides.
+      // A license already held that covers this one is kept (the payment
+      // still counts as revenue).
+      const redeemed = await this.storage.redeemLicense({
+        paymentKey: txKey,
+        license,
+        stats: { revenue: payment.amount, accesses: 1 },
+      });
+      if (!redeemed) {
+        throw txUsedError(await this.storage.getTxUsage(txKey) === key);
+      }
+      license = redeemed;
+    } finally {
+      this.pendingTxHashes.delete(txKey);
+    }
+
+    return { license, payment };
+  }
+}
+
+// 409 for a payment already redeemed, for this license or another one
+function txUsedError(replayed) {
+  return new ApiError(
+    replayed ? 'TX_REPLAYED' : 'TX_ALREADY_USED',
+    replayed
+      ? 'Transaction already recorded for this license'
+      : 'Transaction already used for another license',
+    409
+  );
+}
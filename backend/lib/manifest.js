@@ -0,0 +1,128 @@
+import { DEFAULT_TOKEN, contentToken, describeToken } from './chain.js';
+import { CRAWLER_CLASSES, DEFAULT_CRAWLER_POLICY, crawlerAction } from './crawlers.js';
+import { splitPayment } from './splits.js';
+import { DEFAULT_LICENSE_DURATION_SECONDS, contentTerms, describeTerm } from './terms.js';
+import { PAYMENT_SCHEME, X402_VERSION } from './x402.js';
+
+/**
+ * Publisher discovery documents generated from the content registry
+ *
+ * - /robots.txt disallows content a crawler class is blocked from and
+ *   points to the pricing manifest
+ * - /.well-known/openpayai.json lists paywalled paths, prices and payment
+ *   terms so agents can budget before crawling. Each item names the token
+ *   it is priced in, the license terms it sells (see lib/terms.js) and the
+ *   payouts a direct payment is split into; `payment.tokens` lists every
+ *   token payments may use.
+ */
+
+export const MANIFEST_PATH = '/.well-known/openpayai.json';
+export const MANIFEST_VERSION = 1;
+
+// How long agents may cache the manifest
+export const MANIFEST_TTL_SECONDS = 300;
+
+/**
+ * Build the pricing manifest for the active content in `contents`
+ */
+export function buildManifest({ contents, baseUrl, tokens, platformFee, chainId, network, contractAddress }) {
+  const generatedAt = Math.floor(Date.now() / 1000);
+
+  return {
+    version: MANIFEST_VERSION,
+    publisher: baseUrl,
+    generatedAt,
+    expiresAt: generatedAt + MANIFEST_TTL_SECONDS,
+    payment: {
+      x402Version: X402_VERSION,
+      scheme: PAYMENT_SCHEME,
+      network,
+      chainId,
+      token: describeToken(DEFAULT_TOKEN),
+      tokens: tokens.map(describeToken),
+      contractAddress: contractAddress || null,
+      platformFeeBps: platformFee?.bps ?? 0,
+      licenseDurationSeconds: DEFAULT_LICENSE_DURATION_SECONDS,
+    },
+    accessEndpoint: `${baseUrl}/api/content/{contentHash}/access`,
+    content: contents
+      .filter(content => content.active)
+      .map(content => ({
+        contentHash: content.contentHash,
+        path: localPath(content.contentURI, baseUrl),
+        contentURI: content.contentURI,
+        price: content.price.toString(),
+        token: contentToken(content),
+        owner: content.contentOwner,
+        payouts: describePayouts(content, content.price, platformFee),
+        terms: contentTerms(content).map(term => ({
+          ...describeTerm(term),
+          payouts: describePayouts(content, term.price, platformFee),
+        })),
+        policy: effectivePolicy(content),
+      })),
+  };
+}
+
+/**
+ * Build robots.txt: one group per crawler class with blocked content,
+ * listing every ruleset crawler of that class
+ */
+export function buildRobotsTxt({ contents, baseUrl, crawlers }) {
+  const lines = [
+    '# Generated from the OpenPayAI content registry',
+    `# Pricing and payment terms: ${baseUrl}${MANIFEST_PATH}`,
+    '# Paid content answers AI crawlers with HTTP 402 Payment Required',
+    '',
+  ];
+
+  for (const crawlerClass of CRAWLER_CLASSES) {
+    const userAgents = crawlers
+      .filter(crawler => crawler.class === crawlerClass)
+      .map(crawler => crawler.userAgent[0]);
+    if (userAgents.length === 0) continue;
+
+    const blocked = contents.filter(content =>
+      content.active && crawlerAction({ class: crawlerClass }, content) === 'block'
+    );
+    if (blocked.length === 0) continue;
+
+    lines.push(`# ${crawlerClass}`);
+    for (const userAgent of userAgents) {
+      lines.push(`User-agent: ${userAgent}`);
+    }
+    for (const content of blocked) {
+      const path = localPath(content.contentURI, baseUrl);
+      if (path) lines.push(`Disallow: ${path}`);
+      lines.push(`Disallow: /api/content/${content.contentHash}/access`);
+    }
+    lines.push('');
+  }
+
+  lines.push('User-agent: *');
+  lines.push('Allow: /');
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+// Payouts of `amount` paid for `content`, amounts as strings
+function describePayouts(content, amount, platformFee) {
+  return splitPayment(content, amount, platformFee)
+    .map(({ address, amount: paid }) => ({ address, amount: paid.toString() }));
+}
+
+// Policy for every crawler class, defaults filled in
+function effectivePolicy(content) {
+  return { ...DEFAULT_CRAWLER_POLICY, ...content.crawlerPolicy };
+}
+
+// Path of a content URI served from `baseUrl`, null for other hosts
+function localPath(contentURI, baseUrl) {
+  try {
+    const url = new URL(contentURI);
+    return url.origin === new URL(baseUrl).origin ? url.pathname : null;
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,115 @@
+import { concat, hexToNumber, isHex, numberToHex, pad, size, slice, stringToHex } from 'viem';
+
+/**
+ * License memo encoding
+ *
+ * TIP-20 memos are a single bytes32, so the memo is packed as:
+ *   bytes  0..7   "LICENSE:"
+ *   bytes  8..23  first 16 bytes of the content hash
+ *   bytes 24..29  purchase timestamp in ms (uint48)
+ *   byte  30      item index within a batch (uint8)
+ *   byte  31      license term id (uint8, see lib/terms.js)
+ */
+
+const MEMO_TAG = stringToHex('LICENSE:');
+
+/**
+ * Take the 16-byte content hash prefix stored in a memo
+ */
+function contentHashPrefix(contentHash) {
+  return slice(pad(contentHash, { dir: 'right', size: 32 }), 0, 16);
+}
+
+/**
+ * Encode a license memo for a content hash
+ */
+export function encodeLicenseMemo(contentHash, timestamp = Date.now(), index = 0, termId = 0) {
+  return concat([
+    MEMO_TAG,
+    contentHashPrefix(contentHash),
+    numberToHex(timestamp, { size: 6 }),
+    numberToHex(index, { size: 1 }),
+    numberToHex(termId, { size: 1 }),
+  ]);
+}
+
+/**
+ * Decode a license memo, returns null if it is not one
+ */
+export function decodeLicenseMemo(memo) {
+  if (!isHex(memo) || size(memo) !== 32) return null;
+  if (slice(memo, 0, 8).toLowerCase() !== MEMO_TAG.toLowerCase()) return null;
+
+  return {
+    contentHashPrefix: slice(memo, 8, 24),
+    timestamp: hexToNumber(slice(memo, 24, 30)),
+    index: hexToNumber(slice(memo, 30, 31)),
+    termId: hexToNumber(slice(memo, 31, 32)),
+  };
+}
+
+/**
+ * Check that a memo was issued for the given content hash
+ */
+export function memoMatchesContent(memo, contentHash) {
+  if (!isHex(contentHash) || size(contentHash) > 32) return false;
+
+  const decoded = decodeLicenseMemo(memo);
+  if (!decoded) return false;
+
+  return decoded.contentHashPrefix.toLowerCase() === contentHashPrefix(contentHash).toLowerCase();
+}
+
+/**
+ * Prepaid memo encoding
+ *
+ * Credit deposits and subscription payments go straight to the creator,
+ * tagged with:
+ *   bytes  0..7   "DEPOSIT:" or "SUBSCRB:"
+ *   bytes  8..23  first 16 bytes of the creator address
+ *   bytes 24..29  payment timestamp in ms (uint48)
+ *   bytes 30..31  reserved (zero)
+ */
+
+const PREPAID_TAGS = {
+  deposit: stringToHex('DEPOSIT:'),
+  subscription: stringToHex('SUBSCRB:'),
+};
+
+/**
+ * Encode a memo for a `kind` ('deposit' or 'subscription') payment to
+ * `creator`
+ */
+export function encodePrepaidMemo(kind, creator, timestamp = Date.now()) {
+  return concat([
+    PREPAID_TAGS[kind],
+    slice(creator, 0, 16),
+    numberToHex(timestamp, { size: 6 }),
+    numberToHex(0, { size: 2 }),
+  ]);
+}
+
+/**
+ * Decode a prepaid memo, returns null if it is not one
+ */
+export function decodePrepaidMemo(memo) {
+  if (!isHex(memo) || size(memo) !== 32) return null;
+
+  const tag = slice(memo, 0, 8).toLowerCase();
+  const kind = Object.keys(PREPAID_TAGS).find(name => PREPAID_TAGS[name].toLowerCase() === tag);
+  if (!kind) return null;
+
+  return {
+    kind,
+    creatorPrefix: slice(memo, 8, 24),
+    timestamp: hexToNumber(slice(memo, 24, 30)),
+  };
+}
+
+/**
+ * Check that a memo tags a `kind` payment to `creator`
+ */
+export function memoMatchesPrepaid(memo, kind, creator) {
+  const decoded = decodePrepaidMemo(memo);
+  return decoded?.kind === kind && decoded.creatorPrefix.toLowerCase() === slice(creator, 0, 16).toLowerCase();
+}
@@ -0,0 +1,282 @@
+import { isAddressEqual, parseEventLogs } from 'viem';
+import { getBlock, getTransactionReceipt } from 'viem/actions';
+import { Abis } from 'viem/tempo';
+import { contentToken } from './chain.js';
+import { ApiError } from './errors.js';
+import { decodeLicenseMemo, memoMatchesContent, memoMatchesPrepaid } from './memo.js';
+import { contentTerms } from './terms.js';
+
+/**
+ * Error raised when a license payment cannot be verified on-chain
+ */
+export class PaymentVerificationError extends ApiError {
+  constructor(code, message, status = 402) {
+    super(code, message, status);
+    this.name = 'PaymentVerificationError';
+  }
+}
+
+/**
+ * Fetch a receipt, returning null if the transaction is unknown
+ */
+async function fetchReceipt(client, txHash) {
+  try {
+    return await getTransactionReceipt(client, { hash: txHash });
+  } catch (error) {
+    if (error.name === 'TransactionReceiptNotFoundError') return null;
+    throw error;
+  }
+}
+
+/**
+ * Verify that a transaction paid for a license
+ *
+ * Each payment is for one of `terms` ({ id, price, payouts }, see
+ * lib/terms.js; the content's terms paid in full to its owner by default),
+ * named by the term id in its memo or contract event.
+ *
+ * Accepts TransferWithMemo calls from the agent sharing one token and
+ * memo that pay every one of the term's `payouts` ({ address, amount },
+ * see splitPayment), in any of the accepted `tokens` (stablecoins count at
+ * par, whatever token the content is priced in). Also accepts a
+ * LicensePurchased or BatchLicensePurchased event emitted by the OpenPayAI
+ * contract, which charges the content's own token and splits it on-chain.
+ * Batch items take their amount and memo from the escrow TransferWithMemo
+ * the contract pulled from the agent.
+ * The payment's memo must be a license memo for the content (see
+ * memoMatchesContent). When `memo` is given it must be exactly that memo,
+ * and when `paidBefore` (unix seconds) is given it must be mined by then.
+ * Returns the matched payment
+ * ({ amount, token, memo, termId, source, blockNumber }).
+ */
+export async function verifyLicensePayment({
+  client,
+  txHash,
+  agentAddress,
+  content,
+  tokens,
+  contractAddress,
+  contractAbi,
+  terms = contentTerms(content).map(term => ({
+    ...term,
+    payouts: [{ address: content.contentOwner, amount: term.price }],
+  })),
+  memo,
+  paidBefore,
+}) {
+  if (!client) {
+    throw new PaymentVerificationError('CHAIN_UNAVAILABLE', 'Tempo client not initialized', 503);
+  }
+
+  const receipt = await fetchReceipt(client, txHash);
+  if (!receipt) {
+    throw new PaymentVerificationError('TX_NOT_FOUND', 'Transaction not found', 404);
+  }
+
+  if (receipt.status !== 'success') {
+    throw new PaymentVerificationError('TX_FAILED', 'Transaction reverted', 400);
+  }
+
+  const termOf = termId => terms.find(term => term.id === Number(termId));
+  const memoTerm = paidMemo => decodeLicenseMemo(paidMemo)?.termId ?? 0;
+  const payees = terms.flatMap(term => term.payouts);
+
+  // Collect every log that looks like a payment from this agent for this
+  // content, then pick the best one so the error explains the closest miss
+  const candidates = [];
+
+  const transfers = parseEventLogs({
+    abi: Abis.tip20,
+    logs: receipt.logs,
+    eventName: 'TransferWithMemo',
+  });
+
+  // Direct payments: what each payee received, per token and memo
+  const direct = new Map();
+  for (const log of transfers) {
+    if (!tokens.some(token => isAddressEqual(log.address, token))) continue;
+    if (!isAddressEqual(log.args.from, agentAddress)) continue;
+    if (!payees.some(payout => isAddressEqual(log.args.to, payout.address))) continue;
+
+    const key = `${log.address.toLowerCase()}:${log.args.memo.toLowerCase()}`;
+    if (!direct.has(key)) {
+      direct.set(key, { token: log.address, memo: log.args.memo, received: new Map() });
+    }
+    const { received } = direct.get(key);
+    const payee = log.args.to.toLowerCase();
+    received.set(payee, (received.get(payee) ?? 0n) + log.args.amount);
+  }
+
+  for (const { token, memo: paidMemo, received } of direct.values()) {
+    const term = termOf(memoTerm(paidMemo));
+    candidates.push({
+      source: 'transfer',
+      amount: [...received.values()].reduce((sum, amount) => sum + amount, 0n),
+      token,
+      memo: paidMemo,
+      termId: memoTerm(paidMemo),
+      covered: Boolean(term) &&
+        term.payouts.every(payout => (received.get(payout.address.toLowerCase()) ?? 0n) >= payout.amount),
+    });
+  }
+
+  if (contractAddress && contractAbi) {
+    const purchases = parseEventLogs({
+      abi: contractAbi,
+      logs: receipt.logs,
+      eventName: 'LicensePurchased',
+    });
+
+    for (const log of purchases) {
+      if (!isAddressEqual(log.address, contractAddress)) continue;
+      if (!isAddressEqual(log.args.buyer, agentAddress)) continue;
+      if (log.args.contentHash.toLowerCase() !== content.contentHash.toLowerCase()) continue;
+
+      const term = termOf(log.args.termId);
+      candidates.push({
+        source: 'contract',
+        amount: log.args.price,
+        token: contentToken(content),
+        memo: log.args.memo,
+        termId: log.args.termId,
+        covered: Boolean(term) && log.args.price >= term.price,
+      });
+    }
+
+    const batches = parseEventLogs({
+      abi: contractAbi,
+      logs: receipt.logs,
+      eventName: 'BatchLicensePurchased',
+    });
+
+    for (const log of batches) {
+      if (!isAddressEqual(log.address, contractAddress)) continue;
+      if (!isAddressEqual(log.args.buyer, agentAddress)) continue;
+      // Term ids the batch bought this content on
+      const termIds = log.args.contentHashes
+        .map((hash, i) => (hash.toLowerCase() === content.contentHash.toLowerCase() ? log.args.termIds[i] : null))
+        .filter(termId => termId !== null);
+      if (termIds.length === 0) continue;
+
+      // The contract escrowed each item with its own memo
+      const escrowed = transfers.filter(transfer =>
+        isAddressEqual(transfer.address, contentToken(content)) &&
+        isAddressEqual(transfer.args.from, agentAddress) &&
+        isAddressEqual(transfer.args.to, contractAddress)
+      );
+      for (const transfer of escrowed) {
+        const termId = memoTerm(transfer.args.memo);
+        const term = termIds.includes(termId) ? termOf(termId) : null;
+        candidates.push({
+          source: 'contract-batch',
+          amount: transfer.args.amount,
+          token: transfer.address,
+          memo: transfer.args.memo,
+          termId,
+          covered: Boolean(term) && transfer.args.amount >= term.price,
+        });
+      }
+    }
+  }
+
+  if (candidates.length === 0) {
+    throw new PaymentVerificationError(
+      'PAYMENT_NOT_FOUND',
+      'Transaction contains no payment from agent to content owner'
+    );
+  }
+
+  // A memo names the content it pays for, so one payment cannot be
+  // redeemed for other items of the same owner
+  const withMemo = candidates.filter(c =>
+    memoMatchesContent(c.memo, content.contentHash) &&
+    (!memo || c.memo.toLowerCase() === memo.toLowerCase())
+  );
+  if (withMemo.length === 0) {
+    throw new PaymentVerificationError(
+      'MEMO_MISMATCH',
+      'Payment memo does not match content hash'
+    );
+  }
+
+  const match = withMemo.find(c => c.covered);
+  if (!match) {
+    throw new PaymentVerificationError(
+      'PAYMENT_INSUFFICIENT',
+      'Payment does not cover the price of its license terms for every payee'
+    );
+  }
+  const { covered, ...payment } = match;
+
+  if (paidBefore) {
+    const block = await getBlock(client, { blockNumber: receipt.blockNumber });
+    if (block.timestamp > BigInt(paidBefore)) {
+      throw new PaymentVerificationError(
+        'PAYMENT_EXPIRED',
+        'Payment was made after the quote expired'
+      );
+    }
+  }
+
+  return {
+    ...payment,
+    blockNumber: receipt.blockNumber,
+  };
+}
+
+
+/**
+ * Verify that a transaction prepaid `creator`: a credit deposit or a
+ * subscription payment (`kind`, see lib/prepaid.js)
+ *
+ * Sums the TransferWithMemo calls from the agent to the creator, in any of
+ * the accepted `tokens` (at par), whose memo tags a `kind` payment to
+ * that creator (see encodePrepaidMemo). Returns
+ * { amount, token, memo, blockNumber }.
+ */
+export async function verifyPrepaidPayment({ client, txHash, agentAddress, creator, tokens, kind }) {
+  if (!client) {
+    throw new PaymentVerificationError('CHAIN_UNAVAILABLE', 'Tempo client not initialized', 503);
+  }
+
+  const receipt = await fetchReceipt(client, txHash);
+  if (!receipt) {
+    throw new PaymentVerificationError('TX_NOT_FOUND', 'Transaction not found', 404);
+  }
+
+  if (receipt.status !== 'success') {
+    throw new PaymentVerificationError('TX_FAILED', 'Transaction reverted', 400);
+  }
+
+  const transfers = parseEventLogs({
+    abi: Abis.tip20,
+    logs: receipt.logs,
+    eventName: 'TransferWithMemo',
+  }).filter(log =>
+    tokens.some(token => isAddressEqual(log.address, token)) &&
+    isAddressEqual(log.args.from, agentAddress) &&
+    isAddressEqual(log.args.to, creator)
+  );
+
+  if (transfers.length === 0) {
+    throw new PaymentVerificationError(
+      'PAYMENT_NOT_FOUND',
+      'Transaction contains no payment from agent to creator'
+    );
+  }
+
+  const tagged = transfers.filter(log => memoMatchesPrepaid(log.args.memo, kind, creator));
+  if (tagged.length === 0) {
+    throw new PaymentVerificationError(
+      'MEMO_MISMATCH',
+      `Payment memo does not tag a ${kind} for this creator`
+    );
+  }
+
+  return {
+    amount: tagged.reduce((sum, log) => sum + log.args.amount, 0n),
+    token: tagged[0].address,
+    memo: tagged[0].args.memo,
+    blockNumber: receipt.blockNumber,
+  };
+}
@@ -0,0 +1,566 @@
+import { createClient, http, isAddress, isAddressEqual, keccak256, stringToHex } from 'viem';
+import { tempoModerato } from 'viem/chains';
+import {
+  CHAIN_ID,
+  CONTRACT_ABI,
+  DEFAULT_RPC_URL,
+  DEFAULT_TOKEN,
+  NETWORK,
+  STABLECOINS,
+  contentToken,
+  describeToken,
+  findStablecoin,
+  parseAcceptedTokens,
+} from './chain.js';
+import { CrawlerClassifier, crawlerAction, normalizeCrawlerPolicy } from './crawlers.js';
+import { ApiError } from './errors.js';
+import { LicenseService } from './licenses.js';
+import { PrepaidService } from './prepaid.js';
+import { PlatformFee } from './splits.js';
+import { ReplayCache, verifyAccessSignature } from './signatures.js';
+import { createStorage, jsonReplacer } from './storage/index.js';
+import { LICENSE_USAGES, cheapestTerm, crawlerUsage, findTerm, usageCovers } from './terms.js';
+import {
+  PAYMENT_HEADER,
+  PAYMENT_REQUIRED_HEADER,
+  PAYMENT_RESPONSE_HEADER,
+  buildPaymentRequirements,
+  encodePaymentHeader,
+  verifyPaymentProof,
+} from './x402.js';
+
+// Quotes are kept this long after they expire, so a late retry of a paid
+// quote is answered with PAYMENT_EXPIRED rather than QUOTE_UNKNOWN
+const QUOTE_RETENTION_SECONDS = 24 * 60 * 60;
+
+/**
+ * Paywall for AI agents
+ *
+ * Humans pass through. Crawlers are classified (see lib/crawlers.js) and
+ * handled per the content's crawler policy: allowed, blocked, or charged.
+ * Charged agents holding a license (proven by a signed request) pass
+ * through, agents paying a quote via X-PAYMENT are settled and pass
+ * through, everyone else gets HTTP 402 with payment requirements (whose
+ * memos are recorded, see `saveQuotes`).
+ *
+ * Licenses must cover the use the agent declares (X-License-Usage header
+ * or `usage` body field: retrieval or training), by default the one its
+ * crawler class makes. Each access spends a per-request license. The 402
+ * quotes the terms named by an X-License-Term header or `term` query
+ * parameter, else the cheapest covering that use.
+ *
+ * Signed requests without a license are paid from the agent's prepaid
+ * balance with the content owner when a `prepaid` service is given: an
+ * active subscription grants access, else the quoted terms are bought
+ * from credit (see lib/prepaid.js).
+ *
+ * Used by the /api/content/:contentHash/access route and exported for
+ * publishers as Express/Connect middleware:
+ *
+ *   import { openPayPaywall } from 'openpayai-tempo-backend/paywall';
+ *
+ *   app.get('/articles/:slug', openPayPaywall({ price: 50000n, owner: '0x...' }), handler);
+ *   app.get('/news/:slug', openPayPaywall({
+ *     price: 10000n,
+ *     owner: '0x...',
+ *     paths: ['/news/today'],
+ *     policy: { 'ai-training': 'block', 'ai-assistant': 'allow' },
+ *   }), handler);
+ *   app.get('/report', openPayPaywall({ contentHash: '0x...' }), handler);
+ *   app.get('/data/:id', openPayPaywall({ price: 20000n, owner: '0x...', token: 'betaUsd' }), handler);
+ *
+ * Prices are in the content's token (default AlphaUSD); agents may pay in
+ * any accepted stablecoin (ACCEPTED_TOKENS, default all).
+ */
+export class Paywall {
+  constructor({
+    storage,
+    licenses,
+    prepaid = null,
+    getClient,
+    replayCache = new ReplayCache(),
+    tokens = STABLECOINS.map(coin => coin.address),
+    contractAddress,
+    classifier = new CrawlerClassifier(),
+    baseUrl = null,
+  }) {
+    this.storage = storage;
+    this.licenses = licenses;
+    this.prepaid = prepaid;
+    this.getClient = getClient;
+    this.replayCache = replayCache;
+    this.tokens = tokens;
+    this.contractAddress = contractAddress;
+    this.classifier = classifier;
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Build a paywall with a read-only Tempo client, for use outside the
+   * backend server
+   *
+   * Unless `storage` is given it opens its own, from STORAGE_DRIVER /
+   * SQLITE_PATH: a separate store from any running server's, shared only
+   * when both use the same SQLite file (the memory driver never is).
+   */
+  static async fromEnv(env = process.env, { storage } = {}) {
+    storage ||= await createStorage(env);
+    const client = createClient({
+      chain: tempoModerato,
+      transport: http(env.TEMPO_RPC_URL || DEFAULT_RPC_URL),
+    });
+
+    const tokens = parseAcceptedTokens(env.ACCEPTED_TOKENS);
+    const licenses = new LicenseService({
+      storage,
+      getClient: () => client,
+      tokens,
+      contractAddress: env.CONTRACT_ADDRESS,
+      contractAbi: CONTRACT_ABI,
+      platformFee: new PlatformFee({
+        getClient: () => client,
+        contractAddress: env.CONTRACT_ADDRESS,
+        contractAbi: CONTRACT_ABI,
+      }),
+    });
+
+    return new Paywall({
+      storage,
+      licenses,
+      prepaid: new PrepaidService({ storage, getClient: () => client, tokens }),
+      getClient: () => client,
+      tokens,
+      contractAddress: env.CONTRACT_ADDRESS,
+      baseUrl: env.PUBLIC_URL || null,
+    });
+  }
+
+  /**
+   * Check whether an agent request by `crawler` may access `content`
+   *
+   * Returns { allowed: true, agentAddress, license, reason } or
+   * { allowed: false, code }, and sets X-PAYMENT-RESPONSE on `res` when a
+   * payment was settled. Throws ApiError for rejected proofs.
+   */
+  async authorize(req, res, content, { crawler } = {}) {
+    const body = req.body || {};
+    const usage = requestedUsage(req, crawler);
+    const agentAddress = body.agentAddress || header(req, 'X-Agent-Address');
+    const signature = body.signature || header(req, 'X-Agent-Signature');
+    const timestamp = body.timestamp || header(req, 'X-Agent-Timestamp');
+    const nonce = body.nonce || header(req, 'X-Agent-Nonce');
+    const { contentHash } = content;
+
+    // Retry carrying a payment proof: verify, settle and serve
+    const paymentHeader = header(req, PAYMENT_HEADER);
+    if (paymentHeader) {
+      const proof = await verifyPaymentProof({
+        client: this.getClient(),
+        replayCache: this.replayCache,
+        header: paymentHeader,
+        contentHash,
+        chainId: CHAIN_ID,
+      });
+
+      // The memo must be one this paywall quoted for the content; its
+      // timestamp is the payer's to choose, the recorded expiry is not
+      const quote = await this.storage.getQuote(proof.memo);
+      if (!quote || quote.contentHash.toLowerCase() !== contentHash.toLowerCase()) {
+        throw new ApiError('QUOTE_UNKNOWN', 'Payment memo was not quoted for this content', 400);
+      }
+
+      let license;
+      try {
+        ({ license } = await this.licenses.redeemPayment({
+          content,
+          agentAddress: proof.payer,
+          txHash: proof.txHash,
+          memo: proof.memo,
+          paidBefore: quote.expiresAt,
+        }));
+        console.log(`✅ License settled via ${PAYMENT_HEADER}: ${proof.payer} -> ${contentHash}`);
+      } catch (error) {
+        // A retry of an already settled payment still gets the content
+        license = error.code === 'TX_REPLAYED'
+          ? await this.licenses.checkLicense(proof.payer, contentHash, usage)
+          : null;
+        if (!license) throw error;
+      }
+
+      if (!usageCovers(license.usage || 'any', usage)) {
+        throw new ApiError('LICENSE_USAGE_MISMATCH', `License covers ${license.usage} use, not ${usage}`, 403);
+      }
+      if (!await this.licenses.useLicense(license)) {
+        throw new ApiError('LICENSE_USED', 'Per-request license was already used', 409);
+      }
+
+      await this.storage.logAccess({
+        contentHash,
+        agentAddress: proof.payer,
+        timestamp: Date.now(),
+        type: 'access',
+      });
+
+      res.setHeader(PAYMENT_RESPONSE_HEADER, encodePaymentHeader({
+        success: true,
+        txHash: license.txHash,
+        payer: proof.payer,
+        network: NETWORK,
+        licenseExpiry: license.expiry,
+      }));
+
+      return { allowed: true, agentAddress: proof.payer, license, reason: 'Payment settled' };
+    }
+
+    // AI crawler - check for license
+    if (!agentAddress) {
+      return { allowed: false, code: 'PAYMENT_REQUIRED' };
+    }
+    if (typeof agentAddress !== 'string' || !isAddress(agentAddress)) {
+      throw new ApiError('ADDRESS_INVALID', 'Invalid agent address', 400);
+    }
+
+    // Verify signature if provided
+    if (signature && timestamp) {
+      // Prove the caller controls agentAddress before honoring its license
+      await verifyAccessSignature({
+        client: this.getClient(),
+        replayCache: this.replayCache,
+        agentAddress,
+        contentHash,
+        signature,
+        timestamp,
+        nonce,
+      });
+
+      const license = await this.licenses.checkLicense(agentAddress, contentHash, usage);
+
+      if (license && await this.licenses.useLicense(license)) {
+        await this.storage.logAccess({
+          contentHash,
+          agentAddress,
+          timestamp: Date.now(),
+          type: 'access',
+        });
+
+        await this.storage.updateContentStats(contentHash, { accesses: 1 });
+
+        return { allowed: true, agentAddress, license, reason: 'Valid license' };
+      }
+
+      // No license: pay from a subscription or credit with the owner
+      const prepaid = this.prepaid && await this.prepaid.authorize({
+        agentAddress,
+        content,
+        term: quotedTerm(req, content, usage),
+      });
+
+      if (prepaid && await this.licenses.useLicense(prepaid)) {
+        await this.storage.logAccess({
+          contentHash,
+          agentAddress,
+          timestamp: Date.now(),
+          type: 'access',
+        });
+
+        return {
+          allowed: true,
+          agentAddress,
+          license: prepaid,
+          reason: prepaid.kind === 'subscription' ? 'Active subscription' : 'Paid from credit',
+        };
+      }
+    }
+
+    return { allowed: false, code: 'LICENSE_REQUIRED' };
+  }
+
+  /**
+   * Answer with HTTP 402 and machine-readable payment requirements for
+   * the license terms the request asks for
+   */
+  async sendPaymentRequired(req, res, content, { code, message, crawler }) {
+    const usage = requestedUsage(req, crawler);
+    const term = quotedTerm(req, content, usage);
+
+    const requirements = buildPaymentRequirements({
+      content,
+      resource: req.originalUrl || req.url,
+      tokens: this.tokens,
+      terms: await this.licenses.terms(content),
+      termId: term.id,
+      chainId: CHAIN_ID,
+      network: NETWORK,
+      contractAddress: this.contractAddress,
+    });
+
+    // Recorded so a proof can only redeem a memo quoted here, by its expiry
+    await this.storage.saveQuotes(
+      requirements.terms.map(option => ({
+        memo: option.memo,
+        contentHash: content.contentHash,
+        termId: option.id,
+        expiresAt: requirements.expiresAt,
+      })),
+      Math.floor(Date.now() / 1000) - QUOTE_RETENTION_SECONDS
+    );
+
+    res.setHeader(PAYMENT_REQUIRED_HEADER, encodePaymentHeader(requirements));
+
+    // High-volume agents may subscribe to the owner instead
+    const plan = this.prepaid && await this.prepaid.plan(content.contentOwner);
+
+    return sendJson(res, 402, {
+      error: 'Payment Required',
+      code,
+      contentHash: content.contentHash,
+      price: requirements.amount,
+      currency: describeToken(requirements.token).symbol,
+      acceptedTokens: requirements.accepts,
+      contractAddress: this.contractAddress,
+      message: message || 'AI agents must purchase license to access this content',
+      paymentRequirements: requirements,
+      paymentInstructions: {
+        token: requirements.token,
+        amount: requirements.amount,
+        to: requirements.recipient,
+        payouts: requirements.payouts,
+        memo: requirements.memo,
+        license: requirements.license,
+      },
+      subscription: plan
+        ? { creator: content.contentOwner, price: plan.price, periodSeconds: plan.periodSeconds }
+        : undefined,
+    });
+  }
+
+  /**
+   * Express/Connect middleware protecting a route
+   *
+   * Pass `contentHash` of registered content, or `price` and `owner` (and
+   * optionally the pricing `token`) to price every path under the route.
+   * Each path is registered as its own content (`baseUrl`, default
+   * PUBLIC_URL, plus the path) on its first charged request. With `paths`
+   * only those are sold, registered here, and other paths get 404.
+   * `policy` maps crawler classes to allow/charge/block and overrides the
+   * stored policy. On success `req.openPay` holds
+   * { crawler, agentAddress, license, reason } for crawler requests.
+   */
+  middleware(options = {}) {
+    const resolveContent = this._contentResolver(options);
+
+    return async (req, res, next) => {
+      try {
+        const crawler = await this.classifier.classify(req);
+        if (crawler.class === 'human') {
+          return next();
+        }
+
+        const content = await resolveContent(req);
+
+        if (!content) {
+          return sendJson(res, 404, {
+            error: 'Content not found',
+            code: 'CONTENT_NOT_FOUND',
+          });
+        }
+
+        if (!content.active) {
+          return sendJson(res, 403, {
+            error: 'Content not available',
+            code: 'CONTENT_INACTIVE',
+          });
+        }
+
+        const action = crawlerAction(crawler, content);
+
+        if (action === 'block') {
+          return sendJson(res, 403, {
+            error: 'Crawler blocked by publisher',
+            code: 'CRAWLER_BLOCKED',
+            crawlerClass: crawler.class,
+          });
+        }
+
+        if (action === 'allow') {
+          req.openPay = { crawler, reason: 'Allowed by crawler policy' };
+          return next();
+        }
+
+        const access = await this.authorize(req, res, content, { crawler });
+        if (!access.allowed) {
+          return await this.sendPaymentRequired(req, res, content, { code: access.code, crawler });
+        }
+
+        req.openPay = { crawler, ...access };
+        next();
+      } catch (error) {
+        if (error instanceof ApiError) {
+          return sendJson(res, error.status, {
+            error: error.message,
+            code: error.code,
+          });
+        }
+        next(error);
+      }
+    };
+  }
+
+  _contentResolver({ contentHash, price, owner, policy, token, paths, baseUrl = this.baseUrl }) {
+    const crawlerPolicy = normalizeCrawlerPolicy(policy);
+
+    if (contentHash) {
+      return async () => {
+        const content = await this.storage.getContent(contentHash);
+        return content && crawlerPolicy ? { ...content, crawlerPolicy } : content;
+      };
+    }
+
+    assertPricedOptions({ price, owner, paths, baseUrl });
+
+    const pricedIn = token ? findStablecoin(token)?.address : DEFAULT_TOKEN;
+    if (!pricedIn || !this.tokens.some(accepted => isAddressEqual(accepted, pricedIn))) {
+      throw new Error(`openPayPaywall token ${token} is not an accepted stablecoin`);
+    }
+
+    // Content URIs come from the configured origin, never the Host header
+    const origin = baseUrl.replace(/\/$/, '');
+
+    const hashOf = path => keccak256(stringToHex(`${owner.toLowerCase()}:${origin}${path}`));
+
+    // Registration of each path, once per process (retried after a failure)
+    const registrations = new Map();
+    const register = path => {
+      if (!registrations.has(path)) {
+        const registration = this._registerPricedContent({
+          contentHash: hashOf(path),
+          price: BigInt(price),
+          contentOwner: owner,
+          contentURI: `${origin}${path}`,
+          token: pricedIn,
+          crawlerPolicy,
+        });
+        registrations.set(path, registration);
+        registration.catch(() => registrations.delete(path));
+      }
+      return registrations.get(path);
+    };
+
+    // Listed paths are registered now; failures surface on their first request
+    const listed = paths && new Set(paths);
+    for (const path of listed || []) {
+      register(path).catch(() => {});
+    }
+
+    return async (req) => {
+      const path = (req.originalUrl || req.url).split('?')[0];
+      if (listed && !listed.has(path)) return null;
+
+      await register(path);
+      return this.storage.getContent(hashOf(path));
+    };
+  }
+
+  // Save a priced URL unless it is stored as is. A price, token or policy changed in code replaces only those fields, so
+  // status, stats, splits, terms and archival are kept.
+  async _registerPricedContent(content) {
+    const existing = await this.storage.getContent(content.contentHash);
+    if (
+      existing &&
+      existing.price === content.price &&
+      isAddressEqual(contentToken(existing), content.token) &&
+      JSON.stringify(existing.crawlerPolicy ?? null) === JSON.stringify(content.crawlerPolicy)
+    ) {
+      return;
+    }
+
+    await this.storage.saveContent(existing
+      ? { ...existing, ...content }
+      : { ...content, active: true, totalRevenue: 0n, accessCount: 0, createdAt: Date.now() });
+  }
+}
+
+// Works with Express and plain Connect/Node requests
+function header(req, name) {
+  return req.headers[name.toLowerCase()];
+}
+
+// Use an agent request declares, else the one its crawler class makes
+function requestedUsage(req, crawler) {
+  const usage = req.body?.usage || header(req, 'X-License-Usage') || crawlerUsage(crawler);
+  if (!LICENSE_USAGES.includes(usage)) {
+    throw new ApiError('USAGE_INVALID', `License usage must be one of ${LICENSE_USAGES.join(', ')}`, 400);
+  }
+  return usage;
+}
+
+// Terms a 402 quotes: the ones the request names, else the cheapest
+// covering `usage`
+function quotedTerm(req, content, usage) {
+  const requested = header(req, 'X-License-Term') ?? req.query?.term;
+  if (requested === undefined) {
+    const term = cheapestTerm(content, usage);
+    if (!term) {
+      throw new ApiError('USAGE_NOT_LICENSED', `Content is not licensed for ${usage} use`, 403);
+    }
+    return term;
+  }
+
+  const term = /^\d+$/.test(String(requested)) ? findTerm(content, requested) : null;
+  if (!term) {
+    throw new ApiError('TERM_NOT_FOUND', `Unknown license terms ${requested}`, 400);
+  }
+  if (!usageCovers(term.usage, usage)) {
+    throw new ApiError('TERM_USAGE_MISMATCH', `License terms ${term.id} do not cover ${usage} use`, 400);
+  }
+  return term;
+}
+
+// Priced middleware needs a price, an owner and the origin of its URLs
+function assertPricedOptions({ price, owner, paths, baseUrl }) {
+  if (price === undefined || !owner || !isAddress(owner)) {
+    throw new Error('openPayPaywall needs a contentHash, or a price and owner address');
+  }
+  if (paths !== undefined && (!Array.isArray(paths) || !paths.every(path => typeof path === 'string' && path.startsWith('/')))) {
+    throw new Error('openPayPaywall paths must be a list of paths, e.g. paths: [\'/articles/hello\']');
+  }
+  if (!baseUrl || !/^https?:\/\/[^/]+/.test(baseUrl)) {
+    throw new Error('openPayPaywall needs a baseUrl (or PUBLIC_URL) for content URIs');
+  }
+}
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify(body, jsonReplacer));
+  return res;
+}
+
+let defaultPaywall;
+
+/**
+ * Paywall middleware configured from the environment
+ * (see Paywall.fromEnv and Paywall#middleware); every route shares one
+ * paywall and its storage
+ */
+export function openPayPaywall(options = {}) {
+  // Validate options now rather than on the first request
+  if (!options.contentHash) {
+    assertPricedOptions({ ...options, baseUrl: options.baseUrl || process.env.PUBLIC_URL });
+  }
+
+  // Built (and priced paths registered) once, at startup
+  defaultPaywall ||= Paywall.fromEnv();
+  const ready = defaultPaywall.then(paywall => paywall.middleware(options));
+  ready.catch(() => {});
+
+  return async (req, res, next) => {
+    let middleware;
+    try {
+      middleware = await ready;
+    } catch (error) {
+      return next(error);
+    }
+    return middleware(req, res, next);
+  };
+}
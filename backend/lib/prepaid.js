@@ -0,0 +1,203 @@
+import { contentToken } from './chain.js';
+import { ApiError } from './errors.js';
+import { PaymentVerificationError, verifyPrepaidPayment } from './payments.js';
+import { licenseKey, prepaidKey } from './storage/index.js';
+import { licenseFields } from './terms.js';
+
+/**
+ * Prepaid credits and subscriptions for high-volume agents
+ *
+ * Instead of paying on-chain for every item, an agent pays a creator once
+ * with a memo-tagged transfer (see encodePrepaidMemo):
+ *
+ * - a deposit ('DEPOSIT:') adds to the agent's credit balance with that
+ *   creator; each access to the creator's content then buys a license on
+ *   the quoted terms by debiting the balance off-chain
+ * - a subscription payment ('SUBSCRB:') buys whole periods of the
+ *   creator's plan ({ price, periodSeconds }), during which every access
+ *   to the creator's content is free; any remainder becomes credit
+ *
+ * Prepaid money goes straight to the creator, so revenue splits and the
+ * platform fee do not apply. Each transaction can be credited once.
+ */
+export class PrepaidService {
+  constructor({ storage, getClient, tokens }) {
+    this.storage = storage;
+    this.getClient = getClient;
+    this.tokens = tokens;
+
+    // Prepaid keys currently being verified (credited ones live in storage)
+    this.pendingTxHashes = new Set();
+  }
+
+  /**
+   * Credit a deposit paid to `creator` by `txHash`
+   */
+  async deposit({ agentAddress, creator, txHash }) {
+    const payment = await this._redeem({ agentAddress, creator, txHash, kind: 'deposit' });
+    const balance = await this.storage.addCredit(agentAddress, creator, payment.amount);
+    return { payment, balance };
+  }
+
+  /**
+   * Extend the agent's subscription to `creator` by the periods `txHash`
+   * paid for (from now, or from the end of the current one)
+   */
+  async subscribe({ agentAddress, creator, txHash }) {
+    const plan = await this.plan(creator);
+    if (!plan) {
+      throw new ApiError('SUBSCRIPTION_NOT_OFFERED', 'Creator does not offer a subscription', 404);
+    }
+
+    const payment = await this._redeem({ agentAddress, creator, txHash, kind: 'subscription', minimum: plan.price });
+    const periods = payment.amount / plan.price;
+
+    const current = await this.storage.getSubscription(agentAddress, creator);
+    const subscription = {
+      agentAddress,
+      creator,
+      expiresAt: Math.max(Date.now(), current?.expiresAt ?? 0) + Number(periods) * plan.periodSeconds * 1000,
+    };
+    await this.storage.saveSubscription(subscription);
+
+    // Overpayment is kept as credit with the creator
+    const remainder = payment.amount - periods * plan.price;
+    const balance = remainder > 0n
+      ? await this.storage.addCredit(agentAddress, creator, remainder)
+      : await this.storage.getCredit(agentAddress, creator);
+
+    return { payment, subscription, periods: Number(periods), balance };
+  }
+
+  /**
+   * Grant access to `content` from the agent's prepaid balance with its
+   * owner: an active subscription first, else a license on `term` bought
+   * from credit. Returns the license, or null when neither covers it.
+   */
+  async authorize({ agentAddress, content, term }) {
+    const subscription = await this.storage.getSubscription(agentAddress, content.contentOwner);
+    if (subscription && subscription.expiresAt > Date.now()) {
+      await this.storage.updateContentStats(content.contentHash, { accesses: 1 });
+      return {
+        agentAddress,
+        contentHash: content.contentHash,
+        txHash: null,
+        kind: 'subscription',
+        usage: 'any',
+        expiry: subscription.expiresAt,
+        usesLeft: null,
+      };
+    }
+
+    if (!term) return null;
+
+    const balance = await this.storage.debitCredit(agentAddress, content.contentOwner, term.price);
+    if (balance === null) return null;
+
+    const license = await this.storage.saveLicense({
+      agentAddress,
+      contentHash: content.contentHash,
+      txHash: null,
+      memo: null,
+      pricePaid: term.price,
+      token: contentToken(content),
+      blockNumber: null,
+      ...licenseFields(term),
+      createdAt: Date.now(),
+    });
+
+    await this.storage.updateContentStats(content.contentHash, {
+      revenue: term.price,
+      accesses: 1,
+    });
+
+    console.log(`💳 License paid from credit: ${agentAddress} -> ${content.contentHash} (balance ${balance})`);
+    return license;
+  }
+
+  /**
+   * The agent's credit balances and subscriptions, with every creator or
+   * only `creator`
+   */
+  async account(agentAddress, creator) {
+    if (creator) {
+      const subscription = await this.storage.getSubscription(agentAddress, creator);
+      return {
+        credits: [{ creator: creator.toLowerCase(), balance: await this.storage.getCredit(agentAddress, creator) }],
+        subscriptions: subscription ? [subscription] : [],
+      };
+    }
+
+    return {
+      credits: await this.storage.listCredits(agentAddress),
+      subscriptions: await this.storage.listSubscriptions(agentAddress),
+    };
+  }
+
+  /**
+   * Subscription plan `creator` offers, else null
+   */
+  async plan(creator) {
+    return this.storage.getSubscriptionPlan(creator);
+  }
+
+  /**
+   * Offer a subscription at `price` (token units, any accepted stablecoin
+   * at par) per `periodSeconds`
+   */
+  async setPlan(creator, { price, periodSeconds }) {
+    if (!/^\d+$/.test(String(price ?? '')) || BigInt(price) === 0n) {
+      throw new ApiError('PLAN_INVALID', 'Price must be > 0');
+    }
+    if (!Number.isInteger(periodSeconds) || periodSeconds <= 0) {
+      throw new ApiError('PLAN_INVALID', 'periodSeconds must be a positive integer');
+    }
+
+    const plan = { creator: creator.toLowerCase(), price: BigInt(price), periodSeconds };
+    await this.storage.saveSubscriptionPlan(plan);
+    return plan;
+  }
+
+  /**
+   * Stop offering a subscription; running ones last until they expire
+   */
+  async removePlan(creator) {
+    await this.storage.deleteSubscriptionPlan(creator);
+  }
+
+  // Verify a prepaid payment of at least `minimum` and mark it credited
+  async _redeem({ agentAddress, creator, txHash, kind, minimum = 1n }) {
+    const txKey = prepaidKey(txHash);
+
+    if (await this.storage.getTxUsage(txKey) || this.pendingTxHashes.has(txKey)) {
+      throw new ApiError('TX_ALREADY_USED', 'Transaction was already credited', 409);
+    }
+
+    this.pendingTxHashes.add(txKey);
+    try {
+      const payment = await verifyPrepaidPayment({
+        client: this.getClient(),
+        txHash,
+        agentAddress,
+        creator,
+        tokens: this.tokens,
+        kind,
+      });
+
+      if (payment.amount < minimum) {
+        throw new PaymentVerificationError(
+          'PAYMENT_INSUFFICIENT',
+          `Payment of ${payment.amount} is below the ${minimum} required`
+        );
+      }
+
+      // Another process may have credited it meanwhile; the claim decides
+      if (!await this.storage.markTxUsed(txKey, licenseKey(agentAddress, creator))) {
+        throw new ApiError('TX_ALREADY_USED', 'Transaction was already credited', 409);
+      }
+      return payment;
+    } finally {
+      this.pendingTxHashes.delete(txKey);
+    }
+  }
+}
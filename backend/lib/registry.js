@@ -0,0 +1,328 @@
+import { decodeFunctionData, encodeFunctionData, isAddress, isAddressEqual, isHex, keccak256, parseEventLogs, toHex, zeroAddress } from 'viem';
+import { readContract, sendRawTransaction, waitForTransactionReceipt } from 'viem/actions';
+import { Transaction } from 'viem/tempo';
+import { ApiError } from './errors.js';
+import { splitFromChain } from './splits.js';
+import { termsFromChain } from './terms.js';
+
+// Most gas the server wallet sponsors for one relayed registration
+const MAX_RELAY_GAS = 500_000n;
+
+// Suffix viem appends to sponsored transactions: sender address + marker
+const FEE_PAYER_MARKER = 'feefeefeefee';
+
+/**
+ * Derive a content hash: keccak256 of the content bytes when given
+ * (0x-prefixed hex, or text hashed as UTF-8), otherwise of the content URI
+ */
+export function deriveContentHash({ content, contentURI }) {
+  if (content !== undefined && content !== null) {
+    return keccak256(isHex(content) ? content : toHex(content));
+  }
+  return keccak256(toHex(contentURI));
+}
+
+/**
+ * On-chain content registration and management
+ *
+ * Creators sign `registerContent`, `updatePrice`, `toggleContentStatus`,
+ * `setRevenueSplit` or `withdraw` transactions and either submit them themselves (pass the
+ * tx hash) or hand the signed transaction to the server, which co-signs it
+ * as fee payer and broadcasts it. Either way storage is only updated once
+ * the transaction is mined.
+ */
+export class RegistryService {
+  constructor({ storage, getClient, getSponsor, contractAddress, contractAbi, timeout = 60_000 }) {
+    this.storage = storage;
+    this.getClient = getClient;
+    this.getSponsor = getSponsor;
+    this.contractAddress = contractAddress;
+    this.contractAbi = contractAbi;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Contract call for the creator's wallet to sign
+   */
+  prepare({ functionName, args }) {
+    this._requireContract();
+
+    return {
+      to: this.contractAddress,
+      data: encodeFunctionData({ abi: this.contractAbi, functionName, args }),
+    };
+  }
+
+  /**
+   * Co-sign a creator-signed transaction as fee payer and broadcast it
+   *
+   * Only sponsors a transaction from `sender` making a single
+   * `functionName(...args)` call to the contract.
+   */
+  async relay({ serializedTransaction, sender, functionName, args }) {
+    this._requireContract();
+
+    const sponsor = this.getSponsor();
+    if (!sponsor) {
+      throw new ApiError('RELAY_UNAVAILABLE', 'Server wallet not configured for fee sponsorship', 503);
+    }
+
+    let transaction;
+    try {
+      transaction = Transaction.deserialize(stripFeePayerMarker(serializedTransaction));
+    } catch (error) {
+      throw new ApiError('RELAY_TX_INVALID', 'Signed transaction could not be decoded');
+    }
+
+    if (transaction.type !== 'tempo' || transaction.feePayerSignature !== null) {
+      throw new ApiError('RELAY_TX_INVALID', 'Transaction must be a Tempo transaction requesting a fee payer');
+    }
+
+    if (!transaction.from || !isAddressEqual(transaction.from, sender)) {
+      throw new ApiError('RELAY_TX_INVALID', 'Transaction must be signed by the signed-in creator');
+    }
+
+    if (transaction.chainId !== this.getClient().chain.id) {
+      throw new ApiError('RELAY_TX_INVALID', `Transaction must be for chain ${this.getClient().chain.id}`);
+    }
+
+    if (transaction.gas > MAX_RELAY_GAS) {
+      throw new ApiError('RELAY_TX_INVALID', `Sponsored gas is capped at ${MAX_RELAY_GAS}`);
+    }
+
+    const [call, ...otherCalls] = transaction.calls;
+    if (otherCalls.length > 0 || !call?.to || !isAddressEqual(call.to, this.contractAddress)) {
+      throw new ApiError('RELAY_TX_INVALID', 'Transaction must make a single call to the OpenPayAI contract');
+    }
+
+    let decoded;
+    try {
+      decoded = decodeFunctionData({ abi: this.contractAbi, data: call.data });
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (
+      decoded?.functionName !== functionName ||
+      decoded.args.length !== args.length ||
+      decoded.args.some((arg, i) => normalizeArg(arg) !== normalizeArg(args[i]))
+    ) {
+      throw new ApiError('RELAY_TX_INVALID', `Transaction does not make the requested ${functionName} call`);
+    }
+
+    const cosigned = await Transaction.serialize({ ...transaction, feePayer: sponsor });
+
+    try {
+      return await sendRawTransaction(this.getClient(), { serializedTransaction: cosigned });
+    } catch (error) {
+      throw new ApiError('RELAY_FAILED', `Broadcast failed: ${error.shortMessage || error.message}`, 502);
+    }
+  }
+
+  /**
+   * Wait for `txHash` to emit ContentRegistered for `contentHash` from
+   * `owner` and store the registered content
+   */
+  async confirmRegistration({ txHash, contentHash, owner, crawlerPolicy = null }) {
+    const receipt = await this._waitForReceipt(txHash);
+
+    const event = parseEventLogs({
+      abi: this.contractAbi,
+      logs: receipt.logs,
+      eventName: 'ContentRegistered',
+    }).find(log =>
+      isAddressEqual(log.address, this.contractAddress) &&
+      log.args.contentHash.toLowerCase() === contentHash.toLowerCase()
+    );
+
+    if (!event) {
+      throw new ApiError('CONTENT_NOT_REGISTERED', 'Transaction did not register this content');
+    }
+
+    if (!isAddressEqual(event.args.contentOwner, owner)) {
+      throw new ApiError('NOT_CONTENT_OWNER', 'Content was registered by another address', 403);
+    }
+
+    // The indexer may have stored it already; keep its stats
+    const existing = await this.storage.getContent(contentHash);
+    const content = {
+      contentHash: event.args.contentHash,
+      price: event.args.price,
+      contentOwner: event.args.contentOwner,
+      contentURI: event.args.contentURI,
+      token: event.args.paymentToken,
+      active: true,
+      totalRevenue: existing?.totalRevenue ?? 0n,
+      accessCount: existing?.accessCount ?? 0,
+      createdAt: existing?.createdAt ?? Date.now(),
+      crawlerPolicy: crawlerPolicy ?? existing?.crawlerPolicy ?? null,
+      archivedAt: null,
+      split: existing?.split ?? null,
+      terms: existing?.terms ?? null,
+    };
+
+    await this.storage.saveContent(content);
+    return { content, txHash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Wait for an `updatePrice` / `toggleContentStatus` / `setRevenueSplit` /
+   * `setLicenseTerms` tx sent by `owner` and copy the resulting on-chain
+   * price, status, split and license terms into storage
+   *
+   * The entry is read back from `contentRegistry` at the tx's block, so
+   * price and status need no event. Terms come from the tx's
+   * LicenseTermsUpdated event and are kept as they were without one.
+   */
+  async syncContent({ txHash, content, owner }) {
+    const receipt = await this._waitForReceipt(txHash);
+
+    if (!isAddressEqual(receipt.from, owner)) {
+      throw new ApiError('NOT_CONTENT_OWNER', 'Transaction was not sent by the content owner', 403);
+    }
+
+    const read = (functionName) => readContract(this.getClient(), {
+      address: this.contractAddress,
+      abi: this.contractAbi,
+      functionName,
+      args: [content.contentHash],
+      blockNumber: receipt.blockNumber,
+    });
+    const [[price, contentOwner, , active], [payees, shares]] = await Promise.all([
+      read('contentRegistry'),
+      read('getRevenueSplit'),
+    ]);
+
+    if (!isAddressEqual(contentOwner, content.contentOwner)) {
+      throw new ApiError('CONTENT_NOT_REGISTERED', 'Content is not registered on-chain', 409);
+    }
+
+    const [termsUpdate] = parseEventLogs({
+      abi: this.contractAbi,
+      logs: receipt.logs,
+      eventName: 'LicenseTermsUpdated',
+    }).filter(log =>
+      isAddressEqual(log.address, this.contractAddress) &&
+      log.args.contentHash.toLowerCase() === content.contentHash.toLowerCase()
+    );
+
+    const updated = {
+      ...content,
+      price,
+      active,
+      archivedAt: active ? null : content.archivedAt ?? null,
+      split: splitFromChain(payees, shares, contentOwner),
+      terms: termsUpdate ? termsFromChain(termsUpdate.args.terms) : content.terms ?? null,
+    };
+    await this.storage.saveContent(updated);
+    return { content: updated, txHash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Revenue the contract holds in escrow for `owner`, per token
+   */
+  async escrowBalances(owner, tokens) {
+    this._requireContract();
+
+    return Promise.all(tokens.map(async token => ({
+      token,
+      amount: await readContract(this.getClient(), {
+        address: this.contractAddress,
+        abi: this.contractAbi,
+        functionName: 'pendingRevenue',
+        args: [owner, token],
+      }),
+    })));
+  }
+
+  /**
+   * Wait for `txHash` to emit RevenueWithdrawn for `owner` in `token`
+   *
+   * Returns the amount withdrawn; the indexer adds it to the creator's
+   * totalWithdrawn when it reaches the event, so storage is left alone.
+   */
+  async confirmWithdrawal({ txHash, owner, token }) {
+    const receipt = await this._waitForReceipt(txHash);
+
+    const event = parseEventLogs({
+      abi: this.contractAbi,
+      logs: receipt.logs,
+      eventName: 'RevenueWithdrawn',
+    }).find(log =>
+      isAddressEqual(log.address, this.contractAddress) &&
+      isAddressEqual(log.args.contentOwner, owner) &&
+      isAddressEqual(log.args.token, token)
+    );
+
+    if (!event) {
+      throw new ApiError('WITHDRAWAL_NOT_FOUND', 'Transaction did not withdraw revenue for this creator');
+    }
+
+    return { amount: event.args.amount, txHash, blockNumber: receipt.blockNumber };
+  }
+
+  async _waitForReceipt(txHash) {
+    this._requireContract();
+
+    let receipt;
+    try {
+      receipt = await waitForTransactionReceipt(this.getClient(), { hash: txHash, timeout: this.timeout });
+    } catch (error) {
+      if (error.name === 'WaitForTransactionReceiptTimeoutError') {
+        throw new ApiError('TX_TIMEOUT', 'Transaction not mined in time', 504);
+      }
+      throw error;
+    }
+
+    if (receipt.status !== 'success') {
+      throw new ApiError('TX_FAILED', 'Transaction reverted');
+    }
+    return receipt;
+  }
+
+  /**
+   * An agent's on-chain daily spending limit: { dailyLimit, spentToday,
+   * remaining, resetsAt (unix seconds), operator }. `dailyLimit` and
+   * `remaining` are null when the agent has no limit, `operator` when it
+   * appointed none.
+   */
+  async agentAllowance(agent) {
+    this._requireContract();
+
+    const read = functionName => readContract(this.getClient(), {
+      address: this.contractAddress,
+      abi: this.contractAbi,
+      functionName,
+      args: [agent],
+    });
+    const [[dailyLimit, spentToday, remaining, resetsAt], operator] = await Promise.all([
+      read('agentAllowance'),
+      read('agentOperators'),
+    ]);
+
+    const limited = dailyLimit > 0n;
+    return {
+      dailyLimit: limited ? dailyLimit : null,
+      spentToday,
+      remaining: limited ? remaining : null,
+      resetsAt: Number(resetsAt),
+      operator: operator === zeroAddress ? null : operator,
+    };
+  }
+
+  _requireContract() {
+    if (!this.contractAddress || !isAddress(this.contractAddress)) {
+      throw new ApiError('CONTRACT_NOT_CONFIGURED', 'CONTRACT_ADDRESS is not configured', 503);
+    }
+  }
+}
+
+// Addresses and hashes compare case-insensitively
+function normalizeArg(arg) {
+  return isHex(arg) ? arg.toLowerCase() : arg;
+}
+
+function stripFeePayerMarker(serialized) {
+  // 20-byte sender + 6-byte marker = 52 hex chars
+  return serialized.endsWith(FEE_PAYER_MARKER) ? serialized.slice(0, -52) : serialized;
+}
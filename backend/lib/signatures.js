@@ -0,0 +1,142 @@
+import { verifyMessage as verifyMessageLocal } from 'viem';
+import { verifyMessage } from 'viem/actions';
+import { ApiError } from './errors.js';
+
+// Signed requests are accepted for this long either side of `timestamp`
+export const SIGNATURE_WINDOW_SECONDS = 300;
+
+// Half the secp256k1 group order; canonical (EIP-2) signatures have s <= this
+const SECP256K1_HALF_N = 0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0n;
+
+/**
+ * Error raised when a signed access request is rejected
+ */
+export class SignatureVerificationError extends ApiError {
+  constructor(code, message, status = 401) {
+    super(code, message, status);
+    this.name = 'SignatureVerificationError';
+  }
+}
+
+/**
+ * Remembers requests that were already accepted until they expire,
+ * so the same signed request cannot be replayed inside its window.
+ */
+export class ReplayCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  has(key) {
+    this._prune();
+    return this.entries.has(key);
+  }
+
+  add(key, expiresAt) {
+    this._prune();
+    this.entries.set(key, expiresAt);
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  _prune() {
+    const now = Date.now();
+    for (const [key, expiresAt] of this.entries) {
+      if (expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+/**
+ * Build the message an agent signs to access content
+ */
+export function accessMessage(timestamp, contentHash, nonce) {
+  return nonce ? `${timestamp},${contentHash},${nonce}` : `${timestamp},${contentHash}`;
+}
+
+/**
+ * Whether `signature` is a 65-byte ECDSA signature with a high s value
+ *
+ * (r, n - s) is an equally valid signature of the same message, so such
+ * signatures are rejected rather than accepted as a second copy.
+ */
+export function isHighS(signature) {
+  if (typeof signature !== 'string' || !/^0x[0-9a-fA-F]{130}$/.test(signature)) return false;
+  return BigInt(`0x${signature.slice(66, 130)}`) > SECP256K1_HALF_N;
+}
+
+/**
+ * Check that `address` signed `message`
+ *
+ * EOA signatures are recovered locally. With a chain client the check also
+ * covers EIP-1271 smart accounts (and ERC-6492 counterfactual ones).
+ */
+export async function verifySignedMessage({ client, address, message, signature }) {
+  try {
+    return client
+      ? await verifyMessage(client, { address, message, signature })
+      : await verifyMessageLocal({ address, message, signature });
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Verify a signed access request from `agentAddress`
+ *
+ * Accepted requests stay in `replayCache` until they expire. They are keyed
+ * on what was signed, not on the signature bytes, so re-encoding the same
+ * signature does not make it new.
+ */
+export async function verifyAccessSignature({
+  client,
+  replayCache,
+  agentAddress,
+  contentHash,
+  signature,
+  timestamp,
+  nonce,
+}) {
+  if (!signature || !timestamp) {
+    throw new SignatureVerificationError('SIGNATURE_MISSING', 'Signature and timestamp are required');
+  }
+
+  const signedAt = parseInt(timestamp);
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isFinite(signedAt) || Math.abs(now - signedAt) > SIGNATURE_WINDOW_SECONDS) {
+    throw new SignatureVerificationError('SIGNATURE_EXPIRED', 'Signature expired', 403);
+  }
+
+  if (isHighS(signature)) {
+    throw new SignatureVerificationError('SIGNATURE_INVALID', 'Signature is not canonical (high s)');
+  }
+
+  const message = accessMessage(timestamp, contentHash, nonce);
+  const replayKey = [
+    String(agentAddress).toLowerCase(),
+    timestamp,
+    String(contentHash).toLowerCase(),
+    nonce ?? '',
+  ].join(':');
+  if (replayCache.has(replayKey)) {
+    throw new SignatureVerificationError('SIGNATURE_REPLAYED', 'Signature already used', 403);
+  }
+
+  // Claim the request before the (possibly remote) check so two
+  // concurrent requests carrying it cannot both pass
+  replayCache.add(replayKey, (signedAt + SIGNATURE_WINDOW_SECONDS) * 1000);
+
+  const valid = await verifySignedMessage({
+    client,
+    address: agentAddress,
+    message,
+    signature,
+  });
+
+  if (!valid) {
+    replayCache.delete(replayKey);
+    throw new SignatureVerificationError('SIGNATURE_INVALID', 'Signature does not match agent address');
+  }
+}
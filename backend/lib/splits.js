@@ -0,0 +1,134 @@
+import { isAddress, isAddressEqual } from 'viem';
+import { readContract } from 'viem/actions';
+import { ApiError } from './errors.js';
+
+// Shares and fees are in basis points, as in OpenPayAITempo
+export const BPS = 10_000;
+
+// Most payees one content item may split its revenue between (MAX_PAYEES)
+export const MAX_PAYEES = 10;
+
+/**
+ * Revenue split of `content`: [{ payee, shareBps }], everything to the
+ * content owner when it has none
+ */
+export function contentSplit(content) {
+  return content.split?.length ? content.split : [{ payee: content.contentOwner, shareBps: BPS }];
+}
+
+/**
+ * Validate a split from a request body ([{ payee, shareBps }]) the way
+ * `setRevenueSplit` does; an empty list resets it to the content owner
+ */
+export function normalizeSplit(split) {
+  if (!Array.isArray(split)) {
+    throw new ApiError('SPLIT_INVALID', 'split must be a list of { payee, shareBps }');
+  }
+
+  if (split.length > MAX_PAYEES) {
+    throw new ApiError('SPLIT_INVALID', `A split has at most ${MAX_PAYEES} payees`);
+  }
+
+  const normalized = split.map(({ payee, shareBps }) => {
+    if (!isAddress(payee)) {
+      throw new ApiError('SPLIT_INVALID', `Invalid payee ${payee}`);
+    }
+    if (!Number.isInteger(shareBps) || shareBps <= 0) {
+      throw new ApiError('SPLIT_INVALID', `Share of ${payee} must be a positive number of basis points`);
+    }
+    return { payee, shareBps };
+  });
+
+  normalized.forEach(({ payee }, i) => {
+    if (normalized.slice(0, i).some(other => isAddressEqual(other.payee, payee))) {
+      throw new ApiError('SPLIT_INVALID', `Duplicate payee ${payee}`);
+    }
+  });
+
+  const total = normalized.reduce((sum, { shareBps }) => sum + shareBps, 0);
+  if (normalized.length > 0 && total !== BPS) {
+    throw new ApiError('SPLIT_INVALID', `Shares must add up to ${BPS} basis points`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Split from `getRevenueSplit` results, null when it is the default
+ * (everything to the content owner)
+ */
+export function splitFromChain(payees, shares, contentOwner) {
+  if (payees.length === 1 && isAddressEqual(payees[0], contentOwner) && shares[0] === BigInt(BPS)) {
+    return null;
+  }
+  return payees.map((payee, i) => ({ payee, shareBps: Number(shares[i]) }));
+}
+
+/**
+ * Who gets what of `amount` paid for `content`: [{ address, amount }]
+ *
+ * Matches the contract's crediting: the platform fee comes off the top,
+ * the rest is shared by basis points and the rounding dust goes to the
+ * first payee. Zero amounts are left out.
+ */
+export function splitPayment(content, amount, fee = { bps: 0, recipient: null }) {
+  const payouts = [];
+
+  const feeAmount = fee.recipient ? amount * BigInt(fee.bps) / BigInt(BPS) : 0n;
+  const remaining = amount - feeAmount;
+
+  const [first, ...rest] = contentSplit(content);
+  const shares = rest.map(({ payee, shareBps }) => ({
+    address: payee,
+    amount: remaining * BigInt(shareBps) / BigInt(BPS),
+  }));
+  const credited = shares.reduce((sum, share) => sum + share.amount, 0n);
+
+  payouts.push({ address: first.payee, amount: remaining - credited }, ...shares);
+  if (feeAmount > 0n) {
+    payouts.push({ address: fee.recipient, amount: feeAmount });
+  }
+
+  return payouts.filter(payout => payout.amount > 0n);
+}
+
+/**
+ * Platform fee charged on every license payment
+ *
+ * Read from the contract (`platformFeeBps`, credited to its `owner`) and
+ * cached for `ttl` ms. No fee is charged without a contract.
+ */
+export class PlatformFee {
+  constructor({ getClient, contractAddress, contractAbi, ttl = 60_000 }) {
+    this.getClient = getClient;
+    this.contractAddress = contractAddress;
+    this.contractAbi = contractAbi;
+    this.ttl = ttl;
+    this.cached = null;
+  }
+
+  /**
+   * Current fee: { bps, recipient }
+   */
+  async current() {
+    const client = this.getClient();
+    if (!client || !this.contractAddress || !isAddress(this.contractAddress)) {
+      return { bps: 0, recipient: null };
+    }
+
+    if (this.cached && this.cached.expiresAt > Date.now()) {
+      return this.cached.fee;
+    }
+
+    const read = functionName => readContract(client, {
+      address: this.contractAddress,
+      abi: this.contractAbi,
+      functionName,
+    });
+    const [bps, recipient] = await Promise.all([read('platformFeeBps'), read('owner')]);
+
+    const fee = { bps: Number(bps), recipient };
+    this.cached = { fee, expiresAt: Date.now() + this.ttl };
+    return fee;
+  }
+}
@@ -0,0 +1,93 @@
+import { MemoryStorage } from './memory.js';
+
+export { licenseKey, paymentKey, prepaidKey } from './keys.js';
+export { jsonReplacer } from './serialize.js';
+
+/**
+ * Storage layer
+ *
+ * Every driver implements the same async interface:
+ *
+ *   getContent(contentHash)                 -> content | null
+ *   saveContent(content)                    -> void (insert or replace)
+ *   listContents({ owner, includeArchived }) -> content[] (archived ones skipped by default)
+ *   updateContentStats(contentHash, { revenue, accesses })
+ *   getLicense(agentAddress, contentHash)   -> license | null
+ *   saveLicense(license)                    -> license kept (the one held when it
+ *                                             already covers `license`, see strongerLicense)
+ *   useLicense(agentAddress, contentHash)   -> boolean (spends one use of a metered license)
+ *   getTxUsage(paymentKey)                  -> licenseKey | null
+ *   markTxUsed(paymentKey, licenseKey)     -> boolean (false when already used; never overwrites)
+ *   redeemLicense({ paymentKey, license, stats }) -> license kept | null (markTxUsed,
+ *                                             saveLicense and updateContentStats in one
+ *                                             transaction; null and nothing written when
+ *                                             already used)
+ *   logAccess({ contentHash, agentAddress, type, timestamp })
+ *   getCreator(address)                     -> { address, totalWithdrawn } | null
+ *   close()
+ *
+ * Prepaid credits and subscriptions (see lib/prepaid.js), per agent and
+ * creator:
+ *
+ *   getCredit(agentAddress, creator)        -> balance (0n when none)
+ *   listCredits(agentAddress)               -> [{ creator, balance }]
+ *   addCredit(agentAddress, creator, amount) -> new balance
+ *   debitCredit(agentAddress, creator, amount) -> new balance | null (balance too low)
+ *   getSubscription(agentAddress, creator)  -> { agentAddress, creator, expiresAt } | null
+ *   listSubscriptions(agentAddress)         -> subscription[]
+ *   saveSubscription(subscription)          -> void (insert or replace)
+ *   getSubscriptionPlan(creator)            -> { creator, price, periodSeconds } | null
+ *   saveSubscriptionPlan(plan)              -> void (insert or replace)
+ *   deleteSubscriptionPlan(creator)
+ *
+ * Payment quotes issued in HTTP 402 responses (see lib/paywall.js), by
+ * memo, with `expiresAt` in unix seconds:
+ *
+ *   saveQuotes(quotes, pruneBefore)         -> void (also drops quotes that
+ *                                             expired before `pruneBefore`)
+ *   getQuote(memo)                          -> { memo, contentHash, termId, expiresAt } | null
+ *
+ * Chain indexer state (see lib/indexer.js):
+ *
+ *   getIndexerState(name)                   -> { blockNumber, blockHash } | null
+ *   setIndexerState(name, { blockNumber, blockHash })
+ *   saveIndexedBlock(blockNumber, blockHash)
+ *   listIndexedBlocks()                     -> [{ blockNumber, blockHash }] newest first
+ *   hasChainEvent(id)                       -> boolean
+ *   applyChainEvent({ id, blockNumber, writes })
+ *   rollbackChainEvents(afterBlock)         -> number of events undone
+ *
+ * `writes` is a list of { kind, key, value } record replacements, where kind
+ * is 'content' (key: contentHash), 'license' (key: licenseKey()), 'creator'
+ * (key: address) or 'tx' (key: paymentKey(), value: licenseKey). A null value
+ * deletes the record. Drivers apply the writes atomically and keep the
+ * previous values so `rollbackChainEvents` can restore them after a reorg.
+ *
+ * Amounts (price, totalRevenue, pricePaid, totalWithdrawn, balance) and block
+ * numbers are BigInt. Licenses bought with prepaid credit have a null txHash.
+ *
+ * Drivers:
+ *   memory - process-local Maps, used for tests and local demos
+ *   sqlite - embedded SQLite file (better-sqlite3) with schema migrations
+ */
+
+export const STORAGE_DRIVERS = ['memory', 'sqlite'];
+
+/**
+ * Create the storage driver selected by STORAGE_DRIVER
+ */
+export async function createStorage(env = process.env) {
+  const driver = env.STORAGE_DRIVER || (env.NODE_ENV === 'test' ? 'memory' : 'sqlite');
+
+  if (driver === 'memory') {
+    return new MemoryStorage();
+  }
+
+  if (driver === 'sqlite') {
+    // Loaded lazily so the memory driver works without the native module
+    const { SqliteStorage } = await import('./sqlite.js');
+    return SqliteStorage.open(env.SQLITE_PATH || './data/openpayai.db');
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected ${STORAGE_DRIVERS.join(' or ')})`);
+}
@@ -0,0 +1,24 @@
+/**
+ * Key identifying a license (one per agent and content item)
+ */
+export function licenseKey(agentAddress, contentHash) {
+  return `${agentAddress.toLowerCase()}-${contentHash.toLowerCase()}`;
+}
+
+/**
+ * Key recording that `txHash` paid for `contentHash`
+ *
+ * One transaction can pay for several items (atomic batches), so each
+ * payment in it is redeemed separately.
+ */
+export function paymentKey(txHash, contentHash) {
+  return `${txHash.toLowerCase()}:${contentHash.toLowerCase()}`;
+}
+
+/**
+ * Key recording that `txHash` was credited as a prepaid deposit or
+ * subscription payment
+ */
+export function prepaidKey(txHash) {
+  return `${txHash.toLowerCase()}:prepaid`;
+}
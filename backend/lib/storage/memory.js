@@ -0,0 +1,258 @@
+import { strongerLicense } from '../terms.js';
+import { licenseKey } from './keys.js';
+
+// Key of per-agent, per-creator prepaid records
+function accountKey(agentAddress, creator) {
+  return `${agentAddress.toLowerCase()}-${creator.toLowerCase()}`;
+}
+
+/**
+ * In-memory storage driver
+ *
+ * Records are cloned on the way in and out so callers get the same
+ * copy semantics as with the SQLite driver.
+ */
+export class MemoryStorage {
+  constructor() {
+    this.contents = new Map();
+    this.licenses = new Map();
+    this.txUsage = new Map();
+    this.accessLogs = [];
+    this.creators = new Map();
+    this.indexerState = new Map();
+    this.indexedBlocks = new Map();
+    this.chainEvents = [];
+    this.credits = new Map();
+    this.subscriptions = new Map();
+    this.subscriptionPlans = new Map();
+    this.quotes = new Map();
+  }
+
+  async getContent(contentHash) {
+    const content = this.contents.get(contentHash.toLowerCase());
+    return content ? structuredClone(content) : null;
+  }
+
+  async saveContent(content) {
+    this.contents.set(content.contentHash.toLowerCase(), structuredClone(content));
+  }
+
+  async listContents({ owner, includeArchived = false } = {}) {
+    return Array.from(this.contents.values())
+      .filter(c => !owner || c.contentOwner.toLowerCase() === owner.toLowerCase())
+      .filter(c => includeArchived || !c.archivedAt)
+      .map(c => structuredClone(c));
+  }
+
+  async updateContentStats(contentHash, { revenue = 0n, accesses = 0 } = {}) {
+    const content = this.contents.get(contentHash.toLowerCase());
+    if (!content) return;
+
+    content.totalRevenue += BigInt(revenue);
+    content.accessCount += accesses;
+  }
+
+  async getLicense(agentAddress, contentHash) {
+    const license = this.licenses.get(licenseKey(agentAddress, contentHash));
+    return license ? structuredClone(license) : null;
+  }
+
+  async saveLicense(license) {
+    const key = licenseKey(license.agentAddress, license.contentHash);
+    const stored = strongerLicense(this.licenses.get(key), structuredClone(license));
+    this.licenses.set(key, stored);
+    return structuredClone(stored);
+  }
+
+  async useLicense(agentAddress, contentHash) {
+    const license = this.licenses.get(licenseKey(agentAddress, contentHash));
+    if (!license || license.usesLeft === 0) return false;
+    if (license.usesLeft != null) license.usesLeft -= 1;
+    return true;
+  }
+
+  async getTxUsage(txHash) {
+    return this.txUsage.get(txHash.toLowerCase()) || null;
+  }
+
+  async markTxUsed(txHash, licenseKey) {
+    if (this.txUsage.has(txHash.toLowerCase())) return false;
+    this.txUsage.set(txHash.toLowerCase(), licenseKey);
+    return true;
+  }
+
+  async redeemLicense({ paymentKey, license, stats = {} }) {
+    if (this.txUsage.has(paymentKey.toLowerCase())) return null;
+
+    // Everything that can throw runs before the first write
+    const key = licenseKey(license.agentAddress, license.contentHash);
+    const stored = strongerLicense(this.licenses.get(key), structuredClone(license));
+    const revenue = BigInt(stats.revenue ?? 0n);
+
+    this.txUsage.set(paymentKey.toLowerCase(), key);
+    this.licenses.set(key, stored);
+    await this.updateContentStats(license.contentHash, { ...stats, revenue });
+    return structuredClone(stored);
+  }
+
+  async logAccess(entry) {
+    this.accessLogs.push({ ...entry });
+  }
+
+  async getCreator(address) {
+    const creator = this.creators.get(address.toLowerCase());
+    return creator ? structuredClone(creator) : null;
+  }
+
+  async getCredit(agentAddress, creator) {
+    return this.credits.get(accountKey(agentAddress, creator))?.balance ?? 0n;
+  }
+
+  async listCredits(agentAddress) {
+    return Array.from(this.credits.values())
+      .filter(c => c.agentAddress === agentAddress.toLowerCase())
+      .map(({ creator, balance }) => ({ creator, balance }));
+  }
+
+  async addCredit(agentAddress, creator, amount) {
+    const balance = await this.getCredit(agentAddress, creator) + BigInt(amount);
+    this.credits.set(accountKey(agentAddress, creator), {
+      agentAddress: agentAddress.toLowerCase(),
+      creator: creator.toLowerCase(),
+      balance,
+    });
+    return balance;
+  }
+
+  async debitCredit(agentAddress, creator, amount) {
+    const credit = this.credits.get(accountKey(agentAddress, creator));
+    if (!credit || credit.balance < BigInt(amount)) return null;
+    credit.balance -= BigInt(amount);
+    return credit.balance;
+  }
+
+  async getSubscription(agentAddress, creator) {
+    const subscription = this.subscriptions.get(accountKey(agentAddress, creator));
+    return subscription ? { ...subscription } : null;
+  }
+
+  async listSubscriptions(agentAddress) {
+    return Array.from(this.subscriptions.values())
+      .filter(s => s.agentAddress === agentAddress.toLowerCase())
+      .map(s => ({ ...s }));
+  }
+
+  async saveSubscription(subscription) {
+    this.subscriptions.set(accountKey(subscription.agentAddress, subscription.creator), {
+      agentAddress: subscription.agentAddress.toLowerCase(),
+      creator: subscription.creator.toLowerCase(),
+      expiresAt: subscription.expiresAt,
+    });
+  }
+
+  async getSubscriptionPlan(creator) {
+    const plan = this.subscriptionPlans.get(creator.toLowerCase());
+    return plan ? { ...plan } : null;
+  }
+
+  async saveSubscriptionPlan(plan) {
+    this.subscriptionPlans.set(plan.creator.toLowerCase(), {
+      creator: plan.creator.toLowerCase(),
+      price: BigInt(plan.price),
+      periodSeconds: plan.periodSeconds,
+    });
+  }
+
+  async deleteSubscriptionPlan(creator) {
+    this.subscriptionPlans.delete(creator.toLowerCase());
+  }
+
+  async saveQuotes(quotes, pruneBefore = 0) {
+    for (const [memo, quote] of this.quotes) {
+      if (quote.expiresAt < pruneBefore) this.quotes.delete(memo);
+    }
+    for (const quote of quotes) {
+      const memo = quote.memo.toLowerCase();
+      this.quotes.set(memo, { ...quote, memo, contentHash: quote.contentHash.toLowerCase() });
+    }
+  }
+
+  async getQuote(memo) {
+    const quote = this.quotes.get(memo.toLowerCase());
+    return quote ? { ...quote } : null;
+  }
+
+  async getIndexerState(name) {
+    const state = this.indexerState.get(name);
+    return state ? { ...state } : null;
+  }
+
+  async setIndexerState(name, { blockNumber, blockHash }) {
+    this.indexerState.set(name, { blockNumber: BigInt(blockNumber), blockHash });
+  }
+
+  async saveIndexedBlock(blockNumber, blockHash) {
+    this.indexedBlocks.set(BigInt(blockNumber), blockHash);
+  }
+
+  async listIndexedBlocks() {
+    return Array.from(this.indexedBlocks, ([blockNumber, blockHash]) => ({ blockNumber, blockHash }))
+      .sort((a, b) => (a.blockNumber > b.blockNumber ? -1 : 1));
+  }
+
+  async hasChainEvent(id) {
+    return this.chainEvents.some(e => e.id === id);
+  }
+
+  async applyChainEvent({ id, blockNumber, writes }) {
+    const undo = writes.map(({ kind, key }) => ({ kind, key, value: this._readRecord(kind, key) }));
+    for (const { kind, key, value } of writes) {
+      this._writeRecord(kind, key, value);
+    }
+    this.chainEvents.push({ id, blockNumber: BigInt(blockNumber), undo });
+  }
+
+  async rollbackChainEvents(afterBlock) {
+    const after = BigInt(afterBlock);
+    let undone = 0;
+
+    while (this.chainEvents.length > 0 && this.chainEvents.at(-1).blockNumber > after) {
+      const event = this.chainEvents.pop();
+      for (const { kind, key, value } of [...event.undo].reverse()) {
+        this._writeRecord(kind, key, value);
+      }
+      undone++;
+    }
+
+    for (const blockNumber of this.indexedBlocks.keys()) {
+      if (blockNumber > after) this.indexedBlocks.delete(blockNumber);
+    }
+
+    return undone;
+  }
+
+  async close() {}
+
+  _records(kind) {
+    switch (kind) {
+      case 'content': return this.contents;
+      case 'license': return this.licenses;
+      case 'creator': return this.creators;
+      case 'tx': return this.txUsage;
+      default: throw new Error(`Unknown record kind "${kind}"`);
+    }
+  }
+
+  _readRecord(kind, key) {
+    const value = this._records(kind).get(key.toLowerCase());
+    return value === undefined ? null : structuredClone(value);
+  }
+
+  _writeRecord(kind, key, value) {
+    if (value === null) {
+      this._records(kind).delete(key.toLowerCase());
+    } else {
+      this._records(kind).set(key.toLowerCase(), structuredClone(value));
+    }
+  }
+}
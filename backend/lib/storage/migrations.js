@@ -0,0 +1,164 @@
+/**
+ * SQLite schema migrations
+ *
+ * Append new entries, never edit an applied one. Amounts are stored as
+ * TEXT (decimal strings) so they round-trip through BigInt without loss.
+ */
+export const migrations = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up: `
+      CREATE TABLE contents (
+        content_hash  TEXT PRIMARY KEY,
+        price         TEXT NOT NULL,
+        content_owner TEXT NOT NULL,
+        content_uri   TEXT NOT NULL,
+        active        INTEGER NOT NULL DEFAULT 1,
+        total_revenue TEXT NOT NULL DEFAULT '0',
+        access_count  INTEGER NOT NULL DEFAULT 0,
+        created_at    INTEGER NOT NULL
+      );
+      CREATE INDEX contents_owner ON contents (content_owner);
+
+      CREATE TABLE licenses (
+        agent_address TEXT NOT NULL,
+        content_hash  TEXT NOT NULL,
+        tx_hash       TEXT NOT NULL,
+        memo          TEXT,
+        price_paid    TEXT NOT NULL,
+        block_number  TEXT,
+        expiry        INTEGER NOT NULL,
+        created_at    INTEGER NOT NULL,
+        PRIMARY KEY (agent_address, content_hash)
+      );
+
+      CREATE TABLE used_tx_hashes (
+        tx_hash     TEXT PRIMARY KEY,
+        license_key TEXT NOT NULL,
+        created_at  INTEGER NOT NULL
+      );
+
+      CREATE TABLE access_logs (
+        id            INTEGER PRIMARY KEY AUTOINCREMENT,
+        content_hash  TEXT NOT NULL,
+        agent_address TEXT,
+        type          TEXT NOT NULL,
+        timestamp     INTEGER NOT NULL
+      );
+      CREATE INDEX access_logs_content ON access_logs (content_hash);
+    `,
+  },
+  {
+    version: 2,
+    name: 'chain indexer',
+    up: `
+      CREATE TABLE creators (
+        address         TEXT PRIMARY KEY,
+        total_withdrawn TEXT NOT NULL DEFAULT '0'
+      );
+
+      CREATE TABLE indexer_state (
+        name         TEXT PRIMARY KEY,
+        block_number TEXT NOT NULL,
+        block_hash   TEXT NOT NULL,
+        updated_at   INTEGER NOT NULL
+      );
+
+      CREATE TABLE indexed_blocks (
+        block_number INTEGER PRIMARY KEY,
+        block_hash   TEXT NOT NULL
+      );
+
+      CREATE TABLE chain_events (
+        seq          INTEGER PRIMARY KEY AUTOINCREMENT,
+        id           TEXT NOT NULL UNIQUE,
+        block_number INTEGER NOT NULL,
+        undo         TEXT NOT NULL
+      );
+      CREATE INDEX chain_events_block ON chain_events (block_number);
+    `,
+  },
+  {
+    version: 3,
+    name: 'crawler policies',
+    up: `
+      ALTER TABLE contents ADD COLUMN crawler_policy TEXT;
+    `,
+  },
+  {
+    version: 4,
+    name: 'archived content',
+    up: `
+      ALTER TABLE contents ADD COLUMN archived_at INTEGER;
+    `,
+  },
+  {
+    version: 5,
+    name: 'payment tokens',
+    up: `
+      ALTER TABLE contents ADD COLUMN token TEXT;
+      ALTER TABLE licenses ADD COLUMN token TEXT;
+    `,
+  },
+  {
+    version: 6,
+    name: 'revenue splits',
+    up: `
+      ALTER TABLE contents ADD COLUMN split TEXT;
+    `,
+  },
+  {
+    version: 7,
+    name: 'license terms',
+    up: `
+      ALTER TABLE contents ADD COLUMN terms TEXT;
+      ALTER TABLE licenses ADD COLUMN term_id INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE licenses ADD COLUMN kind TEXT NOT NULL DEFAULT 'timed';
+      ALTER TABLE licenses ADD COLUMN usage TEXT NOT NULL DEFAULT 'any';
+      ALTER TABLE licenses ADD COLUMN uses_left INTEGER;
+    `,
+  },
+  {
+    version: 8,
+    name: 'prepaid credits and subscriptions',
+    up: `
+      CREATE TABLE credits (
+        agent_address TEXT NOT NULL,
+        creator       TEXT NOT NULL,
+        balance       TEXT NOT NULL DEFAULT '0',
+        updated_at    INTEGER NOT NULL,
+        PRIMARY KEY (agent_address, creator)
+      );
+
+      CREATE TABLE subscriptions (
+        agent_address TEXT NOT NULL,
+        creator       TEXT NOT NULL,
+        expires_at    INTEGER NOT NULL,
+        updated_at    INTEGER NOT NULL,
+        PRIMARY KEY (agent_address, creator)
+      );
+
+      CREATE TABLE subscription_plans (
+        creator        TEXT PRIMARY KEY,
+        price          TEXT NOT NULL,
+        period_seconds INTEGER NOT NULL,
+        updated_at     INTEGER NOT NULL
+      );
+    `,
+  },
+  {
+    version: 9,
+    name: 'payment quotes',
+    up: `
+      CREATE TABLE payment_quotes (
+        memo         TEXT PRIMARY KEY,
+        content_hash TEXT NOT NULL,
+        term_id      INTEGER NOT NULL,
+        expires_at   INTEGER NOT NULL
+      );
+
+      CREATE INDEX idx_payment_quotes_expires_at ON payment_quotes (expires_at);
+    `,
+  },
+];
@@ -0,0 +1,33 @@
+/**
+ * BigInt-safe serialization helpers
+ *
+ * Prices and revenue are token amounts (6 decimals) kept as BigInt in memory.
+ * They are stored as decimal strings and converted back on read.
+ */
+
+export function bigintToText(value) {
+  return value === null || value === undefined ? null : BigInt(value).toString();
+}
+
+export function textToBigint(value) {
+  return value === null || value === undefined ? null : BigInt(value);
+}
+
+/**
+ * JSON replacer that writes BigInt values as decimal strings
+ */
+export function jsonReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Encode a record as JSON text, tagging BigInt values so they survive
+ * a round trip through `fromJSONText`
+ */
+export function toJSONText(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? { $bigint: v.toString() } : v));
+}
+
+export function fromJSONText(text) {
+  return JSON.parse(text, (key, v) => (v && typeof v === 'object' && '$bigint' in v ? BigInt(v.$bigint) : v));
+}
@@ -0,0 +1,516 @@
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { strongerLicense } from '../terms.js';
+import { licenseKey } from './keys.js';
+import { migrations } from './migrations.js';
+import { bigintToText, fromJSONText, textToBigint, toJSONText } from './serialize.js';
+
+/**
+ * SQLite storage driver (better-sqlite3)
+ *
+ * better-sqlite3 is synchronous; methods stay async to match the
+ * storage interface.
+ */
+export class SqliteStorage {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Open (or create) the database file and apply pending migrations
+   */
+  static open(path) {
+    if (path !== ':memory:') {
+      mkdirSync(dirname(path), { recursive: true });
+    }
+
+    const db = new Database(path);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    const storage = new SqliteStorage(db);
+    storage.migrate();
+    return storage;
+  }
+
+  /**
+   * Apply migrations newer than the recorded schema version
+   */
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version    INTEGER PRIMARY KEY,
+        name       TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+      )
+    `);
+
+    const { current } = this.db
+      .prepare('SELECT COALESCE(MAX(version), 0) AS current FROM schema_migrations')
+      .get();
+
+    const apply = this.db.transaction((migration) => {
+      this.db.exec(migration.up);
+      this.db
+        .prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+        .run(migration.version, migration.name, Date.now());
+    });
+
+    for (const migration of migrations) {
+      if (migration.version > current) {
+        apply(migration);
+        console.log(`🗄️  Applied migration ${migration.version}: ${migration.name}`);
+      }
+    }
+  }
+
+  async getContent(contentHash) {
+    const row = this.db
+      .prepare('SELECT * FROM contents WHERE content_hash = ?')
+      .get(contentHash.toLowerCase());
+    return row ? rowToContent(row) : null;
+  }
+
+  async saveContent(content) {
+    this._putContent(content);
+  }
+
+  _putContent(content) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO contents
+        (content_hash, price, content_owner, content_uri, active, total_revenue, access_count, created_at,
+         crawler_policy, archived_at, token, split, terms)
+      VALUES
+        (@contentHash, @price, @contentOwner, @contentURI, @active, @totalRevenue, @accessCount, @createdAt,
+         @crawlerPolicy, @archivedAt, @token, @split, @terms)
+    `).run({
+      contentHash: content.contentHash.toLowerCase(),
+      price: bigintToText(content.price),
+      contentOwner: content.contentOwner,
+      contentURI: content.contentURI,
+      active: content.active ? 1 : 0,
+      totalRevenue: bigintToText(content.totalRevenue || 0n),
+      accessCount: content.accessCount || 0,
+      createdAt: content.createdAt || Date.now(),
+      crawlerPolicy: content.crawlerPolicy ? toJSONText(content.crawlerPolicy) : null,
+      archivedAt: content.archivedAt || null,
+      token: content.token || null,
+      split: content.split?.length ? toJSONText(content.split) : null,
+      terms: content.terms?.length ? toJSONText(content.terms) : null,
+    });
+  }
+
+  async listContents({ owner, includeArchived = false } = {}) {
+    const archived = includeArchived ? '' : 'AND archived_at IS NULL';
+    const rows = owner
+      ? this.db
+        .prepare(`SELECT * FROM contents WHERE lower(content_owner) = ? ${archived} ORDER BY created_at`)
+        .all(owner.toLowerCase())
+      : this.db.prepare(`SELECT * FROM contents WHERE 1 = 1 ${archived} ORDER BY created_at`).all();
+    return rows.map(rowToContent);
+  }
+
+  async updateContentStats(contentHash, stats) {
+    this.db.transaction(() => this._addContentStats(contentHash, stats))();
+  }
+
+  // Revenue is TEXT, so add in JS (callers hold a transaction)
+  _addContentStats(contentHash, { revenue = 0n, accesses = 0 } = {}) {
+    const row = this.db
+      .prepare('SELECT total_revenue FROM contents WHERE content_hash = ?')
+      .get(contentHash.toLowerCase());
+    if (!row) return;
+
+    this.db
+      .prepare('UPDATE contents SET total_revenue = ?, access_count = access_count + ? WHERE content_hash = ?')
+      .run(
+        bigintToText(textToBigint(row.total_revenue) + BigInt(revenue)),
+        accesses,
+        contentHash.toLowerCase()
+      );
+  }
+
+  async getLicense(agentAddress, contentHash) {
+    const row = this.db
+      .prepare('SELECT * FROM licenses WHERE agent_address = ? AND content_hash = ?')
+      .get(agentAddress.toLowerCase(), contentHash.toLowerCase());
+    return row ? rowToLicense(row) : null;
+  }
+
+  async saveLicense(license) {
+    return this.db.transaction(() => this._grantLicense(license))();
+  }
+
+  async useLicense(agentAddress, contentHash) {
+    // Unlimited licenses (uses_left NULL) always match; metered ones only
+    // while uses are left, so concurrent fetches cannot both spend the last
+    const { changes } = this.db
+      .prepare(`
+        UPDATE licenses SET uses_left = uses_left - 1
+        WHERE agent_address = ? AND content_hash = ? AND (uses_left IS NULL OR uses_left > 0)
+      `)
+      .run(agentAddress.toLowerCase(), contentHash.toLowerCase());
+    return changes > 0;
+  }
+
+  // Store `license` unless the one held already covers it; returns the
+  // license kept. Runs inside the caller's transaction.
+  _grantLicense(license) {
+    const row = this.db
+      .prepare('SELECT * FROM licenses WHERE agent_address = ? AND content_hash = ?')
+      .get(license.agentAddress.toLowerCase(), license.contentHash.toLowerCase());
+    const current = row ? rowToLicense(row) : null;
+
+    const kept = strongerLicense(current, license);
+    if (kept === license) this._putLicense(license);
+    return kept;
+  }
+
+  _putLicense(license) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO licenses
+        (agent_address, content_hash, tx_hash, memo, price_paid, block_number, expiry, created_at, token,
+         term_id, kind, usage, uses_left)
+      VALUES
+        (@agentAddress, @contentHash, @txHash, @memo, @pricePaid, @blockNumber, @expiry, @createdAt, @token,
+         @termId, @kind, @usage, @usesLeft)
+    `).run({
+      agentAddress: license.agentAddress.toLowerCase(),
+      contentHash: license.contentHash.toLowerCase(),
+      txHash: license.txHash || '',
+      memo: license.memo || null,
+      pricePaid: bigintToText(license.pricePaid),
+      blockNumber: bigintToText(license.blockNumber),
+      expiry: license.expiry,
+      createdAt: license.createdAt || Date.now(),
+      token: license.token || null,
+      termId: license.termId || 0,
+      kind: license.kind || 'timed',
+      usage: license.usage || 'any',
+      usesLeft: license.usesLeft ?? null,
+    });
+  }
+
+  async getTxUsage(txHash) {
+    const row = this.db
+      .prepare('SELECT license_key FROM used_tx_hashes WHERE tx_hash = ?')
+      .get(txHash.toLowerCase());
+    return row ? row.license_key : null;
+  }
+
+  async markTxUsed(txHash, key) {
+    return this._claimTx(txHash, key);
+  }
+
+  async redeemLicense({ paymentKey, license, stats }) {
+    const redeem = this.db.transaction(() => {
+      if (!this._claimTx(paymentKey, licenseKey(license.agentAddress, license.contentHash))) return null;
+      const kept = this._grantLicense(license);
+      this._addContentStats(license.contentHash, stats);
+      return kept;
+    });
+    return redeem();
+  }
+
+  // A claim: the primary key lets only one writer (of any process sharing
+  // the file) record a payment
+  _claimTx(txHash, key) {
+    try {
+      this.db
+        .prepare('INSERT INTO used_tx_hashes (tx_hash, license_key, created_at) VALUES (?, ?, ?)')
+        .run(txHash.toLowerCase(), key, Date.now());
+      return true;
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') return false;
+      throw error;
+    }
+  }
+
+  async logAccess({ contentHash, agentAddress, type, timestamp }) {
+    this.db
+      .prepare('INSERT INTO access_logs (content_hash, agent_address, type, timestamp) VALUES (?, ?, ?, ?)')
+      .run(contentHash.toLowerCase(), agentAddress || null, type, timestamp || Date.now());
+  }
+
+  async getCreator(address) {
+    return this._readRecord('creator', address);
+  }
+
+  async getCredit(agentAddress, creator) {
+    const row = this.db
+      .prepare('SELECT balance FROM credits WHERE agent_address = ? AND creator = ?')
+      .get(agentAddress.toLowerCase(), creator.toLowerCase());
+    return row ? textToBigint(row.balance) : 0n;
+  }
+
+  async listCredits(agentAddress) {
+    return this.db
+      .prepare('SELECT creator, balance FROM credits WHERE agent_address = ? ORDER BY creator')
+      .all(agentAddress.toLowerCase())
+      .map(row => ({ creator: row.creator, balance: textToBigint(row.balance) }));
+  }
+
+  async addCredit(agentAddress, creator, amount) {
+    return this._changeCredit(agentAddress, creator, BigInt(amount));
+  }
+
+  async debitCredit(agentAddress, creator, amount) {
+    return this._changeCredit(agentAddress, creator, -BigInt(amount));
+  }
+
+  _changeCredit(agentAddress, creator, delta) {
+    // Balance is TEXT, so add in JS inside a transaction; a debit larger
+    // than the balance changes nothing
+    const change = this.db.transaction(() => {
+      const balance = textToBigint(this.db
+        .prepare('SELECT balance FROM credits WHERE agent_address = ? AND creator = ?')
+        .get(agentAddress.toLowerCase(), creator.toLowerCase())?.balance ?? '0') + delta;
+      if (balance < 0n) return null;
+
+      this.db
+        .prepare('INSERT OR REPLACE INTO credits (agent_address, creator, balance, updated_at) VALUES (?, ?, ?, ?)')
+        .run(agentAddress.toLowerCase(), creator.toLowerCase(), bigintToText(balance), Date.now());
+      return balance;
+    });
+    return change();
+  }
+
+  async getSubscription(agentAddress, creator) {
+    const row = this.db
+      .prepare('SELECT * FROM subscriptions WHERE agent_address = ? AND creator = ?')
+      .get(agentAddress.toLowerCase(), creator.toLowerCase());
+    return row ? rowToSubscription(row) : null;
+  }
+
+  async listSubscriptions(agentAddress) {
+    return this.db
+      .prepare('SELECT * FROM subscriptions WHERE agent_address = ? ORDER BY creator')
+      .all(agentAddress.toLowerCase())
+      .map(rowToSubscription);
+  }
+
+  async saveSubscription(subscription) {
+    this.db
+      .prepare('INSERT OR REPLACE INTO subscriptions (agent_address, creator, expires_at, updated_at) VALUES (?, ?, ?, ?)')
+      .run(
+        subscription.agentAddress.toLowerCase(),
+        subscription.creator.toLowerCase(),
+        subscription.expiresAt,
+        Date.now()
+      );
+  }
+
+  async getSubscriptionPlan(creator) {
+    const row = this.db
+      .prepare('SELECT * FROM subscription_plans WHERE creator = ?')
+      .get(creator.toLowerCase());
+    return row
+      ? { creator: row.creator, price: textToBigint(row.price), periodSeconds: row.period_seconds }
+      : null;
+  }
+
+  async saveSubscriptionPlan(plan) {
+    this.db
+      .prepare('INSERT OR REPLACE INTO subscription_plans (creator, price, period_seconds, updated_at) VALUES (?, ?, ?, ?)')
+      .run(plan.creator.toLowerCase(), bigintToText(plan.price), plan.periodSeconds, Date.now());
+  }
+
+  async deleteSubscriptionPlan(creator) {
+    this.db.prepare('DELETE FROM subscription_plans WHERE creator = ?').run(creator.toLowerCase());
+  }
+
+  async saveQuotes(quotes, pruneBefore = 0) {
+    const insert = this.db.prepare(`
+      INSERT OR REPLACE INTO payment_quotes (memo, content_hash, term_id, expires_at)
+      VALUES (?, ?, ?, ?)
+    `);
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM payment_quotes WHERE expires_at < ?').run(pruneBefore);
+      for (const { memo, contentHash, termId, expiresAt } of quotes) {
+        insert.run(memo.toLowerCase(), contentHash.toLowerCase(), termId, expiresAt);
+      }
+    })();
+  }
+
+  async getQuote(memo) {
+    const row = this.db.prepare('SELECT * FROM payment_quotes WHERE memo = ?').get(memo.toLowerCase());
+    return row
+      ? { memo: row.memo, contentHash: row.content_hash, termId: row.term_id, expiresAt: row.expires_at }
+      : null;
+  }
+
+  async getIndexerState(name) {
+    const row = this.db.prepare('SELECT * FROM indexer_state WHERE name = ?').get(name);
+    return row ? { blockNumber: textToBigint(row.block_number), blockHash: row.block_hash } : null;
+  }
+
+  async setIndexerState(name, { blockNumber, blockHash }) {
+    this.db
+      .prepare('INSERT OR REPLACE INTO indexer_state (name, block_number, block_hash, updated_at) VALUES (?, ?, ?, ?)')
+      .run(name, bigintToText(blockNumber), blockHash, Date.now());
+  }
+
+  async saveIndexedBlock(blockNumber, blockHash) {
+    this.db
+      .prepare('INSERT OR REPLACE INTO indexed_blocks (block_number, block_hash) VALUES (?, ?)')
+      .run(Number(blockNumber), blockHash);
+  }
+
+  async listIndexedBlocks() {
+    return this.db
+      .prepare('SELECT * FROM indexed_blocks ORDER BY block_number DESC')
+      .all()
+      .map(row => ({ blockNumber: BigInt(row.block_number), blockHash: row.block_hash }));
+  }
+
+  async hasChainEvent(id) {
+    return !!this.db.prepare('SELECT 1 FROM chain_events WHERE id = ?').get(id);
+  }
+
+  async applyChainEvent({ id, blockNumber, writes }) {
+    const apply = this.db.transaction(() => {
+      const undo = writes.map(({ kind, key }) => ({ kind, key, value: this._readRecord(kind, key) }));
+      for (const { kind, key, value } of writes) {
+        this._writeRecord(kind, key, value);
+      }
+      this.db
+        .prepare('INSERT INTO chain_events (id, block_number, undo) VALUES (?, ?, ?)')
+        .run(id, Number(blockNumber), toJSONText(undo));
+    });
+    apply();
+  }
+
+  async rollbackChainEvents(afterBlock) {
+    const rollback = this.db.transaction(() => {
+      const events = this.db
+        .prepare('SELECT * FROM chain_events WHERE block_number > ? ORDER BY seq DESC')
+        .all(Number(afterBlock));
+
+      for (const event of events) {
+        for (const { kind, key, value } of fromJSONText(event.undo).reverse()) {
+          this._writeRecord(kind, key, value);
+        }
+      }
+
+      this.db.prepare('DELETE FROM chain_events WHERE block_number > ?').run(Number(afterBlock));
+      this.db.prepare('DELETE FROM indexed_blocks WHERE block_number > ?').run(Number(afterBlock));
+      return events.length;
+    });
+    return rollback();
+  }
+
+  async close() {
+    this.db.close();
+  }
+
+  _readRecord(kind, key) {
+    switch (kind) {
+      case 'content': {
+        const row = this.db.prepare('SELECT * FROM contents WHERE content_hash = ?').get(key.toLowerCase());
+        return row ? rowToContent(row) : null;
+      }
+      case 'license': {
+        const row = this.db
+          .prepare(`SELECT * FROM licenses WHERE agent_address || '-' || content_hash = ?`)
+          .get(key.toLowerCase());
+        return row ? rowToLicense(row) : null;
+      }
+      case 'creator': {
+        const row = this.db.prepare('SELECT * FROM creators WHERE address = ?').get(key.toLowerCase());
+        return row ? { address: row.address, totalWithdrawn: textToBigint(row.total_withdrawn) } : null;
+      }
+      case 'tx': {
+        const row = this.db.prepare('SELECT license_key FROM used_tx_hashes WHERE tx_hash = ?').get(key.toLowerCase());
+        return row ? row.license_key : null;
+      }
+      default:
+        throw new Error(`Unknown record kind "${kind}"`);
+    }
+  }
+
+  _writeRecord(kind, key, value) {
+    switch (kind) {
+      case 'content':
+        if (value === null) {
+          this.db.prepare('DELETE FROM contents WHERE content_hash = ?').run(key.toLowerCase());
+        } else {
+          this._putContent(value);
+        }
+        return;
+      case 'license':
+        if (value === null) {
+          this.db
+            .prepare(`DELETE FROM licenses WHERE agent_address || '-' || content_hash = ?`)
+            .run(key.toLowerCase());
+        } else {
+          this._putLicense(value);
+        }
+        return;
+      case 'creator':
+        if (value === null) {
+          this.db.prepare('DELETE FROM creators WHERE address = ?').run(key.toLowerCase());
+        } else {
+          this.db
+            .prepare('INSERT OR REPLACE INTO creators (address, total_withdrawn) VALUES (?, ?)')
+            .run(key.toLowerCase(), bigintToText(value.totalWithdrawn));
+        }
+        return;
+      case 'tx':
+        if (value === null) {
+          this.db.prepare('DELETE FROM used_tx_hashes WHERE tx_hash = ?').run(key.toLowerCase());
+        } else {
+          this.db
+            .prepare('INSERT OR REPLACE INTO used_tx_hashes (tx_hash, license_key, created_at) VALUES (?, ?, ?)')
+            .run(key.toLowerCase(), value, Date.now());
+        }
+        return;
+      default:
+        throw new Error(`Unknown record kind "${kind}"`);
+    }
+  }
+}
+
+function rowToContent(row) {
+  return {
+    contentHash: row.content_hash,
+    price: textToBigint(row.price),
+    contentOwner: row.content_owner,
+    contentURI: row.content_uri,
+    active: row.active === 1,
+    totalRevenue: textToBigint(row.total_revenue),
+    accessCount: row.access_count,
+    createdAt: row.created_at,
+    crawlerPolicy: row.crawler_policy ? fromJSONText(row.crawler_policy) : null,
+    archivedAt: row.archived_at,
+    token: row.token,
+    split: row.split ? fromJSONText(row.split) : null,
+    terms: row.terms ? fromJSONText(row.terms) : null,
+  };
+}
+
+function rowToLicense(row) {
+  return {
+    agentAddress: row.agent_address,
+    contentHash: row.content_hash,
+    txHash: row.tx_hash || null,
+    memo: row.memo,
+    pricePaid: textToBigint(row.price_paid),
+    blockNumber: textToBigint(row.block_number),
+    expiry: row.expiry,
+    createdAt: row.created_at,
+    token: row.token,
+    termId: row.term_id,
+    kind: row.kind,
+    usage: row.usage,
+    usesLeft: row.uses_left,
+  };
+}
+
+function rowToSubscription(row) {
+  return {
+    agentAddress: row.agent_address,
+    creator: row.creator,
+    expiresAt: row.expires_at,
+  };
+}
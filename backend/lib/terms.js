@@ -0,0 +1,179 @@
+import { ApiError } from './errors.js';
+
+/**
+ * License terms
+ *
+ * Content sells licenses on up to MAX_TERMS terms, identified by their
+ * index (term id) as in the contract's `getLicenseTerms`:
+ *
+ *   { id, kind, usage, durationSeconds, price }
+ *
+ * - kind 'timed' lasts `durationSeconds`, 'request' covers one fetch
+ *   (redeemed within REQUEST_LICENSE_WINDOW_SECONDS), 'perpetual' never
+ *   expires
+ * - usage 'any' covers every use, 'retrieval' (RAG, search, assistants)
+ *   and 'training' only their own
+ *
+ * Content without terms sells one 30-day license for any use at its price.
+ */
+
+// Order matches the contract's LicenseKind and Usage enums
+export const LICENSE_KINDS = ['timed', 'request', 'perpetual'];
+export const LICENSE_USAGES = ['any', 'retrieval', 'training'];
+
+export const DEFAULT_LICENSE_DURATION_SECONDS = 30 * 24 * 60 * 60;
+export const REQUEST_LICENSE_WINDOW_SECONDS = 24 * 60 * 60;
+export const MAX_TERMS = 8;
+
+// Stored expiry of perpetual licenses (latest time a Date can hold)
+export const PERPETUAL_EXPIRY = 8_640_000_000_000_000;
+
+/**
+ * Terms `content` sells licenses on
+ */
+export function contentTerms(content) {
+  if (content.terms?.length) return content.terms;
+  return [{
+    id: 0,
+    kind: 'timed',
+    usage: 'any',
+    durationSeconds: DEFAULT_LICENSE_DURATION_SECONDS,
+    price: content.price,
+  }];
+}
+
+/**
+ * Terms of `content` with id `termId`, else null
+ */
+export function findTerm(content, termId) {
+  return contentTerms(content).find(term => term.id === Number(termId)) ?? null;
+}
+
+/**
+ * Cheapest terms of `content` covering `usage`, else null
+ */
+export function cheapestTerm(content, usage = 'any') {
+  return contentTerms(content)
+    .filter(term => usageCovers(term.usage, usage))
+    .reduce((best, term) => (!best || term.price < best.price ? term : best), null);
+}
+
+/**
+ * Whether a license for `licensed` use may be used for `requested` use
+ */
+export function usageCovers(licensed, requested) {
+  return licensed === 'any' || licensed === requested;
+}
+
+/**
+ * Use a crawler class makes of content: model training for training
+ * crawlers, retrieval for everything else
+ */
+export function crawlerUsage(crawler) {
+  return crawler?.class === 'ai-training' ? 'training' : 'retrieval';
+}
+
+/**
+ * Validate terms from a request body the way `setLicenseTerms` does;
+ * an empty list restores the default terms
+ */
+export function normalizeTerms(terms) {
+  if (!Array.isArray(terms)) {
+    throw new ApiError('TERMS_INVALID', 'terms must be a list of { kind, usage, durationSeconds, price }');
+  }
+
+  if (terms.length > MAX_TERMS) {
+    throw new ApiError('TERMS_INVALID', `At most ${MAX_TERMS} license terms`);
+  }
+
+  return terms.map(({ kind, usage = 'any', durationSeconds = 0, price }, id) => {
+    if (!LICENSE_KINDS.includes(kind)) {
+      throw new ApiError('TERMS_INVALID', `License kind must be one of ${LICENSE_KINDS.join(', ')}`);
+    }
+    if (!LICENSE_USAGES.includes(usage)) {
+      throw new ApiError('TERMS_INVALID', `License usage must be one of ${LICENSE_USAGES.join(', ')}`);
+    }
+    if (!/^\d+$/.test(String(price ?? '')) || BigInt(price) === 0n) {
+      throw new ApiError('TERMS_INVALID', 'Price must be > 0');
+    }
+    if (!Number.isInteger(durationSeconds) || durationSeconds < 0 || (kind === 'timed' && durationSeconds === 0)) {
+      throw new ApiError('TERMS_INVALID', 'Timed licenses need a positive durationSeconds');
+    }
+
+    return { id, kind, usage, durationSeconds: kind === 'timed' ? durationSeconds : 0, price: BigInt(price) };
+  });
+}
+
+/**
+ * Terms as `setLicenseTerms` takes them
+ */
+export function termsToChain(terms) {
+  return terms.map(term => ({
+    kind: LICENSE_KINDS.indexOf(term.kind),
+    usage: LICENSE_USAGES.indexOf(term.usage),
+    duration: BigInt(term.durationSeconds),
+    price: term.price,
+  }));
+}
+
+/**
+ * Terms from a LicenseTermsUpdated event, null when it restored the
+ * default ones
+ */
+export function termsFromChain(terms) {
+  if (terms.length === 0) return null;
+
+  return terms.map((term, id) => ({
+    id,
+    kind: LICENSE_KINDS[term.kind],
+    usage: LICENSE_USAGES[term.usage],
+    durationSeconds: Number(term.duration),
+    price: term.price,
+  }));
+}
+
+/**
+ * Fields of a license bought on `term` at `purchasedAt` (ms): expiry and
+ * the fetches left (null when unlimited)
+ */
+export function licenseFields(term, purchasedAt = Date.now()) {
+  const expiry = term.kind === 'perpetual'
+    ? PERPETUAL_EXPIRY
+    : purchasedAt + (term.kind === 'request' ? REQUEST_LICENSE_WINDOW_SECONDS : term.durationSeconds) * 1000;
+
+  return {
+    termId: term.id,
+    kind: term.kind,
+    usage: term.usage,
+    expiry,
+    usesLeft: term.kind === 'request' ? 1 : null,
+  };
+}
+
+/**
+ * Whether `current` license already gives everything `next` would: still
+ * valid, for the same use or more, lasting as long and not metered when
+ * `next` is not (the contract's `_grantLicense` rule)
+ */
+export function licenseCovers(current, next, now = Date.now()) {
+  if (!current || current.expiry <= now || current.usesLeft === 0) return false;
+
+  return usageCovers(current.usage || 'any', next.usage || 'any')
+    && current.expiry >= next.expiry
+    && (current.usesLeft == null || next.usesLeft != null);
+}
+
+/**
+ * License to keep when `next` is bought while `current` is held, so a
+ * later, weaker purchase never downgrades it
+ */
+export function strongerLicense(current, next, now = Date.now()) {
+  return licenseCovers(current, next, now) ? current : next;
+}
+
+/**
+ * Terms as advertised to agents (prices as strings)
+ */
+export function describeTerm(term) {
+  return { ...term, price: term.price.toString() };
+}
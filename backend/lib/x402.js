@@ -0,0 +1,204 @@
+import { isAddress, isHash, isHex } from 'viem';
+import { describeToken, paymentTokens } from './chain.js';
+import { ApiError } from './errors.js';
+import { decodeLicenseMemo, encodeLicenseMemo, memoMatchesContent } from './memo.js';
+import { jsonReplacer } from './storage/index.js';
+import { SIGNATURE_WINDOW_SECONDS, isHighS, verifySignedMessage } from './signatures.js';
+import { contentTerms, describeTerm } from './terms.js';
+
+/**
+ * HTTP 402 payment protocol
+ *
+ * 1. The server answers an unpaid request with status 402 and a
+ *    PAYMENT-REQUIRED header: base64 JSON describing token, amount,
+ *    recipient, memo and expiry. `accepts` lists every token the amount
+ *    may be paid in, the content's pricing token (`token`) first, and
+ *    `payouts` how the amount is split between payees and platform fee.
+ *    The amount buys a license on the quoted terms (`license`, whose id
+ *    the memo carries); `terms` lists every option with its own price,
+ *    payouts and memo.
+ * 2. The client pays on-chain in one of those tokens (a TIP-20
+ *    transferWithMemo per payout, all using that memo) and retries with an
+ *    X-PAYMENT header: base64 JSON proof carrying the tx hash, signed by
+ *    the payer.
+ * 3. The server verifies the signature and the payment, activates the
+ *    license and answers with an X-PAYMENT-RESPONSE header. Only memos it
+ *    quoted are accepted, paid before the quote's `expiresAt`.
+ */
+
+export const X402_VERSION = 1;
+export const PAYMENT_SCHEME = 'tempo-tip20-memo';
+export const PAYMENT_REQUIRED_HEADER = 'PAYMENT-REQUIRED';
+export const PAYMENT_HEADER = 'X-PAYMENT';
+export const PAYMENT_RESPONSE_HEADER = 'X-PAYMENT-RESPONSE';
+
+// How long a quoted memo can be paid for
+export const PAYMENT_TTL_SECONDS = 300;
+
+/**
+ * Encode a header value as base64 JSON (BigInt-safe)
+ */
+export function encodePaymentHeader(value) {
+  return Buffer.from(JSON.stringify(value, jsonReplacer)).toString('base64');
+}
+
+/**
+ * Decode a base64 JSON header value, returns null when malformed
+ */
+export function decodePaymentHeader(header) {
+  try {
+    return JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the payment requirements for a content item, quoting the license
+ * terms with id `termId`
+ *
+ * `terms` ({ ...term, payouts }) default to the content's terms paid in
+ * full to the owner.
+ */
+export function buildPaymentRequirements({
+  content,
+  resource,
+  tokens,
+  terms = contentTerms(content).map(term => ({
+    ...term,
+    payouts: [{ address: content.contentOwner, amount: term.price }],
+  })),
+  termId = terms[0].id,
+  chainId,
+  network,
+  contractAddress,
+}) {
+  const issuedAt = Date.now();
+  const accepted = paymentTokens(content, tokens);
+
+  const options = terms.map(({ payouts, ...term }) => ({
+    ...describeTerm(term),
+    payouts: payouts.map(({ address, amount }) => ({ address, amount: amount.toString() })),
+    memo: encodeLicenseMemo(content.contentHash, issuedAt, 0, term.id),
+  }));
+  const quoted = options.find(option => option.id === termId);
+
+  return {
+    x402Version: X402_VERSION,
+    scheme: PAYMENT_SCHEME,
+    network,
+    chainId,
+    resource,
+    contentHash: content.contentHash,
+    token: accepted[0],
+    amount: quoted.price,
+    accepts: accepted.map(token => ({ ...describeToken(token), amount: quoted.price })),
+    recipient: content.contentOwner,
+    payouts: quoted.payouts,
+    memo: quoted.memo,
+    license: { id: quoted.id, kind: quoted.kind, usage: quoted.usage, durationSeconds: quoted.durationSeconds },
+    terms: options,
+    expiresAt: Math.floor(issuedAt / 1000) + PAYMENT_TTL_SECONDS,
+    contractAddress: contractAddress || null,
+  };
+}
+
+/**
+ * Unix time (seconds) by which a memo's own timestamp says it must have
+ * been paid. The timestamp is chosen by whoever built the memo, so this
+ * only bounds memos a client made itself; quotes issued in a 402 are held
+ * to their recorded `expiresAt` instead.
+ */
+export function paymentDeadline(memo) {
+  const decoded = decodeLicenseMemo(memo);
+  return decoded ? Math.floor(decoded.timestamp / 1000) + PAYMENT_TTL_SECONDS : 0;
+}
+
+/**
+ * Message the payer signs to prove it sent the payment
+ */
+export function paymentProofMessage({ chainId, contentHash, txHash, memo, timestamp }) {
+  return [
+    'OpenPayAI payment',
+    `chainId:${chainId}`,
+    `contentHash:${contentHash}`,
+    `txHash:${txHash}`,
+    `memo:${memo}`,
+    `timestamp:${timestamp}`,
+  ].join('\n');
+}
+
+/**
+ * Decode and verify an X-PAYMENT header for `contentHash`
+ *
+ * Checks the header shape and the payer's signature (EOA or EIP-1271).
+ * Whether the memo was quoted, the on-chain payment and the quote expiry
+ * are checked when the license is redeemed (see Paywall#authorize).
+ */
+export async function verifyPaymentProof({ client, replayCache, header, contentHash, chainId }) {
+  const proof = decodePaymentHeader(header);
+
+  if (
+    !proof ||
+    proof.x402Version !== X402_VERSION ||
+    proof.scheme !== PAYMENT_SCHEME ||
+    !isAddress(proof.payer ?? '') ||
+    !isHash(proof.txHash ?? '') ||
+    !isHash(proof.memo ?? '') ||
+    !isHex(proof.signature, { strict: true }) ||
+    !Number.isSafeInteger(Number(proof.timestamp)) ||
+    typeof proof.contentHash !== 'string'
+  ) {
+    throw new ApiError('PAYMENT_HEADER_INVALID', `Malformed ${PAYMENT_HEADER} header`, 400);
+  }
+
+  if (Number(proof.chainId) !== chainId) {
+    throw new ApiError('PAYMENT_NETWORK_MISMATCH', `Payment must be made on chain ${chainId}`, 400);
+  }
+
+  if (proof.contentHash?.toLowerCase() !== contentHash.toLowerCase()) {
+    throw new ApiError('PAYMENT_RESOURCE_MISMATCH', 'Payment proof is for different content', 400);
+  }
+
+  if (!memoMatchesContent(proof.memo, contentHash)) {
+    throw new ApiError('MEMO_MISMATCH', 'Payment memo is not a license memo for this content', 400);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (Math.abs(now - Number(proof.timestamp)) > SIGNATURE_WINDOW_SECONDS) {
+    throw new ApiError('SIGNATURE_EXPIRED', 'Payment proof signature expired', 403);
+  }
+
+  if (isHighS(proof.signature)) {
+    throw new ApiError('SIGNATURE_INVALID', 'Payment proof signature is not canonical (high s)', 401);
+  }
+
+  // Keyed on the signed proof, not the signature bytes, so re-encoding a
+  // signature cannot replay it; a retry needs a freshly signed proof
+  const replayKey = [
+    'x402',
+    proof.payer.toLowerCase(),
+    contentHash.toLowerCase(),
+    proof.txHash.toLowerCase(),
+    proof.memo.toLowerCase(),
+    proof.timestamp,
+  ].join(':');
+  if (replayCache.has(replayKey)) {
+    throw new ApiError('SIGNATURE_REPLAYED', 'Payment proof already used', 403);
+  }
+  replayCache.add(replayKey, (Number(proof.timestamp) + SIGNATURE_WINDOW_SECONDS) * 1000);
+
+  const valid = await verifySignedMessage({
+    client,
+    address: proof.payer,
+    message: paymentProofMessage({ ...proof, chainId }),
+    signature: proof.signature,
+  });
+
+  if (!valid) {
+    replayCache.delete(replayKey);
+    throw new ApiError('SIGNATURE_INVALID', 'Payment proof signature does not match payer', 401);
+  }
+
+  return proof;
+}
@@ -0,0 +1,29 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { fetchCrawlerRanges } from '../lib/crawlers.js';
+
+/**
+ * Refresh crawler IP ranges in lib/crawler-rules.json
+ *
+ * Fetches every `ipRangesSource` (Google-style JSON:
+ * { prefixes: [{ ipv4Prefix } | { ipv6Prefix }] }) and writes the ranges
+ * back into the ruleset. Run with `npm run crawlers:update`. Servers also
+ * refresh them at runtime (CRAWLER_RANGES_REFRESH_HOURS); the committed
+ * ranges are what they start from and fall back to.
+ */
+
+const rulesPath = process.env.CRAWLER_RULES_PATH || new URL('../lib/crawler-rules.json', import.meta.url);
+const rules = JSON.parse(readFileSync(rulesPath, 'utf8'));
+
+for (const crawler of rules.crawlers) {
+  if (!crawler.ipRangesSource) continue;
+
+  try {
+    crawler.ipRanges = await fetchCrawlerRanges(crawler.ipRangesSource);
+    console.log(`✅ ${crawler.name}: ${crawler.ipRanges.length} ranges`);
+  } catch (error) {
+    console.error(`❌ ${crawler.name}: ${error.message} (keeping ${crawler.ipRanges?.length || 0} ranges)`);
+  }
+}
+
+rules.updatedAt = new Date().toISOString().slice(0, 10);
+writeFileSync(rulesPath, JSON.stringify(rules, null, 2) + '\n');
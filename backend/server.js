@@ -3,13 +3,44 @@ import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
-import { createClient, http, parseAbi } from 'viem';
-import { privateKeyToAccount } from 'viem/accounts';
+import { createClient, http, isAddress, isAddressEqual } from 'viem';
 import { tempoModerato } from 'viem/chains';
 import { tempoActions } from 'viem/tempo';
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { ApiError, asyncHandler, errorHandler } from './lib/errors.js';
+import {
+  CHAIN_ID,
+  CONTRACT_ABI,
+  DEFAULT_RPC_URL,
+  NETWORK,
+  contentToken,
+  describeToken,
+  findStablecoin,
+  parseAcceptedTokens,
+  paymentTokens,
+} from './lib/chain.js';
+import {
+  CrawlerClassifier,
+  checkAICrawler,
+  crawlerAction,
+  normalizeCrawlerPolicy,
+} from './lib/crawlers.js';
+import { ReplayCache } from './lib/signatures.js';
+import { createStorage, jsonReplacer } from './lib/storage/index.js';
+import { ChainIndexer } from './lib/indexer.js';
+import { LicenseService } from './lib/licenses.js';
+import { PrepaidService } from './lib/prepaid.js';
+import { PlatformFee, contentSplit, normalizeSplit, splitPayment } from './lib/splits.js';
+import { RegistryService, deriveContentHash } from './lib/registry.js';
+import { LICENSE_USAGES, describeTerm, normalizeTerms, termsToChain } from './lib/terms.js';
+import { CreatorAuth, assertContentOwner } from './lib/auth.js';
+import { MANIFEST_PATH, MANIFEST_TTL_SECONDS, buildManifest, buildRobotsTxt } from './lib/manifest.js';
+import { Paywall } from './lib/paywall.js';
+import { PAYMENT_REQUIRED_HEADER, PAYMENT_RESPONSE_HEADER, paymentDeadline } from './lib/x402.js';
+import { memoMatchesContent } from './lib/memo.js';
+import { loadAccount } from './lib/keystore.js';
 
 dotenv.config();
 
@@ -23,7 +54,8 @@ const PORT = process.env.PORT || 3001;
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: [PAYMENT_REQUIRED_HEADER, PAYMENT_RESPONSE_HEADER],
 }));
 
 // Rate limiting
@@ -36,48 +68,46 @@ app.use(limiter);
 
 app.use(express.json());
 
-// Tempo configuration
-const RPC_URL = process.env.TEMPO_RPC_URL || 'https://rpc.moderato.tempo.xyz';
-const CHAIN_ID = 42431;
-
-// Token addresses
-const TOKENS = {
-  alphaUsd: '0x20c0000000000000000000000000000000000001',
-  betaUsd: '0x20c0000000000000000000000000000000000002',
-  pathUsd: '0x20c0000000000000000000000000000000000000',
-};
-
-// Contract ABI (minimal for what we need)
-const CONTRACT_ABI = parseAbi([
-  'function contentRegistry(bytes32) view returns (uint256 price, address contentOwner, string contentURI, bool active, uint256 totalRevenue, uint256 accessCount)',
-  'function licenses(address, bytes32) view returns (uint256 expiry, uint256 pricePaid, bool active)',
-  'function registerContent(bytes32 contentHash, uint256 price, string contentURI)',
-  'function purchaseLicense(bytes32 contentHash, bytes32 memo)',
-  'function purchaseBatchLicense(bytes32[] contentHashes, bytes32[] memos)',
-  'function hasValidLicense(address user, bytes32 contentHash) view returns (bool)',
-  'function updatePrice(bytes32 contentHash, uint256 newPrice)',
-  'function toggleContentStatus(bytes32 contentHash)',
-  'function setAgentSpendingLimit(address agent, uint256 dailyLimit)',
-  'function getCreatorContents(address creator) view returns (bytes32[])',
-  'function getContentStats(bytes32) view returns (uint256 price, uint256 revenue, uint256 accessCount, bool active)',
-  'event ContentRegistered(bytes32 indexed contentHash, address indexed contentOwner, uint256 price, string contentURI)',
-  'event LicensePurchased(address indexed buyer, bytes32 indexed contentHash, uint256 price, bytes32 memo, uint256 expiry)',
-  'event BatchLicensePurchased(address indexed buyer, bytes32[] contentHashes, uint256 totalPrice, uint256 count)',
-]);
+// Crawler IP verification needs the client address, not the proxy's
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
+// Prices and revenue are BigInt; write them as decimal strings
+app.set('json replacer', jsonReplacer);
+
+// Tempo configuration (constants live in lib/chain.js)
+const RPC_URL = process.env.TEMPO_RPC_URL || DEFAULT_RPC_URL;
+
+// Stablecoins content may be priced and paid in
+const ACCEPTED_TOKENS = parseAcceptedTokens(process.env.ACCEPTED_TOKENS);
 
 // Initialize Tempo client
 let client;
 let serverWallet;
 
-function initializeClient() {
+// Read-only client, so reads work without a server wallet
+const publicClient = createClient({ chain: tempoModerato, transport: http(RPC_URL) });
+
+/**
+ * Set up the sponsoring wallet: `account` (any viem Account, e.g. a
+ * custom signer from `toAccount`), or else SERVER_KEYSTORE or
+ * SERVER_PRIVATE_KEY
+ */
+export async function initializeClient(account) {
   try {
-    const privateKey = process.env.SERVER_PRIVATE_KEY;
-    if (!privateKey) {
-      console.warn('⚠️  SERVER_PRIVATE_KEY not set. Some features will be disabled.');
+    account ??= await loadAccount({
+      keystore: process.env.SERVER_KEYSTORE,
+      password: process.env.SERVER_KEYSTORE_PASSWORD,
+      passwordFile: process.env.SERVER_KEYSTORE_PASSWORD_FILE,
+      privateKey: process.env.SERVER_PRIVATE_KEY,
+    });
+    if (!account) {
+      console.warn('⚠️  SERVER_KEYSTORE / SERVER_PRIVATE_KEY not set. Some features will be disabled.');
       return null;
     }
 
-    const account = privateKeyToAccount(privateKey);
     serverWallet = account;
 
     client = createClient({
@@ -95,20 +125,106 @@ function initializeClient() {
   }
 }
 
-// Content registry (in-memory for demo - use DB in production)
-const contentRegistry = new Map();
-const accessLogs = [];
+// Content registry, licenses and access logs (see lib/storage)
+const storage = await createStorage();
 
-// Middleware to check AI crawler
-const checkAICrawler = (req, res, next) => {
-  const userAgent = req.headers['user-agent'] || '';
-  const isAICrawler = userAgent.includes('AI-Agent-Crawler') || 
-                      userAgent.includes('Bot') ||
-                      userAgent.includes('Crawler');
-  
-  req.isAICrawler = isAICrawler;
-  next();
-};
+// Chain indexer (keeps storage in sync with contract events)
+let indexer;
+
+function startIndexer() {
+  const contractAddress = process.env.CONTRACT_ADDRESS;
+  if (!contractAddress || contractAddress === '0x...' || process.env.INDEXER_ENABLED === 'false') {
+    console.warn('⚠️  Chain indexer disabled (set CONTRACT_ADDRESS to enable).');
+    return null;
+  }
+
+  indexer = new ChainIndexer({
+    client: publicClient,
+    storage,
+    contractAddress,
+    abi: CONTRACT_ABI,
+    startBlock: BigInt(process.env.INDEXER_START_BLOCK || 0),
+    confirmations: BigInt(process.env.INDEXER_CONFIRMATIONS || 2),
+    batchSize: BigInt(process.env.INDEXER_BATCH_SIZE || 1000),
+    pollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '2000'),
+  });
+  indexer.start();
+  return indexer;
+}
+
+// Platform fee set on the contract (splits every payment with its owner)
+const platformFee = new PlatformFee({
+  getClient: () => client || publicClient,
+  contractAddress: process.env.CONTRACT_ADDRESS,
+  contractAbi: CONTRACT_ABI,
+});
+
+// License lookup and on-chain payment redemption
+const licenses = new LicenseService({
+  storage,
+  getClient: () => client || publicClient,
+  tokens: ACCEPTED_TOKENS,
+  contractAddress: process.env.CONTRACT_ADDRESS,
+  contractAbi: CONTRACT_ABI,
+  platformFee,
+});
+
+// Prepaid credit balances and subscriptions (paid to creators once, spent off-chain)
+const prepaid = new PrepaidService({
+  storage,
+  getClient: () => client || publicClient,
+  tokens: ACCEPTED_TOKENS,
+});
+
+// On-chain content registration and management (direct or sponsored by the server wallet)
+const registry = new RegistryService({
+  storage,
+  getClient: () => client || publicClient,
+  getSponsor: () => serverWallet,
+  contractAddress: process.env.CONTRACT_ADDRESS,
+  contractAbi: CONTRACT_ABI,
+  timeout: parseInt(process.env.REGISTRATION_TIMEOUT_MS || '60000'),
+});
+
+// Sign-In with Ethereum sessions for creators managing their content
+const creatorAuth = new CreatorAuth({
+  getClient: () => client || publicClient,
+  domain: process.env.SIWE_DOMAIN || new URL(process.env.FRONTEND_URL || 'http://localhost:3000').host,
+  chainId: CHAIN_ID,
+});
+const requireCreator = creatorAuth.requireCreator();
+
+// Most licenses one /api/license/batch request may record (as in purchaseBatchLicense)
+const MAX_BATCH_ITEMS = 50;
+
+// Access signatures and payment proofs already accepted (until they expire)
+const accessReplayCache = new ReplayCache();
+
+// Sorts requests into humans, search engines and AI crawler classes
+const crawlerClassifier = new CrawlerClassifier({
+  verifyDns: process.env.CRAWLER_VERIFY_DNS !== 'false',
+});
+
+// Published crawler IP ranges change; refresh them at startup and then
+// periodically (0 keeps the ranges in the ruleset)
+const CRAWLER_RANGES_REFRESH_HOURS = Number(process.env.CRAWLER_RANGES_REFRESH_HOURS ?? 24);
+
+async function refreshCrawlerRanges() {
+  const { refreshed, failed } = await crawlerClassifier.refreshIpRanges();
+  console.log(`🕷️  Crawler IP ranges refreshed: ${refreshed.length} lists${failed.length ? ` (kept ruleset ranges for ${failed.join(', ')})` : ''}`);
+}
+
+// Agent access checks and HTTP 402 responses (shared with publishers)
+const paywall = new Paywall({
+  storage,
+  licenses,
+  prepaid,
+  getClient: () => client || publicClient,
+  replayCache: accessReplayCache,
+  tokens: ACCEPTED_TOKENS,
+  contractAddress: process.env.CONTRACT_ADDRESS,
+  classifier: crawlerClassifier,
+});
 
 // Routes
 
@@ -122,55 +238,201 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     tempoConnected: !!client,
     serverAddress: serverWallet?.address || null,
+    indexer: indexer?.status() || null,
   });
 });
 
 /**
- * @route POST /api/content/register
- * @desc Register new content for AI access
+ * @route GET /robots.txt
+ * @desc robots.txt generated from the content registry and crawler policies
  */
-app.post('/api/content/register', async (req, res) => {
-  try {
-    const { contentHash, price, contentURI, ownerAddress } = req.body;
+app.get('/robots.txt', asyncHandler(async (req, res) => {
+  const contents = await storage.listContents();
+
+  res
+    .type('text/plain')
+    .set('Cache-Control', `public, max-age=${MANIFEST_TTL_SECONDS}`)
+    .send(buildRobotsTxt({
+      contents,
+      baseUrl: publicBaseUrl(req),
+      crawlers: crawlerClassifier.rules.crawlers,
+    }));
+}));
 
-    if (!contentHash || !price || !contentURI || !ownerAddress) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+/**
+ * @route GET /.well-known/openpayai.json
+ * @desc Pricing manifest: paywalled paths, prices and payment terms
+ */
+app.get(MANIFEST_PATH, asyncHandler(async (req, res) => {
+  const contents = await storage.listContents();
+
+  res
+    .set('Cache-Control', `public, max-age=${MANIFEST_TTL_SECONDS}`)
+    .json(buildManifest({
+      contents,
+      baseUrl: publicBaseUrl(req),
+      tokens: ACCEPTED_TOKENS,
+      platformFee: await platformFee.current(),
+      chainId: CHAIN_ID,
+      network: NETWORK,
+      contractAddress: process.env.CONTRACT_ADDRESS,
+    }));
+}));
 
-    // Store in memory (use contract in production)
-    contentRegistry.set(contentHash, {
-      contentHash,
-      price: BigInt(price),
-      contentOwner: ownerAddress,
-      contentURI,
-      active: true,
-      totalRevenue: BigInt(0),
-      accessCount: 0,
-      createdAt: Date.now(),
-    });
+/**
+ * @route GET /api/tokens
+ * @desc Stablecoins content can be priced and paid in
+ */
+app.get('/api/tokens', (req, res) => {
+  res.json({
+    chainId: CHAIN_ID,
+    defaultToken: ACCEPTED_TOKENS[0],
+    tokens: ACCEPTED_TOKENS.map(describeToken),
+  });
+});
+
+/**
+ * @route GET /api/auth/nonce
+ * @desc Issue a single-use nonce for a creator's SIWE message
+ */
+app.get('/api/auth/nonce', (req, res) => {
+  res.json({
+    nonce: creatorAuth.issueNonce(),
+    domain: creatorAuth.domain,
+    chainId: CHAIN_ID,
+  });
+});
+
+/**
+ * @route POST /api/auth/verify
+ * @desc Verify a signed SIWE message and open a creator session
+ */
+app.post('/api/auth/verify', asyncHandler(async (req, res) => {
+  const { message, signature } = req.body;
+  const session = await creatorAuth.signIn({ message, signature });
+
+  console.log(`🔑 Creator signed in: ${session.address}`);
+
+  res.json({
+    token: session.token,
+    address: session.address,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+  });
+}));
+
+/**
+ * @route POST /api/auth/logout
+ * @desc End the current creator session
+ */
+app.post('/api/auth/logout', requireCreator, (req, res) => {
+  creatorAuth.signOut(req.creator.token);
+  res.json({ success: true });
+});
+
+/**
+ * @route POST /api/content/register/prepare
+ * @desc Derive the content hash and build the registerContent call to sign
+ *
+ * The hash is keccak256 of `content` (UTF-8 text or 0x hex bytes) when
+ * given, otherwise of `contentURI`. `token` (name, symbol or address of
+ * an accepted stablecoin, see GET /api/tokens) is the token the price is
+ * in, by default the first accepted one.
+ */
+app.post('/api/content/register/prepare', requireCreator, (req, res) => {
+  const { price, contentURI, content } = req.body;
 
-    console.log(`📝 Content registered: ${contentHash}`);
-    
-    res.json({
-      success: true,
+  if (!price || !contentURI) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  if (!/^\d+$/.test(String(price)) || BigInt(price) === 0n) {
+    return res.status(400).json({ error: 'Price must be > 0', code: 'PRICE_INVALID' });
+  }
+
+  const contentHash = deriveContentHash({ content, contentURI });
+  const token = pricingToken(req.body.token);
+
+  res.json({
+    contentHash,
+    chainId: CHAIN_ID,
+    token,
+    ...registry.prepare({
+      functionName: 'registerContent',
+      args: [contentHash, BigInt(price), contentURI, token],
+    }),
+  });
+});
+
+/**
+ * @route POST /api/content/register
+ * @desc Register content on the OpenPayAITempo contract
+ *
+ * Send the creator's `registerContent` tx hash (`txHash`), or the signed
+ * transaction (`signedTransaction`, signed with `feePayer: true`) for the
+ * server wallet to sponsor and broadcast. Responds once ContentRegistered
+ * is mined. Requires a creator session; the signed-in address must be
+ * the registering owner.
+ */
+app.post('/api/content/register', requireCreator, asyncHandler(async (req, res) => {
+  const { price, contentURI, content, txHash, signedTransaction, crawlerPolicy } = req.body;
+
+  if (!price || !contentURI || (!txHash && !signedTransaction)) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  if (!/^\d+$/.test(String(price)) || BigInt(price) === 0n) {
+    return res.status(400).json({ error: 'Price must be > 0', code: 'PRICE_INVALID' });
+  }
+
+  const contentHash = deriveContentHash({ content, contentURI });
+  if (req.body.contentHash && req.body.contentHash.toLowerCase() !== contentHash.toLowerCase()) {
+    return res.status(400).json({
+      error: 'contentHash does not match the content',
+      code: 'CONTENT_HASH_MISMATCH',
       contentHash,
-      price,
-      contentURI,
-      owner: ownerAddress,
     });
-  } catch (error) {
-    console.error('Error registering content:', error);
-    res.status(500).json({ error: error.message });
   }
-});
+
+  const policy = normalizeCrawlerPolicy(crawlerPolicy);
+  const token = pricingToken(req.body.token);
+
+  const hash = signedTransaction
+    ? await registry.relay({
+        serializedTransaction: signedTransaction,
+        sender: req.creator.address,
+        functionName: 'registerContent',
+        args: [contentHash, BigInt(price), contentURI, token],
+      })
+    : txHash;
+
+  const { content: registered, blockNumber } = await registry.confirmRegistration({
+    txHash: hash,
+    contentHash,
+    owner: req.creator.address,
+    crawlerPolicy: policy,
+  });
+
+  console.log(`📝 Content registered: ${contentHash}${signedTransaction ? ' (sponsored)' : ''}`);
+  
+  res.json({
+    success: true,
+    contentHash,
+    price: registered.price.toString(),
+    token: contentToken(registered),
+    contentURI: registered.contentURI,
+    owner: registered.contentOwner,
+    txHash: hash,
+    blockNumber: blockNumber.toString(),
+    sponsored: !!signedTransaction,
+    crawlerPolicy: policy,
+  });
+}));
 
 /**
  * @route GET /api/content/:contentHash
  * @desc Get content info
  */
-app.get('/api/content/:contentHash', (req, res) => {
+app.get('/api/content/:contentHash', asyncHandler(async (req, res) => {
   const { contentHash } = req.params;
-  const content = contentRegistry.get(contentHash);
+  const content = await storage.getContent(contentHash);
 
   if (!content) {
     return res.status(404).json({ error: 'Content not found' });
@@ -179,281 +441,684 @@ app.get('/api/content/:contentHash', (req, res) => {
   res.json({
     contentHash: content.contentHash,
     price: content.price.toString(),
+    token: contentToken(content),
+    acceptedTokens: paymentTokens(content, ACCEPTED_TOKENS),
     contentOwner: content.contentOwner,
+    split: contentSplit(content),
+    payouts: (await licenses.payouts(content))
+      .map(({ address, amount }) => ({ address, amount: amount.toString() })),
+    terms: (await licenses.terms(content)).map(describeTermPayouts),
     contentURI: content.contentURI,
     active: content.active,
     totalRevenue: content.totalRevenue.toString(),
     accessCount: content.accessCount,
+    crawlerPolicy: content.crawlerPolicy || null,
+    archived: !!content.archivedAt,
   });
-});
+}));
 
 /**
- * @route POST /api/content/:contentHash/access
- * @desc Request access to content (AI crawlers hit this)
+ * @route PATCH /api/content/:contentHash/price
+ * @desc Change the price of the signed-in creator's content
+ *
+ * Mirrors the contract's `updatePrice`. Without `txHash` or
+ * `signedTransaction` it answers 428 with the call to sign.
  */
-app.post('/api/content/:contentHash/access', checkAICrawler, async (req, res) => {
-  try {
-    const { contentHash } = req.params;
-    const { agentAddress, signature, timestamp, memo } = req.body;
+app.patch('/api/content/:contentHash/price', requireCreator, asyncHandler(async (req, res) => {
+  const { price, txHash, signedTransaction } = req.body;
+  const content = await getOwnedContent(req);
 
-    const content = contentRegistry.get(contentHash);
+  if (!/^\d+$/.test(String(price ?? '')) || BigInt(price) === 0n) {
+    return res.status(400).json({ error: 'Price must be > 0', code: 'PRICE_INVALID' });
+  }
 
-    if (!content) {
-      return res.status(404).json({
-        error: 'Content not found',
-        code: 'CONTENT_NOT_FOUND',
-      });
-    }
+  const call = { functionName: 'updatePrice', args: [content.contentHash, BigInt(price)] };
+  if (!txHash && !signedTransaction) {
+    return sendCallToSign(res, call);
+  }
 
-    if (!content.active) {
-      return res.status(403).json({
-        error: 'Content not available',
-        code: 'CONTENT_INACTIVE',
-      });
-    }
+  const result = await submitContentCall(req, content, call);
+  console.log(`💲 Price updated: ${content.contentHash} → ${result.content.price}`);
 
-    // If not AI crawler, allow access (regular users)
-    if (!req.isAICrawler) {
-      return res.json({
-        allowed: true,
-        reason: 'Regular user access',
-        contentURI: content.contentURI,
-      });
-    }
+  res.json(contentUpdateResponse(result, !!signedTransaction));
+}));
 
-    // AI crawler - check for license
-    if (!agentAddress) {
-      return res.status(402).json({
-        error: 'Payment Required',
-        code: 'PAYMENT_REQUIRED',
-        contentHash,
-        price: content.price.toString(),
-        currency: 'AlphaUSD',
-        message: 'AI agents must purchase license to access this content',
-      });
-    }
+/**
+ * @route POST /api/content/:contentHash/toggle
+ * @desc Activate or deactivate the signed-in creator's content
+ *
+ * Mirrors the contract's `toggleContentStatus`. Without `txHash` or
+ * `signedTransaction` it answers 428 with the call to sign.
+ */
+app.post('/api/content/:contentHash/toggle', requireCreator, asyncHandler(async (req, res) => {
+  const { txHash, signedTransaction } = req.body;
+  const content = await getOwnedContent(req);
 
-    // Verify signature if provided
-    if (signature && timestamp) {
-      // Check timestamp (5 min window)
-      const now = Math.floor(Date.now() / 1000);
-      if (Math.abs(now - parseInt(timestamp)) > 300) {
-        return res.status(403).json({
-          error: 'Signature expired',
-          code: 'SIGNATURE_EXPIRED',
-        });
-      }
+  const call = { functionName: 'toggleContentStatus', args: [content.contentHash] };
+  if (!txHash && !signedTransaction) {
+    return sendCallToSign(res, call);
+  }
 
-      // In production: verify ECDSA signature on-chain
-      // For demo: we'll check if license exists
-      
-      // Check license (in production, query contract)
-      const hasLicense = checkLicense(agentAddress, contentHash);
-      
-      if (hasLicense) {
-        // Log access
-        accessLogs.push({
-          contentHash,
-          agentAddress,
-          timestamp: Date.now(),
-          type: 'access',
-        });
-
-        content.accessCount++;
-
-        return res.json({
-          allowed: true,
-          reason: 'Valid license',
-          contentURI: content.contentURI,
-          licenseExpiry: hasLicense.expiry,
-        });
-      }
-    }
+  const result = await submitContentCall(req, content, call);
+  console.log(`🔁 Content ${result.content.active ? 'activated' : 'deactivated'}: ${content.contentHash}`);
 
-    // No valid license
-    return res.status(402).json({
-      error: 'Payment Required',
-      code: 'LICENSE_REQUIRED',
-      contentHash,
-      price: content.price.toString(),
-      currency: 'AlphaUSD',
-      contractAddress: process.env.CONTRACT_ADDRESS,
-      paymentInstructions: {
-        token: TOKENS.alphaUsd,
-        amount: content.price.toString(),
-        to: content.contentOwner,
-        memoFormat: `LICENSE:${contentHash}:${Date.now()}`,
-      },
-    });
-  } catch (error) {
-    console.error('Error checking access:', error);
-    res.status(500).json({ error: error.message });
+  res.json(contentUpdateResponse(result, !!signedTransaction));
+}));
+
+/**
+ * @route PUT /api/content/:contentHash/split
+ * @desc Split the signed-in creator's revenue between payees
+ *
+ * Mirrors the contract's `setRevenueSplit`: `split` lists
+ * `{ payee, shareBps }` adding up to 10000 basis points, or is empty to
+ * pay everything to the owner again. Without `txHash` or
+ * `signedTransaction` it answers 428 with the call to sign.
+ */
+app.put('/api/content/:contentHash/split', requireCreator, asyncHandler(async (req, res) => {
+  const { txHash, signedTransaction } = req.body;
+  const content = await getOwnedContent(req);
+  const split = normalizeSplit(req.body.split);
+
+  const call = {
+    functionName: 'setRevenueSplit',
+    args: [content.contentHash, split.map(({ payee }) => payee), split.map(({ shareBps }) => BigInt(shareBps))],
+  };
+  if (!txHash && !signedTransaction) {
+    return sendCallToSign(res, call);
   }
-});
+
+  const result = await submitContentCall(req, content, call);
+  console.log(`➗ Revenue split updated: ${content.contentHash} (${contentSplit(result.content).length} payees)`);
+
+  res.json({
+    ...contentUpdateResponse(result, !!signedTransaction),
+    split: contentSplit(result.content),
+  });
+}));
 
 /**
- * @route POST /api/license/buy
- * @desc Record a license purchase (called after on-chain payment)
+ * @route PUT /api/content/:contentHash/terms
+ * @desc Set the license terms the signed-in creator's content sells
+ *
+ * Mirrors the contract's `setLicenseTerms`: `terms` lists up to 8
+ * `{ kind, usage, durationSeconds, price }` (kind timed, request or
+ * perpetual; usage any, retrieval or training), or is empty to sell the
+ * default 30-day license again. A term's id is its position in the list.
+ * Without `txHash` or `signedTransaction` it answers 428 with the call to
+ * sign.
  */
-app.post('/api/license/buy', async (req, res) => {
-  try {
-    const { contentHash, agentAddress, txHash, memo } = req.body;
+app.put('/api/content/:contentHash/terms', requireCreator, asyncHandler(async (req, res) => {
+  const { txHash, signedTransaction } = req.body;
+  const content = await getOwnedContent(req);
+  const terms = normalizeTerms(req.body.terms);
+
+  const call = {
+    functionName: 'setLicenseTerms',
+    args: [content.contentHash, termsToChain(terms)],
+  };
+  if (!txHash && !signedTransaction) {
+    return sendCallToSign(res, call);
+  }
 
-    if (!contentHash || !agentAddress || !txHash) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+  const result = await submitContentCall(req, content, call);
+  console.log(`📜 License terms updated: ${content.contentHash} (${terms.length || 'default'} terms)`);
 
-    const content = contentRegistry.get(contentHash);
-    if (!content) {
-      return res.status(404).json({ error: 'Content not found' });
-    }
+  res.json({
+    ...contentUpdateResponse(result, !!signedTransaction),
+    terms: (await licenses.terms(result.content)).map(describeTermPayouts),
+  });
+}));
 
-    // In production: verify transaction on-chain
-    // For demo: create license record
-    const licenseKey = `${agentAddress}-${contentHash}`;
-    const license = {
-      agentAddress,
-      contentHash,
-      txHash,
-      memo,
-      pricePaid: content.price,
-      expiry: Date.now() + 30 * 24 * 60 * 60 * 1000, // 30 days
-      createdAt: Date.now(),
-    };
+/**
+ * @route DELETE /api/content/:contentHash
+ * @desc Archive the signed-in creator's content
+ *
+ * The contract cannot delete entries, so content must be deactivated
+ * on-chain first; archiving then hides it from listings, the manifest
+ * and robots.txt. Reactivating it on-chain unarchives it.
+ */
+app.delete('/api/content/:contentHash', requireCreator, asyncHandler(async (req, res) => {
+  const content = await getOwnedContent(req);
+
+  if (content.active) {
+    return res.status(409).json({
+      error: 'Deactivate content before archiving',
+      code: 'CONTENT_ACTIVE',
+    });
+  }
 
-    // Store license (use Redis/DB in production)
-    if (!global.licenses) global.licenses = new Map();
-    global.licenses.set(licenseKey, license);
+  const archivedAt = content.archivedAt ?? Date.now();
+  await storage.saveContent({ ...content, archivedAt });
 
-    // Update content stats
-    content.totalRevenue += content.price;
-    content.accessCount++;
+  console.log(`🗄️  Content archived: ${content.contentHash}`);
 
-    console.log(`✅ License purchased: ${agentAddress} -> ${contentHash}`);
+  res.json({
+    success: true,
+    contentHash: content.contentHash,
+    archivedAt: new Date(archivedAt).toISOString(),
+  });
+}));
 
-    res.json({
-      success: true,
-      license,
-      message: 'License activated successfully',
+/**
+ * @route GET|POST /api/content/:contentHash/access
+ * @desc Request access to content (AI crawlers hit this)
+ *
+ * Agents prove who they are with a signed `${timestamp},${contentHash},${nonce}`
+ * message (body fields or X-Agent-* headers), or pay through the HTTP 402
+ * flow by retrying with an X-PAYMENT header (see lib/x402.js).
+ */
+async function handleContentAccess(req, res) {
+  const { contentHash } = req.params;
+  const content = await storage.getContent(contentHash);
+
+  if (!content) {
+    return res.status(404).json({
+      error: 'Content not found',
+      code: 'CONTENT_NOT_FOUND',
+    });
+  }
+
+  if (!content.active) {
+    return res.status(403).json({
+      error: 'Content not available',
+      code: 'CONTENT_INACTIVE',
+    });
+  }
+
+  // If not AI crawler, allow access (regular users)
+  if (!req.isAICrawler) {
+    return res.json({
+      allowed: true,
+      reason: 'Regular user access',
+      contentURI: content.contentURI,
     });
-  } catch (error) {
-    console.error('Error recording license:', error);
-    res.status(500).json({ error: error.message });
   }
-});
+
+  // Publisher policy for this crawler class
+  const action = crawlerAction(req.crawler, content);
+
+  if (action === 'block') {
+    return res.status(403).json({
+      error: 'Crawler blocked by publisher',
+      code: 'CRAWLER_BLOCKED',
+      crawlerClass: req.crawler.class,
+    });
+  }
+
+  if (action === 'allow') {
+    return res.json({
+      allowed: true,
+      reason: 'Allowed by crawler policy',
+      crawlerClass: req.crawler.class,
+      contentURI: content.contentURI,
+    });
+  }
+
+  const access = await paywall.authorize(req, res, content, { crawler: req.crawler });
+
+  if (!access.allowed) {
+    return await paywall.sendPaymentRequired(req, res, content, { code: access.code, crawler: req.crawler });
+  }
+
+  res.json({
+    allowed: true,
+    reason: access.reason,
+    contentURI: content.contentURI,
+    licenseExpiry: access.license.expiry,
+    licenseKind: access.license.kind,
+    licenseUsage: access.license.usage,
+  });
+}
+
+app.get('/api/content/:contentHash/access', checkAICrawler(crawlerClassifier), asyncHandler(handleContentAccess));
+app.post('/api/content/:contentHash/access', checkAICrawler(crawlerClassifier), asyncHandler(handleContentAccess));
+
+/**
+ * @route POST /api/license/buy
+ * @desc Record a license purchase after verifying the payment on-chain
+ */
+app.post('/api/license/buy', asyncHandler(async (req, res) => {
+  const { contentHash, agentAddress, txHash } = req.body;
+
+  if (!contentHash || !agentAddress || !txHash) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  const content = await storage.getContent(contentHash);
+  if (!content) {
+    return res.status(404).json({ error: 'Content not found' });
+  }
+
+  const { license } = await licenses.redeemPayment({ content, agentAddress, txHash });
+
+  console.log(`✅ License purchased: ${agentAddress} -> ${contentHash}`);
+
+  res.json({
+    success: true,
+    license,
+    message: 'License activated successfully',
+  });
+}));
 
 /**
  * @route POST /api/license/batch
- * @desc Purchase multiple licenses at once
+ * @desc Record several license purchases after verifying each on-chain
+ *
+ * `items` lists `{ contentHash, txHash, memo }` per license. Items are
+ * verified and redeemed independently, so parallel purchases (one tx per
+ * item) and atomic batches (one tx paying every item) both work and one
+ * bad item does not fail the rest. `memo` is optional; when given it must
+ * be the license memo of that item's payment.
  */
-app.post('/api/license/batch', async (req, res) => {
-  try {
-    const { contentHashes, agentAddress, txHash } = req.body;
+app.post('/api/license/batch', asyncHandler(async (req, res) => {
+  const { items, agentAddress } = req.body;
 
-    if (!contentHashes || !Array.isArray(contentHashes) || contentHashes.length === 0) {
-      return res.status(400).json({ error: 'Invalid content hashes' });
-    }
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'Invalid batch items' });
+  }
 
-    if (!agentAddress || !txHash) {
-      return res.status(400).json({ error: 'Missing agent address or tx hash' });
-    }
+  if (items.length > MAX_BATCH_ITEMS) {
+    return res.status(400).json({ error: `Batches are limited to ${MAX_BATCH_ITEMS} items` });
+  }
+
+  if (!agentAddress) {
+    return res.status(400).json({ error: 'Missing agent address' });
+  }
+
+  if (items.some(item => !item?.contentHash || !item.txHash)) {
+    return res.status(400).json({ error: 'Each item needs a content hash and tx hash' });
+  }
 
-    const results = [];
-    let totalPrice = BigInt(0);
-
-    for (const contentHash of contentHashes) {
-      const content = contentRegistry.get(contentHash);
-      if (content) {
-        totalPrice += content.price;
-        
-        const license = {
-          agentAddress,
-          contentHash,
-          txHash,
-          pricePaid: content.price,
-          expiry: Date.now() + 30 * 24 * 60 * 60 * 1000,
-          createdAt: Date.now(),
-        };
-
-        const licenseKey = `${agentAddress}-${contentHash}`;
-        if (!global.licenses) global.licenses = new Map();
-        global.licenses.set(licenseKey, license);
-
-        content.totalRevenue += content.price;
-        results.push({ contentHash, success: true });
-      } else {
-        results.push({ contentHash, success: false, error: 'Content not found' });
+  const results = [];
+  let totalPrice = BigInt(0);
+
+  for (const { contentHash, txHash, memo } of items) {
+    try {
+      const content = await storage.getContent(contentHash);
+      if (!content) {
+        throw new ApiError('CONTENT_NOT_FOUND', 'Content not found', 404);
       }
-    }
 
-    console.log(`✅ Batch license purchased: ${agentAddress} -> ${contentHashes.length} items`);
+      // A memo pays for the item it was issued for, and only if mined
+      // within PAYMENT_TTL_SECONDS of the purchase it records
+      if (memo && !memoMatchesContent(memo, contentHash)) {
+        throw new ApiError('MEMO_MISMATCH', 'Memo was not issued for this content', 400);
+      }
 
-    res.json({
-      success: true,
-      totalItems: contentHashes.length,
-      totalPrice: totalPrice.toString(),
-      results,
-    });
-  } catch (error) {
-    console.error('Error in batch purchase:', error);
-    res.status(500).json({ error: error.message });
+      const { license } = await licenses.redeemPayment({
+        content,
+        agentAddress,
+        txHash,
+        memo: memo || undefined,
+        paidBefore: memo ? paymentDeadline(memo) : undefined,
+      });
+
+      totalPrice += license.pricePaid;
+      results.push({ contentHash, txHash, success: true, expiry: license.expiry, termId: license.termId });
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      results.push({ contentHash, txHash, success: false, error: error.message, code: error.code });
+    }
   }
-});
+
+  const successful = results.filter(r => r.success).length;
+  console.log(`✅ Batch license purchased: ${agentAddress} -> ${successful}/${items.length} items`);
+
+  res.json({
+    success: successful > 0,
+    totalItems: items.length,
+    successful,
+    totalPrice: totalPrice.toString(),
+    results,
+  });
+}));
 
 /**
  * @route GET /api/license/check
  * @desc Check if agent has valid license
+ *
+ * With `usage` (retrieval or training) the license must also cover it.
  */
-app.get('/api/license/check', (req, res) => {
-  const { agentAddress, contentHash } = req.query;
+app.get('/api/license/check', asyncHandler(async (req, res) => {
+  const { agentAddress, contentHash, usage } = req.query;
 
   if (!agentAddress || !contentHash) {
     return res.status(400).json({ error: 'Missing agent address or content hash' });
   }
 
-  const license = checkLicense(agentAddress, contentHash);
+  if (usage && !LICENSE_USAGES.includes(usage)) {
+    return res.status(400).json({ error: `Usage must be one of ${LICENSE_USAGES.join(', ')}` });
+  }
+
+  const license = await licenses.checkLicense(agentAddress, contentHash, usage);
 
   res.json({
     hasLicense: !!license,
     license: license || null,
   });
-});
+}));
 
 /**
  * @route GET /api/creator/:address/stats
  * @desc Get creator statistics
+ *
+ * Each content item lists its payees with their share of its revenue,
+ * worked out from the current split and platform fee; `payees` adds them
+ * up across the creator's content.
  */
-app.get('/api/creator/:address/stats', (req, res) => {
+app.get('/api/creator/:address/stats', asyncHandler(async (req, res) => {
   const { address } = req.params;
-  
-  const contents = Array.from(contentRegistry.values())
-    .filter(c => c.contentOwner.toLowerCase() === address.toLowerCase());
+
+  const contents = await storage.listContents({ owner: address, includeArchived: true });
+  const creator = await storage.getCreator(address);
+  const fee = await platformFee.current();
 
   const totalRevenue = contents.reduce((sum, c) => sum + c.totalRevenue, BigInt(0));
   const totalAccesses = contents.reduce((sum, c) => sum + c.accessCount, 0);
 
-  res.json({
-    address,
-    contentCount: contents.length,
-    totalRevenue: totalRevenue.toString(),
-    totalAccesses,
-    contents: contents.map(c => ({
+  const payeeTotals = new Map();
+  const contentStats = contents.map(c => {
+    // Payees come before the fee, so a payee that also takes the fee
+    // finds its own share
+    const payouts = splitPayment(c, c.totalRevenue, fee);
+    const payees = contentSplit(c).map(({ payee, shareBps }) => {
+      const revenue = payouts.find(p => isAddressEqual(p.address, payee))?.amount ?? 0n;
+      const key = payee.toLowerCase();
+      payeeTotals.set(key, { address: payee, revenue: (payeeTotals.get(key)?.revenue ?? 0n) + revenue });
+      return { address: payee, shareBps, revenue: revenue.toString() };
+    });
+
+    return {
       contentHash: c.contentHash,
       price: c.price.toString(),
+      token: contentToken(c),
       totalRevenue: c.totalRevenue.toString(),
+      payees,
       accessCount: c.accessCount,
       active: c.active,
+      archived: !!c.archivedAt,
+    };
+  });
+
+  res.json({
+    address,
+    contentCount: contents.length,
+    totalRevenue: totalRevenue.toString(),
+    totalWithdrawn: (creator?.totalWithdrawn ?? 0n).toString(),
+    totalAccesses,
+    platformFeeBps: fee.bps,
+    payees: [...payeeTotals.values()].map(({ address: payee, revenue }) => ({
+      address: payee,
+      revenue: revenue.toString(),
     })),
+    contents: contentStats,
   });
-});
+}));
+
+/**
+ * @route GET /api/creator/:address/balance
+ * @desc Revenue the contract holds in escrow for a creator, per token
+ *
+ * Contract purchases are escrowed until the creator withdraws them;
+ * direct transfers pay the creator at once and never show up here.
+ * Covers every accepted token plus any token the creator's content is
+ * priced in.
+ */
+app.get('/api/creator/:address/balance', asyncHandler(async (req, res) => {
+  const { address } = req.params;
+  if (!isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid creator address', code: 'ADDRESS_INVALID' });
+  }
+
+  const contents = await storage.listContents({ owner: address, includeArchived: true });
+  const creator = await storage.getCreator(address);
+
+  const tokens = [...ACCEPTED_TOKENS];
+  for (const content of contents) {
+    const token = contentToken(content);
+    if (!tokens.some(listed => isAddressEqual(listed, token))) tokens.push(token);
+  }
+
+  const balances = await registry.escrowBalances(address, tokens);
+  const available = balances.reduce((sum, b) => sum + b.amount, 0n);
+
+  res.json({
+    address,
+    available: available.toString(),
+    totalWithdrawn: (creator?.totalWithdrawn ?? 0n).toString(),
+    tokens: balances.map(({ token, amount }) => ({
+      ...describeToken(token),
+      available: amount.toString(),
+    })),
+  });
+}));
+
+/**
+ * @route POST /api/creator/withdraw
+ * @desc Withdraw the signed-in creator's escrowed revenue in one token
+ *
+ * Mirrors the contract's `withdraw`. `token` is a stablecoin name, symbol
+ * or address. Without `txHash` or `signedTransaction` it answers 428 with
+ * the call to sign.
+ */
+app.post('/api/creator/withdraw', requireCreator, asyncHandler(async (req, res) => {
+  const { txHash, signedTransaction } = req.body;
+
+  const token = findStablecoin(req.body.token)?.address;
+  if (!token) {
+    return res.status(400).json({ error: 'Unknown token', code: 'TOKEN_INVALID' });
+  }
+
+  const call = { functionName: 'withdraw', args: [token] };
+  if (!txHash && !signedTransaction) {
+    const [{ amount }] = await registry.escrowBalances(req.creator.address, [token]);
+    if (amount === 0n) {
+      return res.status(409).json({ error: 'Nothing to withdraw', code: 'NOTHING_TO_WITHDRAW' });
+    }
+    return sendCallToSign(res, call);
+  }
+
+  const hash = signedTransaction
+    ? await registry.relay({
+        serializedTransaction: signedTransaction,
+        sender: req.creator.address,
+        ...call,
+      })
+    : txHash;
+
+  const { amount, blockNumber } = await registry.confirmWithdrawal({
+    txHash: hash,
+    owner: req.creator.address,
+    token,
+  });
+
+  console.log(`🏦 Revenue withdrawn: ${req.creator.address} $${Number(amount) / 1e6}${signedTransaction ? ' (sponsored)' : ''}`);
+
+  res.json({
+    success: true,
+    token: describeToken(token),
+    amount: amount.toString(),
+    txHash: hash,
+    blockNumber: blockNumber.toString(),
+    sponsored: !!signedTransaction,
+  });
+}));
+
+/**
+ * @route GET /api/agent/:address/limit
+ * @desc An agent's daily spending limit in the contract and what is left
+ *
+ * The contract caps what an agent spends per UTC day on contract
+ * purchases (`purchaseLicense`, `purchaseBatchLicense`). Limits are set
+ * by the agent, by an operator it appointed, or by the contract owner.
+ * `dailyLimit` and `remaining` are null for agents without a limit.
+ */
+app.get('/api/agent/:address/limit', asyncHandler(async (req, res) => {
+  const { address } = req.params;
+  if (!isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid agent address', code: 'ADDRESS_INVALID' });
+  }
+
+  const allowance = await registry.agentAllowance(address);
+
+  res.json({
+    address,
+    limited: allowance.dailyLimit !== null,
+    dailyLimit: allowance.dailyLimit?.toString() ?? null,
+    spentToday: allowance.spentToday.toString(),
+    remaining: allowance.remaining?.toString() ?? null,
+    resetsAt: allowance.resetsAt,
+    operator: allowance.operator,
+  });
+}));
+
+/**
+ * @route POST /api/credit/deposit
+ * @desc Credit a prepaid deposit an agent paid to a creator
+ *
+ * The agent pays the creator once with a transferWithMemo tagged
+ * "DEPOSIT:" (see lib/memo.js); each later signed access to the creator's
+ * content buys its license from the balance off-chain.
+ */
+app.post('/api/credit/deposit', asyncHandler(async (req, res) => {
+  const { agentAddress, creator, txHash } = req.body;
+
+  if (!isAddress(agentAddress || '') || !isAddress(creator || '') || !txHash) {
+    return res.status(400).json({ error: 'Missing agent address, creator or tx hash' });
+  }
+
+  const { payment, balance } = await prepaid.deposit({ agentAddress, creator, txHash });
+
+  console.log(`💳 Credit deposited: ${agentAddress} -> ${creator} $${Number(payment.amount) / 1e6}`);
+
+  res.json({
+    success: true,
+    creator,
+    amount: payment.amount.toString(),
+    token: describeToken(payment.token),
+    balance: balance.toString(),
+    txHash,
+  });
+}));
+
+/**
+ * @route POST /api/subscriptions
+ * @desc Start or extend an agent's subscription to a creator
+ *
+ * The agent pays the creator a multiple of the plan price with a
+ * transferWithMemo tagged "SUBSCRB:"; each whole price buys one period of
+ * access to all of the creator's content, and any remainder is credited.
+ */
+app.post('/api/subscriptions', asyncHandler(async (req, res) => {
+  const { agentAddress, creator, txHash } = req.body;
+
+  if (!isAddress(agentAddress || '') || !isAddress(creator || '') || !txHash) {
+    return res.status(400).json({ error: 'Missing agent address, creator or tx hash' });
+  }
+
+  const { subscription, periods, balance } = await prepaid.subscribe({ agentAddress, creator, txHash });
+
+  console.log(`📅 Subscription: ${agentAddress} -> ${creator} (${periods} period${periods === 1 ? '' : 's'})`);
+
+  res.json({
+    success: true,
+    creator,
+    periods,
+    expiresAt: subscription.expiresAt,
+    balance: balance.toString(),
+    txHash,
+  });
+}));
+
+/**
+ * @route GET /api/agent/:address/credit
+ * @desc An agent's prepaid credit balances and subscriptions
+ *
+ * With `creator` only the balance and subscription with that creator.
+ */
+app.get('/api/agent/:address/credit', asyncHandler(async (req, res) => {
+  const { address } = req.params;
+  const { creator } = req.query;
+  if (!isAddress(address) || (creator && !isAddress(creator))) {
+    return res.status(400).json({ error: 'Invalid agent or creator address', code: 'ADDRESS_INVALID' });
+  }
+
+  const { credits, subscriptions } = await prepaid.account(address, creator);
+
+  res.json({
+    address,
+    credits: credits.map(({ creator: payee, balance }) => ({ creator: payee, balance: balance.toString() })),
+    subscriptions: subscriptions.map(({ creator: payee, expiresAt }) => ({
+      creator: payee,
+      expiresAt,
+      active: expiresAt > Date.now(),
+    })),
+  });
+}));
+
+/**
+ * @route GET /api/creator/:address/subscription
+ * @desc The subscription plan a creator offers
+ */
+app.get('/api/creator/:address/subscription', asyncHandler(async (req, res) => {
+  const { address } = req.params;
+  if (!isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid creator address', code: 'ADDRESS_INVALID' });
+  }
+
+  const plan = await prepaid.plan(address);
+  if (!plan) {
+    return res.status(404).json({
+      error: 'Creator does not offer a subscription',
+      code: 'SUBSCRIPTION_NOT_OFFERED',
+    });
+  }
+
+  res.json({
+    creator: address,
+    price: plan.price.toString(),
+    periodSeconds: plan.periodSeconds,
+    acceptedTokens: ACCEPTED_TOKENS,
+  });
+}));
+
+/**
+ * @route PUT /api/creator/subscription
+ * @desc Offer a subscription to all of the signed-in creator's content
+ *
+ * Body: { price, periodSeconds }. Changes apply to later payments;
+ * running subscriptions keep their expiry.
+ */
+app.put('/api/creator/subscription', requireCreator, asyncHandler(async (req, res) => {
+  const { price, periodSeconds } = req.body;
+  const plan = await prepaid.setPlan(req.creator.address, { price, periodSeconds });
+
+  console.log(`📅 Subscription plan: ${req.creator.address} $${Number(plan.price) / 1e6} / ${plan.periodSeconds}s`);
+
+  res.json({
+    success: true,
+    creator: req.creator.address,
+    price: plan.price.toString(),
+    periodSeconds: plan.periodSeconds,
+  });
+}));
+
+/**
+ * @route DELETE /api/creator/subscription
+ * @desc Stop offering a subscription (running ones last until they expire)
+ */
+app.delete('/api/creator/subscription', requireCreator, asyncHandler(async (req, res) => {
+  await prepaid.removePlan(req.creator.address);
+  res.json({ success: true, creator: req.creator.address });
+}));
 
 /**
  * @route GET /api/analytics/overview
  * @desc Get platform analytics
  */
-app.get('/api/analytics/overview', (req, res) => {
-  const contents = Array.from(contentRegistry.values());
-  
+app.get('/api/analytics/overview', asyncHandler(async (req, res) => {
+  const contents = await storage.listContents();
+
   const totalContent = contents.length;
   const totalRevenue = contents.reduce((sum, c) => sum + c.totalRevenue, BigInt(0));
   const totalAccesses = contents.reduce((sum, c) => sum + c.accessCount, 0);
@@ -468,24 +1133,89 @@ app.get('/api/analytics/overview', (req, res) => {
       ? (contents.reduce((sum, c) => sum + c.price, BigInt(0)) / BigInt(contents.length)).toString()
       : '0',
   });
-});
+}));
 
-// Helper function to check license
-function checkLicense(agentAddress, contentHash) {
-  if (!global.licenses) return null;
-  
-  const licenseKey = `${agentAddress}-${contentHash}`;
-  const license = global.licenses.get(licenseKey);
-  
-  if (license && license.expiry > Date.now()) {
-    return license;
+// Errors from every route above: ApiErrors as { error, code }, others as 500
+app.use(errorHandler);
+
+// Public origin used in generated links (PUBLIC_URL behind proxies)
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+// Accepted stablecoin a registration prices content in (default: the first accepted)
+function pricingToken(value) {
+  const token = value ? findStablecoin(value)?.address : ACCEPTED_TOKENS[0];
+  if (!token || !ACCEPTED_TOKENS.some(accepted => accepted.toLowerCase() === token.toLowerCase())) {
+    throw new ApiError('TOKEN_NOT_ACCEPTED', `Token ${value} is not accepted (see GET /api/tokens)`, 400);
   }
-  
-  return null;
+  return token;
+}
+
+// Content at :contentHash, if the signed-in creator owns it
+async function getOwnedContent(req) {
+  const content = await storage.getContent(req.params.contentHash);
+  if (!content) {
+    throw new ApiError('CONTENT_NOT_FOUND', 'Content not found', 404);
+  }
+  assertContentOwner(content, req.creator.address);
+  return content;
+}
+
+// 428: the creator still has to sign `call` and resend it
+function sendCallToSign(res, { functionName, args }) {
+  res.status(428).json({
+    error: `Sign the ${functionName} call and resend it as txHash or signedTransaction`,
+    code: 'SIGNATURE_REQUIRED',
+    chainId: CHAIN_ID,
+    ...registry.prepare({ functionName, args }),
+  });
+}
+
+// Relay or accept the creator's management tx, then sync storage from chain
+async function submitContentCall(req, content, { functionName, args }) {
+  const { txHash, signedTransaction } = req.body;
+
+  const hash = signedTransaction
+    ? await registry.relay({
+        serializedTransaction: signedTransaction,
+        sender: req.creator.address,
+        functionName,
+        args,
+      })
+    : txHash;
+
+  return registry.syncContent({ txHash: hash, content, owner: req.creator.address });
+}
+
+function contentUpdateResponse({ content, txHash, blockNumber }, sponsored) {
+  return {
+    success: true,
+    contentHash: content.contentHash,
+    price: content.price.toString(),
+    active: content.active,
+    txHash,
+    blockNumber: blockNumber.toString(),
+    sponsored,
+  };
+}
+
+// License terms as advertised to agents, payouts amounts as strings
+function describeTermPayouts({ payouts, ...term }) {
+  return {
+    ...describeTerm(term),
+    payouts: payouts.map(({ address, amount }) => ({ address, amount: amount.toString() })),
+  };
 }
 
 // Initialize client
-initializeClient();
+await initializeClient();
+startIndexer();
+
+if (CRAWLER_RANGES_REFRESH_HOURS > 0) {
+  refreshCrawlerRanges();
+  setInterval(refreshCrawlerRanges, CRAWLER_RANGES_REFRESH_HOURS * 60 * 60 * 1000).unref();
+}
 
 // Start server
 app.listen(PORT, () => {
@@ -499,13 +1229,30 @@ Chain ID: ${CHAIN_ID}
 
 Endpoints:
   - Health:     GET  /health
+  - Tokens:     GET  /api/tokens
+  - Sign In:    GET  /api/auth/nonce, POST /api/auth/verify
+  - Robots:     GET  /robots.txt
+  - Manifest:   GET  ${MANIFEST_PATH}
+  - Prepare:    POST /api/content/register/prepare
   - Register:   POST /api/content/register
   - Get Info:   GET  /api/content/:contentHash
-  - Access:     POST /api/content/:contentHash/access
+  - Price:      PATCH /api/content/:contentHash/price
+  - Toggle:     POST /api/content/:contentHash/toggle
+  - Split:      PUT  /api/content/:contentHash/split
+  - Terms:      PUT  /api/content/:contentHash/terms
+  - Archive:    DELETE /api/content/:contentHash
+  - Access:     GET|POST /api/content/:contentHash/access (HTTP 402)
   - Buy:        POST /api/license/buy
   - Batch Buy:  POST /api/license/batch
   - Check:      GET  /api/license/check
   - Stats:      GET  /api/creator/:address/stats
+  - Balance:    GET  /api/creator/:address/balance
+  - Withdraw:   POST /api/creator/withdraw
+  - Limit:      GET  /api/agent/:address/limit
+  - Deposit:    POST /api/credit/deposit
+  - Credit:     GET  /api/agent/:address/credit
+  - Subscribe:  POST /api/subscriptions
+  - Plan:       GET  /api/creator/:address/subscription, PUT|DELETE /api/creator/subscription
   - Analytics:  GET  /api/analytics/overview
   `);
 });
@@ -0,0 +1,33 @@
+import { after, before, describe, it } from 'node:test';
+import { accounts, compileContracts, send, startChain } from './helpers/chain.js';
+
+// Solidity tests in contract/test/OpenPayAITempo.t.sol: each `test*`
+// function runs on a fresh deployment after `setUp`
+const { OpenPayAITempoTest } = compileContracts();
+const tests = OpenPayAITempoTest.abi
+  .filter(item => item.type === 'function' && item.name.startsWith('test'))
+  .map(item => item.name);
+
+describe('OpenPayAITempo.t.sol', () => {
+  let node;
+
+  before(async () => {
+    node = await startChain({ unlimitedContractSize: true });
+  });
+
+  after(() => node?.close());
+
+  for (const name of tests) {
+    it(name, async () => {
+      const hash = await node.wallet(accounts[0]).deployContract({
+        abi: OpenPayAITempoTest.abi,
+        bytecode: OpenPayAITempoTest.bytecode,
+      });
+      const { contractAddress: address } = await node.publicClient.waitForTransactionReceipt({ hash });
+      const suite = { address, abi: OpenPayAITempoTest.abi };
+
+      await send(node, accounts[0], { ...suite, functionName: 'setUp' });
+      await send(node, accounts[0], { ...suite, functionName: name });
+    });
+  }
+});
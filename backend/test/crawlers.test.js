@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { CrawlerClassifier, loadCrawlerRules } from '../lib/crawlers.js';
+
+const BROWSER = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 Chrome/126.0 Safari/537.36';
+
+const rules = {
+  crawlers: [
+    { name: 'Googlebot', class: 'search-engine', userAgent: ['Googlebot'], ipRanges: ['66.249.64.0/27'] },
+    { name: 'DuckDuckBot', class: 'search-engine', userAgent: ['DuckDuckBot'], ipRanges: [], ipRangesSource: 'https://ranges.test/ddg.json' },
+    { name: 'GPTBot', class: 'ai-training', userAgent: ['GPTBot'], ipRanges: ['2001:db8::/32'] },
+    { name: 'ClaudeBot', class: 'ai-training', userAgent: ['ClaudeBot'] },
+  ],
+  automatedClients: ['bot', 'python-requests'],
+};
+
+const request = (userAgent, ip = '203.0.113.9', headers = {}) => ({
+  headers: { ...(userAgent && { 'user-agent': userAgent }), ...headers },
+  ip,
+});
+
+// fetch answering with `prefixes`, or failing when null
+const publishing = prefixes => async () => (prefixes
+  ? new Response(JSON.stringify({ prefixes }))
+  : new Response('not found', { status: 404 }));
+
+describe('CrawlerClassifier', () => {
+  const classifier = new CrawlerClassifier({ rules, verifyDns: false });
+
+  it('allowlists a search engine from its published ranges', async () => {
+    assert.deepEqual(
+      await classifier.classify(request('Mozilla/5.0 (compatible; Googlebot/2.1)', '66.249.64.1')),
+      { class: 'search-engine', crawler: 'Googlebot', verified: true }
+    );
+    assert.equal((await classifier.classify(request('Googlebot', '::ffff:66.249.64.2'))).class, 'search-engine');
+  });
+
+  it('treats a spoofed search engine as an unknown bot', async () => {
+    assert.deepEqual(
+      await classifier.classify(request('Googlebot/2.1')),
+      { class: 'unknown-bot', crawler: 'Googlebot', verified: false }
+    );
+  });
+
+  it('never allowlists a search engine it cannot verify', async () => {
+    assert.equal((await classifier.classify(request('DuckDuckBot/1.1'))).class, 'unknown-bot');
+  });
+
+  it('classifies AI crawlers by User-Agent, and by IP when undeclared', async () => {
+    assert.equal((await classifier.classify(request('GPTBot/1.2', '2001:db8::1'))).class, 'ai-training');
+    assert.equal((await classifier.classify(request('GPTBot/1.2'))).class, 'unknown-bot');
+    assert.deepEqual(
+      await classifier.classify(request('ClaudeBot/1.0')),
+      { class: 'ai-training', crawler: 'ClaudeBot', verified: null }
+    );
+    assert.deepEqual(
+      await classifier.classify(request(BROWSER, '2001:db8::2')),
+      { class: 'ai-training', crawler: 'GPTBot', verified: true }
+    );
+  });
+
+  it('separates paying agents, other automated clients and humans', async () => {
+    assert.equal((await classifier.classify(request(BROWSER, undefined, { 'x-agent-address': '0x1' }))).class, 'ai-agent');
+    assert.equal((await classifier.classify(request('python-requests/2.32'))).class, 'unknown-bot');
+    assert.equal((await classifier.classify(request(undefined))).class, 'unknown-bot');
+    assert.equal((await classifier.classify(request(BROWSER))).class, 'human');
+  });
+
+  describe('refreshIpRanges', () => {
+    it('verifies crawlers against the ranges they publish', async () => {
+      const refreshing = new CrawlerClassifier({ rules, verifyDns: false });
+
+      const result = await refreshing.refreshIpRanges({
+        fetch: publishing([{ ipv4Prefix: '20.191.45.212/32' }, { ipv6Prefix: '2001:db8:dd::/48' }]),
+      });
+
+      assert.deepEqual(result, { refreshed: ['DuckDuckBot'], failed: [] });
+      assert.equal((await refreshing.classify(request('DuckDuckBot/1.1', '20.191.45.212'))).class, 'search-engine');
+      assert.equal((await refreshing.classify(request('DuckDuckBot/1.1', '2001:db8:dd::7'))).class, 'search-engine');
+    });
+
+    it('keeps the ranges it has when a list is unreachable or empty', async () => {
+      const refreshing = new CrawlerClassifier({ rules, verifyDns: false });
+      await refreshing.refreshIpRanges({ fetch: publishing([{ ipv4Prefix: '20.191.45.212/32' }]) });
+
+      for (const prefixes of [null, []]) {
+        assert.deepEqual(await refreshing.refreshIpRanges({ fetch: publishing(prefixes) }), { refreshed: [], failed: ['DuckDuckBot'] });
+        assert.equal((await refreshing.classify(request('DuckDuckBot/1.1', '20.191.45.212'))).class, 'search-engine');
+      }
+    });
+  });
+});
+
+describe('crawler-rules.json', () => {
+  it('gives every allowlisted search engine a way to be verified', () => {
+    for (const crawler of loadCrawlerRules().crawlers.filter(crawler => crawler.class === 'search-engine')) {
+      assert.ok(crawler.rdns?.length || crawler.ipRangesSource, `${crawler.name} cannot be verified`);
+    }
+  });
+});
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { keccak256, stringToHex } from 'viem';
+import { DEFAULT_TOKEN } from '../lib/chain.js';
+import { accounts, deployContracts, send, startChain } from './helpers/chain.js';
+import { signIn, startServer } from './helpers/server.js';
+
+const [, agent, alice, bob] = accounts;
+const PRICE = 50_000n;
+
+describe('creator revenue routes', () => {
+  let node;
+  let contract;
+  let server;
+  let aliceToken;
+  let bobToken;
+
+  const pending = owner => node.publicClient.readContract({
+    address: contract.address,
+    abi: contract.abi,
+    functionName: 'pendingRevenue',
+    args: [owner.address, DEFAULT_TOKEN],
+  });
+
+  before(async () => {
+    node = await startChain();
+    contract = await deployContracts(node);
+
+    // Alice has one purchase in escrow
+    const contentHash = keccak256(stringToHex('creator-revenue'));
+    const token = { address: DEFAULT_TOKEN, abi: contract.tokenAbi };
+    await send(node, alice, { ...contract, functionName: 'registerContent', args: [contentHash, PRICE, 'https://example.com/a', DEFAULT_TOKEN] });
+    await send(node, agent, { ...token, functionName: 'mint', args: [agent.address, PRICE] });
+    await send(node, agent, { ...token, functionName: 'approve', args: [contract.address, PRICE] });
+    await send(node, agent, { ...contract, functionName: 'purchaseLicense', args: [contentHash, 0, stringToHex('memo', { size: 32 })] });
+
+    server = await startServer({ TEMPO_RPC_URL: node.url, CONTRACT_ADDRESS: contract.address });
+    aliceToken = await signIn(server, alice);
+    bobToken = await signIn(server, bob);
+  });
+
+  after(async () => {
+    await server?.stop();
+    await node?.close();
+  });
+
+  describe('GET /api/creator/:address/balance', () => {
+    it('reports escrowed revenue per token', async () => {
+      const response = await server.request(`/api/creator/${alice.address}/balance`);
+      assert.equal(response.status, 200);
+
+      const balance = await response.json();
+      assert.equal(balance.available, PRICE.toString());
+      assert.equal(balance.totalWithdrawn, '0');
+      const alphaUsd = balance.tokens.find(token => token.address.toLowerCase() === DEFAULT_TOKEN.toLowerCase());
+      assert.equal(alphaUsd.available, PRICE.toString());
+    });
+
+    it('reports nothing for a creator without revenue', async () => {
+      const balance = await (await server.request(`/api/creator/${bob.address}/balance`)).json();
+      assert.equal(balance.available, '0');
+    });
+
+    it('rejects an invalid address', async () => {
+      const response = await server.request('/api/creator/0x1234/balance');
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).code, 'ADDRESS_INVALID');
+    });
+  });
+
+  describe('POST /api/creator/withdraw', () => {
+    it('requires a creator session', async () => {
+      const response = await server.request('/api/creator/withdraw', { body: { token: 'alphaUsd' } });
+      assert.equal(response.status, 401);
+    });
+
+    it('rejects unknown tokens', async () => {
+      const response = await server.request('/api/creator/withdraw', { token: aliceToken, body: { token: 'nope' } });
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).code, 'TOKEN_INVALID');
+    });
+
+    it('refuses a withdrawal with nothing escrowed', async () => {
+      const response = await server.request('/api/creator/withdraw', { token: bobToken, body: { token: 'alphaUsd' } });
+      assert.equal(response.status, 409);
+      assert.equal((await response.json()).code, 'NOTHING_TO_WITHDRAW');
+    });
+
+    it('confirms a withdrawal sent with the call it returns', async () => {
+      const prepared = await server.request('/api/creator/withdraw', { token: aliceToken, body: { token: 'alphaUsd' } });
+      assert.equal(prepared.status, 428);
+      const { code, to, data } = await prepared.json();
+      assert.equal(code, 'SIGNATURE_REQUIRED');
+      assert.equal(to.toLowerCase(), contract.address.toLowerCase());
+
+      const txHash = await node.wallet(alice).sendTransaction({ to, data });
+      await node.publicClient.waitForTransactionReceipt({ hash: txHash });
+
+      // Someone else cannot claim the withdrawal
+      const claimed = await server.request('/api/creator/withdraw', { token: bobToken, body: { token: 'alphaUsd', txHash } });
+      assert.equal(claimed.status, 400);
+      assert.equal((await claimed.json()).code, 'WITHDRAWAL_NOT_FOUND');
+
+      const response = await server.request('/api/creator/withdraw', { token: aliceToken, body: { token: 'alphaUsd', txHash } });
+      assert.equal(response.status, 200);
+      const withdrawal = await response.json();
+      assert.equal(withdrawal.amount, PRICE.toString());
+      assert.equal(withdrawal.txHash, txHash);
+      assert.equal(withdrawal.sponsored, false);
+
+      assert.equal(await pending(alice), 0n);
+      const balance = await (await server.request(`/api/creator/${alice.address}/balance`)).json();
+      assert.equal(balance.available, '0');
+    });
+  });
+});
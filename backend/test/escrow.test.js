@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { keccak256, parseEventLogs, stringToHex } from 'viem';
+import { DEFAULT_TOKEN } from '../lib/chain.js';
+import { accounts, deployContracts, send, startChain } from './helpers/chain.js';
+
+const [platform, agent, alice, bob] = accounts;
+const PRICE = 50_000n;
+
+describe('OpenPayAITempo escrow', () => {
+  let node;
+  let contract;
+
+  const call = (account, functionName, args) => send(node, account, { ...contract, functionName, args });
+  const token = (account, functionName, args) =>
+    send(node, account, { address: DEFAULT_TOKEN, abi: contract.tokenAbi, functionName, args });
+  const read = (address, abi, functionName, args) => node.publicClient.readContract({ address, abi, functionName, args });
+  const pending = owner => read(contract.address, contract.abi, 'pendingRevenue', [owner.address, DEFAULT_TOKEN]);
+  const balance = owner => read(DEFAULT_TOKEN, contract.tokenAbi, 'balanceOf', [owner.address]);
+
+  let items = 0;
+  async function register(owner) {
+    const contentHash = keccak256(stringToHex(`content-${items++}`));
+    await call(owner, 'registerContent', [contentHash, PRICE, `https://example.com/${items}`, DEFAULT_TOKEN]);
+    return contentHash;
+  }
+
+  before(async () => {
+    node = await startChain();
+    contract = await deployContracts(node);
+
+    await token(agent, 'mint', [agent.address, 10_000_000n]);
+    await token(agent, 'approve', [contract.address, 10_000_000n]);
+  });
+
+  after(() => node?.close());
+
+  it('escrows purchases for the content owner and the platform fee', async () => {
+    await call(platform, 'setPlatformFee', [1000n]);
+    try {
+      const contentHash = await register(alice);
+      const before = { alice: await pending(alice), platform: await pending(platform), wallet: await balance(alice) };
+
+      await call(agent, 'purchaseLicense', [contentHash, 0, stringToHex('memo', { size: 32 })]);
+
+      assert.equal(await pending(alice) - before.alice, 45_000n);
+      assert.equal(await pending(platform) - before.platform, 5_000n);
+      assert.equal(await balance(alice), before.wallet, 'nothing is paid out before a withdrawal');
+    } finally {
+      await call(platform, 'setPlatformFee', [0n]);
+    }
+  });
+
+  it('pays out the whole escrowed balance on withdraw', async () => {
+    const contentHash = await register(alice);
+    await call(agent, 'purchaseLicense', [contentHash, 0, stringToHex('memo', { size: 32 })]);
+
+    const owed = await pending(alice);
+    const wallet = await balance(alice);
+    const escrowed = await read(contract.address, contract.abi, 'totalEscrowed', [DEFAULT_TOKEN]);
+
+    const receipt = await call(alice, 'withdraw', [DEFAULT_TOKEN]);
+
+    const [event] = parseEventLogs({ abi: contract.abi, logs: receipt.logs, eventName: 'RevenueWithdrawn' });
+    assert.equal(event.args.contentOwner, alice.address);
+    assert.equal(event.args.amount, owed);
+    assert.equal(await pending(alice), 0n);
+    assert.equal(await balance(alice), wallet + owed);
+    assert.equal(await read(contract.address, contract.abi, 'totalEscrowed', [DEFAULT_TOKEN]), escrowed - owed);
+  });
+
+  it('rejects a withdrawal with nothing escrowed', async () => {
+    assert.equal(await pending(bob), 0n);
+    await assert.rejects(call(bob, 'withdraw', [DEFAULT_TOKEN]), /Nothing to withdraw/);
+  });
+
+  it('completes a batch when one owner cannot receive the token', async () => {
+    const good = await register(alice);
+    const bad = await register(bob);
+    await token(platform, 'setBlocked', [bob.address, true]);
+
+    try {
+      const before = { alice: await pending(alice), bob: await pending(bob) };
+      const receipt = await call(agent, 'purchaseBatchLicense', [
+        [good, bad],
+        [0, 0],
+        [stringToHex('memo-1', { size: 32 }), stringToHex('memo-2', { size: 32 })],
+      ]);
+
+      assert.equal(receipt.status, 'success');
+      assert.equal(await pending(alice) - before.alice, PRICE);
+      assert.equal(await pending(bob) - before.bob, PRICE);
+      assert.equal(await read(contract.address, contract.abi, 'hasValidLicense', [agent.address, bad]), true);
+
+      // The blocked owner's revenue stays in escrow; the other owner is unaffected
+      await assert.rejects(call(bob, 'withdraw', [DEFAULT_TOKEN]), /Policy forbids transfer/);
+      await call(alice, 'withdraw', [DEFAULT_TOKEN]);
+      assert.equal(await pending(alice), 0n);
+      assert.equal(await pending(bob) - before.bob, PRICE);
+    } finally {
+      await token(platform, 'setBlocked', [bob.address, false]);
+    }
+  });
+});
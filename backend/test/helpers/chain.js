@@ -0,0 +1,150 @@
+import { readFileSync } from 'fs';
+import { createServer } from 'net';
+import ganache from 'ganache';
+import solc from 'solc';
+import { createPublicClient, createWalletClient, defineChain, http, numberToHex } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { CHAIN_ID, STABLECOINS } from '../../lib/chain.js';
+
+/**
+ * Local chain for tests
+ *
+ * A ganache node on Tempo's chain id running OpenPayAITempo, with
+ * contract/test/MockTIP20.sol standing in for the stablecoins at their
+ * Tempo addresses (so lib/chain.js knows them). Test wallets send plain
+ * EVM transactions; ganache has no Tempo transaction types.
+ */
+
+const CONTRACT_DIR = new URL('../../../contract/', import.meta.url);
+
+export const chain = defineChain({
+  id: CHAIN_ID,
+  name: 'Tempo (ganache)',
+  nativeCurrency: { name: 'USD', symbol: 'USD', decimals: 18 },
+  rpcUrls: { default: { http: [] } },
+});
+
+// Funded test accounts: [0] deploys and owns the contract
+export const accounts = Array.from({ length: 6 }, (_, i) =>
+  privateKeyToAccount(numberToHex(i + 1, { size: 32 }))
+);
+
+let compiled;
+
+/**
+ * ABI, creation code and runtime code of the contracts under test and of
+ * the Solidity tests (contract/test/OpenPayAITempo.t.sol)
+ */
+export function compileContracts() {
+  if (compiled) return compiled;
+
+  // Named by their path under contract/ so relative imports resolve
+  const sources = Object.fromEntries(
+    ['OpenPayAITempo.sol', 'test/MockTIP20.sol', 'test/OpenPayAITempo.t.sol'].map(path => [
+      path,
+      { content: readFileSync(new URL(path, CONTRACT_DIR), 'utf8') },
+    ])
+  );
+  const output = JSON.parse(solc.compile(JSON.stringify({
+    language: 'Solidity',
+    sources,
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      evmVersion: 'shanghai',
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object', 'evm.deployedBytecode.object'] } },
+    },
+  })));
+
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+  }
+
+  const artifact = (file, name) => {
+    const { abi, evm } = output.contracts[file][name];
+    return { abi, bytecode: `0x${evm.bytecode.object}`, deployedBytecode: `0x${evm.deployedBytecode.object}` };
+  };
+  compiled = {
+    OpenPayAITempo: artifact('OpenPayAITempo.sol', 'OpenPayAITempo'),
+    MockTIP20: artifact('test/MockTIP20.sol', 'MockTIP20'),
+    OpenPayAITempoTest: artifact('test/OpenPayAITempo.t.sol', 'OpenPayAITempoTest'),
+  };
+  return compiled;
+}
+
+/**
+ * Start ganache on a free port; `close` stops it
+ *
+ * `unlimitedContractSize` lifts the 24 KB code size limit, for test
+ * contracts that embed the contracts they deploy.
+ */
+export async function startChain({ unlimitedContractSize = false } = {}) {
+  const port = await freePort();
+  const server = ganache.server({
+    chain: { chainId: CHAIN_ID, hardfork: 'shanghai', allowUnlimitedContractSize: unlimitedContractSize },
+    wallet: {
+      accounts: accounts.map((_, i) => ({
+        secretKey: numberToHex(i + 1, { size: 32 }),
+        balance: numberToHex(10n ** 21n),
+      })),
+    },
+    logging: { quiet: true },
+  });
+  await server.listen(port);
+
+  const url = `http://127.0.0.1:${port}`;
+  const publicClient = createPublicClient({ chain, transport: http(url) });
+
+  return {
+    url,
+    publicClient,
+    wallet: account => createWalletClient({ account, chain, transport: http(url) }),
+    close: () => server.close(),
+  };
+}
+
+/**
+ * Put MockTIP20 at every stablecoin address and deploy OpenPayAITempo
+ * accepting them, owned by accounts[0]
+ */
+export async function deployContracts(node) {
+  const { OpenPayAITempo, MockTIP20 } = compileContracts();
+  const tokens = STABLECOINS.map(coin => coin.address);
+
+  for (const token of tokens) {
+    await node.publicClient.request({ method: 'evm_setAccountCode', params: [token, MockTIP20.deployedBytecode] });
+  }
+
+  const hash = await node.wallet(accounts[0]).deployContract({
+    abi: OpenPayAITempo.abi,
+    bytecode: OpenPayAITempo.bytecode,
+    args: [accounts[0].address, tokens],
+  });
+  const { contractAddress } = await node.publicClient.waitForTransactionReceipt({ hash });
+
+  return { address: contractAddress, abi: OpenPayAITempo.abi, tokenAbi: MockTIP20.abi, tokens };
+}
+
+/**
+ * Send a contract call from `account` and wait for it to be mined
+ * (reverts throw with the contract's reason)
+ */
+export async function send(node, account, { address, abi, functionName, args = [] }) {
+  const { request } = await node.publicClient.simulateContract({ account, address, abi, functionName, args });
+  const hash = await node.wallet(account).writeContract(request);
+  return node.publicClient.waitForTransactionReceipt({ hash });
+}
+
+/**
+ * A TCP port nothing listens on
+ */
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
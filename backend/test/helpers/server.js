@@ -0,0 +1,83 @@
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { createSiweMessage } from 'viem/siwe';
+import { freePort } from './chain.js';
+
+const BACKEND_DIR = fileURLToPath(new URL('../../', import.meta.url));
+
+/**
+ * Run server.js in a child process with `env` on a free port
+ *
+ * Resolves once it listens; `stop` kills it. Storage is in memory and the
+ * indexer off unless `env` says otherwise.
+ */
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: BACKEND_DIR,
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      STORAGE_DRIVER: 'memory',
+      INDEXER_ENABLED: 'false',
+      CRAWLER_VERIFY_DNS: 'false',
+      CRAWLER_RANGES_REFRESH_HOURS: '0',
+      SERVER_PRIVATE_KEY: '',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const onData = chunk => {
+      output += chunk;
+      if (output.includes(`Server running on port ${port}`)) resolve();
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', code => reject(new Error(`server.js exited with ${code}:\n${output}`)));
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+  return {
+    url,
+    output: () => output,
+    request: (path, { token, body, method = body ? 'POST' : 'GET' } = {}) => fetch(`${url}${path}`, {
+      method,
+      headers: {
+        ...(body && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body && JSON.stringify(body),
+    }),
+    stop: () => new Promise(resolve => {
+      if (child.exitCode !== null) return resolve();
+      child.once('exit', resolve);
+      child.kill();
+    }),
+  };
+}
+
+/**
+ * Sign `account` in with SIWE; returns the session token
+ */
+export async function signIn(server, account) {
+  const { nonce, domain, chainId } = await (await server.request('/api/auth/nonce')).json();
+  const message = createSiweMessage({
+    address: account.address,
+    chainId,
+    domain,
+    nonce,
+    uri: `http://${domain}`,
+    version: '1',
+  });
+
+  const response = await server.request('/api/auth/verify', {
+    body: { message, signature: await account.signMessage({ message }) },
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(`Sign-in failed: ${data.error}`);
+  return data.token;
+}
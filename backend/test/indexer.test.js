@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { keccak256, stringToHex } from 'viem';
+import { DEFAULT_TOKEN } from '../lib/chain.js';
+import { ChainIndexer } from '../lib/indexer.js';
+import { MemoryStorage } from '../lib/storage/memory.js';
+import { accounts, deployContracts, send, startChain } from './helpers/chain.js';
+
+const [, agent, alice] = accounts;
+const PRICE = 50_000n;
+
+describe('ChainIndexer', () => {
+  let node;
+  let contract;
+  let storage;
+  let indexer;
+
+  const call = (account, functionName, args) => send(node, account, { ...contract, functionName, args });
+
+  // Index every block mined so far
+  async function index() {
+    indexer.running = true;
+    try {
+      await indexer.sync();
+    } finally {
+      indexer.stop();
+    }
+  }
+
+  before(async () => {
+    node = await startChain();
+    contract = await deployContracts(node);
+    await send(node, agent, { address: DEFAULT_TOKEN, abi: contract.tokenAbi, functionName: 'mint', args: [agent.address, 10_000_000n] });
+    await send(node, agent, { address: DEFAULT_TOKEN, abi: contract.tokenAbi, functionName: 'approve', args: [contract.address, 10_000_000n] });
+
+    storage = new MemoryStorage();
+    indexer = new ChainIndexer({
+      client: node.publicClient,
+      storage,
+      contractAddress: contract.address,
+      abi: contract.abi,
+      confirmations: 0n,
+    });
+  });
+
+  after(() => node?.close());
+
+  it('records batch items at the price the contract escrowed, with their memos', async () => {
+    const [article, report] = ['article', 'report'].map(name => keccak256(stringToHex(name)));
+    for (const contentHash of [article, report]) {
+      await call(alice, 'registerContent', [contentHash, PRICE, `https://example.com/${contentHash}`, DEFAULT_TOKEN]);
+    }
+    await call(alice, 'setLicenseTerms', [article, [
+      { kind: 0, usage: 0, duration: 86_400n, price: PRICE },
+      { kind: 1, usage: 1, duration: 0n, price: 20_000n },
+    ]]);
+    await index();
+
+    // The stored terms drift from what the contract charges
+    const stored = await storage.getContent(article);
+    await storage.saveContent({ ...stored, price: 1n, terms: null });
+
+    const memos = ['memo-article', 'memo-report'].map(memo => stringToHex(memo, { size: 32 }));
+    await call(agent, 'purchaseBatchLicense', [[article, report], [1, 0], memos]);
+    await index();
+
+    const license = await storage.getLicense(agent.address, article);
+    assert.equal(license.pricePaid, 20_000n);
+    assert.equal(license.memo, memos[0]);
+    assert.equal((await storage.getContent(article)).totalRevenue, 20_000n);
+    assert.equal((await storage.getLicense(agent.address, report)).pricePaid, PRICE);
+    assert.equal((await storage.getContent(report)).totalRevenue, PRICE);
+  });
+});
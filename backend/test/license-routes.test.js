@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { keccak256, toHex } from 'viem';
+import { DEFAULT_TOKEN } from '../lib/chain.js';
+import { encodeLicenseMemo } from '../lib/memo.js';
+import { accounts, deployContracts, send, startChain } from './helpers/chain.js';
+import { signIn, startServer } from './helpers/server.js';
+
+const [, agent, alice] = accounts;
+const PRICE = 50_000n;
+
+describe('license routes', () => {
+  let node;
+  let contract;
+  let server;
+  let aliceToken;
+
+  // Register content at `contentURI` for alice on-chain and with the server
+  async function register(contentURI) {
+    const contentHash = keccak256(toHex(contentURI));
+    const { transactionHash } = await send(node, alice, {
+      ...contract,
+      functionName: 'registerContent',
+      args: [contentHash, PRICE, contentURI, DEFAULT_TOKEN],
+    });
+
+    const response = await server.request('/api/content/register', {
+      token: aliceToken,
+      body: { price: PRICE.toString(), contentURI, txHash: transactionHash },
+    });
+    assert.equal(response.status, 200);
+    return contentHash;
+  }
+
+  // Pay alice the price directly with `memo`; returns the tx hash
+  async function pay(memo) {
+    const { transactionHash } = await send(node, agent, {
+      address: DEFAULT_TOKEN,
+      abi: contract.tokenAbi,
+      functionName: 'transferWithMemo',
+      args: [alice.address, PRICE, memo],
+    });
+    return transactionHash;
+  }
+
+  before(async () => {
+    node = await startChain();
+    contract = await deployContracts(node);
+    await send(node, agent, { address: DEFAULT_TOKEN, abi: contract.tokenAbi, functionName: 'mint', args: [agent.address, 10_000_000n] });
+
+    server = await startServer({ TEMPO_RPC_URL: node.url, CONTRACT_ADDRESS: contract.address });
+    aliceToken = await signIn(server, alice);
+  });
+
+  after(async () => {
+    await server?.stop();
+    await node?.close();
+  });
+
+  describe('POST /api/content/register', () => {
+    it('rejects a price that is not a positive integer', async () => {
+      for (const path of ['/api/content/register/prepare', '/api/content/register']) {
+        for (const price of ['abc', '-5', '1.5', '0']) {
+          const response = await server.request(path, {
+            token: aliceToken,
+            body: { price, contentURI: 'https://example.com/priced', txHash: `0x${'7a'.repeat(32)}` },
+          });
+          assert.equal(response.status, 400, `${path} with price ${price}`);
+          assert.equal((await response.json()).code, 'PRICE_INVALID');
+        }
+      }
+    });
+  });
+
+  describe('errors', () => {
+    it('answers errors thrown by sync and async routes with their code and status', async () => {
+      for (const path of ['/api/content/register/prepare', '/api/content/register']) {
+        const response = await server.request(path, {
+          token: aliceToken,
+          body: { price: '1', contentURI: 'https://example.com/token', txHash: `0x${'7a'.repeat(32)}`, token: 'nope' },
+        });
+        assert.equal(response.status, 400, path);
+        assert.equal((await response.json()).code, 'TOKEN_NOT_ACCEPTED');
+      }
+    });
+
+    it('answers a malformed JSON body with 400', async () => {
+      const response = await fetch(`${server.url}/api/license/buy`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"agentAddress":',
+      });
+      assert.equal(response.status, 400);
+      assert.ok((await response.json()).error);
+    });
+  });
+
+  describe('POST /api/license/batch', () => {
+    it('redeems a payment only for the item its memo names', async () => {
+      const paid = await register('https://example.com/batch/paid');
+      const other = await register('https://example.com/batch/other');
+      const memo = encodeLicenseMemo(paid);
+      const txHash = await pay(memo);
+
+      const response = await server.request('/api/license/batch', {
+        body: {
+          agentAddress: agent.address,
+          items: [{ contentHash: paid, txHash, memo }, { contentHash: other, txHash, memo }],
+        },
+      });
+      assert.equal(response.status, 200);
+
+      const { successful, results } = await response.json();
+      assert.equal(successful, 1);
+      assert.equal(results[0].success, true);
+      assert.equal(results[1].success, false);
+      assert.equal(results[1].code, 'MEMO_MISMATCH');
+
+      const check = await server.request(`/api/license/check?agentAddress=${agent.address}&contentHash=${other}`);
+      assert.equal((await check.json()).hasLicense, false);
+    });
+
+    it('refuses a memo paid after its purchase window', async () => {
+      const contentHash = await register('https://example.com/batch/stale');
+      const memo = encodeLicenseMemo(contentHash, Date.now() - 3_600_000);
+      const txHash = await pay(memo);
+
+      const response = await server.request('/api/license/batch', {
+        body: { agentAddress: agent.address, items: [{ contentHash, txHash, memo }] },
+      });
+
+      const { results } = await response.json();
+      assert.equal(results[0].code, 'PAYMENT_EXPIRED');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { keccak256, stringToHex } from 'viem';
+import { CHAIN_ID, CONTRACT_ABI, DEFAULT_TOKEN } from '../lib/chain.js';
+import { LicenseService } from '../lib/licenses.js';
+import { encodeLicenseMemo } from '../lib/memo.js';
+import { ReplayCache } from '../lib/signatures.js';
+import { MemoryStorage } from '../lib/storage/memory.js';
+import { PAYMENT_SCHEME, X402_VERSION, encodePaymentHeader, verifyPaymentProof } from '../lib/x402.js';
+import { accounts, deployContracts, send, startChain } from './helpers/chain.js';
+
+const [, agent, alice] = accounts;
+const PRICE = 50_000n;
+
+describe('LicenseService.redeemPayment', () => {
+  let node;
+  let contract;
+  let storage;
+  let licenses;
+
+  let items = 0;
+  async function content() {
+    const record = {
+      contentHash: keccak256(stringToHex(`licensed-${items++}`)),
+      price: PRICE,
+      contentOwner: alice.address,
+      contentURI: `https://example.com/${items}`,
+      token: DEFAULT_TOKEN,
+      active: true,
+      totalRevenue: 0n,
+      accessCount: 0,
+      createdAt: Date.now(),
+    };
+    await storage.saveContent(record);
+    return record;
+  }
+
+  // Pay alice the price directly with `memo`; returns the tx hash
+  async function pay(memo) {
+    const { transactionHash } = await send(node, agent, {
+      address: DEFAULT_TOKEN,
+      abi: contract.tokenAbi,
+      functionName: 'transferWithMemo',
+      args: [alice.address, PRICE, memo],
+    });
+    return transactionHash;
+  }
+
+  // A license service on the shared storage (one per server process)
+  const service = () => new LicenseService({
+    storage,
+    getClient: () => node.publicClient,
+    tokens: contract.tokens,
+    contractAddress: contract.address,
+    contractAbi: CONTRACT_ABI,
+  });
+
+  before(async () => {
+    node = await startChain();
+    contract = await deployContracts(node);
+    await send(node, agent, { address: DEFAULT_TOKEN, abi: contract.tokenAbi, functionName: 'mint', args: [agent.address, 10_000_000n] });
+
+    storage = new MemoryStorage();
+    licenses = service();
+  });
+
+  after(() => node?.close());
+
+  it('activates a license paid with a memo for the content', async () => {
+    const paid = await content();
+    const memo = encodeLicenseMemo(paid.contentHash);
+    const txHash = await pay(memo);
+
+    const { license } = await licenses.redeemPayment({ content: paid, agentAddress: agent.address, txHash, memo });
+    assert.equal(license.pricePaid, PRICE);
+    assert.equal(license.memo, memo);
+  });
+
+  it('refuses to redeem one payment for another item of the same owner', async () => {
+    const paid = await content();
+    const other = await content();
+    const memo = encodeLicenseMemo(paid.contentHash);
+    const txHash = await pay(memo);
+
+    await licenses.redeemPayment({ content: paid, agentAddress: agent.address, txHash, memo });
+
+    for (const options of [{ memo }, {}]) {
+      await assert.rejects(
+        licenses.redeemPayment({ content: other, agentAddress: agent.address, txHash, ...options }),
+        { code: 'MEMO_MISMATCH' }
+      );
+    }
+    assert.equal(await storage.getLicense(agent.address, other.contentHash), null);
+  });
+
+  it('leaves a payment redeemable when recording the license fails', async () => {
+    const paid = await content();
+    const memo = encodeLicenseMemo(paid.contentHash);
+    const txHash = await pay(memo);
+
+    storage.redeemLicense = async () => {
+      throw new Error('disk full');
+    };
+    try {
+      await assert.rejects(
+        licenses.redeemPayment({ content: paid, agentAddress: agent.address, txHash, memo }),
+        /disk full/
+      );
+    } finally {
+      delete storage.redeemLicense;
+    }
+
+    const { license } = await licenses.redeemPayment({ content: paid, agentAddress: agent.address, txHash, memo });
+    assert.equal(license.txHash, txHash);
+  });
+
+  it('redeems a payment once across services sharing the storage', async () => {
+    const paid = await content();
+    const memo = encodeLicenseMemo(paid.contentHash);
+    const txHash = await pay(memo);
+    const results = await Promise.allSettled([licenses, service()].map(redeemer =>
+      redeemer.redeemPayment({ content: paid, agentAddress: agent.address, txHash, memo })
+    ));
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.code, 'TX_REPLAYED');
+    assert.equal((await storage.getContent(paid.contentHash)).totalRevenue, PRICE);
+  });
+});
+
+describe('verifyPaymentProof', () => {
+  it('rejects a proof whose memo was issued for other content', async () => {
+    const paid = keccak256(stringToHex('paid'));
+    const other = keccak256(stringToHex('other'));
+    const header = encodePaymentHeader({
+      x402Version: X402_VERSION,
+      scheme: PAYMENT_SCHEME,
+      chainId: CHAIN_ID,
+      contentHash: other,
+      payer: agent.address,
+      txHash: keccak256(stringToHex('tx')),
+      memo: encodeLicenseMemo(paid),
+      timestamp: Math.floor(Date.now() / 1000),
+      signature: '0x00',
+    });
+
+    await assert.rejects(
+      verifyPaymentProof({ client: null, replayCache: new ReplayCache(), header, contentHash: other, chainId: CHAIN_ID }),
+      { code: 'MEMO_MISMATCH' }
+    );
+  });
+});
@@ -0,0 +1,169 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { keccak256, stringToHex } from 'viem';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { CHAIN_ID } from '../lib/chain.js';
+import { LicenseService } from '../lib/licenses.js';
+import { encodeLicenseMemo } from '../lib/memo.js';
+import { Paywall } from '../lib/paywall.js';
+import { MemoryStorage } from '../lib/storage/memory.js';
+import {
+  PAYMENT_SCHEME,
+  X402_VERSION,
+  decodePaymentHeader,
+  encodePaymentHeader,
+  paymentProofMessage,
+} from '../lib/x402.js';
+
+const OWNER = '0x000000000000000000000000000000000000a11c';
+const ORIGIN = 'https://news.example';
+
+const hashOf = path => keccak256(stringToHex(`${OWNER.toLowerCase()}:${ORIGIN}${path}`));
+
+// A paywall on fresh storage that takes every request for GPTBot's
+function paywall(storage = new MemoryStorage()) {
+  return new Paywall({
+    storage,
+    licenses: new LicenseService({ storage, getClient: () => null }),
+    getClient: () => null,
+    classifier: { classify: async () => ({ class: 'ai-training', crawler: 'GPTBot', verified: null }) },
+    baseUrl: ORIGIN,
+  });
+}
+
+// Run `middleware` for GET `url`; resolves with the response status
+async function get(middleware, url, headers = {}) {
+  return (await respond(middleware, url, headers)).statusCode;
+}
+
+// Run `middleware` for GET `url`; resolves with the response
+function respond(middleware, url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value;
+      },
+      end(body) {
+        this.body = JSON.parse(body);
+        resolve(this);
+      },
+    };
+    middleware({ method: 'GET', url, originalUrl: url, headers, query: {} }, res, error => (
+      error ? reject(error) : resolve({ statusCode: 'next' })
+    ));
+  });
+}
+
+describe('Paywall#middleware with a price and owner', () => {
+  it('sells every path under the route as its own content', async () => {
+    const storage = new MemoryStorage();
+    const middleware = paywall(storage).middleware({ price: 50_000n, owner: OWNER });
+
+    assert.equal(await get(middleware, '/articles/hello?ref=feed'), 402);
+    assert.equal(await get(middleware, '/articles/world'), 402);
+
+    const hello = await storage.getContent(hashOf('/articles/hello'));
+    assert.equal(hello.contentURI, `${ORIGIN}/articles/hello`);
+    assert.equal(hello.price, 50_000n);
+    assert.equal((await storage.getContent(hashOf('/articles/world'))).contentURI, `${ORIGIN}/articles/world`);
+  });
+
+  it('only sells the listed paths when given some', async () => {
+    const storage = new MemoryStorage();
+    const middleware = paywall(storage).middleware({ price: 50_000n, owner: OWNER, paths: ['/articles/hello'] });
+
+    assert.equal(await get(middleware, '/articles/other'), 404);
+    assert.equal(await get(middleware, '/articles/hello'), 402);
+    assert.equal(await storage.getContent(hashOf('/articles/other')), null);
+  });
+
+  it('keeps what the owner set up when the price changes in code', async () => {
+    const storage = new MemoryStorage();
+    await get(paywall(storage).middleware({ price: 50_000n, owner: OWNER }), '/articles/hello');
+
+    const contentHash = hashOf('/articles/hello');
+    const stored = await storage.getContent(contentHash);
+    const split = [{ address: OWNER, bps: 10_000 }];
+    const terms = [{ id: 0, kind: 'perpetual', usage: 'any', durationSeconds: 0, price: 90_000n }];
+    await storage.saveContent({ ...stored, split, terms, archivedAt: 1, totalRevenue: 7n, accessCount: 3 });
+
+    await get(paywall(storage).middleware({ price: 60_000n, owner: OWNER }), '/articles/hello');
+
+    const updated = await storage.getContent(contentHash);
+    assert.equal(updated.price, 60_000n);
+    assert.deepEqual(updated.split, split);
+    assert.deepEqual(updated.terms, terms);
+    assert.equal(updated.archivedAt, 1);
+    assert.equal(updated.totalRevenue, 7n);
+    assert.equal(updated.accessCount, 3);
+  });
+});
+
+describe('Paywall#middleware with X-PAYMENT', () => {
+  const payer = privateKeyToAccount(generatePrivateKey());
+
+  // X-PAYMENT header signed by `payer` for `memo`
+  async function proof(contentHash, memo, overrides = {}) {
+    const fields = {
+      x402Version: X402_VERSION,
+      scheme: PAYMENT_SCHEME,
+      chainId: CHAIN_ID,
+      contentHash,
+      payer: payer.address,
+      txHash: keccak256(stringToHex(memo)),
+      memo,
+      timestamp: Math.floor(Date.now() / 1000),
+    };
+    const signature = await payer.signMessage({ message: paymentProofMessage({ ...fields, chainId: CHAIN_ID }) });
+    return encodePaymentHeader({ ...fields, signature, ...overrides });
+  }
+
+  it('records the memos it quotes with their expiry', async () => {
+    const storage = new MemoryStorage();
+    const response = await respond(paywall(storage).middleware({ price: 50_000n, owner: OWNER }), '/articles/quoted');
+    const requirements = decodePaymentHeader(response.headers['payment-required']);
+
+    const quote = await storage.getQuote(requirements.memo);
+    assert.equal(quote.contentHash, hashOf('/articles/quoted'));
+    assert.equal(quote.expiresAt, requirements.expiresAt);
+  });
+
+  it('refuses a memo it did not quote', async () => {
+    const middleware = paywall().middleware({ price: 50_000n, owner: OWNER });
+    const contentHash = hashOf('/articles/unquoted');
+    // A memo claiming to be issued now, built by the payer
+    const memo = encodeLicenseMemo(contentHash);
+
+    const response = await respond(middleware, '/articles/unquoted', { 'x-payment': await proof(contentHash, memo) });
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.body.code, 'QUOTE_UNKNOWN');
+  });
+
+  it('answers malformed proof fields with 400', async () => {
+    const middleware = paywall().middleware({ price: 50_000n, owner: OWNER });
+    const contentHash = hashOf('/articles/malformed');
+    const memo = encodeLicenseMemo(contentHash);
+
+    for (const overrides of [{ payer: 42 }, { payer: '0x1234' }, { txHash: 'abc' }, { txHash: ['0x'] }, { memo: { hex: memo } }]) {
+      const response = await respond(middleware, '/articles/malformed', {
+        'x-payment': await proof(contentHash, memo, overrides),
+      });
+      assert.equal(response.statusCode, 400, JSON.stringify(overrides));
+      assert.equal(response.body.code, 'PAYMENT_HEADER_INVALID');
+    }
+
+    const response = await respond(middleware, '/articles/malformed', { 'x-agent-address': 'agent' });
+    assert.equal(response.body.code, 'ADDRESS_INVALID');
+  });
+});
+
+describe('Paywall.fromEnv', () => {
+  it('uses the storage it is given', async () => {
+    const storage = new MemoryStorage();
+    const built = await Paywall.fromEnv({ PUBLIC_URL: ORIGIN }, { storage });
+
+    assert.equal(built.storage, storage);
+    assert.equal(built.licenses.storage, storage);
+  });
+});
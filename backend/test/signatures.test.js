@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { keccak256, stringToHex } from 'viem';
+import { ReplayCache, SIGNATURE_WINDOW_SECONDS, accessMessage, isHighS, verifyAccessSignature } from '../lib/signatures.js';
+import { accounts } from './helpers/chain.js';
+
+const [, agent, alice] = accounts;
+const CONTENT = keccak256(stringToHex('signed'));
+
+// secp256k1 group order
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+
+// A signed access request from `account`, `offset` seconds from now
+async function signed({ account = agent, offset = 0, nonce = 'n1', contentHash = CONTENT } = {}) {
+  const timestamp = String(Math.floor(Date.now() / 1000) + offset);
+  const signature = await account.signMessage({ message: accessMessage(timestamp, contentHash, nonce) });
+  return { agentAddress: agent.address, contentHash, signature, timestamp, nonce };
+}
+
+describe('verifyAccessSignature', () => {
+  it('accepts a request once', async () => {
+    const replayCache = new ReplayCache();
+    const request = await signed();
+
+    await verifyAccessSignature({ client: null, replayCache, ...request });
+    await assert.rejects(
+      verifyAccessSignature({ client: null, replayCache, ...request }),
+      { code: 'SIGNATURE_REPLAYED', status: 403 }
+    );
+  });
+
+  it('treats a re-encoded copy of an accepted request as a replay', async () => {
+    const replayCache = new ReplayCache();
+    const request = await signed();
+    await verifyAccessSignature({ client: null, replayCache, ...request });
+
+    const copies = [
+      { ...request, signature: request.signature.toUpperCase().replace('0X', '0x') },
+      { ...request, agentAddress: request.agentAddress.toLowerCase(), contentHash: CONTENT.toUpperCase().replace('0X', '0x') },
+    ];
+    for (const copy of copies) {
+      await assert.rejects(verifyAccessSignature({ client: null, replayCache, ...copy }), { code: 'SIGNATURE_REPLAYED' });
+    }
+  });
+
+  it('accepts the same content again with a new nonce', async () => {
+    const replayCache = new ReplayCache();
+    await verifyAccessSignature({ client: null, replayCache, ...await signed({ nonce: 'n1' }) });
+    await verifyAccessSignature({ client: null, replayCache, ...await signed({ nonce: 'n2' }) });
+  });
+
+  it('rejects the high-s twin of a valid signature', async () => {
+    const request = await signed();
+    const s = BigInt(`0x${request.signature.slice(66, 130)}`);
+    const v = parseInt(request.signature.slice(130), 16);
+    const twin = `${request.signature.slice(0, 66)}${(N - s).toString(16).padStart(64, '0')}${(v === 27 ? 28 : 27).toString(16)}`;
+
+    assert.equal(isHighS(request.signature), false);
+    assert.equal(isHighS(twin), true);
+    await assert.rejects(
+      verifyAccessSignature({ client: null, replayCache: new ReplayCache(), ...request, signature: twin }),
+      { code: 'SIGNATURE_INVALID' }
+    );
+  });
+
+  it('rejects requests signed outside the window', async () => {
+    for (const offset of [-SIGNATURE_WINDOW_SECONDS - 5, SIGNATURE_WINDOW_SECONDS + 5]) {
+      await assert.rejects(
+        verifyAccessSignature({ client: null, replayCache: new ReplayCache(), ...await signed({ offset }) }),
+        { code: 'SIGNATURE_EXPIRED' }
+      );
+    }
+  });
+
+  it('rejects a signature by someone else without using up the request', async () => {
+    const replayCache = new ReplayCache();
+    const genuine = await signed();
+    const forged = {
+      ...genuine,
+      signature: await alice.signMessage({ message: accessMessage(genuine.timestamp, CONTENT, genuine.nonce) }),
+    };
+
+    await assert.rejects(verifyAccessSignature({ client: null, replayCache, ...forged }), { code: 'SIGNATURE_INVALID' });
+    await verifyAccessSignature({ client: null, replayCache, ...genuine });
+  });
+
+  it('requires a signature and timestamp', async () => {
+    const { signature, timestamp, ...rest } = await signed();
+    await assert.rejects(verifyAccessSignature({ client: null, replayCache: new ReplayCache(), ...rest, timestamp }), { code: 'SIGNATURE_MISSING' });
+    await assert.rejects(verifyAccessSignature({ client: null, replayCache: new ReplayCache(), ...rest, signature }), { code: 'SIGNATURE_MISSING' });
+  });
+});
+
+describe('ReplayCache', () => {
+  it('forgets entries once they expire', () => {
+    const cache = new ReplayCache();
+    cache.add('expired', Date.now() - 1);
+    cache.add('live', Date.now() + 60_000);
+
+    assert.equal(cache.has('expired'), false);
+    assert.equal(cache.has('live'), true);
+    assert.equal(cache.entries.size, 1);
+  });
+});
@@ -0,0 +1,237 @@
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { after, before, describe, it } from 'node:test';
+import { licenseKey, paymentKey } from '../lib/storage/index.js';
+import { MemoryStorage } from '../lib/storage/memory.js';
+import { migrations } from '../lib/storage/migrations.js';
+import { SqliteStorage } from '../lib/storage/sqlite.js';
+import { PERPETUAL_EXPIRY, licenseFields } from '../lib/terms.js';
+
+const AGENT = '0x000000000000000000000000000000000000a9e1';
+const CONTENT = `0x${'c0'.repeat(32)}`;
+const TX = `0x${'7a'.repeat(32)}`;
+
+const dir = mkdtempSync(join(tmpdir(), 'openpayai-storage-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const drivers = {
+  memory: () => new MemoryStorage(),
+  sqlite: () => SqliteStorage.open(':memory:'),
+};
+
+for (const [driver, open] of Object.entries(drivers)) {
+  describe(`${driver} storage`, () => {
+    let storage;
+
+    before(() => {
+      storage = open();
+    });
+
+    after(() => storage.close());
+
+    describe('markTxUsed', () => {
+      it('claims a payment once and keeps the first license it paid for', async () => {
+        const key = paymentKey(TX, CONTENT);
+
+        assert.equal(await storage.markTxUsed(key, licenseKey(AGENT, CONTENT)), true);
+        assert.equal(await storage.markTxUsed(key, 'someone-else'), false);
+        assert.equal(await storage.getTxUsage(key), licenseKey(AGENT, CONTENT));
+      });
+    });
+
+    describe('redeemLicense', () => {
+      const license = {
+        agentAddress: AGENT,
+        contentHash: CONTENT,
+        txHash: TX,
+        memo: null,
+        pricePaid: 50_000n,
+        token: null,
+        blockNumber: 1n,
+        termId: 0,
+        kind: 'timed',
+        usage: 'any',
+        expiry: Date.now() + 60_000,
+        usesLeft: null,
+        createdAt: Date.now(),
+      };
+      const key = paymentKey(`0x${'7b'.repeat(32)}`, CONTENT);
+
+      before(() => storage.saveContent({
+        contentHash: CONTENT,
+        price: 50_000n,
+        contentOwner: AGENT,
+        contentURI: 'https://example.com/a',
+        active: true,
+        totalRevenue: 0n,
+        accessCount: 0,
+        createdAt: Date.now(),
+      }));
+
+      it('writes nothing when part of the redemption fails', async () => {
+        await assert.rejects(storage.redeemLicense({ paymentKey: key, license, stats: { revenue: 'lots', accesses: 1 } }));
+
+        assert.equal(await storage.getTxUsage(key), null);
+        assert.equal(await storage.getLicense(AGENT, CONTENT), null);
+        assert.equal((await storage.getContent(CONTENT)).accessCount, 0);
+      });
+
+      it('records the payment, license and stats together, once', async () => {
+        const stats = { revenue: 50_000n, accesses: 1 };
+
+        assert.equal((await storage.redeemLicense({ paymentKey: key, license, stats })).txHash, TX);
+        assert.equal(await storage.redeemLicense({ paymentKey: key, license, stats }), null);
+
+        assert.equal(await storage.getTxUsage(key), licenseKey(AGENT, CONTENT));
+        assert.equal((await storage.getLicense(AGENT, CONTENT)).pricePaid, 50_000n);
+        const content = await storage.getContent(CONTENT);
+        assert.equal(content.totalRevenue, 50_000n);
+        assert.equal(content.accessCount, 1);
+      });
+    });
+
+    describe('saveQuotes', () => {
+      it('finds quotes by memo and drops long expired ones', async () => {
+        const memo = `0x${'4c'.repeat(32)}`;
+        const stale = `0x${'4d'.repeat(32)}`;
+        await storage.saveQuotes([{ memo: stale, contentHash: CONTENT, termId: 0, expiresAt: 1_000 }]);
+        await storage.saveQuotes([{ memo: memo.toUpperCase().replace('0X', '0x'), contentHash: CONTENT, termId: 2, expiresAt: 5_000 }], 2_000);
+
+        assert.deepEqual(await storage.getQuote(memo), { memo, contentHash: CONTENT, termId: 2, expiresAt: 5_000 });
+        assert.equal(await storage.getQuote(stale), null);
+      });
+    });
+
+    describe('saveLicense', () => {
+      const agent = '0x000000000000000000000000000000000000a9e2';
+      const perpetual = {
+        agentAddress: agent,
+        contentHash: CONTENT,
+        txHash: TX,
+        memo: null,
+        pricePaid: 50_000n,
+        token: null,
+        blockNumber: null,
+        termId: 0,
+        kind: 'perpetual',
+        usage: 'any',
+        expiry: PERPETUAL_EXPIRY,
+        usesLeft: null,
+        createdAt: Date.now(),
+      };
+      const perRequest = { ...perpetual, termId: 1, ...licenseFields({ id: 1, kind: 'request', usage: 'retrieval' }) };
+
+      it('keeps a stronger license when a weaker one is bought later', async () => {
+        await storage.saveLicense(perpetual);
+
+        const kept = await storage.saveLicense(perRequest);
+        assert.equal(kept.kind, 'perpetual');
+        assert.equal((await storage.getLicense(agent, CONTENT)).expiry, PERPETUAL_EXPIRY);
+        assert.equal((await storage.getLicense(agent, CONTENT)).usesLeft, null);
+      });
+
+      it('keeps it when a weaker purchase is redeemed too', async () => {
+        const kept = await storage.redeemLicense({
+          paymentKey: paymentKey(`0x${'7c'.repeat(32)}`, CONTENT),
+          license: perRequest,
+          stats: { revenue: 1n, accesses: 1 },
+        });
+        assert.equal(kept.kind, 'perpetual');
+      });
+
+      it('replaces a license that no longer covers the purchase', async () => {
+        const used = '0x000000000000000000000000000000000000a9e3';
+        await storage.saveLicense({ ...perRequest, agentAddress: used });
+        await storage.useLicense(used, CONTENT);
+
+        const kept = await storage.saveLicense({ ...perRequest, agentAddress: used, termId: 2 });
+        assert.equal(kept.termId, 2);
+        assert.equal((await storage.getLicense(used, CONTENT)).usesLeft, 1);
+      });
+    });
+  });
+}
+
+describe('sqlite storage shared by two processes', () => {
+  it('lets only one of them claim a payment', async () => {
+    const path = join(dir, 'shared.db');
+    const [first, second] = [SqliteStorage.open(path), SqliteStorage.open(path)];
+
+    try {
+      const key = paymentKey(TX, CONTENT);
+      const claims = await Promise.all([first.markTxUsed(key, 'first'), second.markTxUsed(key, 'second')]);
+
+      assert.deepEqual(claims.sort(), [false, true]);
+      assert.equal(await second.getTxUsage(key), await first.getTxUsage(key));
+    } finally {
+      first.close();
+      second.close();
+    }
+  });
+});
+
+describe('sqlite migrations', () => {
+  const latest = migrations.at(-1).version;
+  const versions = path => {
+    const db = new Database(path);
+    try {
+      return db.prepare('SELECT version FROM schema_migrations ORDER BY version').all().map(row => row.version);
+    } finally {
+      db.close();
+    }
+  };
+
+  it('upgrades a database from the first schema and keeps its rows', async () => {
+    const path = join(dir, 'v1.db');
+    const db = new Database(path);
+    db.exec(`CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at INTEGER NOT NULL)`);
+    db.exec(migrations[0].up);
+    db.prepare('INSERT INTO schema_migrations VALUES (1, ?, 0)').run(migrations[0].name);
+    db.prepare(`INSERT INTO contents (content_hash, price, content_owner, content_uri, created_at) VALUES (?, '50000', ?, 'https://example.com/old', 1)`)
+      .run(CONTENT, AGENT);
+    db.close();
+
+    const storage = SqliteStorage.open(path);
+    try {
+      const content = await storage.getContent(CONTENT);
+      assert.equal(content.price, 50_000n);
+      assert.equal(content.totalRevenue, 0n);
+      assert.equal(content.terms, null);
+      assert.equal(content.split, null);
+    } finally {
+      storage.close();
+    }
+    assert.deepEqual(versions(path), migrations.map(migration => migration.version));
+  });
+
+  it('applies nothing on reopening', () => {
+    const path = join(dir, 'reopened.db');
+    SqliteStorage.open(path).close();
+    SqliteStorage.open(path).close();
+
+    assert.equal(versions(path).length, latest);
+  });
+
+  it('rolls back a migration that fails part way', () => {
+    const path = join(dir, 'broken.db');
+    SqliteStorage.open(path).close();
+
+    migrations.push({ version: latest + 1, name: 'broken', up: 'CREATE TABLE half_done (id INTEGER); SELECT missing FROM nowhere;' });
+    try {
+      assert.throws(() => SqliteStorage.open(path), /no such table/);
+    } finally {
+      migrations.pop();
+    }
+
+    const db = new Database(path);
+    try {
+      assert.equal(db.prepare(`SELECT name FROM sqlite_master WHERE name = 'half_done'`).get(), undefined);
+    } finally {
+      db.close();
+    }
+    assert.equal(Math.max(...versions(path)), latest);
+  });
+});
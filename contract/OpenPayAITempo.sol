@@ -6,12 +6,23 @@ pragma solidity ^0.8.20;
  * @dev AI agent content licensing on Tempo blockchain
  * Leverages Tempo's TIP-20 memos for efficient content tracking
  * Supports fee sponsorship for gasless agent operations
+ * Content is priced in any stablecoin the owner accepts (all TIP-20
+ * stablecoins on Tempo use 6 decimals)
+ * Purchases are escrowed: the contract holds the payment and credits the
+ * content's payees, who pull it out with `withdraw`
+ * Each payment is split between the content's payees by basis points,
+ * after an optional platform fee credited to the contract owner
+ * Content sells licenses on the terms its owner sets: time-bound,
+ * per-request or perpetual, for any use or only retrieval or training
+ * Agents can cap what they spend per day through the contract, set by
+ * themselves or by an operator they appoint
  */
 
 interface ITIP20 {
     function transfer(address to, uint256 amount) external returns (bool);
     function transferWithMemo(address to, uint256 amount, bytes32 memo) external;
     function transferFrom(address from, address to, uint256 amount) external returns (bool);
+    function transferFromWithMemo(address from, address to, uint256 amount, bytes32 memo) external returns (bool);
     function balanceOf(address account) external view returns (uint256);
     function allowance(address owner, address spender) external view returns (uint256);
 }
@@ -24,33 +35,83 @@ contract OpenPayAITempo {
         bool active;
         uint256 totalRevenue;
         uint256 accessCount;
+        address paymentToken;
+    }
+    
+    struct Payee {
+        address account;
+        uint256 shareBps;
+    }
+    
+    enum LicenseKind { Timed, PerRequest, Perpetual }
+    
+    enum Usage { Any, Retrieval, Training }
+    
+    struct LicenseTerms {
+        LicenseKind kind;
+        Usage usage;
+        uint64 duration;
+        uint256 price;
     }
     
     struct License {
         uint256 expiry;
         uint256 pricePaid;
         bool active;
+        uint8 termId;
+        LicenseKind kind;
+        Usage usage;
     }
 
     address public immutable owner;
-    ITIP20 public immutable paymentToken;
+    
+    uint256 public constant BPS = 10_000;
+    uint256 public constant MAX_PLATFORM_FEE_BPS = 2_000;
+    uint256 public constant MAX_PAYEES = 10;
+    
+    // License terms of content that sets none: 30 days, any use, its price
+    uint256 public constant DEFAULT_LICENSE_DURATION = 30 days;
+    // Per-request licenses must be redeemed (fetched once) within this window
+    uint256 public constant REQUEST_LICENSE_WINDOW = 1 days;
+    uint256 public constant MAX_TERMS = 8;
+    
+    // Share of every payment credited to `owner`
+    uint256 public platformFeeBps;
+    
+    // Stablecoins content may be priced in
+    mapping(address => bool) public acceptedTokens;
+    address[] public tokenList;
     
     // Content registry
     mapping(bytes32 => ContentEntry) public contentRegistry;
     mapping(address => mapping(bytes32 => License)) public licenses;
     mapping(address => bytes32[]) public creatorContents;
     
-    // Batch licensing support
+    // Revenue split per content (empty: everything to the content owner)
+    mapping(bytes32 => Payee[]) internal revenueSplits;
+    
+    // License terms per content, indexed by term id (empty: the default terms)
+    mapping(bytes32 => LicenseTerms[]) internal licenseTerms;
+    
+    // Escrow: revenue owed to each content owner, per token
+    mapping(address => mapping(address => uint256)) public pendingRevenue;
+    mapping(address => uint256) public totalEscrowed;
+    
+    // Per-agent daily spending limits (0: unlimited)
     mapping(address => uint256) public agentSpendingLimits;
+    // Spent on `agentSpendDay` (UTC day number); stale once that day is over
     mapping(address => uint256) public agentSpentToday;
-    uint256 public lastResetDay;
+    mapping(address => uint256) public agentSpendDay;
+    // Operator an agent appointed to manage its limit (0: none)
+    mapping(address => address) public agentOperators;
     
     // Events
     event ContentRegistered(
         bytes32 indexed contentHash,
         address indexed contentOwner,
         uint256 price,
-        string contentURI
+        string contentURI,
+        address paymentToken
     );
     
     event PriceUpdated(
@@ -58,21 +119,35 @@ contract OpenPayAITempo {
         uint256 newPrice
     );
     
+    event ContentStatusToggled(
+        bytes32 indexed contentHash,
+        bool active
+    );
+    
     event LicensePurchased(
         address indexed buyer,
         bytes32 indexed contentHash,
         uint256 price,
         bytes32 memo,
-        uint256 expiry
+        uint256 expiry,
+        uint8 termId,
+        LicenseKind kind,
+        Usage usage
     );
     
     event BatchLicensePurchased(
         address indexed buyer,
         bytes32[] contentHashes,
+        uint8[] termIds,
         uint256 totalPrice,
         uint256 count
     );
     
+    event LicenseTermsUpdated(
+        bytes32 indexed contentHash,
+        LicenseTerms[] terms
+    );
+    
     event ContentAccessed(
         bytes32 indexed contentHash,
         address indexed accessor,
@@ -81,6 +156,7 @@ contract OpenPayAITempo {
     
     event RevenueWithdrawn(
         address indexed contentOwner,
+        address indexed token,
         uint256 amount
     );
     
@@ -88,6 +164,26 @@ contract OpenPayAITempo {
         address indexed agent,
         uint256 dailyLimit
     );
+    
+    event AgentOperatorSet(
+        address indexed agent,
+        address indexed operator
+    );
+    
+    event RevenueSplitUpdated(
+        bytes32 indexed contentHash,
+        address[] payees,
+        uint256[] shares
+    );
+    
+    event PlatformFeeUpdated(
+        uint256 feeBps
+    );
+    
+    event TokenAccepted(
+        address indexed token,
+        bool accepted
+    );
 
     modifier onlyOwner() {
         require(msg.sender == owner, "Not owner");
@@ -105,25 +201,29 @@ contract OpenPayAITempo {
         _;
     }
 
-    constructor(address _owner, address _paymentToken) {
+    constructor(address _owner, address[] memory _acceptedTokens) {
         owner = _owner;
-        paymentToken = ITIP20(_paymentToken);
-        lastResetDay = block.timestamp / 1 days;
+        for (uint i = 0; i < _acceptedTokens.length; i++) {
+            _setAcceptedToken(_acceptedTokens[i], true);
+        }
     }
     
     /**
      * @dev Register new content for AI access
      * @param contentHash Unique identifier for content
-     * @param price Price in stablecoin
+     * @param price Price in `paymentToken` units
      * @param contentURI URI of protected content
+     * @param paymentToken Accepted stablecoin the content is priced in
      */
     function registerContent(
         bytes32 contentHash,
         uint256 price,
-        string calldata contentURI
+        string calldata contentURI,
+        address paymentToken
     ) external {
         require(contentRegistry[contentHash].contentOwner == address(0), "Content already registered");
         require(price > 0, "Price must be > 0");
+        require(acceptedTokens[paymentToken], "Token not accepted");
         
         contentRegistry[contentHash] = ContentEntry({
             price: price,
@@ -131,46 +231,39 @@ contract OpenPayAITempo {
             contentURI: contentURI,
             active: true,
             totalRevenue: 0,
-            accessCount: 0
+            accessCount: 0,
+            paymentToken: paymentToken
         });
         
         creatorContents[msg.sender].push(contentHash);
         
-        emit ContentRegistered(contentHash, msg.sender, price, contentURI);
+        emit ContentRegistered(contentHash, msg.sender, price, contentURI, paymentToken);
     }
     
     /**
      * @dev Purchase license with Tempo memo support
-     * Uses transferWithMemo for automatic tracking
+     * Pulls the price into escrow with transferFromWithMemo for automatic
+     * tracking, so the buyer approves this contract for the content's token
+     * @param termId License terms to buy (see getLicenseTerms)
      */
     function purchaseLicense(
         bytes32 contentHash,
+        uint8 termId,
         bytes32 memo
     ) external validContent(contentHash) {
-        _resetDailySpendingIfNeeded();
-        
         ContentEntry storage content = contentRegistry[contentHash];
-        uint256 price = content.price;
+        LicenseTerms memory terms = _terms(contentHash, termId);
+        uint256 price = terms.price;
         
         // Check agent spending limits
-        if (agentSpendingLimits[msg.sender] > 0) {
-            require(
-                agentSpentToday[msg.sender] + price <= agentSpendingLimits[msg.sender],
-                "Daily spending limit exceeded"
-            );
-            agentSpentToday[msg.sender] += price;
-        }
+        _recordAgentSpend(msg.sender, price);
         
         // Transfer with memo - this is the Tempo magic!
         // Memo format: "LICENSE:<contentHash>:<timestamp>"
-        paymentToken.transferWithMemo(content.contentOwner, price, memo);
+        _collect(contentHash, content, price, memo);
         
-        // Record license (30-day access)
-        licenses[msg.sender][contentHash] = License({
-            expiry: block.timestamp + 30 days,
-            pricePaid: price,
-            active: true
-        });
+        // Record license (never replacing one that already covers it)
+        uint256 expiry = _grantLicense(contentHash, termId, terms);
         
         content.totalRevenue += price;
         content.accessCount++;
@@ -180,66 +273,64 @@ contract OpenPayAITempo {
             contentHash,
             price,
             memo,
-            block.timestamp + 30 days
+            expiry,
+            termId,
+            terms.kind,
+            terms.usage
         );
     }
     
     /**
      * @dev Batch purchase multiple licenses
      * Demonstrates Tempo's batch capability at contract level
+     * Each item is paid in its own token, so the buyer approves this
+     * contract for every token in the batch. Payments go to escrow, so an
+     * owner that cannot receive tokens does not fail the batch
      */
     function purchaseBatchLicense(
         bytes32[] calldata contentHashes,
+        uint8[] calldata termIds,
         bytes32[] calldata memos
     ) external {
-        require(contentHashes.length == memos.length, "Array length mismatch");
+        require(
+            contentHashes.length == memos.length && contentHashes.length == termIds.length,
+            "Array length mismatch"
+        );
         require(contentHashes.length > 0, "Empty batch");
         require(contentHashes.length <= 50, "Batch too large");
         
-        _resetDailySpendingIfNeeded();
-        
         uint256 totalPrice = 0;
+        uint256[] memory prices = new uint256[](contentHashes.length);
         
         for (uint i = 0; i < contentHashes.length; i++) {
             ContentEntry storage content = contentRegistry[contentHashes[i]];
             require(content.contentOwner != address(0), "Content not found");
             require(content.active, "Content not active");
             
-            totalPrice += content.price;
+            LicenseTerms memory terms = _terms(contentHashes[i], termIds[i]);
+            prices[i] = terms.price;
+            totalPrice += terms.price;
             
             // Record each license
-            licenses[msg.sender][contentHashes[i]] = License({
-                expiry: block.timestamp + 30 days,
-                pricePaid: content.price,
-                active: true
-            });
+            _grantLicense(contentHashes[i], termIds[i], terms);
             
-            content.totalRevenue += content.price;
+            content.totalRevenue += terms.price;
             content.accessCount++;
         }
         
         // Check agent limits
-        if (agentSpendingLimits[msg.sender] > 0) {
-            require(
-                agentSpentToday[msg.sender] + totalPrice <= agentSpendingLimits[msg.sender],
-                "Daily spending limit exceeded"
-            );
-            agentSpentToday[msg.sender] += totalPrice;
-        }
+        _recordAgentSpend(msg.sender, totalPrice);
         
-        // Single transfer for total (atomic batch at payment level)
-        // Individual memos can be reconstructed off-chain from events
-        paymentToken.transferFrom(msg.sender, address(this), totalPrice);
-        
-        // Distribute to content owners
+        // Escrow each item with its own memo (atomic batch at payment level)
         for (uint i = 0; i < contentHashes.length; i++) {
             ContentEntry storage content = contentRegistry[contentHashes[i]];
-            paymentToken.transfer(content.contentOwner, content.price);
+            _collect(contentHashes[i], content, prices[i], memos[i]);
         }
         
         emit BatchLicensePurchased(
             msg.sender,
             contentHashes,
+            termIds,
             totalPrice,
             contentHashes.length
         );
@@ -247,6 +338,8 @@ contract OpenPayAITempo {
     
     /**
      * @dev Verify if an address has valid license
+     * Per-request licenses stay valid here until their redemption window
+     * ends; the single fetch is enforced off-chain
      */
     function hasValidLicense(
         address user,
@@ -256,6 +349,62 @@ contract OpenPayAITempo {
         return license.active && license.expiry > block.timestamp;
     }
     
+    /**
+     * @dev Offer licenses on these terms (term id = index); empty restores
+     * the default 30-day license at the content price
+     */
+    function setLicenseTerms(
+        bytes32 contentHash,
+        LicenseTerms[] calldata terms
+    ) external onlyContentOwner(contentHash) {
+        require(terms.length <= MAX_TERMS, "Too many terms");
+        
+        delete licenseTerms[contentHash];
+        for (uint i = 0; i < terms.length; i++) {
+            require(terms[i].price > 0, "Price must be > 0");
+            require(
+                terms[i].kind != LicenseKind.Timed || terms[i].duration > 0,
+                "Timed license needs a duration"
+            );
+            licenseTerms[contentHash].push(terms[i]);
+        }
+        
+        emit LicenseTermsUpdated(contentHash, terms);
+    }
+    
+    /**
+     * @dev License terms on offer, indexed by term id
+     */
+    function getLicenseTerms(bytes32 contentHash) external view returns (LicenseTerms[] memory terms) {
+        LicenseTerms[] storage offered = licenseTerms[contentHash];
+        if (offered.length == 0) {
+            terms = new LicenseTerms[](1);
+            terms[0] = _defaultTerms(contentHash);
+            return terms;
+        }
+        
+        terms = new LicenseTerms[](offered.length);
+        for (uint i = 0; i < offered.length; i++) {
+            terms[i] = offered[i];
+        }
+    }
+    
+    /**
+     * @dev Withdraw all escrowed revenue the caller has in `token`
+     */
+    function withdraw(address token) external {
+        uint256 amount = pendingRevenue[msg.sender][token];
+        require(amount > 0, "Nothing to withdraw");
+        
+        // Effects before the transfer so a reentrant call finds nothing
+        pendingRevenue[msg.sender][token] = 0;
+        totalEscrowed[token] -= amount;
+        
+        require(ITIP20(token).transfer(msg.sender, amount), "Withdrawal failed");
+        
+        emit RevenueWithdrawn(msg.sender, token, amount);
+    }
+    
     /**
      * @dev Update content price
      */
@@ -268,21 +417,143 @@ contract OpenPayAITempo {
         emit PriceUpdated(contentHash, newPrice);
     }
     
+    /**
+     * @dev Split the content's revenue between payees
+     * @param payees Distinct payee addresses (empty: all to the content owner)
+     * @param shares Basis points per payee, adding up to 10000
+     */
+    function setRevenueSplit(
+        bytes32 contentHash,
+        address[] calldata payees,
+        uint256[] calldata shares
+    ) external onlyContentOwner(contentHash) {
+        require(payees.length == shares.length, "Array length mismatch");
+        require(payees.length <= MAX_PAYEES, "Too many payees");
+        
+        delete revenueSplits[contentHash];
+        
+        uint256 total = 0;
+        for (uint i = 0; i < payees.length; i++) {
+            require(payees[i] != address(0), "Invalid payee");
+            require(shares[i] > 0, "Share must be > 0");
+            for (uint j = 0; j < i; j++) {
+                require(payees[j] != payees[i], "Duplicate payee");
+            }
+            total += shares[i];
+            revenueSplits[contentHash].push(Payee({ account: payees[i], shareBps: shares[i] }));
+        }
+        require(payees.length == 0 || total == BPS, "Shares must add up to 10000");
+        
+        emit RevenueSplitUpdated(contentHash, payees, shares);
+    }
+    
+    /**
+     * @dev Payees and basis-point shares of the content's revenue
+     */
+    function getRevenueSplit(bytes32 contentHash) external view returns (
+        address[] memory payees,
+        uint256[] memory shares
+    ) {
+        Payee[] storage split = revenueSplits[contentHash];
+        if (split.length == 0) {
+            payees = new address[](1);
+            shares = new uint256[](1);
+            payees[0] = contentRegistry[contentHash].contentOwner;
+            shares[0] = BPS;
+            return (payees, shares);
+        }
+        
+        payees = new address[](split.length);
+        shares = new uint256[](split.length);
+        for (uint i = 0; i < split.length; i++) {
+            payees[i] = split[i].account;
+            shares[i] = split[i].shareBps;
+        }
+    }
+    
     /**
      * @dev Toggle content active status
      */
     function toggleContentStatus(bytes32 contentHash) external onlyContentOwner(contentHash) {
-        contentRegistry[contentHash].active = !contentRegistry[contentHash].active;
+        bool active = !contentRegistry[contentHash].active;
+        contentRegistry[contentHash].active = active;
+        emit ContentStatusToggled(contentHash, active);
     }
     
     /**
-     * @dev Set daily spending limit for agent
+     * @dev Set daily spending limit for agent (0 removes it)
+     * Set by the agent's operator if it appointed one, else by the agent
+     * itself; the contract owner may always set it
      */
-    function setAgentSpendingLimit(address agent, uint256 dailyLimit) external onlyOwner {
+    function setAgentSpendingLimit(address agent, uint256 dailyLimit) external {
+        address operator = agentOperators[agent];
+        require(
+            msg.sender == owner || msg.sender == (operator == address(0) ? agent : operator),
+            "Not agent or operator"
+        );
         agentSpendingLimits[agent] = dailyLimit;
         emit AgentLimitSet(agent, dailyLimit);
     }
     
+    /**
+     * @dev Appoint the operator managing an agent's limit
+     * An agent without an operator appoints one itself; from then on only
+     * the operator can replace or remove it (address(0)), so the agent
+     * cannot lift a limit it was given
+     */
+    function setAgentOperator(address agent, address operator) external {
+        address current = agentOperators[agent];
+        require(msg.sender == (current == address(0) ? agent : current), "Not agent or operator");
+        agentOperators[agent] = operator;
+        emit AgentOperatorSet(agent, operator);
+    }
+    
+    /**
+     * @dev Daily limit, amount spent and amount left today for an agent,
+     * and when the count resets (remaining is type(uint256).max without
+     * a limit)
+     */
+    function agentAllowance(address agent) external view returns (
+        uint256 dailyLimit,
+        uint256 spentToday,
+        uint256 remaining,
+        uint256 resetsAt
+    ) {
+        uint256 today = block.timestamp / 1 days;
+        dailyLimit = agentSpendingLimits[agent];
+        spentToday = agentSpendDay[agent] == today ? agentSpentToday[agent] : 0;
+        if (dailyLimit == 0) {
+            remaining = type(uint256).max;
+        } else {
+            remaining = spentToday < dailyLimit ? dailyLimit - spentToday : 0;
+        }
+        resetsAt = (today + 1) * 1 days;
+    }
+    
+    /**
+     * @dev Set the platform fee taken from every payment, in basis points
+     */
+    function setPlatformFee(uint256 feeBps) external onlyOwner {
+        require(feeBps <= MAX_PLATFORM_FEE_BPS, "Fee too high");
+        platformFeeBps = feeBps;
+        emit PlatformFeeUpdated(feeBps);
+    }
+    
+    /**
+     * @dev Accept or stop accepting a stablecoin for new content
+     * Content already priced in a token keeps selling in it
+     */
+    function setAcceptedToken(address token, bool accepted) external onlyOwner {
+        _setAcceptedToken(token, accepted);
+    }
+    
+    /**
+     * @dev Every token ever accepted (check acceptedTokens for the current set)
+     */
+    function getTokenList() external view returns (address[] memory) {
+        return tokenList;
+    }
+    
     /**
      * @dev Get all content by creator
      */
@@ -308,15 +579,137 @@ contract OpenPayAITempo {
         );
     }
     
+    function _defaultTerms(bytes32 contentHash) internal view returns (LicenseTerms memory) {
+        return LicenseTerms({
+            kind: LicenseKind.Timed,
+            usage: Usage.Any,
+            duration: uint64(DEFAULT_LICENSE_DURATION),
+            price: contentRegistry[contentHash].price
+        });
+    }
+    
+    function _terms(bytes32 contentHash, uint8 termId) internal view returns (LicenseTerms memory) {
+        LicenseTerms[] storage offered = licenseTerms[contentHash];
+        if (offered.length == 0) {
+            require(termId == 0, "Unknown license terms");
+            return _defaultTerms(contentHash);
+        }
+        require(termId < offered.length, "Unknown license terms");
+        return offered[termId];
+    }
+    
+    /**
+     * @dev Perpetual licenses never expire
+     */
+    function _licenseExpiry(LicenseTerms memory terms) internal view returns (uint256) {
+        if (terms.kind == LicenseKind.Perpetual) return type(uint256).max;
+        if (terms.kind == LicenseKind.PerRequest) return block.timestamp + REQUEST_LICENSE_WINDOW;
+        return block.timestamp + terms.duration;
+    }
+    
     /**
-     * @dev Reset daily spending counters
+     * @dev Record the license the buyer bought on `terms`
+     * Reverts when the buyer's current license already covers it (still
+     * valid, for the same or any use, lasting as long, and unmetered
+     * unless the new one is per-request), so a later per-request or
+     * shorter purchase cannot downgrade a perpetual or longer license
      */
-    function _resetDailySpendingIfNeeded() internal {
-        uint256 currentDay = block.timestamp / 1 days;
-        if (currentDay > lastResetDay) {
-            lastResetDay = currentDay;
-            // Note: In production, use a mapping to track per-agent last reset
+    function _grantLicense(
+        bytes32 contentHash,
+        uint8 termId,
+        LicenseTerms memory terms
+    ) internal returns (uint256 expiry) {
+        expiry = _licenseExpiry(terms);
+        
+        License storage current = licenses[msg.sender][contentHash];
+        require(
+            !current.active ||
+            current.expiry <= block.timestamp ||
+            (current.usage != Usage.Any && current.usage != terms.usage) ||
+            current.expiry < expiry ||
+            (current.kind == LicenseKind.PerRequest && terms.kind != LicenseKind.PerRequest),
+            "License already held"
+        );
+        
+        licenses[msg.sender][contentHash] = License({
+            expiry: expiry,
+            pricePaid: terms.price,
+            active: true,
+            termId: termId,
+            kind: terms.kind,
+            usage: terms.usage
+        });
+    }
+    
+    /**
+     * @dev Pull a payment from the buyer into escrow and credit it to the
+     * platform fee and the content's payees
+     * Rounding dust goes to the first payee
+     */
+    function _collect(
+        bytes32 contentHash,
+        ContentEntry storage content,
+        uint256 amount,
+        bytes32 memo
+    ) internal {
+        address token = content.paymentToken;
+        require(
+            ITIP20(token).transferFromWithMemo(msg.sender, address(this), amount, memo),
+            "Payment failed"
+        );
+        totalEscrowed[token] += amount;
+        
+        uint256 fee = amount * platformFeeBps / BPS;
+        pendingRevenue[owner][token] += fee;
+        uint256 remaining = amount - fee;
+        
+        Payee[] storage split = revenueSplits[contentHash];
+        if (split.length == 0) {
+            pendingRevenue[content.contentOwner][token] += remaining;
+            return;
+        }
+        
+        uint256 credited = 0;
+        for (uint i = 1; i < split.length; i++) {
+            uint256 share = remaining * split[i].shareBps / BPS;
+            pendingRevenue[split[i].account][token] += share;
+            credited += share;
+        }
+        pendingRevenue[split[0].account][token] += remaining - credited;
+    }
+    
+    function _setAcceptedToken(address token, bool accepted) internal {
+        require(token != address(0), "Invalid token");
+        if (accepted && !_isListed(token)) {
+            tokenList.push(token);
         }
+        acceptedTokens[token] = accepted;
+        emit TokenAccepted(token, accepted);
+    }
+    
+    function _isListed(address token) internal view returns (bool) {
+        for (uint i = 0; i < tokenList.length; i++) {
+            if (tokenList[i] == token) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * @dev Count `amount` towards the agent's spending today, starting a
+     * new count on the first purchase of each UTC day, and enforce its
+     * daily limit if it has one (agents without a limit are counted too,
+     * so a limit set mid-day starts from what was already spent)
+     */
+    function _recordAgentSpend(address agent, uint256 amount) internal {
+        uint256 today = block.timestamp / 1 days;
+        if (agentSpendDay[agent] != today) {
+            agentSpendDay[agent] = today;
+            agentSpentToday[agent] = 0;
+        }
+        
+        uint256 dailyLimit = agentSpendingLimits[agent];
+        require(dailyLimit == 0 || agentSpentToday[agent] + amount <= dailyLimit, "Daily spending limit exceeded");
+        agentSpentToday[agent] += amount;
     }
     
     receive() external payable {}
@@ -0,0 +1,70 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title Mock TIP-20
+ * @dev Minimal TIP-20 stablecoin for tests (see OpenPayAITempo.t.sol and
+ * backend/test)
+ * `blocked` stands in for TIP-403 transfer policies: a blocked account
+ * can neither send nor receive
+ */
+contract MockTIP20 {
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+    mapping(address => bool) public blocked;
+    
+    event Transfer(address indexed from, address indexed to, uint256 amount);
+    event Approval(address indexed owner, address indexed spender, uint256 amount);
+    event TransferWithMemo(address indexed from, address indexed to, uint256 amount, bytes32 indexed memo);
+    
+    function mint(address to, uint256 amount) external {
+        balanceOf[to] += amount;
+        emit Transfer(address(0), to, amount);
+    }
+    
+    function setBlocked(address account, bool isBlocked) external {
+        blocked[account] = isBlocked;
+    }
+    
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+    
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+    
+    function transferWithMemo(address to, uint256 amount, bytes32 memo) external {
+        _transfer(msg.sender, to, amount);
+        emit TransferWithMemo(msg.sender, to, amount, memo);
+    }
+    
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        _spendAllowance(from, amount);
+        _transfer(from, to, amount);
+        return true;
+    }
+    
+    function transferFromWithMemo(address from, address to, uint256 amount, bytes32 memo) external returns (bool) {
+        _spendAllowance(from, amount);
+        _transfer(from, to, amount);
+        emit TransferWithMemo(from, to, amount, memo);
+        return true;
+    }
+    
+    function _spendAllowance(address from, uint256 amount) internal {
+        require(allowance[from][msg.sender] >= amount, "Insufficient allowance");
+        allowance[from][msg.sender] -= amount;
+    }
+    
+    function _transfer(address from, address to, uint256 amount) internal virtual {
+        require(!blocked[from] && !blocked[to], "Policy forbids transfer");
+        require(balanceOf[from] >= amount, "Insufficient balance");
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+        emit Transfer(from, to, amount);
+    }
+}
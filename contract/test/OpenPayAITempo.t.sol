@@ -0,0 +1,279 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../OpenPayAITempo.sol";
+import "./MockTIP20.sol";
+
+/**
+ * @title OpenPayAITempo tests
+ * @dev Escrow, withdrawal, license and spending limit tests, run on a local node by
+ * backend/test/contract.test.js: every `test*` function runs against a
+ * fresh deployment after `setUp`, and fails by reverting
+ */
+contract OpenPayAITempoTest {
+    uint256 constant PRICE = 50_000;
+
+    OpenPayAITempo tempo;
+    MockTIP20 token;
+    Actor agent;
+    Actor creator;
+
+    function setUp() public {
+        token = new MockTIP20();
+        address[] memory tokens = new address[](1);
+        tokens[0] = address(token);
+        tempo = new OpenPayAITempo(address(this), tokens);
+
+        agent = new Actor();
+        creator = new Actor();
+
+        token.mint(address(agent), 10_000_000);
+        agent.call(address(token), abi.encodeCall(MockTIP20.approve, (address(tempo), type(uint256).max)));
+    }
+
+    function testPurchaseEscrowsPriceForOwnerAndPlatformFee() public {
+        tempo.setPlatformFee(1_000);
+        bytes32 contentHash = _register(creator, token, "fee");
+
+        _buy(contentHash);
+
+        _assertEq(tempo.pendingRevenue(address(creator), address(token)), 45_000, "owner credit");
+        _assertEq(tempo.pendingRevenue(address(this), address(token)), 5_000, "platform fee credit");
+        _assertEq(tempo.totalEscrowed(address(token)), PRICE, "total escrowed");
+        _assertEq(token.balanceOf(address(tempo)), PRICE, "contract balance");
+        _assertEq(token.balanceOf(address(creator)), 0, "nothing paid out before a withdrawal");
+    }
+
+    function testWithdrawPaysOutWholeBalance() public {
+        _buy(_register(creator, token, "first"));
+        _buy(_register(creator, token, "second"));
+
+        creator.call(address(tempo), abi.encodeCall(OpenPayAITempo.withdraw, (address(token))));
+
+        _assertEq(token.balanceOf(address(creator)), 2 * PRICE, "creator balance");
+        _assertEq(tempo.pendingRevenue(address(creator), address(token)), 0, "pending revenue");
+        _assertEq(tempo.totalEscrowed(address(token)), 0, "total escrowed");
+    }
+
+    function testWithdrawRevertsWithNothingEscrowed() public {
+        _assertReverts(
+            creator,
+            address(tempo),
+            abi.encodeCall(OpenPayAITempo.withdraw, (address(token))),
+            "Nothing to withdraw"
+        );
+    }
+
+    function testWithdrawClearsBalanceBeforeTransfer() public {
+        CallbackTIP20 callbackToken = new CallbackTIP20();
+        tempo.setAcceptedToken(address(callbackToken), true);
+        callbackToken.mint(address(agent), PRICE);
+        agent.call(address(callbackToken), abi.encodeCall(MockTIP20.approve, (address(tempo), PRICE)));
+
+        Reenterer reenterer = new Reenterer();
+        _buy(_register(reenterer, callbackToken, "reentrant"));
+
+        reenterer.call(address(tempo), abi.encodeCall(OpenPayAITempo.withdraw, (address(callbackToken))));
+
+        require(reenterer.calledBack(), "token did not call back");
+        _assertEq(reenterer.pendingDuringTransfer(), 0, "pending revenue during the transfer");
+        require(!reenterer.reentered(), "reentrant withdraw succeeded");
+        _assertEq(callbackToken.balanceOf(address(reenterer)), PRICE, "paid out once");
+        _assertEq(tempo.totalEscrowed(address(callbackToken)), 0, "total escrowed");
+    }
+
+    function testBatchCompletesWhenOwnerCannotReceive() public {
+        Actor blocked = new Actor();
+        bytes32[] memory contentHashes = new bytes32[](2);
+        contentHashes[0] = _register(creator, token, "batch-good");
+        contentHashes[1] = _register(blocked, token, "batch-blocked");
+        uint8[] memory termIds = new uint8[](2);
+        bytes32[] memory memos = new bytes32[](2);
+        memos[0] = "memo-1";
+        memos[1] = "memo-2";
+        token.setBlocked(address(blocked), true);
+
+        agent.call(
+            address(tempo),
+            abi.encodeCall(OpenPayAITempo.purchaseBatchLicense, (contentHashes, termIds, memos))
+        );
+
+        require(tempo.hasValidLicense(address(agent), contentHashes[0]), "license for the first item");
+        require(tempo.hasValidLicense(address(agent), contentHashes[1]), "license for the blocked owner's item");
+        _assertEq(tempo.pendingRevenue(address(creator), address(token)), PRICE, "owner credit");
+        _assertEq(tempo.pendingRevenue(address(blocked), address(token)), PRICE, "blocked owner credit");
+
+        // The blocked owner's revenue stays in escrow; the other owner is unaffected
+        _assertReverts(
+            blocked,
+            address(tempo),
+            abi.encodeCall(OpenPayAITempo.withdraw, (address(token))),
+            "Policy forbids transfer"
+        );
+        _assertEq(tempo.pendingRevenue(address(blocked), address(token)), PRICE, "blocked owner credit kept");
+
+        creator.call(address(tempo), abi.encodeCall(OpenPayAITempo.withdraw, (address(token))));
+        _assertEq(token.balanceOf(address(creator)), PRICE, "owner withdrawal");
+    }
+
+    function testLaterPurchaseCannotDowngradeLicense() public {
+        bytes32 contentHash = _register(creator, token, "downgrade");
+        _offer(contentHash, OpenPayAITempo.LicenseKind.Perpetual, 0);
+
+        _buy(contentHash, 0);
+
+        for (uint8 termId = 1; termId <= 2; termId++) {
+            _assertReverts(
+                agent,
+                address(tempo),
+                abi.encodeCall(OpenPayAITempo.purchaseLicense, (contentHash, termId, contentHash)),
+                "License already held"
+            );
+        }
+        (uint256 expiry,,,, OpenPayAITempo.LicenseKind kind,) = tempo.licenses(address(agent), contentHash);
+        require(kind == OpenPayAITempo.LicenseKind.Perpetual, "license is still perpetual");
+        _assertEq(expiry, type(uint256).max, "perpetual expiry");
+    }
+
+    function testLongerPurchaseReplacesLicense() public {
+        bytes32 contentHash = _register(creator, token, "upgrade");
+        _offer(contentHash, OpenPayAITempo.LicenseKind.Timed, 30 days);
+
+        // Per-request, then a 1-day license, then the 30-day one
+        _buy(contentHash, 1);
+        _buy(contentHash, 2);
+        (uint256 expiry,,,, OpenPayAITempo.LicenseKind kind,) = tempo.licenses(address(agent), contentHash);
+        require(kind == OpenPayAITempo.LicenseKind.Timed, "per-request license replaced");
+        _assertEq(expiry, block.timestamp + 1 days, "1-day expiry");
+
+        _buy(contentHash, 0);
+        (expiry,,,,,) = tempo.licenses(address(agent), contentHash);
+        _assertEq(expiry, block.timestamp + 30 days, "30-day expiry");
+    }
+
+    function testAllowanceCountsSpendWithoutLimit() public {
+        _buy(_register(creator, token, "unlimited"));
+
+        (uint256 dailyLimit, uint256 spentToday, uint256 remaining,) = tempo.agentAllowance(address(agent));
+        _assertEq(dailyLimit, 0, "no limit");
+        _assertEq(spentToday, PRICE, "spent today");
+        _assertEq(remaining, type(uint256).max, "remaining without a limit");
+    }
+
+    function testLimitSetMidDayCountsEarlierSpend() public {
+        _buy(_register(creator, token, "before-limit"));
+        agent.call(address(tempo), abi.encodeCall(OpenPayAITempo.setAgentSpendingLimit, (address(agent), PRICE * 3 / 2)));
+
+        bytes32 contentHash = _register(creator, token, "after-limit");
+        _assertReverts(
+            agent,
+            address(tempo),
+            abi.encodeCall(OpenPayAITempo.purchaseLicense, (contentHash, 0, contentHash)),
+            "Daily spending limit exceeded"
+        );
+        (,, uint256 remaining,) = tempo.agentAllowance(address(agent));
+        _assertEq(remaining, PRICE / 2, "remaining under the limit");
+    }
+
+    // Terms: 0 `kind` (for `duration`), 1 per-request, 2 one day
+    function _offer(bytes32 contentHash, OpenPayAITempo.LicenseKind kind, uint64 duration) internal {
+        OpenPayAITempo.LicenseTerms[] memory terms = new OpenPayAITempo.LicenseTerms[](3);
+        terms[0] = OpenPayAITempo.LicenseTerms(kind, OpenPayAITempo.Usage.Any, duration, PRICE);
+        terms[1] = OpenPayAITempo.LicenseTerms(OpenPayAITempo.LicenseKind.PerRequest, OpenPayAITempo.Usage.Any, 0, PRICE);
+        terms[2] = OpenPayAITempo.LicenseTerms(OpenPayAITempo.LicenseKind.Timed, OpenPayAITempo.Usage.Any, 1 days, PRICE);
+        creator.call(address(tempo), abi.encodeCall(OpenPayAITempo.setLicenseTerms, (contentHash, terms)));
+    }
+
+    function _register(Actor owner, MockTIP20 paymentToken, string memory name) internal returns (bytes32 contentHash) {
+        contentHash = keccak256(bytes(name));
+        owner.call(
+            address(tempo),
+            abi.encodeCall(OpenPayAITempo.registerContent, (contentHash, PRICE, name, address(paymentToken)))
+        );
+    }
+
+    function _buy(bytes32 contentHash) internal {
+        _buy(contentHash, 0);
+    }
+
+    function _buy(bytes32 contentHash, uint8 termId) internal {
+        agent.call(address(tempo), abi.encodeCall(OpenPayAITempo.purchaseLicense, (contentHash, termId, contentHash)));
+    }
+
+    function _assertEq(uint256 actual, uint256 expected, string memory what) internal pure {
+        require(actual == expected, string.concat(what, ": expected ", _toString(expected), ", got ", _toString(actual)));
+    }
+
+    function _assertReverts(Actor actor, address target, bytes memory data, string memory reason) internal {
+        try actor.call(target, data) {
+            revert(string.concat("Expected revert: ", reason));
+        } catch Error(string memory actual) {
+            require(
+                keccak256(bytes(actual)) == keccak256(bytes(reason)),
+                string.concat("Expected revert: ", reason, ", got: ", actual)
+            );
+        }
+    }
+
+    function _toString(uint256 value) internal pure returns (string memory) {
+        if (value == 0) return "0";
+        bytes memory digits = new bytes(78);
+        uint256 length = 0;
+        for (; value > 0; value /= 10) {
+            digits[77 - length++] = bytes1(uint8(48 + value % 10));
+        }
+        bytes memory result = new bytes(length);
+        for (uint i = 0; i < length; i++) {
+            result[i] = digits[78 - length + i];
+        }
+        return string(result);
+    }
+}
+
+/**
+ * @dev An account of its own (agent, creator) the tests act through;
+ * reverts bubble up unchanged
+ */
+contract Actor {
+    function call(address target, bytes memory data) public returns (bytes memory) {
+        (bool success, bytes memory result) = target.call(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * @dev A TIP-20 that calls back recipients that are contracts, like
+ * tokens with transfer hooks
+ */
+contract CallbackTIP20 is MockTIP20 {
+    function _transfer(address from, address to, uint256 amount) internal override {
+        super._transfer(from, to, amount);
+        if (to.code.length > 0 && from != address(0)) {
+            try Reenterer(to).onTokenReceived(from) {} catch {}
+        }
+    }
+}
+
+/**
+ * @dev Creator that tries to withdraw again while its withdrawal is
+ * being paid out
+ */
+contract Reenterer is Actor {
+    bool public calledBack;
+    bool public reentered;
+    uint256 public pendingDuringTransfer;
+
+    function onTokenReceived(address from) external {
+        calledBack = true;
+        OpenPayAITempo tempo = OpenPayAITempo(payable(from));
+        pendingDuringTransfer = tempo.pendingRevenue(address(this), msg.sender);
+        try tempo.withdraw(msg.sender) {
+            reentered = true;
+        } catch {}
+    }
+}
@@ -1,17 +1,20 @@
-# Deployment Script for OpenPayAI Tempo
-# This script deploys the smart contract and sets up the environment
+// Deployment Script for OpenPayAI Tempo
+// This script deploys the smart contract and sets up the environment
 
 import { createClient, http } from 'viem';
-import { privateKeyToAccount } from 'viem/accounts';
 import { tempoModerato } from 'viem/chains';
 import { tempoActions } from 'viem/tempo';
+import dotenv from 'dotenv';
+import { loadAccount } from './backend/lib/keystore.js';
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-const PRIVATE_KEY = '0x0896de88c7c4c8cdf4c1ec70ffd654ae3c2aa068d3f3b9376c1e4dc589120dc2';
+// Wallet from KEYSTORE (+ KEYSTORE_PASSWORD_FILE, else prompted) or PRIVATE_KEY
+dotenv.config();
+
 const RPC_URL = 'https://rpc.moderato.tempo.xyz';
 
 // Token addresses on Tempo testnet
@@ -24,7 +27,14 @@ const TOKENS = {
 async function deploy() {
   console.log('🚀 Deploying OpenPayAI to Tempo...\n');
 
-  const account = privateKeyToAccount(PRIVATE_KEY);
+  const account = await loadAccount({
+    keystore: process.env.KEYSTORE,
+    passwordFile: process.env.KEYSTORE_PASSWORD_FILE,
+    privateKey: process.env.PRIVATE_KEY,
+  });
+  if (!account) {
+    throw new Error('Set KEYSTORE or PRIVATE_KEY');
+  }
   console.log(`Deployer: ${account.address}`);
 
   const client = createClient({
@@ -1,14 +1,23 @@
 import { createClient, http } from 'viem';
-import { privateKeyToAccount } from 'viem/accounts';
 import { tempoModerato } from 'viem/chains';
 import { tempoActions } from 'viem/tempo';
+import dotenv from 'dotenv';
+import { loadAccount } from './backend/lib/keystore.js';
 
-const PRIVATE_KEY = '0x0896de88c7c4c8cdf4c1ec70ffd654ae3c2aa068d3f3b9376c1e4dc589120dc2';
+// Wallet from KEYSTORE (+ KEYSTORE_PASSWORD_FILE, else prompted) or PRIVATE_KEY
+dotenv.config();
 
 async function testTransfer() {
   console.log('🧪 Testing Tempo Transfer with Fee Sponsorship\n');
   
-  const account = privateKeyToAccount(PRIVATE_KEY);
+  const account = await loadAccount({
+    keystore: process.env.KEYSTORE,
+    passwordFile: process.env.KEYSTORE_PASSWORD_FILE,
+    privateKey: process.env.PRIVATE_KEY,
+  });
+  if (!account) {
+    throw new Error('Set KEYSTORE or PRIVATE_KEY');
+  }
   console.log(`From: ${account.address}`);
   
   const client = createClient({